@@ -0,0 +1,272 @@
+/**
+ * HandHeroAuth.js
+ * ============================================
+ * Local accounts for shared devices: profiles, password and PIN hashing.
+ *
+ * Nothing leaves the device. A profile may have:
+ * - a password (email accounts, from the sign-up form)
+ * - a PIN (4-6 digits) for quick switching between profiles
+ * - neither (e.g. a family device) - selecting it signs straight in
+ *
+ * Secrets are hashed with PBKDF2-SHA256 (WebCrypto) and a random salt per
+ * secret; only { algorithm, iterations, salt, hash } is stored, in the
+ * HandHeroStore credentials store, apart from the profile itself.
+ *
+ * A 4-digit PIN is quick to guess, so wrong ones are counted in the
+ * credentials (pinLock: { failures, until }): after PIN_FREE_ATTEMPTS the
+ * profile locks for PIN_LOCKOUT_MS, doubling with each further miss up to
+ * PIN_MAX_LOCKOUT_MS. The right PIN clears the count.
+ *
+ * Guest profiles are real profiles flagged guest: true. Their sessions
+ * are stored and scored like anyone else's, and everything is deleted
+ * when the guest signs out.
+ */
+
+const HandHeroAuth = (function() {
+    'use strict';
+
+    // =========================================
+    // HASHING
+    // =========================================
+
+    const ALGORITHM = 'PBKDF2-SHA256';
+
+    // OWASP 2023 guidance for PBKDF2-HMAC-SHA256
+    const ITERATIONS = 600000;
+
+    const SALT_BYTES = 16;
+    const HASH_BITS = 256;
+
+    function getSubtle() {
+        const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+        if (!subtle) throw new Error('WebCrypto is not available (the page must be served over https or localhost)');
+        return subtle;
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (const b of new Uint8Array(bytes)) binary += String.fromCharCode(b);
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    async function derive(secret, salt, iterations) {
+        const subtle = getSubtle();
+        const key = await subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+        return subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, HASH_BITS);
+    }
+
+    /**
+     * Hash a password or PIN for storage
+     * @param {string} secret
+     * @param {Object} options - { iterations } (tests use fewer)
+     * @returns {Promise<Object>} { algorithm, iterations, salt, hash } (base64)
+     */
+    async function hashSecret(secret, options = {}) {
+        const iterations = options.iterations || ITERATIONS;
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const hash = await derive(secret, salt, iterations);
+        return { algorithm: ALGORITHM, iterations, salt: toBase64(salt), hash: toBase64(hash) };
+    }
+
+    /**
+     * Check a secret against a stored hash (constant-time comparison)
+     */
+    async function verifySecret(secret, stored) {
+        if (!stored || stored.algorithm !== ALGORITHM) return false;
+        const expected = fromBase64(stored.hash);
+        const actual = new Uint8Array(await derive(secret, fromBase64(stored.salt), stored.iterations));
+        let diff = expected.length ^ actual.length;
+        for (let i = 0; i < expected.length; i++) diff |= expected[i] ^ actual[i];
+        return diff === 0;
+    }
+
+    // =========================================
+    // VALIDATION
+    // =========================================
+
+    const MIN_PASSWORD_LENGTH = 6;
+    const PIN_PATTERN = /^\d{4,6}$/;
+
+    const PIN_FREE_ATTEMPTS = 5;
+    const PIN_LOCKOUT_MS = 30 * 1000;
+    const PIN_MAX_LOCKOUT_MS = 15 * 60 * 1000;
+
+    function normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * @returns {string|null} Why the password can't be used, or null
+     */
+    function checkPassword(password) {
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    function checkPin(pin) {
+        return PIN_PATTERN.test(String(pin || '')) ? null : 'PIN must be 4 to 6 digits';
+    }
+
+    // =========================================
+    // PROFILES
+    // =========================================
+
+    function makeId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * What a profile asks for before it opens
+     * @param {Object} credentials - Stored { password, pin } (either may be missing)
+     * @returns {'pin'|'password'|null} PIN wins where both are set
+     */
+    function getUnlockMethod(credentials) {
+        if (credentials && credentials.pin) return 'pin';
+        if (credentials && credentials.password) return 'password';
+        return null;
+    }
+
+    /**
+     * Validate a sign-up and build the profile and its credentials
+     * @param {Object} form - { name, email, password }
+     * @param {Object[]} profiles - Existing profiles (email must be unused)
+     * @param {Object} base - Default profile fields (the dashboard's getDefaultUser())
+     * @returns {Promise<Object>} { user, credentials }
+     * @throws {Error} With a message fit to show the user
+     */
+    async function createAccount(form, profiles, base = {}, options = {}) {
+        const name = String(form.name || '').trim();
+        const email = normalizeEmail(form.email);
+        if (!name) throw new Error('Please enter your name');
+        if (!email.includes('@')) throw new Error('Please enter a valid email');
+        if (profiles.some(p => normalizeEmail(p.email) === email)) {
+            throw new Error('A profile with this email already exists on this device');
+        }
+        const problem = checkPassword(form.password);
+        if (problem) throw new Error(problem);
+
+        const user = { ...base, id: makeId(), name, email, createdAt: new Date().toISOString() };
+        const credentials = { userId: user.id, password: await hashSecret(form.password, options) };
+        return { user, credentials };
+    }
+
+    /**
+     * Find the profile for an email and check its password
+     * @param {Function} getCredentials - userId -> Promise<credentials|null>
+     * @returns {Promise<Object>} The profile
+     * @throws {Error} Deliberately the same message for unknown email and wrong password
+     */
+    async function signIn(email, password, profiles, getCredentials) {
+        const wanted = normalizeEmail(email);
+        const user = profiles.find(p => !p.guest && normalizeEmail(p.email) === wanted);
+        const credentials = user ? await getCredentials(user.id) : null;
+        if (!user || !credentials || !(await verifySecret(password, credentials.password))) {
+            throw new Error('Email or password is incorrect');
+        }
+        return user;
+    }
+
+    /**
+     * How long a profile stays locked after too many wrong PINs
+     * @returns {number} ms, 0 when not locked
+     */
+    function getPinLockout(credentials, now = Date.now()) {
+        const lock = credentials && credentials.pinLock;
+        return lock && lock.until ? Math.max(0, lock.until - now) : 0;
+    }
+
+    function formatWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Check a profile's PIN, counting wrong ones (see the header)
+     * @param {Object} credentials - The profile's stored credentials
+     * @param {Function} setCredentials - Stores the credentials with the
+     *   updated pinLock; called on a miss, and on a hit that clears one
+     * @throws {Error} With a message fit to show the user: a wrong PIN, or
+     *   how long to wait while locked (the PIN isn't checked then)
+     */
+    async function unlockWithPin(pin, credentials, setCredentials, now = Date.now()) {
+        const wait = getPinLockout(credentials, now);
+        if (wait > 0) throw new Error(`Too many wrong PINs - try again in ${formatWait(wait)}`);
+
+        const lock = credentials && credentials.pinLock;
+        if (await verifySecret(pin, credentials && credentials.pin)) {
+            if (lock) {
+                const { pinLock, ...rest } = credentials;
+                await setCredentials(rest);
+            }
+            return;
+        }
+        if (!credentials) throw new Error('Wrong PIN');
+
+        const failures = ((lock && lock.failures) || 0) + 1;
+        const extra = failures - PIN_FREE_ATTEMPTS;
+        const lockMs = extra >= 0 ? Math.min(PIN_MAX_LOCKOUT_MS, PIN_LOCKOUT_MS * 2 ** extra) : 0;
+        await setCredentials({ ...credentials, pinLock: { failures, until: lockMs ? now + lockMs : 0 } });
+        throw new Error(lockMs ? `Wrong PIN - too many tries, wait ${formatWait(lockMs)}` : 'Wrong PIN');
+    }
+
+    /**
+     * A throwaway profile; the dashboard deletes it and its data on sign-out
+     */
+    function createGuest(base = {}) {
+        return {
+            ...base,
+            id: 'guest-' + makeId(),
+            name: 'Guest',
+            email: '',
+            avatar: '👤',
+            guest: true,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        ALGORITHM,
+        ITERATIONS,
+        MIN_PASSWORD_LENGTH,
+        PIN_FREE_ATTEMPTS,
+        PIN_LOCKOUT_MS,
+        PIN_MAX_LOCKOUT_MS,
+
+        // Hashing
+        hashSecret,
+        verifySecret,
+
+        // Validation
+        normalizeEmail,
+        checkPassword,
+        checkPin,
+
+        // Profiles
+        getUnlockMethod,
+        getPinLockout,
+        unlockWithPin,
+        createAccount,
+        signIn,
+        createGuest
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroAuth;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroAuth = HandHeroAuth;
+}
@@ -1,460 +1,1466 @@
-/**
- * HandHeroExercises.js
- * ============================================
- * Complete exercise library for HandHero
- * 
- * Each exercise defines:
- * - id: Unique identifier
- * - name: Display name
- * - icon: Emoji for visual representation
- * - category: Grouping for UI
- * - desc: User-facing description
- * - difficulty: 1-4 scale
- * - type: 'isolation' | 'pinch' | 'spread' | 'fist' | 'flat'
- * - targetFingers: Array of finger indices (0-4) for isolation exercises
- * - pinchPair: [node1, node2] for pinch exercises
- * 
- * FINGER INDEX MAPPING:
- * 0 = Thumb, 1 = Index, 2 = Middle, 3 = Ring, 4 = Pinky
- * 
- * TIP NODE MAPPING:
- * 4 = Thumb tip, 8 = Index tip, 12 = Middle tip, 16 = Ring tip, 20 = Pinky tip
- */
-
-const HandHeroExercises = (function() {
-    'use strict';
-
-    // =========================================
-    // EXERCISE DEFINITIONS
-    // =========================================
-    
-    const EXERCISES = {
-        // =========================================
-        // SINGLE FINGER ISOLATION
-        // =========================================
-        
-        thumbs_up: {
-            id: 'thumbs_up',
-            name: 'Thumbs Up',
-            icon: '👍',
-            category: 'Isolation',
-            desc: 'Extend only your thumb',
-            difficulty: 2,
-            type: 'isolation',
-            targetFingers: [0]
-        },
-        
-        pointer: {
-            id: 'pointer',
-            name: 'Pointer Finger',
-            icon: '☝️',
-            category: 'Isolation',
-            desc: 'Extend only your index finger',
-            difficulty: 2,
-            type: 'isolation',
-            targetFingers: [1]
-        },
-        
-        middle_finger_lift: {
-            id: 'middle_finger_lift',
-            name: 'Middle Finger Lift',
-            icon: '🖕',
-            category: 'Isolation',
-            desc: 'Extend only your middle finger',
-            difficulty: 3,
-            type: 'isolation',
-            targetFingers: [2]
-        },
-        
-        ring_finger_lift: {
-            id: 'ring_finger_lift',
-            name: 'Ring Finger Lift',
-            icon: '💍',
-            category: 'Advanced',
-            desc: 'Extend only your ring finger',
-            difficulty: 4,
-            type: 'isolation',
-            targetFingers: [3]
-        },
-        
-        pinky_out: {
-            id: 'pinky_out',
-            name: 'Pinky Extension',
-            icon: '🤙',
-            category: 'Isolation',
-            desc: 'Extend only your pinky finger',
-            difficulty: 3,
-            type: 'isolation',
-            targetFingers: [4]
-        },
-        
-        // =========================================
-        // TWO FINGER ISOLATION
-        // =========================================
-        
-        peace: {
-            id: 'peace',
-            name: 'Peace Sign',
-            icon: '✌️',
-            category: 'Coordination',
-            desc: 'Extend index and middle fingers',
-            difficulty: 2,
-            type: 'isolation',
-            targetFingers: [1, 2]
-        },
-        
-        rock_on: {
-            id: 'rock_on',
-            name: 'Rock On',
-            icon: '🤘',
-            category: 'Advanced',
-            desc: 'Extend index and pinky only',
-            difficulty: 4,
-            type: 'isolation',
-            targetFingers: [1, 4]
-        },
-        
-        hang_loose: {
-            id: 'hang_loose',
-            name: 'Hang Loose',
-            icon: '🤙',
-            category: 'Coordination',
-            desc: 'Extend thumb and pinky only',
-            difficulty: 3,
-            type: 'isolation',
-            targetFingers: [0, 4]
-        },
-        
-        bunny_ears: {
-            id: 'bunny_ears',
-            name: 'Bunny Ears',
-            icon: '🐰',
-            category: 'Coordination',
-            desc: 'Extend index and middle fingers',
-            difficulty: 2,
-            type: 'isolation',
-            targetFingers: [1, 2]
-        },
-        
-        // =========================================
-        // THREE+ FINGER ISOLATION
-        // =========================================
-        
-        three_fingers: {
-            id: 'three_fingers',
-            name: 'Scout Salute',
-            icon: '🖖',
-            category: 'Coordination',
-            desc: 'Extend index, middle, and ring',
-            difficulty: 3,
-            type: 'isolation',
-            targetFingers: [1, 2, 3]
-        },
-        
-        four_fingers: {
-            id: 'four_fingers',
-            name: 'Four Up',
-            icon: '🖐️',
-            category: 'Coordination',
-            desc: 'Extend all fingers except thumb',
-            difficulty: 2,
-            type: 'isolation',
-            targetFingers: [1, 2, 3, 4]
-        },
-        
-        // =========================================
-        // PINCH EXERCISES (Thumb to Fingertip)
-        // =========================================
-        
-        ok_sign: {
-            id: 'ok_sign',
-            name: 'OK Sign',
-            icon: '👌',
-            category: 'Precision',
-            desc: 'Touch thumb to index tip',
-            difficulty: 2,
-            type: 'pinch',
-            pinchPair: [4, 8]  // Thumb tip to Index tip
-        },
-        
-        thumb_to_middle: {
-            id: 'thumb_to_middle',
-            name: 'Thumb to Middle',
-            icon: '🤌',
-            category: 'Precision',
-            desc: 'Touch thumb to middle fingertip',
-            difficulty: 2,
-            type: 'pinch',
-            pinchPair: [4, 12]  // Thumb tip to Middle tip
-        },
-        
-        thumb_to_ring: {
-            id: 'thumb_to_ring',
-            name: 'Thumb to Ring',
-            icon: '🤏',
-            category: 'Precision',
-            desc: 'Touch thumb to ring fingertip',
-            difficulty: 3,
-            type: 'pinch',
-            pinchPair: [4, 16]  // Thumb tip to Ring tip
-        },
-        
-        thumb_to_pinky: {
-            id: 'thumb_to_pinky',
-            name: 'Thumb to Pinky',
-            icon: '🤙',
-            category: 'Precision',
-            desc: 'Touch thumb to pinky tip',
-            difficulty: 3,
-            type: 'pinch',
-            pinchPair: [4, 20]  // Thumb tip to Pinky tip
-        },
-        
-        // =========================================
-        // FULL HAND EXERCISES
-        // =========================================
-        
-        starfish: {
-            id: 'starfish',
-            name: 'Starfish Spread',
-            icon: '🖐️',
-            category: 'Stretch',
-            desc: 'Spread all fingers wide',
-            difficulty: 1,
-            type: 'spread'
-        },
-        
-        flat_hand: {
-            id: 'flat_hand',
-            name: 'Flat Hand',
-            icon: '🤚',
-            category: 'Stretch',
-            desc: 'Fingers together, fully extended',
-            difficulty: 1,
-            type: 'flat'
-        },
-        
-        fist: {
-            id: 'fist',
-            name: 'Gentle Fist',
-            icon: '✊',
-            category: 'Strength',
-            desc: 'Curl all fingers into a fist',
-            difficulty: 1,
-            type: 'fist'
-        }
-    };
-
-    // =========================================
-    // CATEGORIES
-    // =========================================
-    
-    const CATEGORIES = {
-        'Isolation': {
-            name: 'Isolation',
-            description: 'Single finger control exercises',
-            color: '#68c896'
-        },
-        'Coordination': {
-            name: 'Coordination',
-            description: 'Multi-finger coordination exercises',
-            color: '#64b4e6'
-        },
-        'Precision': {
-            name: 'Precision',
-            description: 'Fine motor control exercises',
-            color: '#f0c864'
-        },
-        'Stretch': {
-            name: 'Stretch',
-            description: 'Flexibility exercises',
-            color: '#a8c99b'
-        },
-        'Strength': {
-            name: 'Strength',
-            description: 'Grip and strength exercises',
-            color: '#e8998d'
-        },
-        'Advanced': {
-            name: 'Advanced',
-            description: 'Challenging exercises',
-            color: '#c9a8d9'
-        }
-    };
-
-    // =========================================
-    // SESSION BUILDERS
-    // =========================================
-    
-    /**
-     * Get all exercises as an array
-     */
-    function getAllExercises() {
-        return Object.values(EXERCISES);
-    }
-    
-    /**
-     * Get exercise by ID
-     */
-    function getExercise(id) {
-        return EXERCISES[id] || null;
-    }
-    
-    /**
-     * Get exercises by category
-     */
-    function getByCategory(category) {
-        return getAllExercises().filter(e => e.category === category);
-    }
-    
-    /**
-     * Get exercises by difficulty
-     */
-    function getByDifficulty(difficulty) {
-        return getAllExercises().filter(e => e.difficulty === difficulty);
-    }
-    
-    /**
-     * Get exercises by type
-     */
-    function getByType(type) {
-        return getAllExercises().filter(e => e.type === type);
-    }
-    
-    /**
-     * Shuffle array (Fisher-Yates)
-     */
-    function shuffle(array) {
-        const arr = [...array];
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
-        }
-        return arr;
-    }
-    
-    /**
-     * Build a balanced session
-     * @param {number} count - Number of exercises (default 8)
-     * @returns {Array} Array of exercise objects
-     */
-    function buildSession(count = 8) {
-        const byDiff = (d) => getAllExercises().filter(e => e.difficulty === d);
-        
-        // Balanced selection: mix of difficulties
-        let selected = [];
-        
-        if (count >= 8) {
-            // Standard session: 2 easy, 3 medium, 2 hard, 1 advanced
-            selected = [
-                ...shuffle(byDiff(1)).slice(0, 2),
-                ...shuffle(byDiff(2)).slice(0, 3),
-                ...shuffle(byDiff(3)).slice(0, 2),
-                ...shuffle(byDiff(4)).slice(0, 1)
-            ];
-        } else if (count >= 5) {
-            // Short session: 1 easy, 2 medium, 2 hard
-            selected = [
-                ...shuffle(byDiff(1)).slice(0, 1),
-                ...shuffle(byDiff(2)).slice(0, 2),
-                ...shuffle(byDiff(3)).slice(0, 2)
-            ];
-        } else {
-            // Mini session: just grab a variety
-            selected = shuffle(getAllExercises()).slice(0, count);
-        }
-        
-        return shuffle(selected).slice(0, count);
-    }
-    
-    /**
-     * Build a session focused on specific category
-     */
-    function buildCategorySession(category, count = 6) {
-        const categoryExercises = getByCategory(category);
-        if (categoryExercises.length === 0) {
-            return buildSession(count);
-        }
-        return shuffle(categoryExercises).slice(0, count);
-    }
-    
-    /**
-     * Build a session focused on specific type
-     */
-    function buildTypeSession(type, count = 6) {
-        const typeExercises = getByType(type);
-        if (typeExercises.length === 0) {
-            return buildSession(count);
-        }
-        return shuffle(typeExercises).slice(0, count);
-    }
-    
-    /**
-     * Build a progressive session (easy to hard)
-     */
-    function buildProgressiveSession(count = 8) {
-        const exercises = [];
-        const difficultyOrder = [1, 1, 2, 2, 2, 3, 3, 4];
-        
-        for (let i = 0; i < Math.min(count, difficultyOrder.length); i++) {
-            const diff = difficultyOrder[i];
-            const available = getByDifficulty(diff).filter(
-                e => !exercises.find(ex => ex.id === e.id)
-            );
-            if (available.length > 0) {
-                exercises.push(available[Math.floor(Math.random() * available.length)]);
-            }
-        }
-        
-        return exercises;
-    }
-    
-    /**
-     * Build a session from specific exercise IDs
-     */
-    function buildCustomSession(exerciseIds) {
-        return exerciseIds
-            .map(id => getExercise(id))
-            .filter(e => e !== null);
-    }
-
-    // =========================================
-    // PUBLIC API
-    // =========================================
-    
-    return {
-        // Data
-        EXERCISES,
-        CATEGORIES,
-        
-        // Getters
-        getAllExercises,
-        getExercise,
-        getByCategory,
-        getByDifficulty,
-        getByType,
-        
-        // Session builders
-        buildSession,
-        buildCategorySession,
-        buildTypeSession,
-        buildProgressiveSession,
-        buildCustomSession,
-        
-        // Utility
-        shuffle,
-        
-        // Convenience - get exercise count
-        get count() {
-            return Object.keys(EXERCISES).length;
-        }
-    };
-})();
-
-// Module exports
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = HandHeroExercises;
-}
-if (typeof window !== 'undefined') {
-    window.HandHeroExercises = HandHeroExercises;
+/**
+ * HandHeroExercises.js
+ * ============================================
+ * Complete exercise library for HandHero
+ * 
+ * Each exercise defines:
+ * - id: Unique identifier
+ * - name: Display name
+ * - icon: Emoji for visual representation
+ * - category: Grouping for UI
+ * - desc: User-facing description
+ * - difficulty: 1-4 scale
+ * - type: 'isolation' | 'pinch' | 'spread' | 'fist' | 'flat' | 'angles' |
+ *     'sequence', or any type registered with
+ *     InvisibleBoundaryEngine.registerEvaluator()
+ * - targetFingers: Array of finger indices (0-4) for isolation exercises
+ * - pinchPair: [node1, node2] for pinch exercises
+ * - jointTargets: [{ finger, joint, min, max, tolerance? }] for 'angles'
+ *     exercises - flexion ranges in degrees (joint: thumb cmc/mcp/ip,
+ *     fingers mcp/pip/dip)
+ * - hands: (optional) which hand(s) count in two-hand mode
+ *     'affected' - only the treated hand is scored (default)
+ *     'both'     - both hands must hold the pose; mirror therapy
+ *     'either'   - whichever hand does it best
+ * - holdMs: (optional) how long the pose must be held (session default
+ *     when absent)
+ * - steps: ordered pose keyframes for 'sequence' exercises - each is
+ *     { label, type, targetFingers?, pinchPair?, jointTargets? }
+ * - reps: (optional) sequence repetitions to complete (default 1)
+ * - stepHoldMs: (optional) how long each sequence step must pass before
+ *     the next one counts (engine default when absent)
+ * 
+ * ADAPTIVE SESSIONS:
+ * buildAdaptiveSession() picks exercises from the patient's stored
+ * session logs (accuracy, skips, time-to-pass, pain) within the band of
+ * the dashboard's difficulty setting - see summarizeHistory().
+ * 
+ * PAIN:
+ * The session page asks for pain on a 0-10 numeric rating scale (NRS),
+ * optionally tagged with where it hurts. Each answer is a check-in,
+ *   { at, level: 0-10, location: PAIN_LOCATIONS id | null, exercises: [id] }
+ * covering the exercises since the previous one, kept in the session's
+ * painCheckins; each of those log entries also carries the level as
+ * `pain`. Sessions saved before the NRS answered 0-3 on the entries only;
+ * getPainCheckins() and normalizePain() read both. findPainTriggers()
+ * flags exercises that keep being followed by pain spikes; adaptive
+ * sessions leave out or soften them, plans soften them.
+ * 
+ * EXERCISE PLANS:
+ * A therapist can prescribe a plan instead (clinician portal, delivered
+ * by sync): specific exercises with reps and hold times, sessions per
+ * week and a pain ceiling. buildPlanSession() turns it into the session,
+ * through buildCustomSession(), in place of the adaptive pick.
+ * 
+ * CUSTOM EXERCISES:
+ * Clinics can author exercises as JSON files validated against
+ * EXERCISE_SCHEMA (same fields as above). Custom exercises are added at
+ * runtime with loadCustomExercises() and sit alongside the built-in
+ * library in every getter and session builder, flagged `custom: true`.
+ * 
+ * FINGER INDEX MAPPING:
+ * 0 = Thumb, 1 = Index, 2 = Middle, 3 = Ring, 4 = Pinky
+ * 
+ * TIP NODE MAPPING:
+ * 4 = Thumb tip, 8 = Index tip, 12 = Middle tip, 16 = Ring tip, 20 = Pinky tip
+ */
+
+const HandHeroExercises = (function() {
+    'use strict';
+
+    // =========================================
+    // EXERCISE DEFINITIONS
+    // =========================================
+    
+    const EXERCISES = {
+        // =========================================
+        // SINGLE FINGER ISOLATION
+        // =========================================
+        
+        thumbs_up: {
+            id: 'thumbs_up',
+            name: 'Thumbs Up',
+            icon: '👍',
+            category: 'Isolation',
+            desc: 'Extend only your thumb',
+            difficulty: 2,
+            type: 'isolation',
+            targetFingers: [0]
+        },
+        
+        pointer: {
+            id: 'pointer',
+            name: 'Pointer Finger',
+            icon: '☝️',
+            category: 'Isolation',
+            desc: 'Extend only your index finger',
+            difficulty: 2,
+            type: 'isolation',
+            targetFingers: [1]
+        },
+        
+        middle_finger_lift: {
+            id: 'middle_finger_lift',
+            name: 'Middle Finger Lift',
+            icon: '🖕',
+            category: 'Isolation',
+            desc: 'Extend only your middle finger',
+            difficulty: 3,
+            type: 'isolation',
+            targetFingers: [2]
+        },
+        
+        ring_finger_lift: {
+            id: 'ring_finger_lift',
+            name: 'Ring Finger Lift',
+            icon: '💍',
+            category: 'Advanced',
+            desc: 'Extend only your ring finger',
+            difficulty: 4,
+            type: 'isolation',
+            targetFingers: [3]
+        },
+        
+        pinky_out: {
+            id: 'pinky_out',
+            name: 'Pinky Extension',
+            icon: '🤙',
+            category: 'Isolation',
+            desc: 'Extend only your pinky finger',
+            difficulty: 3,
+            type: 'isolation',
+            targetFingers: [4]
+        },
+        
+        // =========================================
+        // TWO FINGER ISOLATION
+        // =========================================
+        
+        peace: {
+            id: 'peace',
+            name: 'Peace Sign',
+            icon: '✌️',
+            category: 'Coordination',
+            desc: 'Extend index and middle fingers',
+            difficulty: 2,
+            type: 'isolation',
+            targetFingers: [1, 2]
+        },
+        
+        rock_on: {
+            id: 'rock_on',
+            name: 'Rock On',
+            icon: '🤘',
+            category: 'Advanced',
+            desc: 'Extend index and pinky only',
+            difficulty: 4,
+            type: 'isolation',
+            targetFingers: [1, 4]
+        },
+        
+        hang_loose: {
+            id: 'hang_loose',
+            name: 'Hang Loose',
+            icon: '🤙',
+            category: 'Coordination',
+            desc: 'Extend thumb and pinky only',
+            difficulty: 3,
+            type: 'isolation',
+            targetFingers: [0, 4]
+        },
+        
+        bunny_ears: {
+            id: 'bunny_ears',
+            name: 'Bunny Ears',
+            icon: '🐰',
+            category: 'Coordination',
+            desc: 'Extend index and middle fingers',
+            difficulty: 2,
+            type: 'isolation',
+            targetFingers: [1, 2]
+        },
+        
+        // =========================================
+        // THREE+ FINGER ISOLATION
+        // =========================================
+        
+        three_fingers: {
+            id: 'three_fingers',
+            name: 'Scout Salute',
+            icon: '🖖',
+            category: 'Coordination',
+            desc: 'Extend index, middle, and ring',
+            difficulty: 3,
+            type: 'isolation',
+            targetFingers: [1, 2, 3]
+        },
+        
+        four_fingers: {
+            id: 'four_fingers',
+            name: 'Four Up',
+            icon: '🖐️',
+            category: 'Coordination',
+            desc: 'Extend all fingers except thumb',
+            difficulty: 2,
+            type: 'isolation',
+            targetFingers: [1, 2, 3, 4]
+        },
+        
+        // =========================================
+        // PINCH EXERCISES (Thumb to Fingertip)
+        // =========================================
+        
+        ok_sign: {
+            id: 'ok_sign',
+            name: 'OK Sign',
+            icon: '👌',
+            category: 'Precision',
+            desc: 'Touch thumb to index tip',
+            difficulty: 2,
+            type: 'pinch',
+            pinchPair: [4, 8]  // Thumb tip to Index tip
+        },
+        
+        thumb_to_middle: {
+            id: 'thumb_to_middle',
+            name: 'Thumb to Middle',
+            icon: '🤌',
+            category: 'Precision',
+            desc: 'Touch thumb to middle fingertip',
+            difficulty: 2,
+            type: 'pinch',
+            pinchPair: [4, 12]  // Thumb tip to Middle tip
+        },
+        
+        thumb_to_ring: {
+            id: 'thumb_to_ring',
+            name: 'Thumb to Ring',
+            icon: '🤏',
+            category: 'Precision',
+            desc: 'Touch thumb to ring fingertip',
+            difficulty: 3,
+            type: 'pinch',
+            pinchPair: [4, 16]  // Thumb tip to Ring tip
+        },
+        
+        thumb_to_pinky: {
+            id: 'thumb_to_pinky',
+            name: 'Thumb to Pinky',
+            icon: '🤙',
+            category: 'Precision',
+            desc: 'Touch thumb to pinky tip',
+            difficulty: 3,
+            type: 'pinch',
+            pinchPair: [4, 20]  // Thumb tip to Pinky tip
+        },
+        
+        // =========================================
+        // FULL HAND EXERCISES
+        // =========================================
+        
+        starfish: {
+            id: 'starfish',
+            name: 'Starfish Spread',
+            icon: '🖐️',
+            category: 'Stretch',
+            desc: 'Spread all fingers wide',
+            difficulty: 1,
+            type: 'spread',
+            hands: 'both'
+        },
+        
+        flat_hand: {
+            id: 'flat_hand',
+            name: 'Flat Hand',
+            icon: '🤚',
+            category: 'Stretch',
+            desc: 'Fingers together, fully extended',
+            difficulty: 1,
+            type: 'flat',
+            hands: 'both'
+        },
+        
+        fist: {
+            id: 'fist',
+            name: 'Gentle Fist',
+            icon: '✊',
+            category: 'Strength',
+            desc: 'Curl all fingers into a fist',
+            difficulty: 1,
+            type: 'fist',
+            hands: 'both'
+        },
+        
+        // =========================================
+        // MOVEMENT SEQUENCES
+        // =========================================
+        
+        tendon_glide: {
+            id: 'tendon_glide',
+            name: 'Tendon Glides',
+            icon: '🌊',
+            category: 'Stretch',
+            desc: 'Straight, hook, full fist, tabletop, straight fist',
+            difficulty: 3,
+            type: 'sequence',
+            reps: 3,
+            steps: [
+                { label: 'Straight', type: 'flat' },
+                { label: 'Hook', type: 'angles', jointTargets: fingerJointTargets([-10, 30], [70, 120], [40, 90]) },
+                { label: 'Full fist', type: 'fist' },
+                { label: 'Tabletop', type: 'angles', jointTargets: fingerJointTargets([60, 100], [-10, 30], [-10, 30]) },
+                { label: 'Straight fist', type: 'angles', jointTargets: fingerJointTargets([60, 100], [70, 120], [-10, 35]) }
+            ]
+        },
+        
+        thumb_opposition: {
+            id: 'thumb_opposition',
+            name: 'Thumb Opposition',
+            icon: '🔄',
+            category: 'Coordination',
+            desc: 'Touch your thumb to each fingertip in turn',
+            difficulty: 3,
+            type: 'sequence',
+            reps: 3,
+            steps: [
+                { label: 'Index', type: 'pinch', pinchPair: [4, 8] },
+                { label: 'Middle', type: 'pinch', pinchPair: [4, 12] },
+                { label: 'Ring', type: 'pinch', pinchPair: [4, 16] },
+                { label: 'Pinky', type: 'pinch', pinchPair: [4, 20] }
+            ]
+        },
+        
+        open_close: {
+            id: 'open_close',
+            name: 'Open & Close',
+            icon: '👐',
+            category: 'Strength',
+            desc: 'Open your hand wide, then make a fist - as quickly as is comfortable',
+            difficulty: 2,
+            type: 'sequence',
+            reps: 10,
+            stepHoldMs: 100,
+            steps: [
+                { label: 'Open', type: 'isolation', targetFingers: [0, 1, 2, 3, 4] },
+                { label: 'Close', type: 'fist' }
+            ]
+        }
+    };
+    
+    /**
+     * The same flexion ranges (degrees) for the MCP, PIP and DIP of all four
+     * fingers - the tendon glide positions
+     */
+    function fingerJointTargets(mcp, pip, dip) {
+        const targets = [];
+        for (let finger = 1; finger <= 4; finger++) {
+            targets.push(
+                { finger, joint: 'mcp', min: mcp[0], max: mcp[1] },
+                { finger, joint: 'pip', min: pip[0], max: pip[1] },
+                { finger, joint: 'dip', min: dip[0], max: dip[1] }
+            );
+        }
+        return targets;
+    }
+
+    // Valid values for an exercise's `hands` field
+    const HANDS_MODES = ['affected', 'both', 'either'];
+
+    // =========================================
+    // CATEGORIES
+    // =========================================
+    
+    const CATEGORIES = {
+        'Isolation': {
+            name: 'Isolation',
+            description: 'Single finger control exercises',
+            color: '#68c896'
+        },
+        'Coordination': {
+            name: 'Coordination',
+            description: 'Multi-finger coordination exercises',
+            color: '#64b4e6'
+        },
+        'Precision': {
+            name: 'Precision',
+            description: 'Fine motor control exercises',
+            color: '#f0c864'
+        },
+        'Stretch': {
+            name: 'Stretch',
+            description: 'Flexibility exercises',
+            color: '#a8c99b'
+        },
+        'Strength': {
+            name: 'Strength',
+            description: 'Grip and strength exercises',
+            color: '#e8998d'
+        },
+        'Advanced': {
+            name: 'Advanced',
+            description: 'Challenging exercises',
+            color: '#c9a8d9'
+        }
+    };
+
+    // =========================================
+    // EXERCISE SCHEMA
+    // =========================================
+
+    // Types the engine scores out of the box (InvisibleBoundaryEngine
+    // registers these; a page can register more)
+    const BUILT_IN_TYPES = ['isolation', 'pinch', 'spread', 'fist', 'flat', 'angles', 'sequence'];
+
+    // Anatomical joints per finger index, as named by measureJointAngles()
+    const FINGER_JOINTS = [
+        ['cmc', 'mcp', 'ip'],
+        ['mcp', 'pip', 'dip'],
+        ['mcp', 'pip', 'dip'],
+        ['mcp', 'pip', 'dip'],
+        ['mcp', 'pip', 'dip']
+    ];
+
+    const FINGER_INDEX = { type: 'integer', minimum: 0, maximum: 4 };
+    const FLEXION_DEG = { type: 'number', minimum: -30, maximum: 180 };
+
+    const TARGET_FINGERS = {
+        type: 'array', items: FINGER_INDEX, minItems: 1, maxItems: 5, uniqueItems: true
+    };
+    const PINCH_PAIR = {
+        type: 'array', items: { enum: [4, 8, 12, 16, 20] }, minItems: 2, maxItems: 2, uniqueItems: true
+    };
+    const JOINT_TARGETS = {
+        type: 'array',
+        minItems: 1,
+        maxItems: 15,
+        items: {
+            type: 'object',
+            required: ['finger', 'joint', 'min', 'max'],
+            additionalProperties: false,
+            properties: {
+                finger: FINGER_INDEX,
+                joint: { enum: ['cmc', 'mcp', 'pip', 'dip', 'ip'] },
+                min: FLEXION_DEG,
+                max: FLEXION_DEG,
+                tolerance: { type: 'number', minimum: 1, maximum: 90 }
+            }
+        }
+    };
+
+    // Fields each pose type needs (exercises and sequence steps alike)
+    const TYPE_REQUIREMENTS = [
+        { if: { properties: { type: { const: 'isolation' } } }, then: { required: ['targetFingers'] } },
+        { if: { properties: { type: { const: 'pinch' } } }, then: { required: ['pinchPair'] } },
+        { if: { properties: { type: { const: 'angles' } } }, then: { required: ['jointTargets'] } }
+    ];
+
+    const SEQUENCE_STEP = {
+        type: 'object',
+        required: ['type'],
+        additionalProperties: false,
+        properties: {
+            label: { type: 'string', minLength: 1, maxLength: 40 },
+            type: { type: 'string', minLength: 1 },
+            targetFingers: TARGET_FINGERS,
+            pinchPair: PINCH_PAIR,
+            jointTargets: JOINT_TARGETS
+        },
+        allOf: TYPE_REQUIREMENTS
+    };
+
+    /**
+     * JSON Schema (draft-07) for an exercise definition file entry
+     */
+    const EXERCISE_SCHEMA = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'handhero-exercise.schema.json',
+        title: 'HandHero exercise',
+        type: 'object',
+        required: ['id', 'name', 'type'],
+        additionalProperties: false,
+        properties: {
+            id: { type: 'string', pattern: '^[a-z0-9_]{2,40}$' },
+            name: { type: 'string', minLength: 1, maxLength: 60 },
+            icon: { type: 'string', maxLength: 8 },
+            category: { enum: Object.keys(CATEGORIES) },
+            desc: { type: 'string', maxLength: 200 },
+            difficulty: { type: 'integer', minimum: 1, maximum: 4 },
+            type: { type: 'string', minLength: 1 },
+            targetFingers: TARGET_FINGERS,
+            pinchPair: PINCH_PAIR,
+            jointTargets: JOINT_TARGETS,
+            steps: { type: 'array', minItems: 2, maxItems: 10, items: SEQUENCE_STEP },
+            reps: { type: 'integer', minimum: 1, maximum: 50 },
+            stepHoldMs: { type: 'integer', minimum: 0, maximum: 5000 },
+            hands: { enum: HANDS_MODES },
+            holdMs: { type: 'integer', minimum: 500, maximum: 30000 },
+            custom: { type: 'boolean' }
+        },
+        allOf: [
+            ...TYPE_REQUIREMENTS,
+            { if: { properties: { type: { const: 'sequence' } } }, then: { required: ['steps'] } }
+        ]
+    };
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * Check a value against the subset of JSON Schema used by
+     * EXERCISE_SCHEMA, appending "path: message" strings to errors
+     */
+    function checkSchema(value, schema, path, errors) {
+        const actual = typeOf(value);
+
+        if (schema.type) {
+            const ok = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+            if (!ok) {
+                errors.push(`${path}: must be ${schema.type === 'integer' ? 'a whole number' : `a ${schema.type}`}`);
+                return;
+            }
+        }
+        if ('const' in schema && value !== schema.const) {
+            errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        if (actual === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path}: must not be empty`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path}: must match ${schema.pattern}`);
+            }
+        }
+
+        if (actual === 'number' || actual === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path}: must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path}: must be at most ${schema.maximum}`);
+            }
+        }
+
+        if (actual === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path}: allows at most ${schema.maxItems} item(s)`);
+            }
+            if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+                errors.push(`${path}: items must be unique`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+            }
+        }
+
+        if (actual === 'object') {
+            for (const key of schema.required || []) {
+                if (!(key in value)) errors.push(`${path}.${key}: is required`);
+            }
+            const props = schema.properties || {};
+            for (const key of Object.keys(value)) {
+                if (props[key]) {
+                    checkSchema(value[key], props[key], `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key}: is not a known field`);
+                }
+            }
+        }
+
+        for (const sub of schema.allOf || []) {
+            if (sub.if) {
+                const probe = [];
+                checkSchema(value, sub.if, path, probe);
+                if (probe.length === 0 && sub.then) checkSchema(value, sub.then, path, errors);
+            } else {
+                checkSchema(value, sub, path, errors);
+            }
+        }
+    }
+
+    /**
+     * Exercise types that can currently be scored
+     */
+    function getScorableTypes() {
+        if (typeof InvisibleBoundaryEngine !== 'undefined' && typeof InvisibleBoundaryEngine.getEvaluatorTypes === 'function') {
+            return InvisibleBoundaryEngine.getEvaluatorTypes();
+        }
+        return BUILT_IN_TYPES;
+    }
+
+    /**
+     * Validate an exercise definition against EXERCISE_SCHEMA plus the rules
+     * a schema can't express (joint names per finger, min <= max, scorable type)
+     * @param {Object} definition - Parsed exercise JSON
+     * @param {Object} options - { types: scorable types (default: engine registry) }
+     * @returns {Object} { valid, errors: ['path: message', ...] }
+     */
+    function validateExercise(definition, options = {}) {
+        const errors = [];
+        checkSchema(definition, EXERCISE_SCHEMA, 'exercise', errors);
+        if (errors.length > 0 || typeOf(definition) !== 'object') {
+            return { valid: false, errors };
+        }
+
+        const types = options.types || getScorableTypes();
+        if (!types.includes(definition.type)) {
+            errors.push(`exercise.type: "${definition.type}" has no evaluator (known: ${types.join(', ')})`);
+        }
+
+        checkJointTargets(definition.jointTargets, 'exercise', errors);
+
+        (definition.steps || []).forEach((step, i) => {
+            const path = `exercise.steps[${i}]`;
+            if (step.type === 'sequence') {
+                errors.push(`${path}.type: a step cannot itself be a sequence`);
+            } else if (!types.includes(step.type)) {
+                errors.push(`${path}.type: "${step.type}" has no evaluator (known: ${types.join(', ')})`);
+            }
+            checkJointTargets(step.jointTargets, path, errors);
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    function checkJointTargets(jointTargets, parentPath, errors) {
+        (jointTargets || []).forEach((target, i) => {
+            const path = `${parentPath}.jointTargets[${i}]`;
+            if (!FINGER_JOINTS[target.finger].includes(target.joint)) {
+                errors.push(`${path}.joint: finger ${target.finger} has joints ${FINGER_JOINTS[target.finger].join(', ')}`);
+            }
+            if (target.min > target.max) {
+                errors.push(`${path}: min must not be greater than max`);
+            }
+        });
+    }
+
+    // =========================================
+    // CUSTOM EXERCISES
+    // =========================================
+
+    // localStorage key shared by the dashboard editor and the session page
+    const STORAGE_KEY = 'handhero_customExercises';
+
+    // id -> custom exercise (kept apart from the built-in EXERCISES table)
+    const customExercises = {};
+
+    /**
+     * Fill display defaults for optional fields and flag as custom
+     */
+    function normalizeCustom(definition) {
+        return {
+            icon: '⭐',
+            category: 'Advanced',
+            desc: definition.name,
+            difficulty: 2,
+            ...definition,
+            custom: true
+        };
+    }
+
+    /**
+     * Add or replace a custom exercise
+     * @throws {Error} If the definition is invalid or reuses a built-in id
+     */
+    function addCustomExercise(definition, options = {}) {
+        const { valid, errors } = validateExercise(definition, options);
+        if (!valid) {
+            throw new Error(`Invalid exercise "${definition && definition.id}": ${errors.join('; ')}`);
+        }
+        if (EXERCISES[definition.id]) {
+            throw new Error(`Exercise id "${definition.id}" is used by the built-in library`);
+        }
+        const exercise = normalizeCustom(definition);
+        customExercises[exercise.id] = exercise;
+        return exercise;
+    }
+
+    function removeCustomExercise(id) {
+        const existed = id in customExercises;
+        delete customExercises[id];
+        return existed;
+    }
+
+    function getCustomExercises() {
+        return Object.values(customExercises);
+    }
+
+    function isCustom(id) {
+        return id in customExercises;
+    }
+
+    /**
+     * Add a batch of definitions, keeping the valid ones
+     * @param {Array} definitions - Exercise definitions
+     * @param {Object} options - { replace: drop existing customs first, types }
+     * @returns {Object} { loaded: [ids], errors: [{ id, index, errors }] }
+     */
+    function loadCustomExercises(definitions, options = {}) {
+        if (options.replace) {
+            Object.keys(customExercises).forEach(id => delete customExercises[id]);
+        }
+
+        const loaded = [];
+        const failures = [];
+        definitions.forEach((definition, index) => {
+            try {
+                loaded.push(addCustomExercise(definition, options).id);
+            } catch (e) {
+                failures.push({ id: definition && definition.id, index, errors: [e.message] });
+            }
+        });
+        return { loaded, errors: failures };
+    }
+
+    /**
+     * Read exercise definitions from JSON text: a single exercise, an array,
+     * or { exercises: [...] }
+     * @throws {Error} If the text is not JSON or holds no exercises
+     */
+    function parseExerciseFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Exercise file is not valid JSON');
+        }
+        if (Array.isArray(data)) return data;
+        if (data && Array.isArray(data.exercises)) return data.exercises;
+        if (data && typeof data === 'object') return [data];
+        throw new Error('Exercise file holds no exercises');
+    }
+
+    /**
+     * Fetch and load an exercise file served next to the app
+     */
+    async function fetchCustomExercises(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load ${url} (${response.status})`);
+        }
+        return loadCustomExercises(parseExerciseFile(await response.text()), options);
+    }
+
+    /**
+     * Load custom exercises saved by the dashboard editor
+     * @param {Storage} storage - localStorage or anything with getItem()
+     */
+    function restoreCustomExercises(storage) {
+        let saved = [];
+        try {
+            saved = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+        } catch (e) {
+            console.warn('Saved custom exercises are unreadable', e);
+        }
+        return loadCustomExercises(Array.isArray(saved) ? saved : [], { replace: true });
+    }
+
+    /**
+     * Save the current custom exercises
+     * @param {Storage} storage - localStorage or anything with setItem()
+     */
+    function persistCustomExercises(storage) {
+        storage.setItem(STORAGE_KEY, JSON.stringify(getCustomExercises()));
+    }
+
+    // =========================================
+    // SESSION BUILDERS
+    // =========================================
+    
+    /**
+     * Get all exercises (built-in, then custom) as an array
+     */
+    function getAllExercises() {
+        return [...Object.values(EXERCISES), ...Object.values(customExercises)];
+    }
+    
+    /**
+     * Get exercise by ID
+     */
+    function getExercise(id) {
+        return EXERCISES[id] || customExercises[id] || null;
+    }
+    
+    /**
+     * Get exercises by category
+     */
+    function getByCategory(category) {
+        return getAllExercises().filter(e => e.category === category);
+    }
+    
+    /**
+     * Get exercises by difficulty
+     */
+    function getByDifficulty(difficulty) {
+        return getAllExercises().filter(e => e.difficulty === difficulty);
+    }
+    
+    /**
+     * Get exercises by type
+     */
+    function getByType(type) {
+        return getAllExercises().filter(e => e.type === type);
+    }
+    
+    /**
+     * Which hand(s) an exercise scores in two-hand mode
+     */
+    function getHandsMode(exercise) {
+        return (exercise && HANDS_MODES.includes(exercise.hands)) ? exercise.hands : 'affected';
+    }
+    
+    /**
+     * Shuffle array (Fisher-Yates)
+     */
+    function shuffle(array) {
+        const arr = [...array];
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+    
+    /**
+     * Build a balanced session
+     * @param {number} count - Number of exercises (default 8)
+     * @returns {Array} Array of exercise objects
+     */
+    function buildSession(count = 8) {
+        const byDiff = (d) => getAllExercises().filter(e => e.difficulty === d);
+        
+        // Balanced selection: mix of difficulties
+        let selected = [];
+        
+        if (count >= 8) {
+            // Standard session: 2 easy, 3 medium, 2 hard, 1 advanced
+            selected = [
+                ...shuffle(byDiff(1)).slice(0, 2),
+                ...shuffle(byDiff(2)).slice(0, 3),
+                ...shuffle(byDiff(3)).slice(0, 2),
+                ...shuffle(byDiff(4)).slice(0, 1)
+            ];
+        } else if (count >= 5) {
+            // Short session: 1 easy, 2 medium, 2 hard
+            selected = [
+                ...shuffle(byDiff(1)).slice(0, 1),
+                ...shuffle(byDiff(2)).slice(0, 2),
+                ...shuffle(byDiff(3)).slice(0, 2)
+            ];
+        } else {
+            // Mini session: just grab a variety
+            selected = shuffle(getAllExercises()).slice(0, count);
+        }
+        
+        return shuffle(selected).slice(0, count);
+    }
+    
+    /**
+     * Build a session focused on specific category
+     */
+    function buildCategorySession(category, count = 6) {
+        const categoryExercises = getByCategory(category);
+        if (categoryExercises.length === 0) {
+            return buildSession(count);
+        }
+        return shuffle(categoryExercises).slice(0, count);
+    }
+    
+    /**
+     * Build a session focused on specific type
+     */
+    function buildTypeSession(type, count = 6) {
+        const typeExercises = getByType(type);
+        if (typeExercises.length === 0) {
+            return buildSession(count);
+        }
+        return shuffle(typeExercises).slice(0, count);
+    }
+    
+    /**
+     * Build a progressive session (easy to hard)
+     */
+    function buildProgressiveSession(count = 8) {
+        const exercises = [];
+        const difficultyOrder = [1, 1, 2, 2, 2, 3, 3, 4];
+        
+        for (let i = 0; i < Math.min(count, difficultyOrder.length); i++) {
+            const diff = difficultyOrder[i];
+            const available = getByDifficulty(diff).filter(
+                e => !exercises.find(ex => ex.id === e.id)
+            );
+            if (available.length > 0) {
+                exercises.push(available[Math.floor(Math.random() * available.length)]);
+            }
+        }
+        
+        return exercises;
+    }
+    
+    /**
+     * Build a session from specific exercise IDs
+     */
+    function buildCustomSession(exerciseIds) {
+        return exerciseIds
+            .map(id => getExercise(id))
+            .filter(e => e !== null);
+    }
+
+    // =========================================
+    // PAIN
+    // =========================================
+    
+    const PAIN_SCALE = { min: 0, max: 10 };
+    
+    const PAIN_BANDS = [
+        { id: 'none', max: 0, label: 'No pain', advice: "Excellent! You're doing great." },
+        { id: 'mild', max: 3, label: 'Mild', advice: 'Some mild discomfort is normal.' },
+        { id: 'moderate', max: 6, label: 'Moderate', advice: "Let's take it slower." },
+        { id: 'severe', max: 10, label: 'Severe', advice: 'Please stop and rest.' }
+    ];
+    
+    const PAIN_LOCATIONS = [
+        { id: 'fingers', label: 'Fingers' },
+        { id: 'thumb', label: 'Thumb' },
+        { id: 'palm', label: 'Palm' },
+        { id: 'wrist', label: 'Wrist' },
+        { id: 'forearm', label: 'Forearm' }
+    ];
+    
+    // Severe pain ends any session (plans can stop sooner)
+    const DEFAULT_PAIN_CEILING = 7;
+    
+    // The old 0-3 check (None, Mild, Moderate, Too much) on the NRS
+    const LEGACY_PAIN_TO_NRS = [0, 2, 5, 8];
+    
+    const PAIN_TRIGGERS = {
+        spikeRise: 2,           // A check this far above the one before it...
+        spikeLevel: 4,          // ...and at least this high is a spike
+        minSpikes: 2,           // Spikes before an exercise is flagged at all
+        softenRate: 0.5,        // Share of its check-ins that spiked: soften from here
+        excludeRate: 0.75,      // ...leave out of adaptive sessions from here
+        excludeSpikes: 3,       // ...once it has spiked this often
+        softenHold: 0.6,        // Hold time multiplier for a softened exercise
+        softenReps: 0.5         // Sequence reps multiplier for a softened exercise
+    };
+    
+    function getPainBand(level) {
+        return PAIN_BANDS.find(band => level <= band.max) || PAIN_BANDS[PAIN_BANDS.length - 1];
+    }
+    
+    /**
+     * What the check-in screen says after an answer
+     * @param {number} level - 0-10
+     * @param {number} ceiling - Level that ends the session (getPainCeiling)
+     */
+    function getPainAdvice(level, ceiling = DEFAULT_PAIN_CEILING) {
+        const band = getPainBand(level);
+        if (level >= ceiling && band.id !== 'severe') return "Your therapist's plan stops here at this level. Please rest.";
+        return band.advice;
+    }
+    
+    function isNrsSession(session) {
+        return !!session && Array.isArray(session.painCheckins);
+    }
+    
+    /**
+     * A log entry's pain on the NRS (null if it wasn't checked)
+     */
+    function getEntryPain(session, entry) {
+        if (!entry || !Number.isFinite(entry.pain)) return null;
+        if (isNrsSession(session)) return entry.pain;
+        return LEGACY_PAIN_TO_NRS[Math.max(0, Math.min(3, Math.round(entry.pain)))];
+    }
+    
+    /**
+     * A session's check-ins, oldest first. Older sessions only kept the
+     * answer on each exercise, so a run of entries with the same answer
+     * stands in for one check-in.
+     */
+    function getPainCheckins(session) {
+        if (!session) return [];
+        if (isNrsSession(session)) return session.painCheckins;
+        
+        const checkins = [];
+        let current = null;
+        for (const entry of session.exercises || []) {
+            const level = getEntryPain(session, entry);
+            if (level === null) continue;
+            if (!current || current.level !== level) {
+                current = { at: session.date, level, location: null, exercises: [] };
+                checkins.push(current);
+            }
+            current.exercises.push(entry.id);
+        }
+        return checkins;
+    }
+    
+    /**
+     * A copy of the session with NRS pain throughout (for reports and exports)
+     */
+    function normalizePain(session) {
+        if (!session || isNrsSession(session)) return session;
+        return {
+            ...session,
+            painCheckins: getPainCheckins(session),
+            exercises: (session.exercises || []).map(entry => {
+                const pain = getEntryPain(session, entry);
+                return pain === null ? entry : { ...entry, pain };
+            })
+        };
+    }
+    
+    /**
+     * Exercises that tend to come before pain spikes
+     * A check-in spikes when it reaches spikeLevel and rose by spikeRise
+     * over the previous check-in of the session (the first one compares
+     * with the patient's median level). Every exercise in a spiking
+     * check-in's window shares the blame.
+     * @param {Array} sessions - Oldest first
+     * @returns {Array} [{ id, checkins, spikes, rate, action: 'soften' | 'exclude' }],
+     *   most often implicated first
+     */
+    function findPainTriggers(sessions = []) {
+        const all = sessions.map(getPainCheckins);
+        const levels = all.flat().map(c => c.level).sort((a, b) => a - b);
+        if (!levels.length) return [];
+        const baseline = levels[Math.floor((levels.length - 1) / 2)];
+        
+        const counts = {};
+        for (const checkins of all) {
+            checkins.forEach((checkin, i) => {
+                const before = i > 0 ? checkins[i - 1].level : baseline;
+                const spike = checkin.level >= PAIN_TRIGGERS.spikeLevel && checkin.level - before >= PAIN_TRIGGERS.spikeRise;
+                for (const id of new Set(checkin.exercises || [])) {
+                    const c = counts[id] || (counts[id] = { checkins: 0, spikes: 0 });
+                    c.checkins++;
+                    if (spike) c.spikes++;
+                }
+            });
+        }
+        
+        return Object.entries(counts)
+            .map(([id, c]) => ({ id, ...c, rate: c.spikes / c.checkins }))
+            .filter(t => t.spikes >= PAIN_TRIGGERS.minSpikes && t.rate >= PAIN_TRIGGERS.softenRate)
+            .map(t => ({
+                ...t,
+                action: t.spikes >= PAIN_TRIGGERS.excludeSpikes && t.rate >= PAIN_TRIGGERS.excludeRate ? 'exclude' : 'soften'
+            }))
+            .sort((a, b) => b.rate - a.rate || b.spikes - a.spikes);
+    }
+    
+    /**
+     * A gentler copy: shorter holds (holdScale, applied by the session
+     * page over its default hold) and fewer sequence reps
+     */
+    function softenExercise(exercise) {
+        const softened = { ...exercise, softened: true, holdScale: PAIN_TRIGGERS.softenHold };
+        if (exercise.type === 'sequence') {
+            softened.reps = Math.max(1, Math.round((exercise.reps || 1) * PAIN_TRIGGERS.softenReps));
+        }
+        return softened;
+    }
+    
+    // =========================================
+    // ADAPTIVE SESSIONS
+    // =========================================
+    
+    // Difficulty band each dashboard setting (settings.difficulty) draws from
+    const DIFFICULTY_LEVELS = {
+        easy: { min: 1, max: 2 },
+        normal: { min: 1, max: 4 },
+        hard: { min: 2, max: 4 }
+    };
+    
+    const ADAPTIVE = {
+        historySessions: 10,    // Most recent sessions considered
+        weakAccuracy: 70,       // Mean accuracy (%) at or below this is fully weak
+        masteredAccuracy: 90,   // ...at or above this, with no skips, can be mastered
+        masteredPasses: 3,      // Passes needed before an exercise counts as mastered
+        slowPassMs: 20000,      // Mean time-to-pass at or above this is fully weak
+        highPain: 4,            // Pain (0-10 NRS) that triggers a back-off
+        weakWeight: 3,          // Pick weight of a fully weak exercise (1 = neutral)
+        masteredWeight: 0.3,    // Pick weight of a mastered exercise
+        promotedWeight: 2.5,    // Pick weight of a mastered exercise's harder variant
+        painWeight: 0.2         // Pick weight multiplier after it was followed by high pain
+    };
+    
+    const clamp01 = (v) => Math.max(0, Math.min(1, v));
+    
+    /**
+     * Per-exercise performance from stored session logs
+     * @param {Array} sessions - Oldest first, each { exercises: [{ id,
+     *   accuracy, skipped?, timeToPassMs?, pain? }] } (the dashboard's
+     *   stats.sessions)
+     * @param {number} limit - Most recent sessions to consider
+     * @returns {Object} { exercises: { [id]: { attempts, passes, skips,
+     *   meanAccuracy, meanTimeToPassMs, lastPain } }, recentPain, triggers }
+     *   recentPain is the highest pain (NRS) reported in the last session
+     *   (or null); triggers is findPainTriggers() over the same sessions
+     */
+    function summarizeHistory(sessions = [], limit = ADAPTIVE.historySessions) {
+        const recent = (Array.isArray(sessions) ? sessions : []).slice(-limit);
+        const totals = {};
+        let recentPain = null;
+        
+        recent.forEach((session, index) => {
+            const latest = index === recent.length - 1;
+            for (const entry of (session && session.exercises) || []) {
+                if (!entry || !entry.id) continue;
+                const t = totals[entry.id] || (totals[entry.id] = {
+                    attempts: 0, passes: 0, skips: 0, accuracy: 0, passMs: 0, timedPasses: 0, lastPain: null
+                });
+                t.attempts++;
+                t.accuracy += Number(entry.accuracy) || 0;
+                if (entry.skipped) {
+                    t.skips++;
+                } else {
+                    t.passes++;
+                    if (Number.isFinite(entry.timeToPassMs)) {
+                        t.passMs += entry.timeToPassMs;
+                        t.timedPasses++;
+                    }
+                }
+                const pain = getEntryPain(session, entry);
+                if (pain !== null) {
+                    t.lastPain = pain;
+                    if (latest) recentPain = Math.max(recentPain || 0, pain);
+                }
+            }
+        });
+        
+        const exercises = {};
+        for (const [id, t] of Object.entries(totals)) {
+            exercises[id] = {
+                attempts: t.attempts,
+                passes: t.passes,
+                skips: t.skips,
+                meanAccuracy: t.accuracy / t.attempts,
+                meanTimeToPassMs: t.timedPasses ? t.passMs / t.timedPasses : null,
+                lastPain: t.lastPain
+            };
+        }
+        return { exercises, recentPain, triggers: findPainTriggers(recent) };
+    }
+    
+    /**
+     * How much an exercise needs practice (0 = fine, 1 = struggling):
+     * the worst of its skip rate, accuracy and time-to-pass
+     */
+    function getWeakness(stats) {
+        const skipRate = stats.skips / stats.attempts;
+        const accuracy = (ADAPTIVE.masteredAccuracy - stats.meanAccuracy)
+            / (ADAPTIVE.masteredAccuracy - ADAPTIVE.weakAccuracy);
+        const slow = stats.meanTimeToPassMs === null ? 0
+            : (stats.meanTimeToPassMs - ADAPTIVE.slowPassMs / 2) / (ADAPTIVE.slowPassMs / 2);
+        return clamp01(Math.max(skipRate * 2, accuracy, slow));
+    }
+    
+    function isMastered(stats) {
+        return stats.passes >= ADAPTIVE.masteredPasses
+            && stats.skips === 0
+            && stats.meanAccuracy >= ADAPTIVE.masteredAccuracy;
+    }
+    
+    /**
+     * The next difficulty up from an exercise: same type if there is one,
+     * otherwise same category (e.g. Gentle Fist -> Open & Close)
+     */
+    function getHarderVariants(exercise, pool = getAllExercises()) {
+        const nextUp = (list) => {
+            const harder = list.filter(e => e.difficulty > exercise.difficulty);
+            const step = Math.min(...harder.map(e => e.difficulty));
+            return harder.filter(e => e.difficulty === step);
+        };
+        const sameType = nextUp(pool.filter(e => e.type === exercise.type));
+        return sameType.length ? sameType : nextUp(pool.filter(e => e.category === exercise.category));
+    }
+    
+    /**
+     * Build a session from the patient's own history
+     * Weak exercises (low accuracy, skips, slow to pass) are weighted up;
+     * mastered ones give way to their harder variants, even one level above
+     * the difficulty setting. After a high pain report the session drops a
+     * level, promotes nothing and plays down the exercises that hurt.
+     * Pain triggers (findPainTriggers) are left out or come softened.
+     * @param {Object} options - { count, difficulty: 'easy' | 'normal' |
+     *   'hard', history: stored sessions or a summarizeHistory() result,
+     *   random: () => 0-1 }
+     * @returns {Array} Exercise objects, easiest first
+     */
+    function buildAdaptiveSession({ count = 8, difficulty = 'normal', history = [], random = Math.random } = {}) {
+        const summary = Array.isArray(history) ? summarizeHistory(history) : (history || summarizeHistory());
+        const level = DIFFICULTY_LEVELS[difficulty] || DIFFICULTY_LEVELS.normal;
+        const backOff = summary.recentPain !== null && summary.recentPain >= ADAPTIVE.highPain;
+        const max = backOff ? Math.max(level.min, level.max - 1) : level.max;
+        const all = getAllExercises();
+        const statsFor = (ex) => summary.exercises[ex.id] || null;
+        const triggers = new Map((summary.triggers || []).map(t => [t.id, t.action]));
+        
+        const weights = new Map();
+        for (const ex of all) {
+            if (ex.difficulty < level.min || ex.difficulty > max) continue;
+            if (triggers.get(ex.id) === 'exclude') continue;
+            const stats = statsFor(ex);
+            if (!stats) weights.set(ex, 1);
+            else weights.set(ex, isMastered(stats) ? ADAPTIVE.masteredWeight : 1 + (ADAPTIVE.weakWeight - 1) * getWeakness(stats));
+        }
+        
+        if (!backOff) {
+            for (const ex of [...weights.keys()]) {
+                const stats = statsFor(ex);
+                if (!stats || !isMastered(stats)) continue;
+                for (const variant of getHarderVariants(ex, all)) {
+                    if (variant.difficulty > Math.min(4, max + 1) || triggers.get(variant.id) === 'exclude') continue;
+                    const variantStats = statsFor(variant);
+                    if (variantStats && isMastered(variantStats)) continue;
+                    weights.set(variant, Math.max(weights.get(variant) || 0, ADAPTIVE.promotedWeight));
+                }
+            }
+        }
+        
+        for (const ex of weights.keys()) {
+            const stats = statsFor(ex);
+            if ((stats && stats.lastPain !== null && stats.lastPain >= ADAPTIVE.highPain) || triggers.has(ex.id)) {
+                weights.set(ex, weights.get(ex) * ADAPTIVE.painWeight);
+            }
+        }
+        
+        // Weighted draw without replacement
+        const pool = [...weights.entries()];
+        const selected = [];
+        while (selected.length < count && pool.length > 0) {
+            let pick = random() * pool.reduce((sum, [, w]) => sum + w, 0);
+            let i = 0;
+            while (i < pool.length - 1 && pick >= pool[i][1]) {
+                pick -= pool[i][1];
+                i++;
+            }
+            selected.push(pool.splice(i, 1)[0][0]);
+        }
+        
+        // Warm up on the easier ones
+        return selected
+            .sort((a, b) => a.difficulty - b.difficulty)
+            .map(ex => triggers.has(ex.id) ? softenExercise(ex) : ex);
+    }
+    
+    // =========================================
+    // EXERCISE PLANS
+    // =========================================
+    
+    /*
+     * A plan:
+     * {
+     *   exercises: [{ id, reps?, holdMs? }, ...]  (a bare id string is allowed)
+     *   sessionsPerWeek?: 1-14
+     *   painCeiling?: pain (0-10 NRS) that ends the session; default 7
+     *   notes?: string shown to the patient
+     * }
+     * reps repeats a hold exercise within the session, or sets a sequence
+     * exercise's repetitions; holdMs overrides the exercise's hold time.
+     */
+    const PLAN_LIMITS = {
+        reps: { min: 1, max: 10 },
+        holdMs: { min: 500, max: 30000 },
+        sessionsPerWeek: { min: 1, max: 14 },
+        painCeiling: { min: 1, max: 10 }
+    };
+    
+    /**
+     * Plan items in { id, reps?, holdMs? } form
+     */
+    function getPlanItems(plan) {
+        return ((plan && plan.exercises) || []).map(item => (typeof item === 'string' ? { id: item } : item));
+    }
+    
+    /**
+     * @returns {Object} { valid, errors: [message, ...] }
+     */
+    function validatePlan(plan) {
+        const errors = [];
+        const inRange = (value, key) => value === undefined ||
+            (Number.isFinite(value) && value >= PLAN_LIMITS[key].min && value <= PLAN_LIMITS[key].max);
+        
+        if (!plan || !Array.isArray(plan.exercises) || plan.exercises.length === 0) {
+            errors.push('A plan needs at least one exercise');
+        }
+        getPlanItems(plan).forEach((item, i) => {
+            if (!item || !getExercise(item.id)) errors.push(`Exercise ${i + 1}: unknown id "${item && item.id}"`);
+            for (const key of ['reps', 'holdMs']) {
+                if (item && !inRange(item[key], key)) {
+                    errors.push(`Exercise ${i + 1}: ${key} must be ${PLAN_LIMITS[key].min}-${PLAN_LIMITS[key].max}`);
+                }
+            }
+        });
+        for (const key of ['sessionsPerWeek', 'painCeiling']) {
+            if (plan && !inRange(plan[key], key)) {
+                errors.push(`${key} must be ${PLAN_LIMITS[key].min}-${PLAN_LIMITS[key].max}`);
+            }
+        }
+        return { valid: errors.length === 0, errors };
+    }
+    
+    /**
+     * The session a plan prescribes, in plan order (unknown ids dropped)
+     * The therapist chose the exercises, so pain triggers in the history
+     * are softened rather than left out.
+     * @param {Object} plan
+     * @param {Array} history - Stored sessions, oldest first (optional)
+     */
+    function buildPlanSession(plan, history = []) {
+        const items = getPlanItems(plan);
+        const exercises = buildCustomSession(items.map(item => item.id));
+        const byId = new Map(items.map(item => [item.id, item]));
+        const triggers = new Set(findPainTriggers(history.slice(-ADAPTIVE.historySessions)).map(t => t.id));
+        
+        return exercises.flatMap(ex => {
+            const { reps, holdMs } = byId.get(ex.id);
+            let prescribed = { ...ex, ...(holdMs ? { holdMs } : {}) };
+            if (ex.type === 'sequence' && reps) prescribed.reps = reps;
+            if (triggers.has(ex.id)) prescribed = softenExercise(prescribed);
+            if (ex.type === 'sequence') return [prescribed];
+            return Array.from({ length: reps || 1 }, () => prescribed);
+        });
+    }
+    
+    function getPainCeiling(plan) {
+        return (plan && plan.painCeiling) || DEFAULT_PAIN_CEILING;
+    }
+    
+    /**
+     * Sessions done this week (Monday first) against the plan's target
+     * @param {Array} sessions - { date } records
+     * @returns {Object} { done, target } (target null without a plan frequency)
+     */
+    function getWeeklyProgress(plan, sessions = [], now = new Date()) {
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+        const done = sessions.filter(s => s && new Date(s.date) >= start && new Date(s.date) <= now).length;
+        return { done, target: (plan && plan.sessionsPerWeek) || null };
+    }
+    
+    /**
+     * Per-exercise series and pain over time, for progress review
+     * @param {Array} sessions - Oldest first, each { date, exercises: [log entry] }
+     * @returns {Object} { exercises: { [id]: [{ date, accuracy, skipped, timeToPassMs }] },
+     *   pain: [{ date, level }] } (pain: the session's highest check, 0-10)
+     */
+    function getTrends(sessions = []) {
+        const exercises = {};
+        const pain = [];
+        for (const session of sessions) {
+            for (const entry of (session && session.exercises) || []) {
+                if (!entry || !entry.id) continue;
+                (exercises[entry.id] = exercises[entry.id] || []).push({
+                    date: session.date,
+                    accuracy: Number(entry.accuracy) || 0,
+                    skipped: !!entry.skipped,
+                    timeToPassMs: Number.isFinite(entry.timeToPassMs) ? entry.timeToPassMs : null
+                });
+            }
+            const levels = getPainCheckins(session).map(c => c.level);
+            if (levels.length) pain.push({ date: session.date, level: Math.max(...levels) });
+        }
+        return { exercises, pain };
+    }
+    
+    // =========================================
+    // PUBLIC API
+    // =========================================
+    
+    return {
+        // Data
+        EXERCISES,
+        CATEGORIES,
+        HANDS_MODES,
+        BUILT_IN_TYPES,
+        FINGER_JOINTS,
+        DIFFICULTY_LEVELS,
+        EXERCISE_SCHEMA,
+        STORAGE_KEY,
+        
+        // Getters
+        getAllExercises,
+        getExercise,
+        getByCategory,
+        getByDifficulty,
+        getByType,
+        getHandsMode,
+        
+        // Custom exercises
+        validateExercise,
+        addCustomExercise,
+        removeCustomExercise,
+        getCustomExercises,
+        isCustom,
+        loadCustomExercises,
+        parseExerciseFile,
+        fetchCustomExercises,
+        restoreCustomExercises,
+        persistCustomExercises,
+        
+        // Session builders
+        buildSession,
+        buildCategorySession,
+        buildTypeSession,
+        buildProgressiveSession,
+        buildCustomSession,
+        
+        // Adaptive sessions
+        summarizeHistory,
+        getHarderVariants,
+        buildAdaptiveSession,
+        
+        // Pain
+        PAIN_SCALE,
+        PAIN_BANDS,
+        PAIN_LOCATIONS,
+        PAIN_TRIGGERS,
+        getPainBand,
+        getPainAdvice,
+        getPainCheckins,
+        normalizePain,
+        findPainTriggers,
+        softenExercise,
+        
+        // Exercise plans
+        PLAN_LIMITS,
+        validatePlan,
+        getPlanItems,
+        buildPlanSession,
+        getPainCeiling,
+        getWeeklyProgress,
+        getTrends,
+        
+        // Utility
+        shuffle,
+        
+        // Convenience - get exercise count
+        get count() {
+            return Object.keys(EXERCISES).length + Object.keys(customExercises).length;
+        }
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroExercises;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroExercises = HandHeroExercises;
 }
\ No newline at end of file
@@ -0,0 +1,407 @@
+/**
+ * HandHeroFhir.js
+ * ============================================
+ * FHIR R4 export of HandHero sessions for a clinic's EHR.
+ *
+ * toBundle() maps a patient's saved sessions (stats.sessions, see
+ * HandHeroReport for the record shape) to a Bundle:
+ * - Patient      the profile, identified by its HandHero user id
+ * - Procedure    one per session - SNOMED 229065009 Exercise therapy,
+ *                body site the treated hand
+ * - Observation  per attempt: accuracy (%), hold duration (s) and joint
+ *                range of motion (SNOMED 364564000, one component per
+ *                joint, degrees); per pain check-in: the 0-10 rating
+ *                (LOINC 72514-3) with where it hurt as bodySite.
+ *                Each is partOf its session's Procedure; method names
+ *                the exercise.
+ * LOINC and SNOMED have no codes for accuracy, hold time or per-joint
+ * arcs, so those use HandHero's own code system (`${system}:measure`).
+ *
+ * Pain is read on the 0-10 NRS: pass sessions saved before it through
+ * HandHeroExercises.normalizePain() first.
+ *
+ * A 'transaction' bundle creates resources conditionally (ifNoneExist on
+ * their HandHero identifiers), so sending the same period twice does not
+ * duplicate anything. 'collection' is the plain download.
+ *
+ * validateBundle() checks the rules of the base R4 profiles these
+ * resources rely on (required elements, value sets, bdl-3/bdl-7, obs-6,
+ * references resolving inside the bundle); run the HL7 validator for full
+ * conformance. postBundle() sends a bundle to a FHIR endpoint;
+ * server/fhir-server.js stands in for one locally.
+ */
+
+const HandHeroFhir = (function() {
+    'use strict';
+
+    // =========================================
+    // CODES
+    // =========================================
+
+    const SNOMED = 'http://snomed.info/sct';
+    const LOINC = 'http://loinc.org';
+    const UCUM = 'http://unitsofmeasure.org';
+    const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+    // Identifier and local code systems are `${system}:<kind>`
+    const DEFAULT_SYSTEM = 'urn:handhero';
+
+    const CODES = {
+        exerciseTherapy: { system: SNOMED, code: '229065009', display: 'Exercise therapy' },
+        rangeOfMotion: { system: SNOMED, code: '364564000', display: 'Range of joint movement' },
+        pain: { system: LOINC, code: '72514-3', display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported' }
+    };
+
+    const HAND_SITES = {
+        left: { system: SNOMED, code: '85151006', display: 'Structure of left hand' },
+        right: { system: SNOMED, code: '78791008', display: 'Structure of right hand' },
+        both: { system: SNOMED, code: '85562004', display: 'Hand structure' }
+    };
+
+    // Where a pain check-in says it hurt (HandHeroExercises.PAIN_LOCATIONS)
+    const PAIN_SITES = {
+        fingers: { system: SNOMED, code: '7569003', display: 'Finger structure' },
+        thumb: { system: SNOMED, code: '76505004', display: 'Thumb structure' },
+        palm: { system: SNOMED, code: '21547004', display: 'Palm structure' },
+        wrist: { system: SNOMED, code: '8205005', display: 'Wrist region structure' },
+        forearm: { system: SNOMED, code: '14975008', display: 'Forearm structure' }
+    };
+
+    // Joints measured by InvisibleBoundaryEngine.measureJointAngles()
+    const JOINTS = [
+        ['thumb', 'cmc'], ['thumb', 'mcp'], ['thumb', 'ip'],
+        ...['index', 'middle', 'ring', 'pinky'].flatMap(finger => [[finger, 'mcp'], [finger, 'pip'], [finger, 'dip']]),
+        ['wrist', 'flexion'], ['wrist', 'deviation']
+    ];
+
+    const BUNDLE_TYPES = ['transaction', 'collection', 'batch', 'transaction-response', 'batch-response', 'searchset'];
+
+    // =========================================
+    // BUILDING
+    // =========================================
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function newUuid() {
+        return globalThis.crypto.randomUUID();
+    }
+
+    /**
+     * Session duration in seconds from the stored 'm:ss' (or a number)
+     */
+    function parseDuration(duration) {
+        if (isNumber(duration)) return duration;
+        const match = /^(\d+):(\d{2})$/.exec(duration || '');
+        return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+    }
+
+    function quantity(value, unit, code = unit) {
+        return { value: Math.round(value * 100) / 100, unit, system: UCUM, code };
+    }
+
+    function category(code, display) {
+        return [{ coding: [{ system: OBSERVATION_CATEGORY, code, display }] }];
+    }
+
+    function title(text) {
+        return text.replace(/^\w/, c => c.toUpperCase());
+    }
+
+    /**
+     * Map sessions to a FHIR R4 Bundle
+     * @param {Array} sessions - Session records ({ id?, date, duration, grade, completed, exercises })
+     * @param {Object} options - { patient: { id, name, hand }, type: 'transaction' | 'collection',
+     *   system, uuid() }
+     * @returns {Object} Bundle
+     */
+    function toBundle(sessions = [], options = {}) {
+        const { patient = {}, type = 'transaction', system = DEFAULT_SYSTEM, uuid = newUuid } = options;
+        if (!patient.id) throw new Error('The export needs the patient\'s id');
+        if (!['transaction', 'collection'].includes(type)) throw new Error(`Unsupported bundle type "${type}"`);
+
+        const entries = [];
+        const bodySite = HAND_SITES[patient.hand] ? [{ coding: [HAND_SITES[patient.hand]] }] : undefined;
+
+        function add(resource, identifier) {
+            const fullUrl = `urn:uuid:${uuid()}`;
+            const entry = { fullUrl, resource: { ...resource, identifier: [identifier] } };
+            if (type === 'transaction') {
+                entry.request = {
+                    method: 'POST',
+                    url: resource.resourceType,
+                    ifNoneExist: `identifier=${identifier.system}|${identifier.value}`
+                };
+            }
+            entries.push(entry);
+            return fullUrl;
+        }
+
+        const patientUrl = add({
+            resourceType: 'Patient',
+            active: true,
+            ...(patient.name ? { name: [{ text: patient.name }] } : {})
+        }, { system: `${system}:patient`, value: String(patient.id) });
+        const subject = { reference: patientUrl, display: patient.name || undefined };
+
+        for (const session of sessions) {
+            if (!session || !session.date) continue;
+            const key = `${patient.id}/${session.id || session.date}`;
+            const end = new Date(session.date);
+            const seconds = parseDuration(session.duration);
+            const exercises = (session.exercises || []).filter(e => e && e.id);
+
+            const procedureUrl = add({
+                resourceType: 'Procedure',
+                status: 'completed',
+                code: { coding: [CODES.exerciseTherapy], text: 'HandHero home hand exercise session' },
+                subject,
+                ...(seconds !== null
+                    ? { performedPeriod: { start: new Date(end.getTime() - seconds * 1000).toISOString(), end: end.toISOString() } }
+                    : { performedDateTime: end.toISOString() }),
+                ...(bodySite ? { bodySite } : {}),
+                note: [{ text: `${exercises.filter(e => !e.skipped).length} of ${exercises.length} exercises passed` +
+                    (session.grade ? `, grade ${session.grade}` : '') }]
+            }, { system: `${system}:session`, value: key });
+
+            const observe = (suffix, resource) => add({
+                resourceType: 'Observation',
+                status: 'final',
+                subject,
+                partOf: [{ reference: procedureUrl }],
+                effectiveDateTime: end.toISOString(),
+                ...resource
+            }, { system: `${system}:observation`, value: `${key}/${suffix}` });
+
+            exercises.forEach((entry, i) => {
+                const method = { coding: [{ system: `${system}:exercise`, code: entry.id, display: entry.name || entry.id }] };
+                const name = entry.name || entry.id;
+
+                if (isNumber(entry.accuracy)) {
+                    observe(`${i}/accuracy`, {
+                        category: category('activity', 'Activity'),
+                        code: { coding: [{ system: `${system}:measure`, code: 'accuracy', display: 'Exercise accuracy' }], text: `${name} accuracy` },
+                        valueQuantity: quantity(entry.accuracy, '%'),
+                        method,
+                        ...(bodySite ? { bodySite: bodySite[0] } : {}),
+                        ...(entry.skipped ? { note: [{ text: 'Skipped before passing; best accuracy reached' }] } : {})
+                    });
+                }
+
+                if (!entry.skipped && isNumber(entry.holdMs)) {
+                    observe(`${i}/hold`, {
+                        category: category('activity', 'Activity'),
+                        code: { coding: [{ system: `${system}:measure`, code: 'hold-duration', display: 'Hold duration' }], text: `${name} hold` },
+                        valueQuantity: quantity(entry.holdMs / 1000, 's'),
+                        method,
+                        ...(bodySite ? { bodySite: bodySite[0] } : {})
+                    });
+                }
+
+                const components = JOINTS.map(([part, joint]) => {
+                    const range = entry.peakAngles && entry.peakAngles[part] && entry.peakAngles[part][joint];
+                    if (!range || !isNumber(range.min) || !isNumber(range.max)) return null;
+                    return {
+                        code: { coding: [{ system: `${system}:measure`, code: `arc-${part}-${joint}`, display: `${title(part)} ${joint} arc of motion` }] },
+                        valueQuantity: quantity(range.max - range.min, 'deg')
+                    };
+                }).filter(Boolean);
+                if (components.length) {
+                    observe(`${i}/rom`, {
+                        category: category('exam', 'Exam'),
+                        code: { coding: [CODES.rangeOfMotion], text: `${name} joint range of motion (camera-measured)` },
+                        method,
+                        ...(bodySite ? { bodySite: bodySite[0] } : {}),
+                        component: components
+                    });
+                }
+            });
+
+            const checkins = Array.isArray(session.painCheckins) ? session.painCheckins : [];
+            checkins.forEach((checkin, i) => {
+                if (!checkin || !isNumber(checkin.level)) return;
+                const site = PAIN_SITES[checkin.location];
+                const after = (checkin.exercises || [])
+                    .map(id => (exercises.find(e => e.id === id) || {}).name || id);
+                observe(`pain/${i}`, {
+                    category: category('survey', 'Survey'),
+                    code: { coding: [CODES.pain], text: 'Pain check-in during the session' },
+                    ...(checkin.at ? { effectiveDateTime: new Date(checkin.at).toISOString() } : {}),
+                    valueInteger: Math.round(checkin.level),
+                    ...(site ? { bodySite: { coding: [site], text: checkin.location } } : {}),
+                    ...(after.length ? { note: [{ text: `After: ${after.join(', ')}` }] } : {})
+                });
+            });
+        }
+
+        return { resourceType: 'Bundle', type, timestamp: new Date().toISOString(), entry: entries };
+    }
+
+    // =========================================
+    // VALIDATION
+    // =========================================
+
+    const DATE_TIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+    const PROCEDURE_STATUS = ['preparation', 'in-progress', 'not-done', 'on-hold', 'stopped', 'completed', 'entered-in-error', 'unknown'];
+    const OBSERVATION_STATUS = ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'];
+    const METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'];
+    const VALUE_KEYS = ['valueQuantity', 'valueCodeableConcept', 'valueString', 'valueBoolean', 'valueInteger',
+        'valueRange', 'valueRatio', 'valueSampledData', 'valueTime', 'valueDateTime', 'valuePeriod'];
+
+    function checkCodeableConcept(concept, where, errors) {
+        if (!concept || (!concept.text && !(Array.isArray(concept.coding) && concept.coding.length))) {
+            errors.push(`${where}: needs a coding or text`);
+            return;
+        }
+        (concept.coding || []).forEach((coding, i) => {
+            if (coding.code !== undefined && !coding.system) errors.push(`${where}.coding[${i}]: a code needs its system`);
+        });
+    }
+
+    function checkValue(holder, where, errors) {
+        const present = VALUE_KEYS.filter(key => holder[key] !== undefined);
+        if (present.length > 1) errors.push(`${where}: only one value[x] is allowed`);
+        if (present.length && holder.dataAbsentReason) errors.push(`${where}: dataAbsentReason only without a value (obs-6)`);
+        const q = holder.valueQuantity;
+        if (q) {
+            if (!isNumber(q.value)) errors.push(`${where}.valueQuantity: value must be a number`);
+            if (q.code && !q.system) errors.push(`${where}.valueQuantity: a code needs its system (qty-3)`);
+        }
+        if (holder.valueInteger !== undefined && !Number.isInteger(holder.valueInteger)) {
+            errors.push(`${where}.valueInteger: must be an integer`);
+        }
+    }
+
+    function checkReference(reference, where, errors, fullUrls) {
+        if (!reference || typeof reference.reference !== 'string') {
+            errors.push(`${where}: needs a reference`);
+        } else if (reference.reference.startsWith('urn:uuid:') && !fullUrls.has(reference.reference)) {
+            errors.push(`${where}: ${reference.reference} is not in the bundle`);
+        }
+    }
+
+    function checkResource(resource, where, errors, fullUrls) {
+        if (resource.resourceType === 'Patient') return;
+
+        if (resource.resourceType === 'Procedure') {
+            if (!PROCEDURE_STATUS.includes(resource.status)) errors.push(`${where}.status: "${resource.status}" is not a Procedure status`);
+            checkReference(resource.subject, `${where}.subject`, errors, fullUrls);
+            if (resource.code) checkCodeableConcept(resource.code, `${where}.code`, errors);
+            const period = resource.performedPeriod;
+            if (period && [period.start, period.end].some(t => t && !DATE_TIME.test(t))) errors.push(`${where}.performedPeriod: invalid dateTime`);
+            if (period && period.start && period.end && period.start > period.end) errors.push(`${where}.performedPeriod: start after end (per-1)`);
+            if (resource.performedDateTime && !DATE_TIME.test(resource.performedDateTime)) errors.push(`${where}.performedDateTime: invalid dateTime`);
+            return;
+        }
+
+        if (resource.resourceType === 'Observation') {
+            if (!OBSERVATION_STATUS.includes(resource.status)) errors.push(`${where}.status: "${resource.status}" is not an Observation status`);
+            checkCodeableConcept(resource.code, `${where}.code`, errors);
+            if (resource.subject) checkReference(resource.subject, `${where}.subject`, errors, fullUrls);
+            (resource.partOf || []).forEach((ref, i) => checkReference(ref, `${where}.partOf[${i}]`, errors, fullUrls));
+            if (resource.effectiveDateTime && !DATE_TIME.test(resource.effectiveDateTime)) errors.push(`${where}.effectiveDateTime: invalid dateTime`);
+            checkValue(resource, where, errors);
+            (resource.component || []).forEach((component, i) => {
+                checkCodeableConcept(component.code, `${where}.component[${i}].code`, errors);
+                checkValue(component, `${where}.component[${i}]`, errors);
+            });
+            return;
+        }
+
+        errors.push(`${where}: unexpected resource type "${resource.resourceType}"`);
+    }
+
+    /**
+     * Check a bundle against the base R4 rules the export relies on
+     * @returns {Object} { valid, errors: [string] }
+     */
+    function validateBundle(bundle) {
+        const errors = [];
+        if (!bundle || bundle.resourceType !== 'Bundle') return { valid: false, errors: ['Not a Bundle'] };
+        if (!BUNDLE_TYPES.includes(bundle.type)) errors.push(`Bundle.type: "${bundle.type}" is not supported`);
+
+        const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+        const fullUrls = new Set();
+        entries.forEach((entry, i) => {
+            if (!entry.fullUrl) return;
+            if (fullUrls.has(entry.fullUrl)) errors.push(`entry[${i}].fullUrl: ${entry.fullUrl} is repeated (bdl-7)`);
+            fullUrls.add(entry.fullUrl);
+        });
+
+        const needsRequest = bundle.type === 'transaction' || bundle.type === 'batch';
+        entries.forEach((entry, i) => {
+            const where = `entry[${i}]`;
+            if (needsRequest) {
+                if (!entry.request || !METHODS.includes(entry.request.method) || !entry.request.url) {
+                    errors.push(`${where}.request: method and url are required in a ${bundle.type} (bdl-3)`);
+                }
+            } else if (entry.request) {
+                errors.push(`${where}.request: only allowed in a batch or transaction (bdl-3)`);
+            }
+            if (!entry.resource || !entry.resource.resourceType) {
+                if (!needsRequest || entry.request?.method !== 'DELETE') errors.push(`${where}: needs a resource`);
+                return;
+            }
+            checkResource(entry.resource, `${where}.resource(${entry.resource.resourceType})`, errors, fullUrls);
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    // =========================================
+    // SENDING
+    // =========================================
+
+    /**
+     * POST a bundle to a FHIR server's base URL
+     * @param {Object} bundle
+     * @param {Object} options - { url, token, fetch }
+     * @returns {Promise<Object>} The server's response bundle
+     */
+    async function postBundle(bundle, options = {}) {
+        const base = String(options.url || '').replace(/\/+$/, '');
+        if (!base) throw new Error('A FHIR endpoint URL is needed');
+        const doFetch = options.fetch || ((...args) => fetch(...args));
+
+        const headers = { 'Content-Type': 'application/fhir+json', Accept: 'application/fhir+json' };
+        if (options.token) headers.Authorization = `Bearer ${options.token}`;
+        const response = await doFetch(base, { method: 'POST', headers, body: JSON.stringify(bundle) });
+
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (e) {}
+        if (!response.ok) {
+            const issues = body && body.resourceType === 'OperationOutcome'
+                ? body.issue.map(issue => issue.diagnostics).filter(Boolean)
+                : [];
+            const error = new Error(`FHIR server answered ${response.status}${issues.length ? `: ${issues[0]}` : ''}`);
+            error.status = response.status;
+            error.issues = issues;
+            throw error;
+        }
+        return body;
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        CODES,
+        HAND_SITES,
+        PAIN_SITES,
+        toBundle,
+        validateBundle,
+        postBundle
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroFhir;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroFhir = HandHeroFhir;
+}
@@ -0,0 +1,303 @@
+/**
+ * HandHeroFilter.js
+ * ============================================
+ * Temporal filtering of MediaPipe hand landmarks.
+ *
+ * Two filters, each run per coordinate of every landmark:
+ * - One Euro (Casiez et al. 2012): a low-pass whose cutoff rises with
+ *   speed - steady at rest, little lag on fast moves.
+ * - Constant-velocity Kalman: position and velocity, so it tracks a
+ *   moving finger without trailing behind it.
+ * Both take the detection confidence of the frame (0-1): less confident
+ * frames move the estimate less.
+ *
+ * PRESETS are tuned separately for drawing the skeleton (responsive) and
+ * for scoring (steady, so zones change with the pose and not with jitter).
+ *
+ * OUTLIERS:
+ * A hand cannot change shape between two frames. createLandmarkFilter()
+ * compares each bone's length with the last accepted frame (after taking
+ * out the change in overall hand size as it nears or leaves the camera);
+ * a frame where a bone jumps past maxBoneChange is an outlier - reported
+ * with confidence 0, kept out of the filters, and the last estimate
+ * stands. A run of reacquireFrames outliers means the tracker locked
+ * onto something new, so the filters restart from it.
+ *
+ * Timestamps are milliseconds on the session clock; coordinates are
+ * MediaPipe's normalized image coordinates.
+ */
+
+const HandHeroFilter = (function() {
+    'use strict';
+
+    // =========================================
+    // CONSTANTS
+    // =========================================
+
+    const LANDMARK_COUNT = 21;
+
+    // Wrist to fingertips, plus the palm edges between the knuckles
+    const HAND_BONES = [
+        [0, 1], [1, 2], [2, 3], [3, 4],
+        [0, 5], [5, 6], [6, 7], [7, 8],
+        [5, 9], [9, 10], [10, 11], [11, 12],
+        [9, 13], [13, 14], [14, 15], [15, 16],
+        [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]
+    ];
+
+    // Against the old fixed EMA (0.6) at 30 fps, with 0.003 of jitter and
+    // a 1.5/s sweep: render trails the sweep by ~0.004 (EMA ~0.07) for
+    // about the same jitter; scoring halves the jitter at rest and trails
+    // by ~0.02.
+    const PRESETS = {
+        // Skeleton drawing: velocity keeps it on a fast-moving finger
+        render: { type: 'kalman', processNoise: 1, measurementNoise: 4e-5 },
+        // Scoring: heavy smoothing at rest, opens up as the hand moves
+        scoring: { type: 'oneEuro', minCutoff: 0.3, beta: 6, dCutoff: 1 }
+    };
+
+    const OUTLIER_DEFAULTS = {
+        maxBoneChange: 0.35,    // Bone length change vs. the hand's overall scale change
+        reacquireFrames: 5,     // Consecutive outliers before accepting the new shape
+        maxGapMs: 250           // Longer gaps compare against nothing (hand re-entered)
+    };
+
+    // Step assumed when a frame has no usable timestamp (30 fps)
+    const DEFAULT_DT_MS = 1000 / 30;
+
+    // =========================================
+    // SCALAR FILTERS
+    // =========================================
+
+    function clampConfidence(confidence) {
+        return Number.isFinite(confidence) ? Math.max(0.05, Math.min(1, confidence)) : 1;
+    }
+
+    function stepSeconds(lastT, t) {
+        const dt = Number.isFinite(t) && Number.isFinite(lastT) ? t - lastT : DEFAULT_DT_MS;
+        return (dt > 0 ? dt : DEFAULT_DT_MS) / 1000;
+    }
+
+    function smoothingFactor(cutoff, dt) {
+        const r = 2 * Math.PI * cutoff * dt;
+        return r / (r + 1);
+    }
+
+    /**
+     * One Euro filter for one value
+     * @param {Object} options - { minCutoff (Hz), beta, dCutoff (Hz) }
+     * @returns {Object} { filter(value, tMs, confidence), reset() }
+     */
+    function createOneEuroFilter(options = {}) {
+        const { minCutoff = 1, beta = 0, dCutoff = 1 } = options;
+        let x = null, dx = 0, lastT = null;
+
+        return {
+            filter(value, t, confidence = 1) {
+                if (x === null) {
+                    x = value;
+                    lastT = t;
+                    return x;
+                }
+                const dt = stepSeconds(lastT, t);
+                lastT = t;
+
+                dx += smoothingFactor(dCutoff, dt) * ((value - x) / dt - dx);
+                const cutoff = (minCutoff + beta * Math.abs(dx)) * clampConfidence(confidence);
+                x += smoothingFactor(cutoff, dt) * (value - x);
+                return x;
+            },
+            reset() {
+                x = null;
+                dx = 0;
+                lastT = null;
+            }
+        };
+    }
+
+    /**
+     * Constant-velocity Kalman filter for one value
+     * @param {Object} options - { processNoise: acceleration variance (units/s^2)^2,
+     *   measurementNoise: variance of a reading (units^2) }
+     * @returns {Object} { filter(value, tMs, confidence), reset() }
+     */
+    function createKalmanFilter(options = {}) {
+        const { processNoise = 1, measurementNoise = 1e-4 } = options;
+        let x = null, v = 0, lastT = null;
+        // Covariance [[p00, p01], [p01, p11]]
+        let p00 = 0, p01 = 0, p11 = 0;
+
+        return {
+            filter(value, t, confidence = 1) {
+                if (x === null) {
+                    x = value;
+                    v = 0;
+                    p00 = measurementNoise;
+                    p01 = 0;
+                    p11 = 1;
+                    lastT = t;
+                    return x;
+                }
+                const dt = stepSeconds(lastT, t);
+                lastT = t;
+
+                // Predict
+                x += v * dt;
+                const q = processNoise;
+                const n00 = p00 + 2 * dt * p01 + dt * dt * p11 + q * dt ** 4 / 4;
+                const n01 = p01 + dt * p11 + q * dt ** 3 / 2;
+                const n11 = p11 + q * dt * dt;
+
+                // Update; a less confident reading counts as a noisier one
+                const r = measurementNoise / clampConfidence(confidence);
+                const s = n00 + r;
+                const k0 = n00 / s;
+                const k1 = n01 / s;
+                const residual = value - x;
+                x += k0 * residual;
+                v += k1 * residual;
+                p00 = (1 - k0) * n00;
+                p01 = (1 - k0) * n01;
+                p11 = n11 - k1 * n01;
+                return x;
+            },
+            reset() {
+                x = null;
+                v = 0;
+                lastT = null;
+            }
+        };
+    }
+
+    function createScalarFilter(options) {
+        return options.type === 'kalman' ? createKalmanFilter(options) : createOneEuroFilter(options);
+    }
+
+    // =========================================
+    // OUTLIERS
+    // =========================================
+
+    function boneLengths(landmarks) {
+        return HAND_BONES.map(([a, b]) => {
+            const p = landmarks[a], q = landmarks[b];
+            return Math.hypot(q.x - p.x, q.y - p.y, (q.z || 0) - (p.z || 0));
+        });
+    }
+
+    function median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * How far the bones of `next` moved from `reference` beyond what a
+     * change of scale explains
+     * @returns {Object} { outlier, worst, bone } - worst relative change,
+     *   bone the [a, b] landmark pair it happened on
+     */
+    function checkBones(reference, next, options = {}) {
+        const { maxBoneChange } = { ...OUTLIER_DEFAULTS, ...options };
+        const before = boneLengths(reference);
+        const after = boneLengths(next);
+        const ratios = after.map((len, i) => before[i] > 1e-6 ? len / before[i] : 1);
+        const scale = median(ratios) || 1;
+
+        let worst = 0, worstIdx = 0;
+        ratios.forEach((ratio, i) => {
+            const change = Math.abs(ratio / scale - 1);
+            if (change > worst) {
+                worst = change;
+                worstIdx = i;
+            }
+        });
+        return { outlier: worst > maxBoneChange, worst, bone: HAND_BONES[worstIdx] };
+    }
+
+    // =========================================
+    // LANDMARK FILTER
+    // =========================================
+
+    /**
+     * Filter a hand's landmarks frame by frame
+     * @param {Object} options - { filter: PRESETS key or scalar filter options,
+     *   outliers: OUTLIER_DEFAULTS overrides }
+     * @returns {Object} { update(landmarks, tMs, confidence) -> { landmarks,
+     *   confidence, outlier }, reset() }
+     */
+    function createLandmarkFilter(options = {}) {
+        const filterOptions = typeof options.filter === 'string'
+            ? PRESETS[options.filter]
+            : options.filter || PRESETS.scoring;
+        if (!filterOptions) throw new Error(`Unknown filter preset "${options.filter}"`);
+        const outlierOptions = { ...OUTLIER_DEFAULTS, ...options.outliers };
+
+        const filters = Array.from({ length: LANDMARK_COUNT * 3 }, () => createScalarFilter(filterOptions));
+        let reference = null;   // Last accepted raw frame
+        let referenceT = null;
+        let last = null;        // Last output
+        let outliers = 0;
+
+        function reset() {
+            filters.forEach(f => f.reset());
+            reference = null;
+            referenceT = null;
+            last = null;
+            outliers = 0;
+        }
+
+        function update(landmarks, t, confidence = 1) {
+            const gap = Number.isFinite(t) && Number.isFinite(referenceT) ? t - referenceT : 0;
+            if (reference && gap > outlierOptions.maxGapMs) reset();
+
+            const check = reference ? checkBones(reference, landmarks, outlierOptions) : { outlier: false, worst: 0 };
+            if (check.outlier && last) {
+                outliers++;
+                if (outliers < outlierOptions.reacquireFrames) {
+                    return { landmarks: last.map(p => ({ ...p })), confidence: 0, outlier: true };
+                }
+                reset();
+            }
+            outliers = 0;
+            reference = landmarks;
+            referenceT = t;
+
+            const c = clampConfidence(confidence);
+            last = landmarks.map((p, i) => ({
+                x: filters[i * 3].filter(p.x, t, c),
+                y: filters[i * 3 + 1].filter(p.y, t, c),
+                z: filters[i * 3 + 2].filter(p.z || 0, t, c)
+            }));
+            return {
+                landmarks: last.map(p => ({ ...p })),
+                confidence: c * (1 - Math.min(1, check.worst / outlierOptions.maxBoneChange) / 2),
+                outlier: false
+            };
+        }
+
+        return { update, reset };
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        HAND_BONES,
+        PRESETS,
+        OUTLIER_DEFAULTS,
+        createOneEuroFilter,
+        createKalmanFilter,
+        createLandmarkFilter,
+        boneLengths,
+        checkBones
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroFilter;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroFilter = HandHeroFilter;
+}
@@ -0,0 +1,280 @@
+/**
+ * HandHeroOffline.js
+ * ============================================
+ * Offline support shared by the pages and the service worker (sw.js).
+ *
+ * ASSETS:
+ * Everything a session needs - the pages, the local modules, the
+ * MediaPipe vision bundle, its WASM fileset and the hand landmarker
+ * model, the Tailwind build and the Nunito font - is listed here once. The
+ * service worker pre-caches the list on install, so after one visit
+ * online a session starts without a connection. The MediaPipe runtime
+ * (vision_bundle.js and wasm/ of @mediapipe/tasks-vision at
+ * MEDIAPIPE_VERSION) is served from the app's mediapipe/ directory,
+ * which scripts/fetch-mediapipe.js fills from npm; it isn't committed.
+ * Those are app files, so a missing one fails the install instead of
+ * leaving a cache that can't start a session. The hand landmarker model
+ * still comes from Google's model storage, cached when reachable.
+ * Changing the version means re-running the script and bumping
+ * CACHE_NAME.
+ *
+ * OUTBOX:
+ * Results the dashboard records are also queued in an outbox
+ * (localStorage 'handhero_outbox'). When a sync backend is configured
+ * (a HandHeroSync adapter, or a bare syncUrl to POST to) the queue is
+ * sent whenever the browser is online - entries saved offline go out
+ * once connectivity returns. Without one entries stay queued and nothing
+ * leaves the device.
+ */
+
+const HandHeroOffline = (function() {
+    'use strict';
+
+    // =========================================
+    // ASSETS
+    // =========================================
+
+    // Bump to drop every cached asset on the next visit
+    const CACHE_NAME = 'handhero-v15';
+
+    // The bundle and the WASM fileset in mediapipe/ must be the same
+    // release; scripts/fetch-mediapipe.js downloads this one
+    const MEDIAPIPE_VERSION = '0.10.0';
+    // Page-relative; the ./ keeps import() from reading it as a package name
+    const MEDIAPIPE_BASE = './mediapipe';
+
+    const MEDIAPIPE = {
+        version: MEDIAPIPE_VERSION,
+        bundle: `${MEDIAPIPE_BASE}/vision_bundle.js`,
+        wasm: `${MEDIAPIPE_BASE}/wasm`,
+        // FilesetResolver loads the SIMD or no-SIMD build depending on the browser
+        wasmFiles: [
+            'vision_wasm_internal.js',
+            'vision_wasm_internal.wasm',
+            'vision_wasm_nosimd_internal.js',
+            'vision_wasm_nosimd_internal.wasm'
+        ],
+        model: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+    };
+
+    // Same-origin files; install fails if any of these is missing
+    const APP_FILES = [
+        './',
+        'index.html',
+        'handhero_dashboard.html',
+        'handhero_v3.html',
+        'handhero_clinician.html',
+        'Invisibleboundaryengine.js',
+        'Handheroexercises.js',
+        'Boundaryvisualizer.js',
+        'Handherorecording.js',
+        'Handherofilter.js',
+        'Handherosource.js',
+        'Handheropose.js',
+        'Handherosession.js',
+        'Handherotremor.js',
+        'Handherooffline.js',
+        'Handherostore.js',
+        'Handheroauth.js',
+        'Handherosync.js',
+        'Handheroreport.js',
+        'Handherofhir.js',
+        'manifest.webmanifest',
+        'icon.svg',
+        // scripts/build-styles.js
+        'tailwind.css',
+        'fonts/nunito.css',
+        'fonts/nunito-latin-wght-normal.woff2',
+        'fonts/nunito-latin-ext-wght-normal.woff2',
+        MEDIAPIPE.bundle,
+        ...MEDIAPIPE.wasmFiles.map(file => `${MEDIAPIPE.wasm}/${file}`)
+    ];
+
+    // Third-party files; cached when reachable, never block install
+    const REMOTE_FILES = [
+        MEDIAPIPE.model
+    ];
+
+    /**
+     * Load the MediaPipe hand landmarker from the configured (cacheable) files
+     * @param {Object} options - HandLandmarker options; baseOptions.modelAssetPath is filled in
+     */
+    async function createHandLandmarker(options = {}) {
+        const vision = await import(MEDIAPIPE.bundle);
+        const fileset = await vision.FilesetResolver.forVisionTasks(MEDIAPIPE.wasm);
+        return vision.HandLandmarker.createFromOptions(fileset, {
+            ...options,
+            baseOptions: { delegate: 'GPU', ...options.baseOptions, modelAssetPath: MEDIAPIPE.model }
+        });
+    }
+
+    /**
+     * Register sw.js (no-op where service workers are unavailable, e.g. file://)
+     */
+    function registerServiceWorker(url = 'sw.js') {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null);
+        return navigator.serviceWorker.register(url).catch(e => {
+            console.warn('Service worker registration failed; offline use unavailable', e);
+            return null;
+        });
+    }
+
+    function isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    // =========================================
+    // OUTBOX
+    // =========================================
+
+    const OUTBOX_KEY = 'handhero_outbox';
+
+    const config = {
+        // HandHeroSync adapter; entries go to adapter.push(entry)
+        adapter: null,
+        syncUrl: null,
+        storage: typeof localStorage !== 'undefined' ? localStorage : null,
+        fetch: typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null
+    };
+
+    let flushing = null;
+
+    /**
+     * @param {Object} options - { adapter, syncUrl, storage, fetch } (storage
+     *   and fetch default to the browser's; adapter wins over syncUrl)
+     */
+    function configure(options = {}) {
+        Object.assign(config, options);
+    }
+
+    function readOutbox() {
+        if (!config.storage) return [];
+        try {
+            return JSON.parse(config.storage.getItem(OUTBOX_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeOutbox(entries) {
+        if (config.storage) config.storage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+    }
+
+    /**
+     * Queue a record for sync, then try to send it straight away
+     * @param {string} kind - 'session' | 'practice' | 'calibration' | ...
+     * @param {Object} payload - The record itself
+     * @returns {Object} The queued entry
+     */
+    function enqueue(kind, payload) {
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            kind,
+            payload,
+            queuedAt: new Date().toISOString()
+        };
+        writeOutbox([...readOutbox(), entry]);
+        flush();
+        return entry;
+    }
+
+    function getPending() {
+        return readOutbox();
+    }
+
+    /**
+     * Send one entry; resolves true once the backend has it
+     */
+    async function send(entry) {
+        if (config.adapter) {
+            await config.adapter.push(entry);
+            return true;
+        }
+        const response = await config.fetch(config.syncUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        });
+        return response.ok;
+    }
+
+    function canSend() {
+        return !!(config.adapter || (config.syncUrl && config.fetch));
+    }
+
+    /**
+     * Send queued entries to the sync backend, oldest first, stopping at
+     * the first failure so order is kept. Concurrent calls share one run.
+     * @returns {Promise<Object>} { sent, pending }
+     */
+    function flush() {
+        if (flushing) return flushing;
+        if (!canSend() || !isOnline()) {
+            return Promise.resolve({ sent: 0, pending: readOutbox().length });
+        }
+
+        flushing = (async () => {
+            let sent = 0;
+            try {
+                // Re-read each time: entries queued mid-flush go out in the same run
+                let entry;
+                while ((entry = readOutbox()[0])) {
+                    let ok;
+                    try {
+                        ok = await send(entry);
+                    } catch (e) {
+                        break;
+                    }
+                    if (!ok) break;
+                    writeOutbox(readOutbox().filter(e => e.id !== entry.id));
+                    sent++;
+                }
+            } finally {
+                flushing = null;
+            }
+            return { sent, pending: readOutbox().length };
+        })();
+        return flushing;
+    }
+
+    /**
+     * Flush whenever the browser comes back online
+     * @param {Function} onFlushed - Called with { sent, pending } after each attempt
+     */
+    function watchConnectivity(onFlushed = () => {}) {
+        if (typeof window === 'undefined') return;
+        window.addEventListener('online', () => flush().then(onFlushed));
+        flush().then(onFlushed);
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        // Assets
+        CACHE_NAME,
+        MEDIAPIPE,
+        APP_FILES,
+        REMOTE_FILES,
+        createHandLandmarker,
+        registerServiceWorker,
+        isOnline,
+
+        // Outbox
+        OUTBOX_KEY,
+        configure,
+        enqueue,
+        getPending,
+        flush,
+        watchConnectivity
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroOffline;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroOffline = HandHeroOffline;
+}
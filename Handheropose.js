@@ -0,0 +1,429 @@
+/**
+ * HandHeroPose.js
+ * ============================================
+ * Synthetic hands from joint angles: tests and the demo mode get
+ * landmarks for any pose without a camera.
+ *
+ * POSES:
+ * A pose is a set of joint angles in degrees, per finger:
+ *   {
+ *     thumb:  { cmc, mcp, ip, abduction },
+ *     index:  { mcp, pip, dip, abduction },   (middle, ring, pinky alike)
+ *     pinch:  { finger: 'index', gap } | null  thumb tip meets that fingertip
+ *   }
+ * Missing angles are 0 (straight, relaxed spread). Flexion bends toward
+ * the palm; abduction spreads a finger away from the middle finger
+ * (the middle finger itself moves toward the thumb). The joint names
+ * are InvisibleBoundaryEngine's, so a jointTargets entry maps straight
+ * onto a pose. (The engine measures an MCP against the wrist -> MCP line,
+ * so a straight finger off that line reads a few degrees of flexion.)
+ *
+ * build() lays the pose out by forward kinematics - fixed bone lengths,
+ * each joint bending its finger's chain - as the 21 MediaPipe landmarks
+ * of a palm-to-camera hand in normalized image coordinates (unmirrored:
+ * a right thumb is on the +x side, y grows downward, z shrinks toward
+ * the camera). Options place it:
+ *   size         wrist to straight middle fingertip (default 0.3)
+ *   position     wrist { x, y, z } (default 0.5, 0.8, 0)
+ *   orientation  { roll, pitch, yaw } degrees about the wrist: roll turns
+ *                it in the image plane (+ toward +x, the engine's radial
+ *                deviation for a right hand), pitch tips the fingers
+ *                toward the camera (the engine's wrist flexion), yaw
+ *                turns the palm about the vertical
+ *   handedness   'right' | 'left' (a left hand is the mirror image)
+ * The image is taken as square; x and y use the same scale.
+ *
+ * NOISE AND OCCLUSION:
+ * addNoise() jitters every landmark (seeded, so tests repeat);
+ * occlude() spoils the fingers a tracker cannot see - MediaPipe always
+ * reports 21 points, it guesses the hidden ones.
+ *
+ * PRESETS:
+ * presetsFor(exercise) gives a known-good and a known-bad pose for any
+ * exercise in HandHeroExercises.EXERCISES (and each step of a sequence);
+ * poseFor() builds one with the options above plus noise and occlusion.
+ */
+
+const HandHeroPose = (function() {
+    'use strict';
+
+    const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+    // Joint names per finger, base to tip
+    const JOINTS = {
+        thumb: ['cmc', 'mcp', 'ip'],
+        index: ['mcp', 'pip', 'dip'],
+        middle: ['mcp', 'pip', 'dip'],
+        ring: ['mcp', 'pip', 'dip'],
+        pinky: ['mcp', 'pip', 'dip']
+    };
+
+    const TIPS = [4, 8, 12, 16, 20];
+
+    const DEFAULTS = {
+        size: 0.3,
+        position: { x: 0.5, y: 0.8, z: 0 }
+    };
+
+    // =========================================
+    // HAND GEOMETRY
+    // =========================================
+    // A right hand in hand lengths (wrist to straight middle tip = 1),
+    // wrist at the origin, fingers up (-y)
+
+    // MCP (thumb: CMC) offsets from the wrist
+    const BASES = [
+        { x: 0.115, y: -0.098 },
+        { x: 0.148, y: -0.492 },
+        { x: 0, y: -0.508 },
+        { x: -0.131, y: -0.475 },
+        { x: -0.246, y: -0.41 }
+    ];
+
+    // Bone lengths: thumb CMC->MCP->IP->TIP, fingers MCP->PIP->DIP->TIP
+    const BONES = [
+        [0.164, 0.131, 0.105],
+        [0.23, 0.131, 0.098],
+        [0.246, 0.148, 0.098],
+        [0.23, 0.138, 0.098],
+        [0.18, 0.105, 0.082]
+    ];
+
+    // Relaxed direction of each finger, degrees from straight up (+ toward thumb)
+    const REST_SPLAY = [50, 6, 0, -6, -14];
+
+    // Which way abduction turns each finger (+ toward thumb)
+    const ABDUCTION_SIGN = [1, 1, 1, -1, -1];
+
+    const DEG = Math.PI / 180;
+    const PALMAR = { x: 0, y: 0, z: -1 };
+    // Thumb flexion swings it across the palm rather than straight into it
+    const THUMB_PALMAR = normalize({ x: -0.8, y: 0.1, z: -0.6 });
+
+    // =========================================
+    // SHAPES
+    // =========================================
+
+    const CURLED = { mcp: 85, pip: 100, dip: 55 };
+    const THUMB_TUCKED = { cmc: 45, mcp: 60, ip: 50 };
+
+    const SHAPES = {
+        open: {},
+        fist: {
+            thumb: THUMB_TUCKED, index: CURLED, middle: CURLED, ring: CURLED, pinky: CURLED
+        },
+        spread: {
+            thumb: { abduction: 15 }, index: { abduction: 14 }, middle: { abduction: 2 },
+            ring: { abduction: 12 }, pinky: { abduction: 21 }
+        },
+        together: {
+            thumb: { abduction: -32 }, index: { abduction: -18 }, middle: { abduction: 0 },
+            ring: { abduction: -18 }, pinky: { abduction: -38 }
+        }
+    };
+
+    /**
+     * A complete pose: every joint of every finger, missing angles 0
+     * @param {...Object} layers - Poses applied in order, later ones winning per joint
+     */
+    function pose(...layers) {
+        const out = { pinch: null };
+        FINGERS.forEach(name => {
+            out[name] = { abduction: 0 };
+            JOINTS[name].forEach(j => { out[name][j] = 0; });
+        });
+        for (const layer of layers) {
+            if (!layer) continue;
+            FINGERS.forEach(name => {
+                if (layer[name]) Object.assign(out[name], layer[name]);
+            });
+            if (layer.pinch !== undefined) out.pinch = layer.pinch;
+        }
+        return out;
+    }
+
+    /**
+     * Index (0-4) of a finger given by name or index
+     */
+    function fingerIndex(finger) {
+        const idx = typeof finger === 'number' ? finger : FINGERS.indexOf(finger);
+        if (!(idx >= 0 && idx < 5)) throw new Error(`Unknown finger "${finger}"`);
+        return idx;
+    }
+
+    // =========================================
+    // FORWARD KINEMATICS
+    // =========================================
+
+    function normalize(v) {
+        const len = Math.hypot(v.x, v.y, v.z) || 1;
+        return { x: v.x / len, y: v.y / len, z: v.z / len };
+    }
+
+    function add(a, b, s = 1) {
+        return { x: a.x + b.x * s, y: a.y + b.y * s, z: a.z + b.z * s };
+    }
+
+    /**
+     * Lay out one finger from its base: each joint's flexion adds to the
+     * bend of every bone after it
+     * @returns {Array} 4 points (base, joint, joint, tip)
+     */
+    function chain(f, angles) {
+        const splay = (REST_SPLAY[f] + ABDUCTION_SIGN[f] * angles.abduction) * DEG;
+        const dir = { x: Math.sin(splay), y: -Math.cos(splay), z: 0 };
+        // Keep the bend square to the finger so every joint bends by its own angle
+        const toward = f === 0 ? THUMB_PALMAR : PALMAR;
+        const along = toward.x * dir.x + toward.y * dir.y;
+        const bend = normalize(add(toward, dir, -along));
+
+        let p = { x: BASES[f].x, y: BASES[f].y, z: 0 };
+        const points = [p];
+        let angle = 0;
+        JOINTS[FINGERS[f]].forEach((joint, i) => {
+            angle += angles[joint] * DEG;
+            const d = normalize(add({
+                x: dir.x * Math.cos(angle), y: dir.y * Math.cos(angle), z: dir.z * Math.cos(angle)
+            }, bend, Math.sin(angle)));
+            p = add(p, d, BONES[f][i]);
+            points.push(p);
+        });
+        return points;
+    }
+
+    /**
+     * Re-lay the thumb from its CMC to a fingertip, bowed outward and toward
+     * the camera so it isn't a straight rod
+     */
+    function reach(points, pinch) {
+        const tip = points[TIPS[fingerIndex(pinch.finger)]];
+        const cmc = points[1];
+        const span = { x: tip.x - cmc.x, y: tip.y - cmc.y, z: tip.z - cmc.z };
+        const length = Math.hypot(span.x, span.y, span.z) || 1;
+        // Stop short of the tip by the gap
+        const end = Math.max(0, 1 - (pinch.gap || 0) / length);
+        [0.4, 0.72, 1].forEach((t, i) => {
+            const k = t * end;
+            const bow = Math.sin(Math.PI * t);
+            points[2 + i] = add(add(cmc, span, k), { x: 0.082 * bow, y: 0, z: -0.066 * bow });
+        });
+    }
+
+    /**
+     * Rotate a point about the wrist (the origin)
+     */
+    function orient(p, { roll = 0, pitch = 0, yaw = 0 }) {
+        // Yaw about the vertical
+        let c = Math.cos(yaw * DEG), s = Math.sin(yaw * DEG);
+        let q = { x: p.x * c + p.z * s, y: p.y, z: -p.x * s + p.z * c };
+        // Pitch: fingers (-y) toward the camera (-z)
+        c = Math.cos(pitch * DEG);
+        s = Math.sin(pitch * DEG);
+        q = { x: q.x, y: q.y * c - q.z * s, z: q.y * s + q.z * c };
+        // Roll in the image plane: fingers toward +x
+        c = Math.cos(roll * DEG);
+        s = Math.sin(roll * DEG);
+        return { x: q.x * c - q.y * s, y: q.x * s + q.y * c, z: q.z };
+    }
+
+    /**
+     * 21 MediaPipe landmarks for a pose
+     * @param {Object} spec - Joint angles (see POSES)
+     * @param {Object} options - { size, position, orientation, handedness }
+     */
+    function build(spec = {}, options = {}) {
+        const {
+            size = DEFAULTS.size,
+            position = DEFAULTS.position,
+            orientation = {},
+            handedness = 'right'
+        } = options;
+        const angles = pose(spec);
+
+        const points = [{ x: 0, y: 0, z: 0 }];
+        FINGERS.forEach((name, f) => points.push(...chain(f, angles[name])));
+        if (angles.pinch) reach(points, angles.pinch);
+
+        const mirror = handedness === 'left' ? -1 : 1;
+        return points.map(p => {
+            const q = orient({ x: p.x * mirror, y: p.y, z: p.z }, orientation);
+            return {
+                x: position.x + q.x * size,
+                y: position.y + q.y * size,
+                z: (position.z || 0) + q.z * size
+            };
+        });
+    }
+
+    // =========================================
+    // NOISE AND OCCLUSION
+    // =========================================
+
+    /**
+     * Seeded normal deviates (Box-Muller over an LCG)
+     */
+    function gaussian(seed = 1) {
+        let state = seed >>> 0;
+        const uniform = () => {
+            state = (state * 1664525 + 1013904223) >>> 0;
+            return (state + 1) / 4294967297;
+        };
+        return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+    }
+
+    /**
+     * Tracker jitter: every coordinate moves by a normal deviate
+     * @param {number} sd - Standard deviation in image units
+     */
+    function addNoise(landmarks, sd, seed = 1) {
+        const rand = gaussian(seed);
+        return landmarks.map(p => ({ x: p.x + rand() * sd, y: p.y + rand() * sd, z: (p.z || 0) + rand() * sd }));
+    }
+
+    /**
+     * Fingers the tracker cannot see. The base stays; the rest of the
+     * finger is a guess:
+     *   'collapse' - folded onto its base
+     *   'scatter'  - thrown about by half a palm
+     * @param {Array} fingers - Names or indices (0-4)
+     * @param {Object} options - { mode, seed }
+     */
+    function occlude(landmarks, fingers, options = {}) {
+        const { mode = 'collapse', seed = 1 } = options;
+        if (mode !== 'collapse' && mode !== 'scatter') throw new Error(`Unknown occlusion mode "${mode}"`);
+        const rand = gaussian(seed);
+        const wrist = landmarks[0], middle = landmarks[9];
+        const reach = 0.5 * Math.hypot(middle.x - wrist.x, middle.y - wrist.y, (middle.z || 0) - (wrist.z || 0));
+
+        const out = landmarks.map(p => ({ x: p.x, y: p.y, z: p.z || 0 }));
+        for (const finger of fingers) {
+            const base = TIPS[fingerIndex(finger)] - 3;
+            for (let i = base + 1; i <= base + 3; i++) {
+                out[i] = mode === 'collapse'
+                    ? { ...out[base] }
+                    : { x: out[i].x + rand() * reach, y: out[i].y + rand() * reach, z: out[i].z + rand() * reach };
+            }
+        }
+        return out;
+    }
+
+    // =========================================
+    // EXERCISE PRESETS
+    // =========================================
+
+    /**
+     * Named fingers straight, the rest curled into a fist
+     */
+    function extend(fingers) {
+        const layer = {};
+        FINGERS.forEach((name, f) => {
+            if (!fingers.includes(f)) layer[name] = SHAPES.fist[name];
+        });
+        return layer;
+    }
+
+    /**
+     * Joint angles from jointTargets, each at the middle of its range or
+     * well outside it
+     */
+    function targetAngles(jointTargets, inside) {
+        const layer = {};
+        for (const target of jointTargets) {
+            const name = FINGERS[target.finger];
+            const outside = target.min >= 30 ? 0 : target.max + 40;
+            layer[name] = { ...layer[name], [target.joint]: inside ? (target.min + target.max) / 2 : outside };
+        }
+        return layer;
+    }
+
+    /**
+     * A pose that satisfies one exercise (or sequence step) and one that
+     * misses it the way patients do
+     * @returns {Object} { good, bad } poses, plus steps: [{ good, bad }]
+     *   for a sequence (good and bad are then its first step's)
+     */
+    function presetsFor(exercise) {
+        switch (exercise.type) {
+            case 'isolation': {
+                const targets = exercise.targetFingers;
+                return {
+                    good: pose(extend(targets)),
+                    // The last of them stays down
+                    bad: pose(extend(targets.slice(0, -1)))
+                };
+            }
+            case 'pinch': {
+                const f = [4, 8, 12, 16, 20].indexOf(exercise.pinchPair[1]);
+                if (f < 1) throw new Error(`No pinch preset for pinchPair ${exercise.pinchPair}`);
+                const reaching = pose(extend([0, f]), { [FINGERS[f]]: { mcp: 45, pip: 45, dip: 20 } });
+                return {
+                    good: pose(reaching, { pinch: { finger: f, gap: 0 } }),
+                    // The thumb stays out to the side
+                    bad: reaching
+                };
+            }
+            // The fingers do not open out
+            case 'spread':
+                return { good: pose(SHAPES.spread), bad: pose(SHAPES.fist) };
+            case 'flat':
+                return { good: pose(SHAPES.together), bad: pose(SHAPES.fist) };
+            case 'fist':
+                return { good: pose(SHAPES.fist), bad: pose(SHAPES.open) };
+            case 'angles':
+                return {
+                    good: pose(targetAngles(exercise.jointTargets, true)),
+                    bad: pose(targetAngles(exercise.jointTargets, false))
+                };
+            case 'sequence': {
+                const steps = exercise.steps.map(presetsFor);
+                return { ...steps[0], steps };
+            }
+            default:
+                throw new Error(`No pose presets for exercise type ${exercise.type}`);
+        }
+    }
+
+    /**
+     * Landmarks for an exercise's preset
+     * @param {Object} exercise - From HandHeroExercises.EXERCISES
+     * @param {Object} options - build() options plus
+     *   quality ('good' | 'bad'), step (of a sequence), noise (sd),
+     *   seed, occlusion ({ fingers, mode })
+     */
+    function poseFor(exercise, options = {}) {
+        const { quality = 'good', step = 0, noise = 0, seed = 1, occlusion = null } = options;
+        if (quality !== 'good' && quality !== 'bad') throw new Error(`Unknown preset quality "${quality}"`);
+        const presets = presetsFor(exercise);
+        const chosen = presets.steps ? presets.steps[step] : presets;
+        if (!chosen) throw new Error(`${exercise.id || exercise.type} has no step ${step}`);
+
+        let landmarks = build(chosen[quality], options);
+        if (noise) landmarks = addNoise(landmarks, noise, seed);
+        if (occlusion) landmarks = occlude(landmarks, occlusion.fingers, { mode: occlusion.mode, seed });
+        return landmarks;
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        FINGERS,
+        JOINTS,
+        SHAPES,
+        pose,
+        build,
+        addNoise,
+        occlude,
+        presetsFor,
+        poseFor
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroPose;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroPose = HandHeroPose;
+}
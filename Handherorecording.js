@@ -0,0 +1,281 @@
+/**
+ * HandHeroRecording.js
+ * ============================================
+ * Compact landmark recordings for HandHero sessions.
+ *
+ * A recording holds, per exercise, the timestamped landmark stream the
+ * session page scored: raw MediaPipe landmarks, the smoothed landmarks
+ * used for scoring and (when available) metric world landmarks.
+ *
+ * DETERMINISTIC REPLAY:
+ * Coordinates are stored as integers (value * SCALE). While recording,
+ * the session page quantizes its live landmarks to the same grid with
+ * quantizeLandmarks(), so a replayed frame decodes to bit-identical
+ * numbers and every score, zone and phase transition repeats exactly.
+ *
+ * FILE LAYOUT (JSON):
+ * {
+ *   format: 'handhero-recording', version: 2, scale: 100000,
+ *   recordedAt, profile: { hand, bilateral, calibration }, exercises: [...],
+ *   painLevels: [0-10, ...],
+ *   segments: [{
+ *     exIdx, id, startedAt, outcome: 'success' | 'skipped' | 'aborted',
+ *     accuracy,
+ *     frames: [[dt, [[side, raw[63], smooth[63], world[63] | 0], ...]], ...]
+ *   }]
+ * }
+ *
+ * - dt: ms since segment start (segment startedAt is the session clock)
+ * - side: 'L' | 'R' | '' (unknown)
+ * - each coordinate array is x0, y0, z0, x1, y1, z1, ... for 21 landmarks
+ * - a frame with no hands in view has an empty hand list
+ * - painLevels are the pain check-in answers in order; version 1 answered
+ *   the old 0-3 check and parse() moves those onto the 0-10 scale
+ */
+
+const HandHeroRecording = (function() {
+    'use strict';
+
+    // =========================================
+    // FORMAT
+    // =========================================
+
+    const FORMAT = 'handhero-recording';
+    const VERSION = 2;
+
+    // Version 1 pain answers (None, Mild, Moderate, Too much) on the 0-10 scale
+    const V1_PAIN_TO_NRS = [0, 2, 5, 8];
+
+    // 1e-5 in normalized image coords is ~0.01px at 1280 wide
+    const SCALE = 100000;
+
+    const LANDMARK_COUNT = 21;
+
+    const SIDE_CODES = { left: 'L', right: 'R' };
+    const SIDE_NAMES = { L: 'left', R: 'right' };
+
+    // =========================================
+    // QUANTIZATION
+    // =========================================
+
+    /**
+     * Round a coordinate onto the recording grid
+     */
+    function quantize(v) {
+        return Math.round((v || 0) * SCALE) / SCALE;
+    }
+
+    /**
+     * Copy landmarks onto the recording grid
+     */
+    function quantizeLandmarks(landmarks) {
+        return landmarks.map(p => ({ x: quantize(p.x), y: quantize(p.y), z: quantize(p.z) }));
+    }
+
+    /**
+     * Snap landmarks onto the recording grid in place (for smoothed arrays
+     * that are updated frame to frame)
+     */
+    function quantizeInPlace(landmarks) {
+        for (const p of landmarks) {
+            p.x = quantize(p.x);
+            p.y = quantize(p.y);
+            p.z = quantize(p.z);
+        }
+        return landmarks;
+    }
+
+    function pack(landmarks) {
+        const out = new Array(landmarks.length * 3);
+        for (let i = 0; i < landmarks.length; i++) {
+            const p = landmarks[i];
+            out[i * 3] = Math.round((p.x || 0) * SCALE);
+            out[i * 3 + 1] = Math.round((p.y || 0) * SCALE);
+            out[i * 3 + 2] = Math.round((p.z || 0) * SCALE);
+        }
+        return out;
+    }
+
+    function unpack(values) {
+        const out = new Array(values.length / 3);
+        for (let i = 0; i < out.length; i++) {
+            out[i] = {
+                x: values[i * 3] / SCALE,
+                y: values[i * 3 + 1] / SCALE,
+                z: values[i * 3 + 2] / SCALE
+            };
+        }
+        return out;
+    }
+
+    // =========================================
+    // WRITING
+    // =========================================
+
+    /**
+     * Start a new recording
+     * @param {Object} meta - { profile: { hand, bilateral, calibration }, exercises }
+     */
+    function createRecording(meta = {}) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            scale: SCALE,
+            recordedAt: new Date().toISOString(),
+            profile: meta.profile || { hand: 'right', bilateral: false },
+            exercises: meta.exercises || [],
+            painLevels: [],
+            segments: []
+        };
+    }
+
+    /**
+     * Open a segment for one exercise attempt
+     */
+    function beginSegment(recording, exIdx, id, startedAt) {
+        const segment = { exIdx, id, startedAt, outcome: 'aborted', accuracy: null, frames: [] };
+        recording.segments.push(segment);
+        return segment;
+    }
+
+    /**
+     * Append a frame
+     * @param {Object} segment - From beginSegment()
+     * @param {number} t - Session clock time (ms)
+     * @param {Array} hands - [{ side, raw, smooth, world }] (empty when no hand)
+     */
+    function addFrame(segment, t, hands) {
+        segment.frames.push([
+            Math.round(t - segment.startedAt),
+            hands.map(h => [
+                SIDE_CODES[h.side] || '',
+                pack(h.raw),
+                pack(h.smooth || h.raw),
+                h.world ? pack(h.world) : 0
+            ])
+        ]);
+    }
+
+    /**
+     * Close a segment with how the attempt ended
+     */
+    function endSegment(segment, outcome, accuracy = null) {
+        segment.outcome = outcome;
+        segment.accuracy = accuracy;
+    }
+
+    function serialize(recording) {
+        return JSON.stringify(recording);
+    }
+
+    // =========================================
+    // READING
+    // =========================================
+
+    /**
+     * Parse and validate a recording file
+     * @throws {Error} If the text is not a readable recording
+     */
+    function parse(text) {
+        let data;
+        try {
+            data = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (e) {
+            throw new Error('Recording is not valid JSON');
+        }
+
+        if (!data || data.format !== FORMAT) {
+            throw new Error('Not a HandHero recording');
+        }
+        if (data.version !== VERSION && data.version !== 1) {
+            throw new Error(`Unsupported recording version ${data.version}`);
+        }
+        if (data.scale !== SCALE) {
+            throw new Error(`Unsupported recording scale ${data.scale}`);
+        }
+        if (!Array.isArray(data.exercises) || !Array.isArray(data.segments)) {
+            throw new Error('Recording is missing exercises or segments');
+        }
+
+        const size = LANDMARK_COUNT * 3;
+        for (const segment of data.segments) {
+            if (!Array.isArray(segment.frames)) {
+                throw new Error(`Segment ${segment.exIdx} has no frames`);
+            }
+            for (const [, hands] of segment.frames) {
+                for (const hand of hands) {
+                    if (hand[1].length !== size || hand[2].length !== size || (hand[3] && hand[3].length !== size)) {
+                        throw new Error(`Segment ${segment.exIdx} has a malformed frame`);
+                    }
+                }
+            }
+        }
+
+        data.painLevels = data.painLevels || [];
+        if (data.version === 1) {
+            data.painLevels = data.painLevels.map(level => V1_PAIN_TO_NRS[level] ?? level);
+            data.version = VERSION;
+        }
+        return data;
+    }
+
+    /**
+     * Decode one stored frame
+     * @returns {Object} { t, hands: [{ side, raw, smooth, world }] } where t
+     *   is the session clock time of the frame
+     */
+    function decodeFrame(segment, frame) {
+        const [dt, hands] = frame;
+        return {
+            t: segment.startedAt + dt,
+            hands: hands.map(h => ({
+                side: SIDE_NAMES[h[0]] || null,
+                raw: unpack(h[1]),
+                smooth: unpack(h[2]),
+                world: h[3] ? unpack(h[3]) : null
+            }))
+        };
+    }
+
+    /**
+     * Segments recorded for an exercise index, in order
+     */
+    function getSegments(recording, exIdx) {
+        return recording.segments.filter(s => s.exIdx === exIdx);
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        FORMAT,
+        VERSION,
+        SCALE,
+
+        // Quantization
+        quantize,
+        quantizeLandmarks,
+        quantizeInPlace,
+
+        // Writing
+        createRecording,
+        beginSegment,
+        addFrame,
+        endSegment,
+        serialize,
+
+        // Reading
+        parse,
+        decodeFrame,
+        getSegments
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroRecording;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroRecording = HandHeroRecording;
+}
@@ -0,0 +1,731 @@
+/**
+ * HandHeroReport.js
+ * ============================================
+ * Clinical reports for a date range, built entirely in the browser:
+ * a PDF a therapist can attach to a chart and a CSV of every attempt.
+ *
+ * DATA:
+ * Works on the sessions the dashboard keeps (stats.sessions) or the
+ * clinician portal pulls from the sync server - each
+ *   { date, grade, duration, exercises: [log entry], painCheckins? }
+ * where a log entry is what the session page records per exercise:
+ *   { id, name, accuracy, grade, skipped?, timeToPassMs?, holdMs?, pain?,
+ *     peakAngles?: { [finger]: { [joint]: { min, max } } }, sequence? }
+ * and pain is on the 0-10 NRS: pass sessions saved before it through
+ * HandHeroExercises.normalizePain() first.
+ *
+ * buildReport() summarises a range (adherence, per-exercise trends, hold
+ * times, pain, range of motion); renderPdf() lays that out with charts.
+ * toCsv() writes one row per attempt for spreadsheets.
+ *
+ * PDF:
+ * createPdf() is a small PDF 1.4 writer - standard Helvetica (no embedded
+ * fonts), text, lines, rectangles and polylines, top-left coordinates in
+ * points. Text outside Latin-1 (emoji) is dropped.
+ */
+
+const HandHeroReport = (function() {
+    'use strict';
+
+    // =========================================
+    // CONSTANTS
+    // =========================================
+
+    // Pain check-ins: 0-10 NRS, bands as in HandHeroExercises.PAIN_BANDS
+    const PAIN_MAX = 10;
+    const PAIN_BANDS = [
+        { max: 0, label: 'No pain' },
+        { max: 3, label: 'Mild' },
+        { max: 6, label: 'Moderate' },
+        { max: 10, label: 'Severe' }
+    ];
+
+    // Joints measured by InvisibleBoundaryEngine.measureJointAngles()
+    const ROM_JOINTS = [
+        ['thumb', 'cmc'], ['thumb', 'mcp'], ['thumb', 'ip'],
+        ...['index', 'middle', 'ring', 'pinky'].flatMap(finger => [[finger, 'mcp'], [finger, 'pip'], [finger, 'dip']]),
+        ['wrist', 'flexion'], ['wrist', 'deviation']
+    ];
+
+    const CSV_COLUMNS = [
+        'date', 'session', 'exercise_id', 'exercise', 'accuracy', 'grade', 'passed',
+        'time_to_pass_ms', 'hold_ms', 'pain', 'reps', 'cadence',
+        ...ROM_JOINTS.map(([part, joint]) => `rom_${part}_${joint}`)
+    ];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // =========================================
+    // DATES
+    // =========================================
+
+    /**
+     * Date from a Date, ISO string or 'YYYY-MM-DD' (read as a local day)
+     */
+    function toDate(value) {
+        if (value instanceof Date) return new Date(value);
+        const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+    }
+
+    function startOfDay(date) {
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        return d;
+    }
+
+    function endOfDay(date) {
+        const d = new Date(date);
+        d.setHours(23, 59, 59, 999);
+        return d;
+    }
+
+    function addDays(date, days) {
+        const d = new Date(date);
+        d.setDate(d.getDate() + days);
+        return d;
+    }
+
+    /**
+     * Monday of the date's week
+     */
+    function startOfWeek(date) {
+        const d = startOfDay(date);
+        d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+        return d;
+    }
+
+    /**
+     * Local 'YYYY-MM-DD'
+     */
+    function dayKey(date) {
+        const d = toDate(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Whole days from `from` through `to`; missing ends default to the
+     * first session and today
+     */
+    function resolveRange(options, sessions) {
+        const now = options.now ? toDate(options.now) : new Date();
+        const dates = sessions.map(s => toDate(s.date)).filter(d => !isNaN(d));
+        const first = dates.length ? new Date(Math.min(...dates)) : now;
+        return {
+            from: startOfDay(options.from ? toDate(options.from) : first),
+            to: endOfDay(options.to ? toDate(options.to) : now)
+        };
+    }
+
+    /**
+     * Sessions inside a range, oldest first
+     */
+    function selectSessions(sessions = [], options = {}) {
+        const { from, to } = resolveRange(options, sessions);
+        return sessions
+            .filter(s => s && s.date && toDate(s.date) >= from && toDate(s.date) <= to)
+            .sort((a, b) => toDate(a.date) - toDate(b.date));
+    }
+
+    // =========================================
+    // SUMMARY
+    // =========================================
+
+    function mean(values) {
+        return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    /**
+     * Arc of motion (max - min flexion, degrees) per joint for one attempt
+     * @returns {Object} { 'index.pip': 72, ... }
+     */
+    function getArcs(entry) {
+        const arcs = {};
+        const peaks = entry && entry.peakAngles;
+        if (!peaks) return arcs;
+        for (const [part, joint] of ROM_JOINTS) {
+            const range = peaks[part] && peaks[part][joint];
+            if (range && isNumber(range.min) && isNumber(range.max)) arcs[`${part}.${joint}`] = range.max - range.min;
+        }
+        return arcs;
+    }
+
+    function summariseAdherence(sessions, range, plan) {
+        const perWeek = [];
+        for (let week = startOfWeek(range.from); week <= range.to; week = addDays(week, 7)) {
+            const next = addDays(week, 7);
+            perWeek.push({ start: dayKey(week), count: sessions.filter(s => toDate(s.date) >= week && toDate(s.date) < next).length });
+        }
+        const entries = sessions.flatMap(s => s.exercises || []);
+        const target = (plan && plan.sessionsPerWeek) || null;
+        const days = Math.max(1, Math.round((range.to - range.from) / DAY_MS));
+
+        return {
+            sessions: sessions.length,
+            activeDays: new Set(sessions.map(s => dayKey(s.date))).size,
+            perWeek,
+            averagePerWeek: Math.round((sessions.length / days) * 7 * 10) / 10,
+            target,
+            weeksOnTarget: target ? perWeek.filter(w => w.count >= target).length : null,
+            attempts: entries.length,
+            passed: entries.filter(e => !e.skipped).length
+        };
+    }
+
+    function summariseExercises(sessions, names) {
+        const byId = new Map();
+        for (const session of sessions) {
+            for (const entry of session.exercises || []) {
+                if (!entry || !entry.id) continue;
+                if (!byId.has(entry.id)) {
+                    byId.set(entry.id, { id: entry.id, name: entry.name || names[entry.id] || entry.id, series: [], holds: [], passTimes: [] });
+                }
+                const ex = byId.get(entry.id);
+                ex.series.push({ date: session.date, accuracy: Number(entry.accuracy) || 0, skipped: !!entry.skipped });
+                if (!entry.skipped && isNumber(entry.holdMs)) ex.holds.push(entry.holdMs);
+                if (!entry.skipped && isNumber(entry.timeToPassMs)) ex.passTimes.push(entry.timeToPassMs);
+            }
+        }
+
+        return [...byId.values()].map(({ holds, passTimes, ...ex }) => {
+            const accuracies = ex.series.map(p => p.accuracy);
+            const meanHold = mean(holds);
+            const meanPass = mean(passTimes);
+            return {
+                ...ex,
+                attempts: ex.series.length,
+                passed: ex.series.filter(p => !p.skipped).length,
+                firstAccuracy: accuracies[0],
+                lastAccuracy: accuracies[accuracies.length - 1],
+                meanAccuracy: Math.round(mean(accuracies)),
+                meanHoldMs: meanHold === null ? null : Math.round(meanHold),
+                longestHoldMs: holds.length ? Math.max(...holds) : null,
+                meanTimeToPassMs: meanPass === null ? null : Math.round(meanPass)
+            };
+        });
+    }
+
+    function painLabel(level) {
+        const band = PAIN_BANDS.find(b => level <= b.max) || PAIN_BANDS[PAIN_BANDS.length - 1];
+        return `${level} (${band.label})`;
+    }
+
+    function summarisePain(sessions) {
+        const series = [];
+        const locations = {};
+        for (const session of sessions) {
+            const checkins = Array.isArray(session.painCheckins) ? session.painCheckins : [];
+            for (const checkin of checkins) {
+                if (checkin && checkin.location) locations[checkin.location] = (locations[checkin.location] || 0) + 1;
+            }
+            const levels = checkins.length
+                ? checkins.map(c => c && c.level).filter(isNumber)
+                : (session.exercises || []).map(e => e && e.pain).filter(isNumber);
+            if (levels.length) series.push({ date: session.date, level: Math.max(...levels) });
+        }
+        const levels = series.map(p => p.level);
+        const average = mean(levels);
+        return {
+            series,
+            locations,
+            mean: average === null ? null : Math.round(average * 10) / 10,
+            max: levels.length ? Math.max(...levels) : null,
+            first: levels.length ? levels[0] : null,
+            last: levels.length ? levels[levels.length - 1] : null
+        };
+    }
+
+    function summariseRangeOfMotion(sessions) {
+        // Widest arc each session reached per joint, across its exercises
+        const perSession = sessions.map(session => {
+            const widest = {};
+            for (const entry of session.exercises || []) {
+                for (const [key, arc] of Object.entries(getArcs(entry))) {
+                    widest[key] = Math.max(widest[key] ?? -Infinity, arc);
+                }
+            }
+            return { date: session.date, widest };
+        });
+
+        return ROM_JOINTS.map(([part, joint]) => {
+            const key = `${part}.${joint}`;
+            const series = perSession
+                .filter(s => key in s.widest)
+                .map(s => ({ date: s.date, arc: Math.round(s.widest[key]) }));
+            if (!series.length) return null;
+            const first = series[0].arc;
+            const last = series[series.length - 1].arc;
+            return { part, joint, series, first, last, best: Math.max(...series.map(s => s.arc)), change: last - first };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Summarise a date range for the report
+     * @param {Array} sessions - Session records (any order)
+     * @param {Object} options - { from, to, plan, profile: { name, hand }, names: { [id]: name }, now }
+     * @returns {Object} { range, profile, generatedAt, adherence, exercises, pain, rom }
+     */
+    function buildReport(sessions = [], options = {}) {
+        const range = resolveRange(options, sessions);
+        const selected = selectSessions(sessions, { ...options, from: range.from, to: range.to });
+        return {
+            range: { from: dayKey(range.from), to: dayKey(range.to) },
+            profile: options.profile || null,
+            generatedAt: (options.now ? toDate(options.now) : new Date()).toISOString(),
+            adherence: summariseAdherence(selected, range, options.plan),
+            exercises: summariseExercises(selected, options.names || {}),
+            pain: summarisePain(selected),
+            rom: summariseRangeOfMotion(selected)
+        };
+    }
+
+    // =========================================
+    // CSV
+    // =========================================
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        // Exercise names are user-authored; keep spreadsheets from running them as formulas
+        if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Every exercise attempt in the range, one row each (RFC 4180, CRLF)
+     * @param {Array} sessions
+     * @param {Object} options - { from, to, now }
+     * @returns {string}
+     */
+    function toCsv(sessions = [], options = {}) {
+        const rows = [CSV_COLUMNS];
+        selectSessions(sessions, options).forEach((session, i) => {
+            for (const entry of session.exercises || []) {
+                if (!entry || !entry.id) continue;
+                const arcs = getArcs(entry);
+                rows.push([
+                    session.date,
+                    i + 1,
+                    entry.id,
+                    entry.name || '',
+                    entry.accuracy,
+                    entry.grade,
+                    entry.skipped ? 'no' : 'yes',
+                    entry.timeToPassMs,
+                    entry.holdMs,
+                    entry.pain,
+                    entry.sequence ? entry.sequence.reps : null,
+                    entry.sequence ? entry.sequence.cadence : null,
+                    ...ROM_JOINTS.map(([part, joint]) => {
+                        const arc = arcs[`${part}.${joint}`];
+                        return arc === undefined ? null : Math.round(arc);
+                    })
+                ]);
+            }
+        });
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // =========================================
+    // PDF WRITER
+    // =========================================
+
+    // A4 in points
+    const PAGE = { width: 595.28, height: 841.89 };
+
+    const TEXT_REPLACEMENTS = { '–': '-', '—': '-', '→': '->', '…': '...', '‘': "'", '’': "'", '“': '"', '”': '"' };
+
+    /**
+     * Latin-1 only (the standard fonts' WinAnsi encoding), PDF-escaped
+     */
+    function pdfString(text) {
+        const latin = String(text)
+            .replace(/[–—→…‘’“”]/g, c => TEXT_REPLACEMENTS[c])
+            .replace(/[^\x20-\x7e\xa0-\xff]/gu, '')
+            .replace(/ +(?=[ ,.;:)])/g, '')
+            .trim();
+        return `(${latin.replace(/[\\()]/g, c => `\\${c}`)})`;
+    }
+
+    function rgb(hex) {
+        const n = parseInt(String(hex).replace('#', ''), 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(c => (c / 255).toFixed(3)).join(' ');
+    }
+
+    function num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+
+    /**
+     * Small PDF writer. Coordinates are points from the top-left corner;
+     * text y is the baseline.
+     * @param {Object} options - { width, height }
+     */
+    function createPdf(options = {}) {
+        const width = options.width || PAGE.width;
+        const height = options.height || PAGE.height;
+        const pages = [];
+        let ops = null;
+
+        const flip = y => num(height - y);
+
+        const pdf = {
+            width,
+            height,
+            get pageCount() { return pages.length; },
+
+            addPage() {
+                ops = [];
+                pages.push(ops);
+                return pages.length - 1;
+            },
+
+            /**
+             * Draw on an earlier page (page numbers, footers)
+             */
+            goToPage(index) {
+                ops = pages[index];
+            },
+
+            /**
+             * Rough Helvetica width - good enough for alignment and truncation
+             */
+            textWidth(text, size = 10, bold = false) {
+                return String(text).length * size * (bold ? 0.56 : 0.52);
+            },
+
+            text(x, y, text, style = {}) {
+                const { size = 10, bold = false, color = '#4a5568', align = 'left' } = style;
+                const w = pdf.textWidth(text, size, bold);
+                const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+                ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${num(left)} ${flip(y)} Td ${pdfString(text)} Tj ET`);
+            },
+
+            line(x1, y1, x2, y2, style = {}) {
+                pdf.polyline([[x1, y1], [x2, y2]], style);
+            },
+
+            polyline(points, style = {}) {
+                if (points.length < 2) return;
+                const { color = '#4a5568', width: lineWidth = 1, dash = null } = style;
+                const path = points.map(([x, y], i) => `${num(x)} ${flip(y)} ${i ? 'l' : 'm'}`).join(' ');
+                ops.push(`q ${rgb(color)} RG ${num(lineWidth)} w 1 J 1 j ${dash ? `[${dash.join(' ')}] 0 d ` : ''}${path} S Q`);
+            },
+
+            rect(x, y, w, h, style = {}) {
+                const { fill = null, stroke = null, width: lineWidth = 1 } = style;
+                const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+                const colors = `${fill ? `${rgb(fill)} rg ` : ''}${stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w ` : ''}`;
+                ops.push(`q ${colors}${num(x)} ${flip(y + h)} ${num(w)} ${num(h)} re ${paint} Q`);
+            },
+
+            /**
+             * The finished file
+             * @param {Object} info - { title }
+             * @returns {Uint8Array}
+             */
+            output(info = {}) {
+                const objects = [];
+                const pageIds = pages.map((_, i) => 6 + i * 2);
+                const date = (info.date ? new Date(info.date) : new Date()).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+                objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+                objects.push(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+                objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+                objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+                objects.push(`<< /Title ${pdfString(info.title || 'HandHero Report')} /Producer (HandHero) /CreationDate (D:${date}Z) >>`);
+                pages.forEach((pageOps, i) => {
+                    const content = pageOps.join('\n');
+                    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+                        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+                    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+                });
+
+                let file = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+                const offsets = objects.map((body, i) => {
+                    const offset = file.length;
+                    file += `${i + 1} 0 obj\n${body}\nendobj\n`;
+                    return offset;
+                });
+                const xref = file.length;
+                file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+                file += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+                file += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+                const bytes = new Uint8Array(file.length);
+                for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i) & 0xff;
+                return bytes;
+            }
+        };
+
+        pdf.addPage();
+        return pdf;
+    }
+
+    // =========================================
+    // PDF LAYOUT
+    // =========================================
+
+    const COLORS = {
+        text: '#4a5568',
+        muted: '#718096',
+        border: '#e8e4df',
+        grid: '#f0ece6',
+        sage: '#87a878',
+        sageDark: '#6b9960',
+        sagePale: '#e8f0e5',
+        coral: '#e8998d',
+        danger: '#d97b7b'
+    };
+
+    const MARGIN = 48;
+
+    function formatSeconds(ms) {
+        return ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    function formatChange(value, unit = '') {
+        return `${value > 0 ? '+' : ''}${value}${unit}`;
+    }
+
+    /**
+     * Lay a report out as a PDF
+     * @param {Object} report - From buildReport()
+     * @returns {Uint8Array}
+     */
+    function renderPdf(report) {
+        const pdf = createPdf();
+        const width = pdf.width - MARGIN * 2;
+        const right = MARGIN + width;
+        const from = toDate(report.range.from).getTime();
+        const to = endOfDay(toDate(report.range.to)).getTime();
+        let y = MARGIN;
+
+        function ensureSpace(h) {
+            if (y + h > pdf.height - MARGIN - 20) {
+                pdf.addPage();
+                y = MARGIN;
+            }
+        }
+
+        function heading(text) {
+            ensureSpace(60);
+            y += 26;
+            pdf.text(MARGIN, y, text, { size: 14, bold: true, color: COLORS.sageDark });
+            y += 8;
+            pdf.line(MARGIN, y, right, y, { color: COLORS.border });
+            y += 16;
+        }
+
+        function note(text) {
+            ensureSpace(16);
+            pdf.text(MARGIN, y, text, { size: 9, color: COLORS.muted });
+            y += 16;
+        }
+
+        /**
+         * A row of label / value figures
+         */
+        function figures(items) {
+            ensureSpace(36);
+            const step = width / items.length;
+            items.forEach(([label, value], i) => {
+                pdf.text(MARGIN + i * step, y, label, { size: 8, color: COLORS.muted });
+                pdf.text(MARGIN + i * step, y + 16, String(value), { size: 13, bold: true });
+            });
+            y += 34;
+        }
+
+        /**
+         * Plot area with horizontal grid lines; returns value -> y
+         */
+        function chartFrame(top, h, yMax, ticks) {
+            const toY = v => top + h - (v / yMax) * h;
+            for (const { value, label } of ticks) {
+                pdf.line(MARGIN + 60, toY(value), right, toY(value), { color: COLORS.grid });
+                pdf.text(MARGIN + 54, toY(value) + 3, label, { size: 7, color: COLORS.muted, align: 'right' });
+            }
+            pdf.line(MARGIN + 60, top + h, right, top + h, { color: COLORS.border });
+            return toY;
+        }
+
+        function timeX(date, left = MARGIN + 70, w = width - 80) {
+            return to > from ? left + ((toDate(date).getTime() - from) / (to - from)) * w : left + w / 2;
+        }
+
+        // ---- Title ----
+        const profile = report.profile || {};
+        pdf.text(MARGIN, y + 14, 'HandHero Progress Report', { size: 20, bold: true, color: COLORS.sageDark });
+        y += 36;
+        const who = [profile.name || 'Patient', profile.hand ? `treating the ${profile.hand} hand` : null].filter(Boolean).join(', ');
+        pdf.text(MARGIN, y, who, { size: 11, bold: true });
+        y += 16;
+        pdf.text(MARGIN, y, `Period ${report.range.from} to ${report.range.to}  ·  Generated ${dayKey(report.generatedAt)}`, { size: 9, color: COLORS.muted });
+        y += 6;
+
+        // ---- Adherence ----
+        const adherence = report.adherence;
+        heading('Adherence');
+        figures([
+            ['Sessions', adherence.sessions],
+            ['Active days', adherence.activeDays],
+            ['Per week', adherence.averagePerWeek],
+            ['Weeks on plan', adherence.target ? `${adherence.weeksOnTarget} of ${adherence.perWeek.length}` : 'No plan'],
+            ['Exercises passed', `${adherence.passed} of ${adherence.attempts}`]
+        ]);
+
+        if (adherence.perWeek.length) {
+            const h = 90;
+            ensureSpace(h + 30);
+            const yMax = Math.max(1, adherence.target || 0, ...adherence.perWeek.map(w => w.count));
+            const toY = chartFrame(y, h, yMax, [0, yMax].map(v => ({ value: v, label: String(v) })));
+            const slot = (width - 70) / adherence.perWeek.length;
+            const labelEvery = Math.ceil(adherence.perWeek.length / 12);
+            adherence.perWeek.forEach((week, i) => {
+                const x = MARGIN + 66 + i * slot;
+                const barWidth = Math.min(28, slot * 0.7);
+                if (week.count) pdf.rect(x, toY(week.count), barWidth, toY(0) - toY(week.count), { fill: COLORS.sage });
+                if (i % labelEvery === 0) pdf.text(x, y + h + 12, week.start.slice(5), { size: 7, color: COLORS.muted });
+            });
+            if (adherence.target) {
+                pdf.line(MARGIN + 60, toY(adherence.target), right, toY(adherence.target), { color: COLORS.coral, dash: [4, 3] });
+                pdf.text(right, toY(adherence.target) - 4, `Plan: ${adherence.target} per week`, { size: 7, color: COLORS.coral, align: 'right' });
+            }
+            y += h + 22;
+            note('Sessions per week (weeks start on Monday)');
+        }
+
+        // ---- Pain ----
+        const pain = report.pain;
+        heading('Pain');
+        if (!pain.series.length) {
+            note('No pain checks were recorded in this period.');
+        } else {
+            figures([
+                ['Average', `${pain.mean} / ${PAIN_MAX}`],
+                ['Highest', painLabel(pain.max)],
+                ['First', painLabel(pain.first)],
+                ['Latest', painLabel(pain.last)]
+            ]);
+            const h = 80;
+            ensureSpace(h + 24);
+            const toY = chartFrame(y, h, PAIN_MAX, [{ value: 0, label: '0' }, ...PAIN_BANDS.slice(1).map(b => ({ value: b.max, label: `${b.max} ${b.label}` }))]);
+            const points = pain.series.map(p => [timeX(p.date), toY(p.level)]);
+            pdf.polyline(points, { color: COLORS.danger, width: 1.5 });
+            points.forEach(([x, py]) => pdf.rect(x - 2, py - 2, 4, 4, { fill: COLORS.danger }));
+            y += h + 20;
+            const places = Object.entries(pain.locations).sort((a, b) => b[1] - a[1]);
+            note('Highest pain check-in per session (0-10)' +
+                (places.length ? `. Where it hurt: ${places.map(([place, count]) => `${place} ${count}x`).join(', ')}` : ''));
+        }
+
+        // ---- Exercises ----
+        heading('Exercises');
+        if (!report.exercises.length) {
+            note('No exercises were attempted in this period.');
+        } else {
+            const cols = [MARGIN, MARGIN + 150, MARGIN + 200, MARGIN + 260, MARGIN + 370, MARGIN + 430];
+            ensureSpace(40);
+            ['Exercise', 'Passed', 'Accuracy', 'Trend', 'Mean hold', 'Time to pass'].forEach((label, i) => {
+                pdf.text(cols[i], y, label, { size: 8, bold: true, color: COLORS.muted });
+            });
+            y += 8;
+            for (const ex of report.exercises) {
+                ensureSpace(30);
+                const mid = y + 15;
+                let name = ex.name;
+                while (pdf.textWidth(name, 9, true) > 140 && name.length > 4) name = `${name.slice(0, -4)}...`;
+                pdf.text(cols[0], mid + 3, name, { size: 9, bold: true });
+                pdf.text(cols[1], mid + 3, `${ex.passed} / ${ex.attempts}`, { size: 9 });
+                pdf.text(cols[2], mid + 3, ex.attempts > 1 ? `${ex.firstAccuracy}% -> ${ex.lastAccuracy}%` : `${ex.lastAccuracy}%`, { size: 9 });
+
+                // Accuracy sparkline, one point per attempt (skips in coral)
+                const sparkW = 96;
+                const sparkY = v => mid + 10 - (v / 100) * 20;
+                const sparkX = i => cols[3] + (ex.series.length > 1 ? (i / (ex.series.length - 1)) * sparkW : sparkW / 2);
+                pdf.line(cols[3], mid + 10, cols[3] + sparkW, mid + 10, { color: COLORS.border, width: 0.5 });
+                pdf.polyline(ex.series.map((p, i) => [sparkX(i), sparkY(p.accuracy)]), { color: COLORS.sage, width: 1.2 });
+                ex.series.forEach((p, i) => {
+                    if (p.skipped) pdf.rect(sparkX(i) - 1.5, sparkY(p.accuracy) - 1.5, 3, 3, { fill: COLORS.coral });
+                });
+
+                pdf.text(cols[4], mid + 3, formatSeconds(ex.meanHoldMs), { size: 9 });
+                pdf.text(cols[5], mid + 3, formatSeconds(ex.meanTimeToPassMs), { size: 9 });
+                y += 30;
+                pdf.line(MARGIN, y, right, y, { color: COLORS.grid, width: 0.5 });
+            }
+            y += 14;
+            note('Accuracy: first -> latest attempt. Trend: accuracy per attempt, skipped attempts marked.');
+        }
+
+        // ---- Range of motion ----
+        heading('Range of motion');
+        if (!report.rom.length) {
+            note('No joint angles were measured in this period.');
+        } else {
+            const scale = 180;
+            const barLeft = MARGIN + 250;
+            const barW = width - 250;
+            ensureSpace(30);
+            ['Joint', 'First', 'Latest', 'Change'].forEach((label, i) => {
+                pdf.text(MARGIN + [0, 90, 140, 190][i], y, label, { size: 8, bold: true, color: COLORS.muted });
+            });
+            pdf.text(barLeft, y, `Arc of motion (0-${scale}°), first / latest`, { size: 8, bold: true, color: COLORS.muted });
+            y += 8;
+            for (const joint of report.rom) {
+                ensureSpace(20);
+                const mid = y + 12;
+                pdf.text(MARGIN, mid + 3, `${joint.part} ${joint.joint}`.replace(/^\w/, c => c.toUpperCase()), { size: 9, bold: true });
+                pdf.text(MARGIN + 90, mid + 3, `${joint.first}°`, { size: 9 });
+                pdf.text(MARGIN + 140, mid + 3, `${joint.last}°`, { size: 9 });
+                pdf.text(MARGIN + 190, mid + 3, formatChange(joint.change, '°'), {
+                    size: 9, bold: true, color: joint.change < 0 ? COLORS.danger : COLORS.sageDark
+                });
+                const bar = v => Math.max(0, Math.min(1, v / scale)) * barW;
+                pdf.rect(barLeft, mid - 5, bar(joint.first), 4, { fill: COLORS.border });
+                pdf.rect(barLeft, mid + 1, bar(joint.last), 4, { fill: COLORS.sage });
+                y += 20;
+            }
+            y += 10;
+            note('Arc: the widest flexion range a session reached at that joint, across its exercises.');
+        }
+
+        // ---- Footer ----
+        for (let i = 0; i < pdf.pageCount; i++) {
+            pdf.goToPage(i);
+            const footerY = pdf.height - MARGIN + 10;
+            pdf.text(MARGIN, footerY, 'HandHero · camera-measured home exercise data, not a clinical assessment', { size: 7, color: COLORS.muted });
+            pdf.text(right, footerY, `Page ${i + 1} of ${pdf.pageCount}`, { size: 7, color: COLORS.muted, align: 'right' });
+        }
+
+        return pdf.output({ title: `HandHero report ${report.range.from} to ${report.range.to}`, date: report.generatedAt });
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        PAIN_MAX,
+        PAIN_BANDS,
+        ROM_JOINTS,
+        CSV_COLUMNS,
+        selectSessions,
+        buildReport,
+        toCsv,
+        createPdf,
+        renderPdf
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroReport;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroReport = HandHeroReport;
+}
@@ -0,0 +1,560 @@
+/**
+ * HandHeroSession.js
+ * ============================================
+ * The session flow as a state machine: which exercise is up, when the
+ * starting fist has been held, how long a pose has been held, when to
+ * step in with guidance, and when to check in on pain and rest. The
+ * session page feeds it frames and draws what it reports.
+ *
+ * STATES:
+ *   IDLE -> READY -> RESET -> EXECUTE -> SUCCESS -> READY (next exercise)
+ *                                                -> PAIN -> REST -> READY
+ *                                                -> COMPLETE
+ *   READY     countdown before an exercise
+ *   RESET     waiting for a loose fist held for RESET_HOLD_MS
+ *   EXECUTE   scoring the pose, once READY_TRACKING_DELAY_MS has passed
+ *   SUCCESS   the celebration pause after a pass
+ *   PAIN      waiting for the pain check-in (every PAIN_CHECK_EVERY passes)
+ *   REST      rest countdown after a check-in
+ *   COMPLETE  the session is over
+ * skip() moves on from RESET or EXECUTE; finish() ends the session from
+ * anywhere. A practice session loops its one exercise (straight back to
+ * RESET after each pass) until finished, and cannot skip.
+ *
+ * INPUTS:
+ * update(t, frame) takes one camera frame at session-clock time t (ms):
+ *   { hand: false }                   no hand in view
+ *   { wrongHand: true }               not the hand being exercised
+ *   { outlier: true }                 tracking glitch: the clocks stop
+ *   { fist }                          RESET: is this a loose fist?
+ *   { evaluation, pinchDistance }     EXECUTE: InvisibleBoundaryEngine
+ *                                     result (+ pinch gap / hand width)
+ *   { sequence }                      EXECUTE: a sequence tracker update
+ * expects(t) says which of fist / evaluation it wants right now, so the
+ * page only scores the frames that count.
+ *
+ * tick(now) runs the pauses between exercises (ready countdown,
+ * celebration, rest). The two keep separate clocks - a timed state starts
+ * counting at the first tick() after it is entered - so a replay can feed
+ * recorded frame times to update() while the pauses run in real time.
+ *
+ * EVENTS:
+ * subscribe(listener) -> unsubscribe; listener({ type, ... }) for
+ *   ready       { index, exercise, countdown }
+ *   countdown   { state: 'READY' | 'REST', remaining }  (whole seconds)
+ *   exercise    { index, exercise }          RESET began
+ *   execute     { index, exercise }          fist held, scoring begins
+ *   guidance    { exercise }                 sustained red: time to coach
+ *   step        { step, label }              a sequence step was reached
+ *   suggestSkip { index, exercise }          SKIP_RED_MS of red
+ *   success     { index, exercise, score, timeToPassMs, holdMs }
+ *   skipped     { index, exercise, peakScore }
+ *   pain        { completed }
+ *   rest        { seconds }
+ *   complete    { completed, bestStreak }
+ * The controller's `state` is a live snapshot (status, index, progress,
+ * holding, guidance...) for drawing; treat it as read-only.
+ */
+
+const HandHeroSession = (function() {
+    'use strict';
+
+    const STATES = ['IDLE', 'READY', 'RESET', 'EXECUTE', 'SUCCESS', 'PAIN', 'REST', 'COMPLETE'];
+
+    // Timing rules (createSessionController's options.config overrides them)
+    const DEFAULTS = {
+        READY_COUNTDOWN_SECONDS: 3,
+        READY_TRACKING_DELAY_MS: 2000,  // Scoring waits this long after the fist
+        SUCCESS_PAUSE_MS: 1800,         // Celebration before moving on
+        PAIN_CHECK_EVERY: 4,            // Passes between pain check-ins
+        REST_SECONDS: 3,
+
+        // Hold duration (an exercise's holdMs overrides it, holdScale shortens it)
+        HOLD_DURATION_MS: 2500,
+        PASS_SCORE: 0.65,               // A finished hold must still score this
+
+        // Reset detection: RESET_HOLD_MS of a fist in most of the last frames
+        RESET_HOLD_MS: 500,
+        RESET_FRAMES: 6,
+        RESET_FRAMES_NEEDED: 0.6,
+
+        // Soft decay of hold progress (per frame) instead of a hard reset
+        SOFT_DECAY_RATE: 0.015,
+
+        // Zone stability: this long in blue/green before the hold starts
+        GOOD_ZONE_STABLE_MS: 1500,
+
+        // Red zone handling
+        RED_GUIDANCE_TRIGGER_MS: 2500,  // Sustained red brings up guidance (no restart)
+        RED_PAUSE_HOLD_MS: 1000,        // The hold pauses while guidance shows
+        SKIP_RED_MS: 15000,             // Sustained red before offering a skip
+
+        // Pinch proximity: touching this long counts as the pose
+        PINCH_PROXIMITY_MS: 500,
+        PINCH_TOUCH_THRESHOLD: 0.10,    // Gap / hand width for "touching"
+        PINCH_NEAR_THRESHOLD: 0.12,     // Close enough to count as a good zone
+
+        // Zones for evaluations that carry only a score
+        ZONE_GREEN: 0.85,
+        ZONE_BLUE: 0.65,
+        ZONE_YELLOW: 0.40
+    };
+
+    /**
+     * How long an exercise is held: its own holdMs or the default, shortened
+     * for softened exercises (they keep being followed by pain)
+     */
+    function holdMsFor(exercise, config = DEFAULTS) {
+        const scale = (exercise && exercise.holdScale) || 1;
+        return Math.round(((exercise && exercise.holdMs) || config.HOLD_DURATION_MS) * scale);
+    }
+
+    function zoneOf(evaluation, config) {
+        if (typeof evaluation.zone === 'string') return evaluation.zone;
+        const score = evaluation.score || 0;
+        if (score >= config.ZONE_GREEN) return 'GREEN';
+        if (score >= config.ZONE_BLUE) return 'BLUE';
+        if (score >= config.ZONE_YELLOW) return 'YELLOW';
+        return 'RED';
+    }
+
+    // =========================================
+    // CONTROLLER
+    // =========================================
+
+    /**
+     * @param {Object} options - { exercises, practice, config }
+     */
+    function createSessionController(options = {}) {
+        const config = { ...DEFAULTS, ...(options.config || {}) };
+        const exercises = options.exercises || [];
+        const practice = !!options.practice;
+        const listeners = [];
+
+        const state = {
+            status: 'IDLE',
+            index: 0,
+            exercise: null,
+            completed: 0,
+            streak: 0,
+            bestStreak: 0,
+            countdown: 0,           // READY / REST seconds left
+            // RESET
+            fistHeld: false,
+            resetProgress: 0,
+            // EXECUTE
+            startedAt: null,        // First frame of the attempt
+            scoringFrom: 0,         // End of the ready gate
+            score: 0,
+            peakScore: 0,
+            zone: 'RED',
+            progress: 0,            // Hold progress, 0-1
+            holding: false,
+            holdStart: 0,
+            holdMs: 0,
+            redZoneDuration: 0,
+            guidanceActive: false,
+            guidanceUntil: 0,
+            skipSuggested: false
+        };
+
+        // Attempt internals
+        let timerStart = null;      // tick() time the current timed state began
+        let resetFrames = [];
+        let resetStart = 0;
+        let lastFrameAt = 0;
+        let zoneStableAccum = 0;
+        let redZoneStart = 0;
+        let pinchSince = 0;
+
+        function emit(type, detail = {}) {
+            const event = { type, ...detail };
+            listeners.slice().forEach(listener => listener(event));
+        }
+
+        // -----------------------------------------
+        // Transitions
+        // -----------------------------------------
+
+        function enterReady(index) {
+            state.status = 'READY';
+            state.index = index;
+            state.exercise = exercises[index];
+            state.countdown = config.READY_COUNTDOWN_SECONDS;
+            timerStart = null;
+            emit('ready', { index, exercise: state.exercise, countdown: state.countdown });
+        }
+
+        function beginExercise(index) {
+            Object.assign(state, {
+                status: 'RESET',
+                index,
+                exercise: exercises[index],
+                fistHeld: false,
+                resetProgress: 0,
+                startedAt: null,
+                scoringFrom: 0,
+                score: 0,
+                peakScore: 0,
+                zone: 'RED',
+                progress: 0,
+                holding: false,
+                holdStart: 0,
+                holdMs: holdMsFor(exercises[index], config),
+                redZoneDuration: 0,
+                guidanceActive: false,
+                guidanceUntil: 0,
+                skipSuggested: false
+            });
+            resetFrames = [];
+            resetStart = 0;
+            lastFrameAt = 0;
+            zoneStableAccum = 0;
+            redZoneStart = 0;
+            pinchSince = 0;
+            emit('exercise', { index, exercise: state.exercise });
+        }
+
+        function succeed(t, score) {
+            state.status = 'SUCCESS';
+            state.completed++;
+            state.streak++;
+            if (state.streak > state.bestStreak) state.bestStreak = state.streak;
+            timerStart = null;
+            emit('success', {
+                index: state.index,
+                exercise: state.exercise,
+                score,
+                timeToPassMs: Math.round(t - state.startedAt),
+                // A sequence is counted in reps, not held
+                holdMs: state.exercise.type === 'sequence' ? null : state.holdMs
+            });
+        }
+
+        function afterSuccess() {
+            const next = state.index + 1;
+            const painDue = state.completed > 0 && state.completed % config.PAIN_CHECK_EVERY === 0;
+
+            // Practice loops the same exercise, still checking in on pain
+            if (practice) {
+                if (painDue) enterPain();
+                else beginExercise(state.index);
+                return;
+            }
+            if (painDue && next < exercises.length) {
+                enterPain();
+            } else if (next >= exercises.length) {
+                complete();
+            } else {
+                enterReady(next);
+            }
+        }
+
+        function enterPain() {
+            state.status = 'PAIN';
+            emit('pain', { completed: state.completed });
+        }
+
+        function enterRest() {
+            state.status = 'REST';
+            state.countdown = config.REST_SECONDS;
+            timerStart = null;
+            emit('rest', { seconds: state.countdown });
+        }
+
+        function endRest() {
+            if (practice) {
+                enterReady(state.index);
+                return;
+            }
+            const next = state.index + 1;
+            if (next >= exercises.length) complete();
+            else enterReady(next);
+        }
+
+        function complete() {
+            state.status = 'COMPLETE';
+            emit('complete', { completed: state.completed, bestStreak: state.bestStreak });
+        }
+
+        // -----------------------------------------
+        // Frames
+        // -----------------------------------------
+
+        function updateReset(t, fist) {
+            resetFrames.push(!!fist);
+            if (resetFrames.length > config.RESET_FRAMES) resetFrames.shift();
+            const needed = Math.ceil(config.RESET_FRAMES * config.RESET_FRAMES_NEEDED);
+            state.fistHeld = resetFrames.filter(Boolean).length >= needed;
+
+            if (!state.fistHeld) {
+                resetStart = 0;
+                state.resetProgress = 0;
+                return;
+            }
+            if (!resetStart) resetStart = t;
+            const elapsed = t - resetStart;
+            state.resetProgress = Math.min(1, elapsed / config.RESET_HOLD_MS);
+
+            if (elapsed >= config.RESET_HOLD_MS) {
+                state.status = 'EXECUTE';
+                state.scoringFrom = t + config.READY_TRACKING_DELAY_MS;
+                resetFrames = [];
+                resetStart = 0;
+                emit('execute', { index: state.index, exercise: state.exercise });
+            }
+        }
+
+        /**
+         * Sequences step through poses instead of holding one: the tracker
+         * moves on once a step is reached, and the exercise passes after
+         * its reps
+         */
+        function updateSequence(t, progress) {
+            const result = progress.result;
+            state.score = result.score;
+            if (result.score > state.peakScore) state.peakScore = result.score;
+            state.zone = zoneOf(result, config);
+            state.holding = !!result.passed;
+
+            if (progress.complete) {
+                state.progress = 1;
+                succeed(t, progress.score);
+                return;
+            }
+            if (progress.reached) emit('step', { step: progress.step, label: progress.stepLabel });
+            state.progress = (progress.reps + progress.step / progress.stepCount) / progress.targetReps;
+        }
+
+        function updateExecute(t, frame) {
+            // An outlier frame is tracking noise, not the pose: stop the
+            // clocks so it counts toward neither red-zone nor hold time
+            if (frame.outlier) {
+                const dt = Math.max(0, t - (lastFrameAt || t));
+                lastFrameAt = t;
+                if (redZoneStart) redZoneStart += dt;
+                if (state.holding) state.holdStart += dt;
+                return;
+            }
+            if (state.exercise.type === 'sequence') {
+                if (frame.sequence) updateSequence(t, frame.sequence);
+                return;
+            }
+            const evaluation = frame.evaluation;
+            if (!evaluation) return;
+
+            state.score = evaluation.score;
+            if (evaluation.score > state.peakScore) state.peakScore = evaluation.score;
+            const zone = state.zone = zoneOf(evaluation, config);
+            let inGoodZone = zone === 'GREEN' || zone === 'BLUE';
+
+            // A pinch held touching for PINCH_PROXIMITY_MS counts whatever the zone
+            let pinchPass = false;
+            const pinchDistance = frame.pinchDistance;
+            if (typeof pinchDistance === 'number') {
+                if (pinchDistance <= config.PINCH_TOUCH_THRESHOLD) {
+                    if (!pinchSince) pinchSince = t;
+                    pinchPass = t - pinchSince >= config.PINCH_PROXIMITY_MS;
+                } else {
+                    pinchSince = 0;
+                }
+                if (pinchDistance <= config.PINCH_NEAR_THRESHOLD || pinchPass) inGoodZone = true;
+            }
+
+            const dt = Math.max(0, t - (lastFrameAt || t));
+            lastFrameAt = t;
+
+            // Time in a good zone accumulates; other zones drain it rather than
+            // restarting it, slowly for yellow and brief red flickers
+            if (inGoodZone) {
+                zoneStableAccum = Math.min(config.GOOD_ZONE_STABLE_MS, zoneStableAccum + dt);
+                state.redZoneDuration = 0;
+                redZoneStart = 0;
+                state.guidanceActive = false;
+                // Back in position ends the guidance pause; the hold gets back what is left of it
+                if (t < state.guidanceUntil && state.holding) state.holdStart -= state.guidanceUntil - t;
+                state.guidanceUntil = 0;
+            } else if (zone === 'YELLOW') {
+                zoneStableAccum = Math.max(0, zoneStableAccum - dt * 0.3);
+                state.redZoneDuration = 0;
+                redZoneStart = 0;
+                state.guidanceActive = false;
+            } else {
+                if (!redZoneStart) redZoneStart = t;
+                state.redZoneDuration = t - redZoneStart;
+                const drain = state.redZoneDuration < config.RED_GUIDANCE_TRIGGER_MS ? 0.5 : 1;
+                zoneStableAccum = Math.max(0, zoneStableAccum - dt * drain);
+            }
+
+            // The hold starts after GOOD_ZONE_STABLE_MS in blue/green
+            const effectivePass = zoneStableAccum >= config.GOOD_ZONE_STABLE_MS || pinchPass;
+
+            // Sustained red brings up guidance and pauses the hold (no restart)
+            if (state.redZoneDuration >= config.RED_GUIDANCE_TRIGGER_MS && !state.guidanceActive) {
+                state.guidanceActive = true;
+                state.guidanceUntil = t + config.RED_PAUSE_HOLD_MS;
+                if (state.holding) state.holdStart += config.RED_PAUSE_HOLD_MS;
+                emit('guidance', { exercise: state.exercise });
+            }
+            const paused = t < state.guidanceUntil;
+
+            if (!paused && effectivePass) {
+                if (!state.holding) {
+                    state.holding = true;
+                    state.holdStart = t;
+                }
+                // Progress faster with higher accuracy
+                const multiplier = 0.5 + evaluation.score * 0.5;
+                state.progress = Math.min(1, ((t - state.holdStart) / state.holdMs) * multiplier);
+                if (state.progress >= 1 && evaluation.score >= config.PASS_SCORE) {
+                    succeed(t, evaluation.score);
+                    return;
+                }
+            } else if (!paused) {
+                // Minor flickers decay slowly, prolonged red faster; holding carries on
+                const rate = state.redZoneDuration < config.RED_GUIDANCE_TRIGGER_MS ? 0.5 : 1;
+                state.progress = Math.max(0, state.progress - config.SOFT_DECAY_RATE * rate);
+            }
+
+            if (!state.skipSuggested && state.redZoneDuration >= config.SKIP_RED_MS) {
+                state.skipSuggested = true;
+                emit('suggestSkip', { index: state.index, exercise: state.exercise });
+            }
+        }
+
+        // -----------------------------------------
+        // Public
+        // -----------------------------------------
+
+        const controller = {
+            state,
+            config,
+
+            subscribe(listener) {
+                listeners.push(listener);
+                return () => {
+                    const i = listeners.indexOf(listener);
+                    if (i !== -1) listeners.splice(i, 1);
+                };
+            },
+
+            start() {
+                if (!exercises.length) throw new Error('A session needs at least one exercise');
+                Object.assign(state, { completed: 0, streak: 0, bestStreak: 0 });
+                enterReady(0);
+            },
+
+            /**
+             * Advance the pauses between exercises
+             * @param {number} now - Wall-clock ms
+             */
+            tick(now) {
+                if (state.status !== 'READY' && state.status !== 'SUCCESS' && state.status !== 'REST') return;
+                if (timerStart === null) timerStart = now;
+                const elapsed = now - timerStart;
+
+                if (state.status === 'SUCCESS') {
+                    if (elapsed >= config.SUCCESS_PAUSE_MS) afterSuccess();
+                    return;
+                }
+                const total = state.status === 'READY' ? config.READY_COUNTDOWN_SECONDS : config.REST_SECONDS;
+                const remaining = Math.max(0, total - Math.floor(elapsed / 1000));
+                if (remaining > 0) {
+                    if (remaining !== state.countdown) {
+                        state.countdown = remaining;
+                        emit('countdown', { state: state.status, remaining });
+                    }
+                    return;
+                }
+                state.countdown = 0;
+                if (state.status === 'READY') beginExercise(state.index);
+                else endRest();
+            },
+
+            /**
+             * What the next frame at session time t should carry:
+             * 'fist', 'evaluation', or null when it isn't scored
+             */
+            expects(t) {
+                if (state.status === 'RESET') return 'fist';
+                if (state.status === 'EXECUTE' && t >= state.scoringFrom) return 'evaluation';
+                return null;
+            },
+
+            /**
+             * One camera frame (see INPUTS)
+             * @param {number} t - Session-clock ms
+             * @returns {Object} state
+             */
+            update(t, frame = {}) {
+                if (state.status !== 'RESET' && state.status !== 'EXECUTE') return state;
+                if (state.startedAt === null) state.startedAt = t;
+
+                if (frame.hand === false) {
+                    if (state.status === 'EXECUTE') {
+                        state.progress = Math.max(0, state.progress - config.SOFT_DECAY_RATE);
+                    }
+                    return state;
+                }
+                // The wrong hand holds everything until it's swapped
+                if (frame.wrongHand) return state;
+
+                if (state.status === 'RESET') updateReset(t, frame.fist);
+                else if (t >= state.scoringFrom) updateExecute(t, frame);
+                return state;
+            },
+
+            /**
+             * Give up on the current exercise (not in practice)
+             * @returns {boolean} Whether it was skipped
+             */
+            skip() {
+                if (practice || (state.status !== 'RESET' && state.status !== 'EXECUTE')) return false;
+                emit('skipped', { index: state.index, exercise: state.exercise, peakScore: state.peakScore });
+                state.streak = 0;
+                const next = state.index + 1;
+                if (next >= exercises.length) complete();
+                else enterReady(next);
+                return true;
+            },
+
+            /**
+             * The pain check-in was answered
+             * @param {Object} answer - { stop }: the level reached the pain ceiling
+             */
+            answerPain(answer = {}) {
+                if (state.status !== 'PAIN') return;
+                if (answer.stop) complete();
+                else enterRest();
+            },
+
+            skipRest() {
+                if (state.status === 'REST') endRest();
+            },
+
+            finish() {
+                if (state.status !== 'COMPLETE') complete();
+            }
+        };
+        return controller;
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        STATES,
+        DEFAULTS,
+        holdMsFor,
+        createSessionController
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroSession;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroSession = HandHeroSession;
+}
@@ -0,0 +1,348 @@
+/**
+ * HandHeroSource.js
+ * ============================================
+ * Where the session page gets its hand landmarks from.
+ *
+ * SOURCES:
+ * Anything with this shape can drive a session:
+ *   {
+ *     kind,
+ *     start()     -> Promise<void>   camera permission, connection, ...
+ *     read(now)   -> results | null  null: no new frame yet
+ *     stop()
+ *     ended                           true once a finite source has run out
+ *   }
+ * results are what MediaPipe's HandLandmarker.detectForVideo() returns -
+ *   { landmarks: [[21 points]], worldLandmarks: [[21 points]],
+ *     handedness: [[{ categoryName, score }]] }
+ * - so the session page reads every source the same way. No hand in view
+ * is results with empty lists. `now` is the session clock in ms.
+ *
+ * - createCameraSource():    the webcam through MediaPipe
+ * - createRecordingSource(): a HandHeroRecording file, played in real time
+ * - createSyntheticSource(): landmarks from a function of time (keyframes()
+ *                            interpolates between fixed poses)
+ * - createWebSocketSource(): another tracker sending JSON frames
+ *                            { t?, hands: [{ side, landmarks, worldLandmarks?, score? }] }
+ * Sides are the patient's ('left' | 'right'); toResults() turns them into
+ * MediaPipe's labels, which are mirrored (its "Left" is the patient's right).
+ *
+ * createSource() builds one from a stored setting or URL parameters
+ * (fromQuery): ?source=camera | synthetic | websocket (&sourceUrl=ws://...).
+ */
+
+const HandHeroSource = (function() {
+    'use strict';
+
+    const KINDS = ['camera', 'recording', 'synthetic', 'websocket'];
+
+    const CAMERA_CONSTRAINTS = { video: { width: 1280, height: 720, facingMode: 'user' } };
+
+    // MediaPipe's label for each side of the patient (it assumes a mirrored image)
+    const MEDIAPIPE_LABELS = { left: 'Right', right: 'Left' };
+
+    // =========================================
+    // RESULTS
+    // =========================================
+
+    /**
+     * MediaPipe-shaped results from patient-side hands
+     * @param {Array} hands - [{ side, landmarks, worldLandmarks?, score? }]
+     */
+    function toResults(hands = []) {
+        const valid = hands.filter(h => h && Array.isArray(h.landmarks) && h.landmarks.length);
+        const results = {
+            landmarks: valid.map(h => h.landmarks),
+            worldLandmarks: valid.map(h => h.worldLandmarks || null),
+            handedness: valid.map(h => MEDIAPIPE_LABELS[h.side]
+                ? [{ categoryName: MEDIAPIPE_LABELS[h.side], score: Number.isFinite(h.score) ? h.score : 1 }]
+                : [])
+        };
+        // A partial set of world landmarks is no set
+        if (results.worldLandmarks.some(w => !w)) results.worldLandmarks = [];
+        return results;
+    }
+
+    // =========================================
+    // CAMERA
+    // =========================================
+
+    /**
+     * The webcam through a MediaPipe HandLandmarker (VIDEO running mode)
+     * @param {Object} options - { video, landmarker, getUserMedia, constraints }
+     *   where getUserMedia defaults to navigator.mediaDevices'
+     */
+    function createCameraSource(options = {}) {
+        const { video, landmarker, constraints = CAMERA_CONSTRAINTS } = options;
+        if (!video || !landmarker) throw new Error('A camera source needs a video element and a landmarker');
+        const getUserMedia = options.getUserMedia || (c => navigator.mediaDevices.getUserMedia(c));
+
+        const source = {
+            kind: 'camera',
+            stream: null,
+            ended: false,
+            async start() {
+                source.stream = await getUserMedia(constraints);
+                video.srcObject = source.stream;
+                if (video.readyState < 2) {
+                    await new Promise(resolve => { video.onloadeddata = resolve; });
+                }
+            },
+            read() {
+                if (!source.stream || source.ended) return null;
+                // MediaPipe wants its own monotonic timestamps
+                return landmarker.detectForVideo(video, performance.now());
+            },
+            stop() {
+                if (source.stream) source.stream.getTracks().forEach(track => track.stop());
+                source.ended = true;
+            }
+        };
+        return source;
+    }
+
+    // =========================================
+    // RECORDING
+    // =========================================
+
+    /**
+     * Play a recording's raw landmarks as if they came from the camera
+     * @param {Object} recording - Parsed HandHeroRecording data
+     * @param {Object} options - { decodeFrame: HandHeroRecording.decodeFrame, loop }
+     */
+    function createRecordingSource(recording, options = {}) {
+        const { decodeFrame, loop = false } = options;
+        if (typeof decodeFrame !== 'function') throw new Error('A recording source needs HandHeroRecording.decodeFrame');
+
+        // Every frame on the recording's clock, in order
+        const frames = (recording.segments || [])
+            .flatMap(segment => segment.frames.map(frame => decodeFrame(segment, frame)))
+            .sort((a, b) => a.t - b.t);
+        let index = 0;
+        let origin = null;  // now - t of the first frame
+
+        const source = {
+            kind: 'recording',
+            ended: !frames.length,
+            async start() {
+                index = 0;
+                origin = null;
+                source.ended = !frames.length;
+            },
+            read(now) {
+                if (source.ended) return null;
+                if (origin === null) origin = now - frames[0].t;
+                const frame = frames[index];
+                if (frame.t + origin > now) return null;
+
+                index++;
+                if (index >= frames.length) {
+                    if (loop) {
+                        index = 0;
+                        origin = null;
+                    } else {
+                        source.ended = true;
+                    }
+                }
+                return toResults(frame.hands.map(h => ({ side: h.side, landmarks: h.raw, worldLandmarks: h.world })));
+            },
+            stop() {
+                source.ended = true;
+            }
+        };
+        return source;
+    }
+
+    // =========================================
+    // SYNTHETIC
+    // =========================================
+
+    /**
+     * Landmarks computed from the time since start
+     * @param {Object} options - { pose(tMs) -> landmarks | [{ side, landmarks }] | null,
+     *   side (for a bare landmark array, default 'right'), durationMs }
+     */
+    function createSyntheticSource(options = {}) {
+        const { pose, side = 'right', durationMs = Infinity } = options;
+        if (typeof pose !== 'function') throw new Error('A synthetic source needs a pose function');
+        let origin = null;
+
+        const source = {
+            kind: 'synthetic',
+            ended: false,
+            async start() {
+                origin = null;
+                source.ended = false;
+            },
+            read(now) {
+                if (source.ended) return null;
+                if (origin === null) origin = now;
+                const t = now - origin;
+                if (t > durationMs) {
+                    source.ended = true;
+                    return null;
+                }
+                const out = pose(t);
+                if (!out) return toResults([]);
+                const hands = Array.isArray(out) && out.length && out[0] && out[0].landmarks
+                    ? out
+                    : [{ side, landmarks: out }];
+                return toResults(hands);
+            },
+            stop() {
+                source.ended = true;
+            }
+        };
+        return source;
+    }
+
+    /**
+     * A pose function moving linearly between fixed poses
+     * @param {Array} frames - [{ at: ms, landmarks }], in time order
+     * @returns {Function} tMs -> landmarks (held at either end)
+     */
+    function keyframes(frames) {
+        if (!frames.length) throw new Error('keyframes() needs at least one pose');
+        return t => {
+            if (t <= frames[0].at) return frames[0].landmarks;
+            const next = frames.findIndex(f => f.at > t);
+            if (next === -1) return frames[frames.length - 1].landmarks;
+            const a = frames[next - 1], b = frames[next];
+            const k = (t - a.at) / (b.at - a.at);
+            return a.landmarks.map((p, i) => {
+                const q = b.landmarks[i];
+                return { x: p.x + (q.x - p.x) * k, y: p.y + (q.y - p.y) * k, z: (p.z || 0) + ((q.z || 0) - (p.z || 0)) * k };
+            });
+        };
+    }
+
+    // =========================================
+    // WEBSOCKET
+    // =========================================
+
+    /**
+     * Frames pushed by another tracker over a WebSocket. Only the newest
+     * frame counts: one that arrives while the page is busy replaces the
+     * one before it.
+     * @param {Object} options - { url, WebSocket (defaults to the global) }
+     */
+    function createWebSocketSource(options = {}) {
+        const { url } = options;
+        const Socket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        if (!url) throw new Error('A WebSocket source needs a url');
+        if (!Socket) throw new Error('WebSocket is not available here');
+
+        let socket = null;
+        let latest = null;
+
+        const source = {
+            kind: 'websocket',
+            ended: false,
+            dropped: 0,     // Frames replaced before they were read
+            errors: 0,      // Messages that were not frames
+            start() {
+                return new Promise((resolve, reject) => {
+                    socket = new Socket(url);
+                    let open = false;
+                    socket.onopen = () => {
+                        open = true;
+                        resolve();
+                    };
+                    socket.onerror = () => {
+                        if (!open) reject(new Error(`Could not connect to ${url}`));
+                    };
+                    socket.onclose = () => {
+                        source.ended = true;
+                        if (!open) reject(new Error(`Could not connect to ${url}`));
+                    };
+                    socket.onmessage = event => {
+                        let frame;
+                        try {
+                            frame = JSON.parse(typeof event.data === 'string' ? event.data : String(event.data));
+                        } catch (e) {
+                            frame = null;
+                        }
+                        if (!frame || !Array.isArray(frame.hands)) {
+                            source.errors++;
+                            return;
+                        }
+                        if (latest) source.dropped++;
+                        latest = frame;
+                    };
+                });
+            },
+            read() {
+                if (!latest) return null;
+                const frame = latest;
+                latest = null;
+                return toResults(frame.hands);
+            },
+            stop() {
+                source.ended = true;
+                if (socket) socket.close();
+            }
+        };
+        return source;
+    }
+
+    // =========================================
+    // CONFIGURATION
+    // =========================================
+
+    /**
+     * A source setting from URL parameters, or null when none is given
+     * @param {string} search - location.search
+     */
+    function fromQuery(search) {
+        const params = new URLSearchParams(search || '');
+        const type = params.get('source');
+        if (!type) return null;
+        return { type, url: params.get('sourceUrl') || null };
+    }
+
+    /**
+     * Build the configured source
+     * @param {Object} config - { type, url } (camera when missing)
+     * @param {Object} deps - What the kind needs: video + landmarker (camera),
+     *   recording + decodeFrame (recording), pose (synthetic), WebSocket
+     */
+    function createSource(config, deps = {}) {
+        const type = (config && config.type) || 'camera';
+        switch (type) {
+            case 'camera':
+                return createCameraSource(deps);
+            case 'recording':
+                return createRecordingSource(deps.recording, deps);
+            case 'synthetic':
+                return createSyntheticSource(deps);
+            case 'websocket':
+                return createWebSocketSource({ ...deps, url: config.url });
+            default:
+                throw new Error(`Unknown landmark source "${type}" (expected ${KINDS.join(', ')})`);
+        }
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        KINDS,
+        toResults,
+        createCameraSource,
+        createRecordingSource,
+        createSyntheticSource,
+        keyframes,
+        createWebSocketSource,
+        fromQuery,
+        createSource
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroSource;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroSource = HandHeroSource;
+}
@@ -0,0 +1,621 @@
+/**
+ * HandHeroStore.js
+ * ============================================
+ * IndexedDB storage shared by the dashboard and the session page.
+ *
+ * OBJECT STORES (schema version 2):
+ * - users:      one record per patient profile, keyed by id
+ * - credentials: password / PIN hashes per profile (HandHeroAuth), kept
+ *               apart so profiles can be listed and handed to the session
+ *               page without them
+ * - sessions:   finished sessions and practice runs
+ *               { id, userId, kind: 'session' | 'practice', date, ... }
+ * - attempts:   one row per exercise attempt in a session (the session's
+ *               exercises log), indexed by session, user and exercise
+ * - recordings: saved landmark recordings (HandHeroRecording text)
+ * - meta:       small key/value records - the current user, per-user
+ *               stats totals, settings such as syncUrl
+ * - inbox:      results the session page hands to the dashboard. Every
+ *               result is its own record, so two tabs can't overwrite
+ *               each other's the way a single localStorage key could.
+ *               Results carry the userId they belong to and are only
+ *               taken by that profile.
+ *
+ * VERSIONING:
+ * SCHEMA_VERSION is the IndexedDB version. MIGRATIONS[v] upgrades a
+ * database from v - 1 to v; opening an older database runs every step in
+ * between inside the upgrade transaction. To change the schema, add the
+ * next step - never edit a released one.
+ *
+ * LOCALSTORAGE IMPORT:
+ * On first open, data the app kept in localStorage ('handhero_*' keys:
+ * currentUser, users, stats_<id>, pending results, settings) is copied
+ * into the object stores in one transaction and the imported keys are
+ * removed. Plaintext passwords from the old 'users' table are dropped,
+ * not imported. The custom exercise library and the sync outbox stay in
+ * localStorage - both are small and read synchronously.
+ */
+
+const HandHeroStore = (function() {
+    'use strict';
+
+    // =========================================
+    // SCHEMA
+    // =========================================
+
+    const DB_NAME = 'handhero';
+
+    const STORES = {
+        USERS: 'users',
+        CREDENTIALS: 'credentials',
+        SESSIONS: 'sessions',
+        ATTEMPTS: 'attempts',
+        RECORDINGS: 'recordings',
+        META: 'meta',
+        INBOX: 'inbox'
+    };
+
+    const MIGRATIONS = {
+        1(db) {
+            db.createObjectStore(STORES.USERS, { keyPath: 'id' });
+
+            const sessions = db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+            sessions.createIndex('userId', 'userId');
+            sessions.createIndex('date', 'date');
+
+            const attempts = db.createObjectStore(STORES.ATTEMPTS, { keyPath: 'id', autoIncrement: true });
+            attempts.createIndex('sessionId', 'sessionId');
+            attempts.createIndex('userId', 'userId');
+            attempts.createIndex('exerciseId', 'exerciseId');
+
+            const recordings = db.createObjectStore(STORES.RECORDINGS, { keyPath: 'id' });
+            recordings.createIndex('userId', 'userId');
+
+            db.createObjectStore(STORES.META, { keyPath: 'key' });
+            db.createObjectStore(STORES.INBOX, { keyPath: 'id', autoIncrement: true });
+        },
+
+        // Local accounts: hashed credentials, email lookup, and the old
+        // plaintext login table (imported into meta by version 1) removed
+        2(db, tx) {
+            db.createObjectStore(STORES.CREDENTIALS, { keyPath: 'userId' });
+            tx.objectStore(STORES.USERS).createIndex('email', 'email');
+            tx.objectStore(STORES.META).delete('users');
+        }
+    };
+
+    const SCHEMA_VERSION = Math.max(...Object.keys(MIGRATIONS).map(Number));
+
+    /**
+     * Run the migration steps between two schema versions
+     * @param {IDBDatabase} db
+     * @param {IDBTransaction} tx - The versionchange transaction
+     */
+    function upgrade(db, tx, oldVersion, newVersion) {
+        for (let v = oldVersion + 1; v <= newVersion; v++) {
+            MIGRATIONS[v](db, tx);
+        }
+    }
+
+    // =========================================
+    // RECORDS
+    // =========================================
+
+    // Stats fields kept in meta; sessions and practice live in their own store
+    const STATS_LISTS = { sessions: 'session', practice: 'practice' };
+
+    function makeId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * A session or practice run as stored (adds id, userId and kind)
+     */
+    function toSessionRecord(userId, kind, session) {
+        return { ...session, id: session.id || makeId(), userId, kind };
+    }
+
+    /**
+     * One attempts row per exercise log entry of a stored session
+     */
+    function toAttempts(record) {
+        // The log entry's id is the exercise id; the row's own key is generated
+        return (record.exercises || []).map(({ id, ...entry }, index) => ({
+            ...entry,
+            sessionId: record.id,
+            userId: record.userId,
+            exerciseId: id,
+            index,
+            date: record.date
+        }));
+    }
+
+    /**
+     * Split a dashboard stats object into its meta totals and session records
+     */
+    function splitStats(userId, stats) {
+        const totals = { ...stats };
+        const sessions = [];
+        for (const [field, kind] of Object.entries(STATS_LISTS)) {
+            delete totals[field];
+            for (const session of stats[field] || []) sessions.push(toSessionRecord(userId, kind, session));
+        }
+        return { totals, sessions };
+    }
+
+    /**
+     * Put stored sessions back into the dashboard's stats shape (oldest first)
+     */
+    function joinStats(totals, sessions) {
+        const stats = { ...totals };
+        for (const [field, kind] of Object.entries(STATS_LISTS)) {
+            stats[field] = sessions
+                .filter(s => s.kind === kind)
+                .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        }
+        return stats;
+    }
+
+    // =========================================
+    // LOCALSTORAGE IMPORT
+    // =========================================
+
+    const LEGACY_PREFIX = 'handhero_';
+
+    // Still read from localStorage by the pages themselves
+    const LEGACY_KEEP = ['customExercises', 'outbox'];
+
+    // Single-slot handovers from the session page -> inbox kinds
+    const LEGACY_RESULTS = {
+        lastSessionResult: 'session',
+        lastPracticeResult: 'practice',
+        lastCalibration: 'calibration'
+    };
+
+    /**
+     * Work out what to import from localStorage, without touching either side
+     * @param {Storage} storage - localStorage or anything with length/key()/getItem()
+     * @returns {Object} { users, sessions, attempts, meta, inbox, keys } -
+     *   records per store plus the localStorage keys they came from
+     */
+    function planLegacyImport(storage) {
+        const plan = { users: [], sessions: [], attempts: [], meta: [], inbox: [], keys: [] };
+        const users = {};
+
+        for (let i = 0; i < storage.length; i++) {
+            const fullKey = storage.key(i);
+            if (!fullKey || !fullKey.startsWith(LEGACY_PREFIX)) continue;
+            const key = fullKey.slice(LEGACY_PREFIX.length);
+            if (LEGACY_KEEP.includes(key)) continue;
+
+            let value;
+            try {
+                value = JSON.parse(storage.getItem(fullKey));
+            } catch (e) {
+                console.warn(`Skipped unreadable localStorage entry ${fullKey}`);
+                continue;
+            }
+            plan.keys.push(fullKey);
+            if (value === null || value === undefined) continue;
+
+            if (key === 'currentUser') {
+                users[value.id] = { ...users[value.id], ...value };
+                plan.meta.push({ key: 'currentUserId', value: value.id });
+            } else if (key === 'users') {
+                // Old email-keyed login table; profiles only, never the plaintext password
+                for (const { password, ...user } of Object.values(value)) {
+                    if (user.id) users[user.id] = { ...user, ...users[user.id] };
+                }
+            } else if (key.startsWith('stats_')) {
+                const userId = key.slice('stats_'.length);
+                const { totals, sessions } = splitStats(userId, value);
+                plan.meta.push({ key, value: totals });
+                plan.sessions.push(...sessions);
+                sessions.forEach(s => plan.attempts.push(...toAttempts(s)));
+            } else if (LEGACY_RESULTS[key]) {
+                plan.inbox.push({ kind: LEGACY_RESULTS[key], payload: value, postedAt: new Date().toISOString() });
+            } else {
+                // activeUserId, syncUrl, theme, ...
+                plan.meta.push({ key, value });
+            }
+        }
+
+        plan.users = Object.values(users).filter(u => u.id).map(({ password, ...user }) => user);
+        return plan;
+    }
+
+    // =========================================
+    // DATABASE
+    // =========================================
+
+    /**
+     * Promise for an IDBRequest
+     */
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /**
+     * Wrap one IDBTransaction with promise-returning store operations
+     */
+    function wrapTransaction(tx) {
+        const store = name => tx.objectStore(name);
+        return {
+            get: (name, key) => request(store(name).get(key)),
+            getAll: (name, index, value) => request(
+                index ? store(name).index(index).getAll(value) : store(name).getAll()
+            ),
+            put: (name, value) => request(store(name).put(value)),
+            add: (name, value) => request(store(name).add(value)),
+            delete: (name, key) => request(store(name).delete(key)),
+            clear: name => request(store(name).clear()),
+            /**
+             * Delete every record whose index matches value
+             */
+            deleteWhere: (name, index, value) => request(store(name).index(index).getAllKeys(value))
+                .then(keys => Promise.all(keys.map(key => request(store(name).delete(key)))))
+        };
+    }
+
+    /**
+     * Storage API over an open IDBDatabase
+     */
+    function createDatabase(db) {
+        /**
+         * Run fn(tx) in one transaction; resolves with fn's result once the
+         * transaction commits and rejects (nothing written) if any step fails
+         * @param {string[]} names - Object stores the transaction covers
+         * @param {'readonly'|'readwrite'} mode
+         * @param {Function} fn - Receives the wrapped transaction
+         */
+        function transaction(names, mode, fn) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(names, mode);
+                let result;
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+                Promise.resolve()
+                    .then(() => fn(wrapTransaction(tx)))
+                    .then(value => { result = value; }, error => {
+                        try { tx.abort(); } catch (e) { /* already finished */ }
+                        reject(error);
+                    });
+            });
+        }
+
+        const read = (names, fn) => transaction(names, 'readonly', fn);
+        const write = (names, fn) => transaction(names, 'readwrite', fn);
+
+        // ---- meta ----
+
+        async function getValue(key, defaultVal = null) {
+            const record = await read([STORES.META], tx => tx.get(STORES.META, key));
+            return record ? record.value : defaultVal;
+        }
+
+        function setValue(key, value) {
+            return write([STORES.META], tx => tx.put(STORES.META, { key, value }));
+        }
+
+        function removeValue(key) {
+            return write([STORES.META], tx => tx.delete(STORES.META, key));
+        }
+
+        function getAllValues() {
+            return read([STORES.META], tx => tx.getAll(STORES.META))
+                .then(records => Object.fromEntries(records.map(r => [r.key, r.value])));
+        }
+
+        // ---- users ----
+
+        function getUsers() {
+            return read([STORES.USERS], tx => tx.getAll(STORES.USERS));
+        }
+
+        /**
+         * The profile the dashboard last signed in (null if none)
+         */
+        function getCurrentUser() {
+            return read([STORES.META, STORES.USERS], async tx => {
+                const pointer = await tx.get(STORES.META, 'currentUserId');
+                return pointer ? (await tx.get(STORES.USERS, pointer.value)) || null : null;
+            });
+        }
+
+        /**
+         * Save a profile and make it the current user
+         */
+        function setCurrentUser(user) {
+            return write([STORES.META, STORES.USERS], tx => Promise.all([
+                tx.put(STORES.USERS, user),
+                tx.put(STORES.META, { key: 'currentUserId', value: user.id })
+            ]));
+        }
+
+        /**
+         * Sign out: no current user until the next sign-in
+         */
+        function clearCurrentUser() {
+            return removeValue('currentUserId');
+        }
+
+        /**
+         * Create or update a profile, with its credentials when given
+         */
+        function putUser(user, credentials = null) {
+            return write([STORES.USERS, STORES.CREDENTIALS], tx => Promise.all([
+                tx.put(STORES.USERS, user),
+                credentials && tx.put(STORES.CREDENTIALS, { ...credentials, userId: user.id })
+            ]));
+        }
+
+        /**
+         * Remove a profile with its credentials and everything recorded for it
+         */
+        function deleteUser(userId) {
+            return write(Object.values(STORES), async tx => {
+                const pointer = await tx.get(STORES.META, 'currentUserId');
+                await Promise.all([
+                    tx.delete(STORES.USERS, userId),
+                    tx.delete(STORES.CREDENTIALS, userId),
+                    tx.delete(STORES.META, 'stats_' + userId),
+                    tx.deleteWhere(STORES.SESSIONS, 'userId', userId),
+                    tx.deleteWhere(STORES.ATTEMPTS, 'userId', userId),
+                    tx.deleteWhere(STORES.RECORDINGS, 'userId', userId),
+                    pointer && pointer.value === userId && tx.delete(STORES.META, 'currentUserId')
+                ]);
+                const inbox = await tx.getAll(STORES.INBOX);
+                await Promise.all(inbox.filter(r => r.userId === userId).map(r => tx.delete(STORES.INBOX, r.id)));
+            });
+        }
+
+        function getCredentials(userId) {
+            return read([STORES.CREDENTIALS], tx => tx.get(STORES.CREDENTIALS, userId)).then(c => c || null);
+        }
+
+        function setCredentials(credentials) {
+            return write([STORES.CREDENTIALS], tx => tx.put(STORES.CREDENTIALS, credentials));
+        }
+
+        // ---- sessions and attempts ----
+
+        /**
+         * A patient's stored sessions, oldest first
+         * @param {string} userId
+         * @param {string} [kind] - 'session' | 'practice'; both when omitted
+         */
+        async function getSessions(userId, kind) {
+            const sessions = await read([STORES.SESSIONS], tx => tx.getAll(STORES.SESSIONS, 'userId', userId));
+            return sessions
+                .filter(s => !kind || s.kind === kind)
+                .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        }
+
+        function getAttempts(exerciseId) {
+            return read([STORES.ATTEMPTS], tx => tx.getAll(STORES.ATTEMPTS, 'exerciseId', exerciseId));
+        }
+
+        /**
+         * Store one session or practice run with its attempt rows
+         * @returns {Promise<Object>} The stored record
+         */
+        function addSession(userId, kind, session) {
+            const record = toSessionRecord(userId, kind, session);
+            return write([STORES.SESSIONS, STORES.ATTEMPTS], async tx => {
+                await tx.deleteWhere(STORES.ATTEMPTS, 'sessionId', record.id);
+                await tx.put(STORES.SESSIONS, record);
+                await Promise.all(toAttempts(record).map(a => tx.add(STORES.ATTEMPTS, a)));
+                return record;
+            });
+        }
+
+        /**
+         * The dashboard's stats object for a patient: totals from meta plus
+         * their sessions and practice runs (null if nothing is stored)
+         */
+        function getStats(userId) {
+            return read([STORES.META, STORES.SESSIONS], async tx => {
+                const totals = await tx.get(STORES.META, 'stats_' + userId);
+                if (!totals) return null;
+                return joinStats(totals.value, await tx.getAll(STORES.SESSIONS, 'userId', userId));
+            });
+        }
+
+        /**
+         * Replace a patient's stats - totals, sessions and attempts - in one transaction
+         */
+        function saveStats(userId, stats) {
+            const { totals, sessions } = splitStats(userId, stats);
+            return write([STORES.META, STORES.SESSIONS, STORES.ATTEMPTS], async tx => {
+                await tx.deleteWhere(STORES.SESSIONS, 'userId', userId);
+                await tx.deleteWhere(STORES.ATTEMPTS, 'userId', userId);
+                await tx.put(STORES.META, { key: 'stats_' + userId, value: totals });
+                for (const record of sessions) {
+                    await tx.put(STORES.SESSIONS, record);
+                    await Promise.all(toAttempts(record).map(a => tx.add(STORES.ATTEMPTS, a)));
+                }
+            });
+        }
+
+        /**
+         * Drop a patient's stats, sessions, attempts and recordings
+         */
+        function clearUserData(userId) {
+            return write([STORES.META, STORES.SESSIONS, STORES.ATTEMPTS, STORES.RECORDINGS], tx => Promise.all([
+                tx.delete(STORES.META, 'stats_' + userId),
+                tx.deleteWhere(STORES.SESSIONS, 'userId', userId),
+                tx.deleteWhere(STORES.ATTEMPTS, 'userId', userId),
+                tx.deleteWhere(STORES.RECORDINGS, 'userId', userId)
+            ]));
+        }
+
+        // ---- recordings ----
+
+        /**
+         * @param {Object} recording - { userId, recordedAt, text } (text from HandHeroRecording.serialize)
+         */
+        function saveRecording(recording) {
+            const record = { ...recording, id: recording.id || makeId() };
+            return write([STORES.RECORDINGS], tx => tx.put(STORES.RECORDINGS, record)).then(() => record);
+        }
+
+        function getRecordings(userId) {
+            return read([STORES.RECORDINGS], tx => tx.getAll(STORES.RECORDINGS, 'userId', userId));
+        }
+
+        // ---- inbox ----
+
+        /**
+         * Hand a result to the dashboard (session page side)
+         * @param {string} kind - 'session' | 'practice' | 'calibration'
+         * @param {string} userId - The profile the result belongs to
+         */
+        function postResult(kind, payload, userId = null) {
+            return write([STORES.INBOX], tx => tx.add(STORES.INBOX, {
+                kind, payload, userId, postedAt: new Date().toISOString()
+            }));
+        }
+
+        /**
+         * Take a profile's waiting results, oldest first, removing them from
+         * the inbox. Results without a userId (from before profiles) go to
+         * whoever takes first.
+         * @returns {Promise<Object[]>} [{ kind, payload, userId, postedAt }, ...]
+         */
+        function takeResults(userId) {
+            return write([STORES.INBOX], async tx => {
+                const results = (await tx.getAll(STORES.INBOX)).filter(r => !r.userId || r.userId === userId);
+                await Promise.all(results.map(r => tx.delete(STORES.INBOX, r.id)));
+                return results;
+            });
+        }
+
+        // ---- import ----
+
+        /**
+         * Copy legacy localStorage data in (once), then remove the copied keys
+         * @returns {Promise<number>} Number of keys imported
+         */
+        async function importLegacy(storage) {
+            if (!storage || await getValue('legacyImportedAt')) return 0;
+            const plan = planLegacyImport(storage);
+
+            await write(Object.values(STORES), async tx => {
+                for (const user of plan.users) await tx.put(STORES.USERS, user);
+                for (const record of plan.meta) await tx.put(STORES.META, record);
+                for (const record of plan.sessions) await tx.put(STORES.SESSIONS, record);
+                for (const attempt of plan.attempts) await tx.add(STORES.ATTEMPTS, attempt);
+                for (const result of plan.inbox) await tx.add(STORES.INBOX, result);
+                await tx.put(STORES.META, { key: 'legacyImportedAt', value: new Date().toISOString() });
+            });
+
+            // Only once the copy has committed
+            plan.keys.forEach(key => storage.removeItem(key));
+            return plan.keys.length;
+        }
+
+        return {
+            version: db.version,
+            transaction,
+            getValue,
+            setValue,
+            removeValue,
+            getAllValues,
+            getUsers,
+            getCurrentUser,
+            setCurrentUser,
+            clearCurrentUser,
+            putUser,
+            deleteUser,
+            getCredentials,
+            setCredentials,
+            getSessions,
+            getAttempts,
+            addSession,
+            getStats,
+            saveStats,
+            clearUserData,
+            saveRecording,
+            getRecordings,
+            postResult,
+            takeResults,
+            importLegacy,
+            close: () => db.close()
+        };
+    }
+
+    const opened = {};
+
+    /**
+     * Open (creating or upgrading as needed) the HandHero database and
+     * import any legacy localStorage data. Repeat calls share one connection.
+     * @param {Object} options - { name, indexedDB, storage } (default to the browser's)
+     * @returns {Promise<Object>} Storage API
+     */
+    function open(options = {}) {
+        const name = options.name || DB_NAME;
+        if (opened[name]) return opened[name];
+
+        const idb = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        const storage = 'storage' in options ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!idb) return Promise.reject(new Error('IndexedDB is not available'));
+
+        opened[name] = new Promise((resolve, reject) => {
+            const req = idb.open(name, SCHEMA_VERSION);
+            req.onupgradeneeded = event => upgrade(req.result, req.transaction, event.oldVersion, event.newVersion);
+            req.onsuccess = () => {
+                const db = req.result;
+                // Another tab is upgrading the schema; let it
+                db.onversionchange = () => {
+                    db.close();
+                    delete opened[name];
+                };
+                resolve(createDatabase(db));
+            };
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => console.warn('HandHero database upgrade is waiting for other tabs to close');
+        }).then(async database => {
+            try {
+                await database.importLegacy(storage);
+            } catch (e) {
+                console.error('localStorage import failed; will retry next time', e);
+            }
+            return database;
+        }).catch(error => {
+            delete opened[name];
+            throw error;
+        });
+        return opened[name];
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        DB_NAME,
+        SCHEMA_VERSION,
+        STORES,
+        MIGRATIONS,
+        open,
+
+        // Pure helpers (used by the fallbacks and tests)
+        planLegacyImport,
+        splitStats,
+        joinStats,
+        toAttempts
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroStore;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroStore = HandHeroStore;
+}
@@ -0,0 +1,203 @@
+/**
+ * HandHeroSync.js
+ * ============================================
+ * Sync between this device and a HandHero server, behind an adapter.
+ *
+ * ADAPTERS:
+ * Anything with this shape can be a backend:
+ *   {
+ *     name,
+ *     check()                 -> Promise<{ ok, server? }>   reachable + authorized?
+ *     push(entry)             -> Promise<void>              one outbox entry; throws on failure
+ *     pull({ userId, since }) -> Promise<{ changes, cursor }>
+ *   }
+ * A change is { kind, userId, payload, updatedAt }. createHttpAdapter()
+ * talks to server/sync-server.js (or anything serving the same routes) and
+ * also carries the clinician portal's calls (patients, plans, entries);
+ * createMemoryAdapter() keeps everything in memory for tests and demos.
+ *
+ * PUSH goes through the HandHeroOffline outbox, so results recorded
+ * offline are sent in order once the server is reachable again.
+ *
+ * PULL brings down what was changed elsewhere - today the exercise plan
+ * a clinician set ('plan') and profile settings ('profile'). When this
+ * device changed the same record, the conflict is settled by a strategy:
+ * - 'last-writer': the copy with the later updatedAt wins outright
+ * - 'merge':       field by field - the later copy wins each field both
+ *                  changed, lists of records are joined by id
+ */
+
+const HandHeroSync = (function() {
+    'use strict';
+
+    // =========================================
+    // CONFLICT RESOLUTION
+    // =========================================
+
+    const STRATEGIES = ['last-writer', 'merge'];
+
+    function time(record) {
+        const t = record && Date.parse(record.updatedAt);
+        return Number.isFinite(t) ? t : 0;
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isRecordList(value) {
+        return Array.isArray(value) && value.length > 0 && value.every(v => isPlainObject(v) && v.id !== undefined);
+    }
+
+    /**
+     * Merge two copies, newer winning wherever they disagree
+     */
+    function mergeValues(older, newer) {
+        if (isPlainObject(older) && isPlainObject(newer)) {
+            const merged = { ...older };
+            for (const [key, value] of Object.entries(newer)) {
+                merged[key] = key in older ? mergeValues(older[key], value) : value;
+            }
+            return merged;
+        }
+        if (isRecordList(older) && isRecordList(newer)) {
+            const byId = new Map(older.map(r => [r.id, r]));
+            for (const record of newer) {
+                byId.set(record.id, byId.has(record.id) ? mergeValues(byId.get(record.id), record) : record);
+            }
+            return [...byId.values()];
+        }
+        return newer === undefined ? older : newer;
+    }
+
+    /**
+     * Settle a record changed both here and on the server
+     * @param {Object} local - This device's copy (with updatedAt)
+     * @param {Object} remote - The server's copy (with updatedAt)
+     * @param {string} strategy - 'last-writer' | 'merge'
+     * @returns {Object} The copy to keep
+     */
+    function resolveConflict(local, remote, strategy = 'last-writer') {
+        if (!local) return remote;
+        if (!remote) return local;
+        // Ties go to the server, so every device settles on the same copy
+        const remoteNewer = time(remote) >= time(local);
+
+        if (strategy === 'merge') {
+            return remoteNewer ? mergeValues(local, remote) : mergeValues(remote, local);
+        }
+        if (strategy !== 'last-writer') throw new Error(`Unknown conflict strategy "${strategy}"`);
+        return remoteNewer ? remote : local;
+    }
+
+    /**
+     * Pull and resolve a profile's changes
+     * @param {Object} adapter
+     * @param {Object} options - { userId, since, strategy, getLocal(kind, userId) -> local copy | null }
+     * @returns {Promise<Object>} { updates: [{ kind, userId, value, changed }], cursor }
+     *   (changed: whether value differs from the local copy)
+     */
+    async function pullChanges(adapter, options) {
+        const { userId, since = null, strategy = 'last-writer', getLocal = () => null } = options;
+        const { changes = [], cursor = since } = await adapter.pull({ userId, since });
+
+        const updates = changes.map(change => {
+            const local = getLocal(change.kind, change.userId);
+            const remote = { ...change.payload, updatedAt: change.updatedAt };
+            const value = resolveConflict(local, remote, strategy);
+            return { kind: change.kind, userId: change.userId, value, changed: JSON.stringify(value) !== JSON.stringify(local) };
+        });
+        return { updates, cursor };
+    }
+
+    // =========================================
+    // ADAPTERS
+    // =========================================
+
+    /**
+     * Adapter for the reference REST server (server/sync-server.js)
+     * @param {Object} options - { url, token, fetch }
+     */
+    function createHttpAdapter(options = {}) {
+        const base = String(options.url || '').replace(/\/+$/, '');
+        const doFetch = options.fetch || ((...args) => fetch(...args));
+        if (!base) throw new Error('A server URL is needed');
+
+        async function call(path, init = {}) {
+            const headers = { 'Content-Type': 'application/json', ...init.headers };
+            if (options.token) headers.Authorization = `Bearer ${options.token}`;
+            const response = await doFetch(base + path, { ...init, headers });
+            if (!response.ok) {
+                const error = new Error(`Sync server answered ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response.status === 204 ? null : response.json();
+        }
+
+        return {
+            name: 'http',
+            url: base,
+            async check() {
+                const health = await call('/health');
+                // /health is open; make sure the token works too
+                await call('/patients');
+                return { ok: true, server: health };
+            },
+            push: entry => call('/sync/push', { method: 'POST', body: JSON.stringify({ entries: [entry] }) }).then(() => {}),
+            pull: ({ userId, since }) => call(
+                `/sync/pull?userId=${encodeURIComponent(userId || '')}&since=${encodeURIComponent(since || '')}`
+            ),
+
+            // Clinician portal
+            listPatients: () => call('/patients').then(body => body.patients),
+            getPlan: userId => call(`/plans/${encodeURIComponent(userId)}`),
+            putPlan: (userId, plan) => call(`/plans/${encodeURIComponent(userId)}`, { method: 'PUT', body: JSON.stringify(plan) }),
+            getEntries: (userId, kind) => call(
+                `/users/${encodeURIComponent(userId)}/entries${kind ? `?kind=${encodeURIComponent(kind)}` : ''}`
+            ).then(body => body.entries)
+        };
+    }
+
+    /**
+     * In-memory adapter: pushed entries are kept, changes are added with addChange()
+     */
+    function createMemoryAdapter() {
+        const entries = [];
+        const changes = [];
+        return {
+            name: 'memory',
+            entries,
+            check: async () => ({ ok: true }),
+            push: async entry => { entries.push(entry); },
+            pull: async ({ userId, since }) => {
+                const after = Number(since) || 0;
+                const mine = changes.filter((c, i) => i + 1 > after && (!userId || c.userId === userId));
+                return { changes: mine, cursor: String(changes.length) };
+            },
+            addChange(change) {
+                changes.push({ updatedAt: new Date().toISOString(), ...change });
+            }
+        };
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        STRATEGIES,
+        resolveConflict,
+        pullChanges,
+        createHttpAdapter,
+        createMemoryAdapter
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroSync;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroSync = HandHeroSync;
+}
@@ -0,0 +1,338 @@
+/**
+ * HandHeroTremor.js
+ * ============================================
+ * Tremor quantification from the landmark stream recorded during a hold.
+ *
+ * A held pose should be still; what moves is tremor (plus tracker
+ * jitter). analyze() takes the frames of one hold and reports:
+ *   frequency   - Dominant tremor frequency (Hz)
+ *   amplitude   - Its amplitude as a fraction of the hand length
+ *                 (InvisibleBoundaryEngine.getHandFrame().handLength):
+ *                 the sinusoid's half peak-to-peak swing
+ *   detected    - amplitude reaches minAmplitude (below it is jitter)
+ *   fingers     - { thumb, index, middle, ring, pinky }: each fingertip's
+ *                 own { frequency, amplitude }
+ *   palm        - The same for the palm centroid (whole-hand tremor)
+ *   durationMs, sampleRate (Hz), samples
+ * or null when the hold is too short to say.
+ *
+ * METHOD:
+ * Each tracked point (palm centroid, five fingertips) is a 2D track in
+ * image coordinates; MediaPipe's z is too noisy to use. The longest run
+ * without a gap over maxGapMs is resampled to an even rate, scaled by the
+ * median hand length, detrended (a least-squares line takes out slow
+ * drift) and Hann windowed. A DFT evaluated every frequencyStep Hz over
+ * minFrequency-maxFrequency (the tremor band, below Nyquist) gives each
+ * axis' amplitude; x and y combine as sqrt(ax^2 + ay^2), so an
+ * oscillation of amplitude A reads A in any direction. A point's peak is
+ * its frequency and amplitude; the hand's spectrum is the mean power over
+ * all points, its peak the dominant frequency and the RMS amplitude there
+ * the hand's amplitude.
+ *
+ * Feed it raw landmarks: the scoring filter (HandHeroFilter) smooths
+ * exactly the motion being measured. createTremorRecorder() collects
+ * frames during a hold and analyzes them at the end.
+ */
+
+const HandHeroTremor = (function() {
+    'use strict';
+
+    // =========================================
+    // CONSTANTS
+    // =========================================
+
+    const DEFAULTS = {
+        minFrequency: 3,        // Hz; slower is voluntary drift
+        maxFrequency: 12,       // Hz; capped below Nyquist at low frame rates
+        frequencyStep: 0.1,     // Hz between evaluated frequencies
+        minDurationMs: 1000,    // Shorter holds aren't analyzed
+        minSamples: 20,
+        maxGapMs: 250,          // A longer gap splits the track (hand left view)
+        maxDurationMs: 20000,   // Recorder keeps the latest this much
+        minAmplitude: 0.004     // Fraction of hand length; tracker jitter stays below
+    };
+
+    // Landmarks averaged into each tracked point
+    const POINTS = {
+        palm: [0, 5, 9, 13, 17],
+        thumb: [4],
+        index: [8],
+        middle: [12],
+        ring: [16],
+        pinky: [20]
+    };
+
+    const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+    // =========================================
+    // HELPERS
+    // =========================================
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = sorted.length >> 1;
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // Wrist to middle fingertip, as InvisibleBoundaryEngine.getHandFrame() measures it
+    function defaultHandLength(landmarks) {
+        const a = landmarks[0];
+        const b = landmarks[12];
+        return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+    }
+
+    function centroid(landmarks, ids) {
+        let x = 0;
+        let y = 0;
+        for (const i of ids) {
+            x += landmarks[i].x;
+            y += landmarks[i].y;
+        }
+        return { x: x / ids.length, y: y / ids.length };
+    }
+
+    /**
+     * The longest stretch of samples with no gap over maxGapMs
+     */
+    function longestRun(samples, maxGapMs) {
+        let best = [0, 0];
+        let start = 0;
+        for (let i = 1; i <= samples.length; i++) {
+            if (i === samples.length || samples[i].t - samples[i - 1].t > maxGapMs) {
+                const span = samples[i - 1].t - samples[start].t;
+                if (span > samples[best[1]].t - samples[best[0]].t) best = [start, i - 1];
+                start = i;
+            }
+        }
+        return samples.slice(best[0], best[1] + 1);
+    }
+
+    /**
+     * Linear interpolation of (times, values) onto count evenly spaced steps
+     */
+    function resample(times, values, t0, dt, count) {
+        const out = new Array(count);
+        let j = 0;
+        for (let n = 0; n < count; n++) {
+            const t = t0 + n * dt;
+            while (j < times.length - 2 && times[j + 1] < t) j++;
+            const span = times[j + 1] - times[j];
+            const f = span > 0 ? Math.min(1, Math.max(0, (t - times[j]) / span)) : 0;
+            out[n] = values[j] + (values[j + 1] - values[j]) * f;
+        }
+        return out;
+    }
+
+    function detrend(values) {
+        const n = values.length;
+        const meanX = (n - 1) / 2;
+        const meanY = values.reduce((a, b) => a + b, 0) / n;
+        let sxy = 0;
+        let sxx = 0;
+        for (let i = 0; i < n; i++) {
+            sxy += (i - meanX) * (values[i] - meanY);
+            sxx += (i - meanX) * (i - meanX);
+        }
+        const slope = sxx ? sxy / sxx : 0;
+        return values.map((v, i) => v - meanY - slope * (i - meanX));
+    }
+
+    // =========================================
+    // SPECTRUM
+    // =========================================
+
+    /**
+     * Amplitude spectrum of one evenly sampled series over the tremor band
+     * @param {number[]} values
+     * @param {number} sampleRate - Hz
+     * @param {Object} options - minFrequency, maxFrequency, frequencyStep
+     * @returns {Array<{frequency, amplitude}>} amplitude in the series' units
+     */
+    function spectrum(values, sampleRate, options = {}) {
+        const config = { ...DEFAULTS, ...options };
+        const n = values.length;
+        const window = values.map((v, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+        const windowSum = window.reduce((a, b) => a + b, 0);
+        const signal = detrend(values).map((v, i) => v * window[i]);
+        const top = Math.min(config.maxFrequency, sampleRate / 2 - config.frequencyStep);
+
+        const bins = [];
+        for (let k = 0; config.minFrequency + k * config.frequencyStep <= top + 1e-9; k++) {
+            const frequency = config.minFrequency + k * config.frequencyStep;
+            const w = 2 * Math.PI * frequency / sampleRate;
+            let re = 0;
+            let im = 0;
+            for (let i = 0; i < n; i++) {
+                re += signal[i] * Math.cos(w * i);
+                im -= signal[i] * Math.sin(w * i);
+            }
+            bins.push({ frequency, amplitude: 2 * Math.hypot(re, im) / windowSum });
+        }
+        return bins;
+    }
+
+    function peak(bins) {
+        return bins.reduce((best, bin) => bin.amplitude > best.amplitude ? bin : best, bins[0]);
+    }
+
+    function roundResult(frequency, amplitude) {
+        return {
+            frequency: Math.round(frequency * 10) / 10,
+            amplitude: Math.round(amplitude * 10000) / 10000
+        };
+    }
+
+    // =========================================
+    // ANALYSIS
+    // =========================================
+
+    /**
+     * Tremor over one hold
+     * @param {Array<{t, landmarks}>} samples - Session-clock ms, 21 raw landmarks
+     * @param {Object} options - DEFAULTS overrides, plus getHandFrame
+     *   (InvisibleBoundaryEngine.getHandFrame) for the hand length
+     * @returns {Object|null} See the header
+     */
+    function analyze(samples, options = {}) {
+        const config = { ...DEFAULTS, ...options };
+        const valid = (samples || []).filter(s => s && Number.isFinite(s.t) && s.landmarks && s.landmarks.length >= 21);
+        if (valid.length < 2) return null;
+
+        const run = longestRun(valid.slice().sort((a, b) => a.t - b.t), config.maxGapMs);
+        const durationMs = run[run.length - 1].t - run[0].t;
+        if (run.length < config.minSamples || durationMs < config.minDurationMs) return null;
+
+        const handLength = median(run.map(s => config.getHandFrame
+            ? config.getHandFrame(s.landmarks).handLength
+            : defaultHandLength(s.landmarks)));
+        if (!(handLength > 0)) return null;
+
+        // Resample at the track's own median frame interval
+        const times = run.map(s => s.t);
+        const dt = median(times.slice(1).map((t, i) => t - times[i]).filter(d => d > 0));
+        const count = Math.floor(durationMs / dt) + 1;
+        const sampleRate = 1000 / dt;
+
+        const spectra = {};
+        for (const [name, ids] of Object.entries(POINTS)) {
+            const track = run.map(s => centroid(s.landmarks, ids));
+            const axis = key => spectrum(
+                resample(times, track.map(p => p[key] / handLength), times[0], dt, count),
+                sampleRate, config);
+            const xs = axis('x');
+            const ys = axis('y');
+            spectra[name] = xs.map((bin, i) => ({
+                frequency: bin.frequency,
+                amplitude: Math.hypot(bin.amplitude, ys[i].amplitude)
+            }));
+        }
+        if (!spectra.palm.length) return null;
+
+        const names = Object.keys(POINTS);
+        const combined = spectra.palm.map((bin, i) => ({
+            frequency: bin.frequency,
+            amplitude: Math.sqrt(names.reduce((sum, name) => sum + spectra[name][i].amplitude ** 2, 0) / names.length)
+        }));
+        const dominant = peak(combined);
+
+        const fingers = {};
+        for (const name of FINGERS) {
+            const p = peak(spectra[name]);
+            fingers[name] = roundResult(p.frequency, p.amplitude);
+        }
+        const palm = peak(spectra.palm);
+
+        return {
+            ...roundResult(dominant.frequency, dominant.amplitude),
+            detected: dominant.amplitude >= config.minAmplitude,
+            fingers,
+            palm: roundResult(palm.frequency, palm.amplitude),
+            durationMs: Math.round(durationMs),
+            sampleRate: Math.round(sampleRate * 10) / 10,
+            samples: run.length
+        };
+    }
+
+    /**
+     * Collects the frames of a hold for analyze()
+     * @param {Object} options - As analyze(); maxDurationMs bounds what is kept
+     */
+    function createTremorRecorder(options = {}) {
+        const config = { ...DEFAULTS, ...options };
+        let samples = [];
+
+        return {
+            get samples() { return samples; },
+
+            add(t, landmarks) {
+                if (!landmarks) return;
+                samples.push({ t, landmarks });
+                while (samples.length && t - samples[0].t > config.maxDurationMs) samples.shift();
+            },
+
+            clear() {
+                samples = [];
+            },
+
+            analyze() {
+                return analyze(samples, config);
+            }
+        };
+    }
+
+    // =========================================
+    // HISTORY
+    // =========================================
+
+    /**
+     * One point per session with analyzed holds, for trending: mean
+     * amplitude over its attempts, mean frequency over those where tremor
+     * was detected (null if none), and each finger's mean amplitude
+     * @param {Array} sessions - Saved sessions ({ date, exercises: log })
+     */
+    function trend(sessions) {
+        const points = [];
+        for (const session of sessions || []) {
+            const results = (session.exercises || []).map(e => e.tremor).filter(Boolean);
+            if (!results.length) continue;
+            const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+            const detected = results.filter(r => r.detected);
+            const fingers = {};
+            for (const name of FINGERS) {
+                const amplitudes = results.map(r => r.fingers && r.fingers[name]).filter(Boolean).map(f => f.amplitude);
+                fingers[name] = amplitudes.length ? Math.round(mean(amplitudes) * 10000) / 10000 : null;
+            }
+            points.push({
+                date: session.date,
+                attempts: results.length,
+                detected: detected.length,
+                amplitude: Math.round(mean(results.map(r => r.amplitude)) * 10000) / 10000,
+                frequency: detected.length ? Math.round(mean(detected.map(r => r.frequency)) * 10) / 10 : null,
+                fingers
+            });
+        }
+        return points;
+    }
+
+    // =========================================
+    // PUBLIC API
+    // =========================================
+
+    return {
+        DEFAULTS,
+        POINTS,
+        FINGERS,
+        spectrum,
+        analyze,
+        createTremorRecorder,
+        trend
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandHeroTremor;
+}
+if (typeof window !== 'undefined') {
+    window.HandHeroTremor = HandHeroTremor;
+}
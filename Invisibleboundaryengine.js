@@ -1,879 +1,1690 @@
-/**
- * InvisibleBoundaryEngine.js v2
- * ============================================
- * Dynamic boundary-based detection for HandHero exercises.
- * 
- * CORE PHILOSOPHY:
- * - Human logic to measure human accuracy (not AI precision)
- * - Boundary lines are DYNAMIC - set based on TARGET fingers
- * - Non-target fingers are in "safe zone" - NOT measured unless they violate
- * - Thumb always treated with maximum leniency
- * - NO visual feedback - all scoring is invisible to user
- * 
- * DYNAMIC BOUNDARY SYSTEM:
- * For each TARGET finger, boundaries are created at:
- * - GREEN boundary: At the PIP (proximal) joint level of target finger
- * - ACCEPTABLE boundary: At the DIP (distal) joint level of target finger
- * 
- * NODE REFERENCE (MediaPipe Hand Landmarks):
- * 0 = Wrist
- * 
- * THUMB:  1=CMC, 2=MCP, 3=IP, 4=TIP
- * INDEX:  5=MCP, 6=PIP, 7=DIP, 8=TIP
- * MIDDLE: 9=MCP, 10=PIP, 11=DIP, 12=TIP
- * RING:   13=MCP, 14=PIP, 15=DIP, 16=TIP
- * PINKY:  17=MCP, 18=PIP, 19=DIP, 20=TIP
- * 
- * FINGER INDEX MAPPING:
- * 0 = Thumb, 1 = Index, 2 = Middle, 3 = Ring, 4 = Pinky
- */
-
-const InvisibleBoundaryEngine = (function() {
-    'use strict';
-
-    // =========================================
-    // NODE MAPPINGS
-    // =========================================
-    
-    // Finger index to node indices
-    const FINGER_NODES = {
-        0: { name: 'thumb',  mcp: 1,  pip: 2,  dip: 3,  tip: 4  },
-        1: { name: 'index',  mcp: 5,  pip: 6,  dip: 7,  tip: 8  },
-        2: { name: 'middle', mcp: 9,  pip: 10, dip: 11, tip: 12 },
-        3: { name: 'ring',   mcp: 13, pip: 14, dip: 15, tip: 16 },
-        4: { name: 'pinky',  mcp: 17, pip: 18, dip: 19, tip: 20 }
-    };
-    
-    const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
-    
-    // Quick lookups
-    const ALL_TIPS = [4, 8, 12, 16, 20];
-    const ALL_DIPS = [3, 7, 11, 15, 19];
-    const ALL_PIPS = [2, 6, 10, 14, 18];
-    const ALL_MCPS = [1, 5, 9, 13, 17];
-    
-    // Zone constants
-    const ZONE = {
-        GREEN: 'GREEN',
-        BLUE: 'BLUE',
-        YELLOW: 'YELLOW',
-        RED: 'RED'
-    };
-
-    // =========================================
-    // UTILITY FUNCTIONS
-    // =========================================
-    
-    function distance(p1, p2) {
-        return Math.hypot(
-            p1.x - p2.x,
-            p1.y - p2.y,
-            (p1.z || 0) - (p2.z || 0)
-        );
-    }
-    
-    function distance2D(p1, p2) {
-        return Math.hypot(p1.x - p2.x, p1.y - p2.y);
-    }
-    
-    /**
-     * Get hand reference frame for normalization
-     */
-    function getHandFrame(landmarks) {
-        const wrist = landmarks[0];
-        const middleTip = landmarks[12];
-        const indexMcp = landmarks[5];
-        const pinkyMcp = landmarks[17];
-        
-        return {
-            wrist,
-            handLength: distance(wrist, middleTip),
-            handWidth: distance(indexMcp, pinkyMcp),
-            palmCenter: {
-                x: (landmarks[0].x + landmarks[5].x + landmarks[9].x + landmarks[13].x + landmarks[17].x) / 5,
-                y: (landmarks[0].y + landmarks[5].y + landmarks[9].y + landmarks[13].y + landmarks[17].y) / 5
-            }
-        };
-    }
-    
-    /**
-     * Get Y-position on a line at a given X
-     */
-    function getYOnLine(x, lineStart, lineEnd) {
-        if (Math.abs(lineEnd.x - lineStart.x) < 0.0001) {
-            return (lineStart.y + lineEnd.y) / 2;
-        }
-        const slope = (lineEnd.y - lineStart.y) / (lineEnd.x - lineStart.x);
-        return lineStart.y + slope * (x - lineStart.x);
-    }
-    
-    /**
-     * Check if point is above line (lower Y = above in screen coords)
-     */
-    function isAboveLine(point, lineStart, lineEnd) {
-        const yOnLine = getYOnLine(point.x, lineStart, lineEnd);
-        return point.y < yOnLine;
-    }
-    
-    /**
-     * Get perpendicular distance from point to line (normalized)
-     */
-    function distanceToLine(point, lineStart, lineEnd, handLength) {
-        const A = point.x - lineStart.x;
-        const B = point.y - lineStart.y;
-        const C = lineEnd.x - lineStart.x;
-        const D = lineEnd.y - lineStart.y;
-        
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
-        
-        if (lenSq === 0) return distance2D(point, lineStart) / handLength;
-        
-        const param = Math.max(0, Math.min(1, dot / lenSq));
-        const nearest = {
-            x: lineStart.x + param * C,
-            y: lineStart.y + param * D
-        };
-        
-        return distance2D(point, nearest) / handLength;
-    }
-
-    // =========================================
-    // DYNAMIC BOUNDARY CREATION
-    // =========================================
-    
-    /**
-     * Create boundary lines for a specific target finger
-     * Returns GREEN (PIP level) and ACCEPTABLE (DIP level) boundaries
-     */
-    function createBoundaryForFinger(fingerIdx, landmarks, frame) {
-        const nodes = FINGER_NODES[fingerIdx];
-        
-        // Get the target finger's joints
-        const pip = landmarks[nodes.pip];
-        const dip = landmarks[nodes.dip];
-        const mcp = landmarks[nodes.mcp];
-        
-        // Create horizontal-ish boundary lines at PIP and DIP levels
-        // Extend the line across the hand width for proper checking
-        const lineExtent = frame.handWidth * 1.5;
-        
-        // GREEN boundary at PIP level
-        const greenBoundary = {
-            start: { x: pip.x - lineExtent, y: pip.y },
-            end: { x: pip.x + lineExtent, y: pip.y },
-            level: 'GREEN',
-            referenceNode: nodes.pip
-        };
-        
-        // ACCEPTABLE boundary at DIP level  
-        const acceptableBoundary = {
-            start: { x: dip.x - lineExtent, y: dip.y },
-            end: { x: dip.x + lineExtent, y: dip.y },
-            level: 'ACCEPTABLE',
-            referenceNode: nodes.dip
-        };
-        
-        // LOW ACCURACY boundary at MCP level
-        const lowBoundary = {
-            start: { x: mcp.x - lineExtent, y: mcp.y },
-            end: { x: mcp.x + lineExtent, y: mcp.y },
-            level: 'LOW',
-            referenceNode: nodes.mcp
-        };
-        
-        return { greenBoundary, acceptableBoundary, lowBoundary };
-    }
-    
-    /**
-     * Create boundaries for multiple target fingers
-     * Uses the average position of all target fingers' joints
-     */
-    function createBoundariesForTargets(targetFingers, landmarks, frame) {
-        if (targetFingers.length === 0) {
-            // Fallback: use middle finger as reference
-            return createBoundaryForFinger(2, landmarks, frame);
-        }
-        
-        if (targetFingers.length === 1) {
-            return createBoundaryForFinger(targetFingers[0], landmarks, frame);
-        }
-        
-        // Multiple targets: create boundary that spans between them
-        // Use the outermost targets to define the line
-        const sortedTargets = [...targetFingers].sort((a, b) => a - b);
-        const leftFinger = sortedTargets[0];
-        const rightFinger = sortedTargets[sortedTargets.length - 1];
-        
-        const leftNodes = FINGER_NODES[leftFinger];
-        const rightNodes = FINGER_NODES[rightFinger];
-        
-        // GREEN boundary: line from left PIP to right PIP
-        const greenBoundary = {
-            start: landmarks[leftNodes.pip],
-            end: landmarks[rightNodes.pip],
-            level: 'GREEN'
-        };
-        
-        // ACCEPTABLE boundary: line from left DIP to right DIP
-        const acceptableBoundary = {
-            start: landmarks[leftNodes.dip],
-            end: landmarks[rightNodes.dip],
-            level: 'ACCEPTABLE'
-        };
-        
-        // LOW boundary: line from left MCP to right MCP
-        const lowBoundary = {
-            start: landmarks[leftNodes.mcp],
-            end: landmarks[rightNodes.mcp],
-            level: 'LOW'
-        };
-        
-        return { greenBoundary, acceptableBoundary, lowBoundary };
-    }
-
-    // =========================================
-    // FINGER EVALUATION
-    // =========================================
-    
-    /**
-     * Check if a TARGET finger is properly extended
-     * Uses dynamic boundaries based on that finger's position
-     */
-    function evaluateTargetFinger(fingerIdx, landmarks, frame) {
-        const nodes = FINGER_NODES[fingerIdx];
-        const tip = landmarks[nodes.tip];
-        const dip = landmarks[nodes.dip];
-        const pip = landmarks[nodes.pip];
-        const mcp = landmarks[nodes.mcp];
-        
-        // For extension: tip should be above (lower Y than) the other joints
-        // We measure relative to the finger's own structure
-        
-        const tipAboveDip = dip.y - tip.y;
-        const tipAbovePip = pip.y - tip.y;
-        const tipAboveMcp = mcp.y - tip.y;
-        
-        // Normalize by hand length
-        const normalizedExtension = tipAboveMcp / frame.handLength;
-        
-        // Also check the "straightness" - tip should be far from wrist
-        const tipToWrist = distance(tip, landmarks[0]);
-        const mcpToWrist = distance(mcp, landmarks[0]);
-        const extensionRatio = tipToWrist / mcpToWrist;
-        
-        // Determine zone
-        if (normalizedExtension > 0.15 && extensionRatio > 1.3) {
-            // Tip well above MCP, finger extended - GREEN
-            return {
-                zone: ZONE.GREEN,
-                score: Math.min(1.0, 0.85 + normalizedExtension),
-                extended: true,
-                detail: 'fully extended'
-            };
-        } else if (normalizedExtension > 0.08 && extensionRatio > 1.15) {
-            // Good extension - BLUE
-            return {
-                zone: ZONE.BLUE,
-                score: 0.75,
-                extended: true,
-                detail: 'well extended'
-            };
-        } else if (normalizedExtension > 0.02 && extensionRatio > 1.0) {
-            // Partial extension - YELLOW
-            return {
-                zone: ZONE.YELLOW,
-                score: 0.55,
-                extended: true,
-                detail: 'partially extended'
-            };
-        } else if (normalizedExtension > -0.05) {
-            // Minimal extension - still acceptable
-            return {
-                zone: ZONE.YELLOW,
-                score: 0.40,
-                extended: false,
-                detail: 'minimal extension'
-            };
-        } else {
-            // Not extended - RED
-            return {
-                zone: ZONE.RED,
-                score: 0.20,
-                extended: false,
-                detail: 'not extended'
-            };
-        }
-    }
-    
-    /**
-     * Check if a NON-TARGET finger is in the safe zone
-     * Only flags violations - does NOT precisely measure
-     */
-    function evaluateNonTargetFinger(fingerIdx, landmarks, boundaries, frame) {
-        const nodes = FINGER_NODES[fingerIdx];
-        const tip = landmarks[nodes.tip];
-        
-        // Check if tip is above the GREEN boundary (violation)
-        const aboveGreen = isAboveLine(tip, boundaries.greenBoundary.start, boundaries.greenBoundary.end);
-        
-        // Check if tip is above the ACCEPTABLE boundary (minor issue)
-        const aboveAcceptable = isAboveLine(tip, boundaries.acceptableBoundary.start, boundaries.acceptableBoundary.end);
-        
-        if (aboveGreen) {
-            // Major violation - finger is in the target zone
-            return {
-                zone: ZONE.RED,
-                score: 0.3,
-                inSafeZone: false,
-                violation: true,
-                severity: 'major',
-                detail: 'finger extended into target zone'
-            };
-        } else if (aboveAcceptable) {
-            // Minor issue - finger partially raised but acceptable
-            // YELLOW is OK per the requirements
-            return {
-                zone: ZONE.YELLOW,
-                score: 0.7,
-                inSafeZone: true, // Yellow is acceptable!
-                violation: false,
-                severity: 'none',
-                detail: 'finger slightly raised but acceptable'
-            };
-        } else {
-            // In safe zone - don't measure, just accept
-            return {
-                zone: ZONE.GREEN,
-                score: 1.0,
-                inSafeZone: true,
-                violation: false,
-                severity: 'none',
-                detail: 'in safe zone'
-            };
-        }
-    }
-    
-    /**
-     * Special handling for THUMB
-     * Maximum leniency - only fail on extreme violations
-     */
-    function evaluateThumb(landmarks, frame, isTarget) {
-        const thumbTip = landmarks[4];
-        const thumbIp = landmarks[3];
-        const thumbMcp = landmarks[2];
-        const indexMcp = landmarks[5];
-        const wrist = landmarks[0];
-        
-        if (isTarget) {
-            // Thumb IS the target - measure extension
-            const tipToWrist = distance(thumbTip, wrist);
-            const mcpToWrist = distance(thumbMcp, wrist);
-            const extensionRatio = tipToWrist / mcpToWrist;
-            
-            // Thumb extended away from palm?
-            const thumbAwayFromPalm = distance(thumbTip, frame.palmCenter) / frame.handWidth;
-            
-            if (extensionRatio > 1.4 && thumbAwayFromPalm > 0.4) {
-                return { zone: ZONE.GREEN, score: 1.0, pass: true, detail: 'thumb fully extended' };
-            } else if (extensionRatio > 1.2 && thumbAwayFromPalm > 0.3) {
-                return { zone: ZONE.BLUE, score: 0.75, pass: true, detail: 'thumb well extended' };
-            } else if (extensionRatio > 1.0) {
-                return { zone: ZONE.YELLOW, score: 0.50, pass: true, detail: 'thumb partially extended' };
-            } else {
-                return { zone: ZONE.RED, score: 0.25, pass: false, detail: 'thumb not extended' };
-            }
-        } else {
-            // Thumb is NOT target - MAXIMUM LENIENCY
-            // Only fail if thumb is wildly extended AND clearly interfering
-            // In practice, almost always passes
-            
-            // Check if thumb tip is way out past index finger
-            const thumbPastIndex = thumbTip.x < indexMcp.x - frame.handWidth * 0.3;
-            const thumbVeryExtended = distance(thumbTip, wrist) > frame.handLength * 0.6;
-            
-            if (thumbPastIndex && thumbVeryExtended) {
-                // Even this is a minor issue at worst
-                return {
-                    zone: ZONE.YELLOW,
-                    score: 0.8,
-                    inSafeZone: true, // Still acceptable!
-                    violation: false,
-                    detail: 'thumb extended but acceptable'
-                };
-            }
-            
-            // Default: thumb is fine, don't care
-            return {
-                zone: ZONE.GREEN,
-                score: 1.0,
-                inSafeZone: true,
-                violation: false,
-                ignored: true,
-                detail: 'thumb in safe zone (lenient)'
-            };
-        }
-    }
-
-    // =========================================
-    // MAIN EVALUATION FUNCTIONS
-    // =========================================
-    
-    /**
-     * Evaluate ISOLATION exercise
-     * Only target fingers are measured for extension
-     * Non-target fingers only checked for boundary violations
-     */
-    function evaluateIsolation(landmarks, targetFingers) {
-        const frame = getHandFrame(landmarks);
-        const boundaries = createBoundariesForTargets(
-            targetFingers.filter(f => f !== 0), // Exclude thumb from boundary creation
-            landmarks, 
-            frame
-        );
-        
-        const results = {
-            targets: [],
-            nonTargets: [],
-            thumb: null,
-            violations: [],
-            overallZone: ZONE.RED,
-            overallScore: 0,
-            passed: false
-        };
-        
-        let targetScoreSum = 0;
-        let targetCount = 0;
-        let allTargetsOk = true;
-        let hasMajorViolation = false;
-        
-        // Evaluate each finger
-        for (let i = 0; i < 5; i++) {
-            const isTarget = targetFingers.includes(i);
-            const fingerName = FINGER_NAMES[i];
-            
-            if (i === 0) {
-                // Thumb - special handling
-                const thumbResult = evaluateThumb(landmarks, frame, isTarget);
-                thumbResult.finger = fingerName;
-                thumbResult.fingerIndex = i;
-                thumbResult.isTarget = isTarget;
-                results.thumb = thumbResult;
-                
-                if (isTarget) {
-                    targetScoreSum += thumbResult.score;
-                    targetCount++;
-                    if (!thumbResult.pass) allTargetsOk = false;
-                }
-            } else if (isTarget) {
-                // Target finger - measure extension
-                const result = evaluateTargetFinger(i, landmarks, frame);
-                result.finger = fingerName;
-                result.fingerIndex = i;
-                result.isTarget = true;
-                results.targets.push(result);
-                
-                targetScoreSum += result.score;
-                targetCount++;
-                if (result.zone === ZONE.RED) allTargetsOk = false;
-            } else {
-                // Non-target finger - only check for violations
-                const result = evaluateNonTargetFinger(i, landmarks, boundaries, frame);
-                result.finger = fingerName;
-                result.fingerIndex = i;
-                result.isTarget = false;
-                results.nonTargets.push(result);
-                
-                if (result.violation) {
-                    results.violations.push({
-                        finger: fingerName,
-                        fingerIndex: i,
-                        severity: result.severity
-                    });
-                    if (result.severity === 'major') {
-                        hasMajorViolation = true;
-                    }
-                }
-            }
-        }
-        
-        // Calculate final score
-        let avgScore = targetCount > 0 ? targetScoreSum / targetCount : 0;
-        
-        // Apply violation penalty
-        if (hasMajorViolation) {
-            avgScore *= 0.5;
-        } else if (results.violations.length > 0) {
-            avgScore *= 0.85;
-        }
-        
-        results.overallScore = avgScore;
-        
-        // Determine zone
-        if (avgScore >= 0.85) results.overallZone = ZONE.GREEN;
-        else if (avgScore >= 0.65) results.overallZone = ZONE.BLUE;
-        else if (avgScore >= 0.40) results.overallZone = ZONE.YELLOW;
-        else results.overallZone = ZONE.RED;
-        
-        // Pass/fail
-        results.passed = allTargetsOk && !hasMajorViolation && avgScore >= 0.65;
-        
-        return results;
-    }
-    
-    /**
-     * Evaluate PINCH exercise
-     * Measures distance between thumb tip and target fingertip
-     * Non-involved fingers in safe zone (not measured)
-     */
-    function evaluatePinch(landmarks, pinchPair) {
-        const frame = getHandFrame(landmarks);
-        const [tip1Idx, tip2Idx] = pinchPair;
-        
-        const tip1 = landmarks[tip1Idx];
-        const tip2 = landmarks[tip2Idx];
-        
-        // Calculate distance
-        const dist = distance(tip1, tip2);
-        const normalizedDist = dist / frame.handWidth;
-        
-        // Determine zone based on distance
-        let zone, score;
-        if (normalizedDist < 0.05) {
-            zone = ZONE.GREEN; score = 1.0;
-        } else if (normalizedDist < 0.08) {
-            zone = ZONE.GREEN; score = 0.90;
-        } else if (normalizedDist < 0.12) {
-            zone = ZONE.BLUE; score = 0.75;
-        } else if (normalizedDist < 0.18) {
-            zone = ZONE.YELLOW; score = 0.55;
-        } else if (normalizedDist < 0.28) {
-            zone = ZONE.YELLOW; score = 0.40;
-        } else {
-            zone = ZONE.RED; score = 0.20;
-        }
-        
-        // Determine involved fingers
-        const involvedTips = [tip1Idx, tip2Idx];
-        const involvedFingers = involvedTips.map(tipIdx => {
-            return ALL_TIPS.indexOf(tipIdx);
-        });
-        
-        // Create boundaries based on involved fingers (excluding thumb)
-        const nonThumbInvolved = involvedFingers.filter(f => f !== 0);
-        const boundaries = nonThumbInvolved.length > 0 
-            ? createBoundariesForTargets(nonThumbInvolved, landmarks, frame)
-            : createBoundaryForFinger(2, landmarks, frame); // Fallback to middle
-        
-        // Check non-involved fingers for major violations only
-        const violations = [];
-        for (let i = 1; i < 5; i++) { // Skip thumb
-            if (involvedFingers.includes(i)) continue;
-            
-            const result = evaluateNonTargetFinger(i, landmarks, boundaries, frame);
-            if (result.violation && result.severity === 'major') {
-                violations.push({ finger: FINGER_NAMES[i], severity: 'major' });
-            }
-            // Ignore minor violations for pinch
-        }
-        
-        // Apply penalty for violations
-        let finalScore = score;
-        if (violations.length > 0) {
-            finalScore *= 0.7;
-            if (zone === ZONE.GREEN) zone = ZONE.BLUE;
-        }
-        
-        return {
-            distance: normalizedDist,
-            zone,
-            score: finalScore,
-            passed: finalScore >= 0.65,
-            violations,
-            involvedFingers,
-            thumbHandling: 'lenient'
-        };
-    }
-    
-    /**
-     * Evaluate SPREAD exercise (starfish)
-     * All fingers should be extended and spread apart
-     */
-    function evaluateSpread(landmarks) {
-        const frame = getHandFrame(landmarks);
-        
-        const results = [];
-        let totalScore = 0;
-        
-        // Check each finger for extension
-        for (let i = 0; i < 5; i++) {
-            let result;
-            if (i === 0) {
-                result = evaluateThumb(landmarks, frame, true);
-            } else {
-                result = evaluateTargetFinger(i, landmarks, frame);
-            }
-            result.finger = FINGER_NAMES[i];
-            result.fingerIndex = i;
-            results.push(result);
-            totalScore += result.score;
-        }
-        
-        const extensionScore = totalScore / 5;
-        
-        // Check gaps between adjacent fingertips
-        let gapScore = 0;
-        const gaps = [];
-        for (let i = 0; i < 4; i++) {
-            const gap = distance(landmarks[ALL_TIPS[i]], landmarks[ALL_TIPS[i + 1]]);
-            const normalizedGap = gap / frame.handWidth;
-            gaps.push(normalizedGap);
-            
-            if (normalizedGap > 0.30) gapScore += 1.0;
-            else if (normalizedGap > 0.20) gapScore += 0.80;
-            else if (normalizedGap > 0.12) gapScore += 0.60;
-            else if (normalizedGap > 0.06) gapScore += 0.40;
-            else gapScore += 0.20;
-        }
-        gapScore /= 4;
-        
-        // Combine scores
-        const finalScore = (extensionScore * 0.5) + (gapScore * 0.5);
-        
-        let zone;
-        if (finalScore >= 0.85) zone = ZONE.GREEN;
-        else if (finalScore >= 0.65) zone = ZONE.BLUE;
-        else if (finalScore >= 0.45) zone = ZONE.YELLOW;
-        else zone = ZONE.RED;
-        
-        return {
-            fingerResults: results,
-            extensionScore,
-            gapScore,
-            gaps,
-            zone,
-            score: finalScore,
-            passed: finalScore >= 0.65
-        };
-    }
-    
-    /**
-     * Evaluate FIST exercise
-     * All fingers should be curled
-     */
-    function evaluateFist(landmarks) {
-        const frame = getHandFrame(landmarks);
-        
-        const results = [];
-        let totalScore = 0;
-        
-        for (let i = 0; i < 5; i++) {
-            const nodes = FINGER_NODES[i];
-            const tip = landmarks[nodes.tip];
-            const mcp = landmarks[nodes.mcp];
-            const wrist = landmarks[0];
-            
-            // For fist: tip should be close to palm, below MCP
-            const tipBelowMcp = tip.y - mcp.y;
-            const normalizedCurl = tipBelowMcp / frame.handLength;
-            
-            // Also check tip is close to wrist (curled in)
-            const tipToWrist = distance(tip, wrist);
-            const mcpToWrist = distance(mcp, wrist);
-            const curlRatio = tipToWrist / mcpToWrist;
-            
-            let zone, score, curled;
-            if (normalizedCurl > 0.08 && curlRatio < 0.9) {
-                zone = ZONE.GREEN; score = 1.0; curled = true;
-            } else if (normalizedCurl > 0.02 && curlRatio < 1.0) {
-                zone = ZONE.BLUE; score = 0.75; curled = true;
-            } else if (normalizedCurl > -0.05 && curlRatio < 1.1) {
-                zone = ZONE.YELLOW; score = 0.50; curled = true;
-            } else {
-                zone = ZONE.RED; score = 0.25; curled = false;
-            }
-            
-            results.push({
-                finger: FINGER_NAMES[i],
-                fingerIndex: i,
-                zone, score, curled
-            });
-            
-            totalScore += score;
-        }
-        
-        const finalScore = totalScore / 5;
-        
-        let zone;
-        if (finalScore >= 0.80) zone = ZONE.GREEN;
-        else if (finalScore >= 0.60) zone = ZONE.BLUE;
-        else if (finalScore >= 0.45) zone = ZONE.YELLOW;
-        else zone = ZONE.RED;
-        
-        return {
-            fingerResults: results,
-            zone,
-            score: finalScore,
-            passed: finalScore >= 0.55
-        };
-    }
-    
-    /**
-     * Evaluate FLAT hand
-     * All fingers extended but close together
-     */
-    function evaluateFlat(landmarks) {
-        const frame = getHandFrame(landmarks);
-        
-        // Check extension
-        let extensionScore = 0;
-        const results = [];
-        
-        for (let i = 0; i < 5; i++) {
-            let result;
-            if (i === 0) {
-                result = evaluateThumb(landmarks, frame, true);
-            } else {
-                result = evaluateTargetFinger(i, landmarks, frame);
-            }
-            result.finger = FINGER_NAMES[i];
-            results.push(result);
-            extensionScore += result.score;
-        }
-        extensionScore /= 5;
-        
-        // Check that fingers are TOGETHER (opposite of spread)
-        let togetherScore = 0;
-        for (let i = 0; i < 4; i++) {
-            const gap = distance(landmarks[ALL_TIPS[i]], landmarks[ALL_TIPS[i + 1]]);
-            const normalizedGap = gap / frame.handWidth;
-            
-            // Smaller gap = better for flat
-            if (normalizedGap < 0.06) togetherScore += 1.0;
-            else if (normalizedGap < 0.10) togetherScore += 0.80;
-            else if (normalizedGap < 0.15) togetherScore += 0.60;
-            else if (normalizedGap < 0.22) togetherScore += 0.40;
-            else togetherScore += 0.20;
-        }
-        togetherScore /= 4;
-        
-        const finalScore = (extensionScore * 0.6) + (togetherScore * 0.4);
-        
-        let zone;
-        if (finalScore >= 0.85) zone = ZONE.GREEN;
-        else if (finalScore >= 0.65) zone = ZONE.BLUE;
-        else if (finalScore >= 0.45) zone = ZONE.YELLOW;
-        else zone = ZONE.RED;
-        
-        return {
-            fingerResults: results,
-            extensionScore,
-            togetherScore,
-            zone,
-            score: finalScore,
-            passed: finalScore >= 0.65
-        };
-    }
-
-    // =========================================
-    // PUBLIC API
-    // =========================================
-    
-    return {
-        // Constants
-        ZONE,
-        FINGER_NAMES,
-        FINGER_NODES,
-        ALL_TIPS,
-        ALL_DIPS,
-        ALL_PIPS,
-        ALL_MCPS,
-        
-        // Main evaluation functions
-        evaluateIsolation,
-        evaluatePinch,
-        evaluateSpread,
-        evaluateFist,
-        evaluateFlat,
-        
-        // Utility
-        getHandFrame,
-        createBoundariesForTargets,
-        
-        /**
-         * Universal evaluate function - handles any exercise type
-         */
-        evaluate(landmarks, exercise) {
-            if (!landmarks || landmarks.length < 21) {
-                return { 
-                    error: 'Invalid landmarks', 
-                    passed: false, 
-                    score: 0,
-                    zone: ZONE.RED 
-                };
-            }
-            
-            switch (exercise.type) {
-                case 'isolation':
-                    return this.evaluateIsolation(landmarks, exercise.targetFingers || []);
-                case 'pinch':
-                    return this.evaluatePinch(landmarks, exercise.pinchPair || [4, 8]);
-                case 'spread':
-                    return this.evaluateSpread(landmarks);
-                case 'fist':
-                    return this.evaluateFist(landmarks);
-                case 'flat':
-                    return this.evaluateFlat(landmarks);
-                default:
-                    console.warn('Unknown exercise type:', exercise.type);
-                    return { 
-                        error: 'Unknown type', 
-                        passed: false, 
-                        score: 0,
-                        zone: ZONE.RED 
-                    };
-            }
-        },
-        
-        /**
-         * Quick fist check for reset phase
-         */
-        isValidFist(landmarks) {
-            if (!landmarks || landmarks.length < 21) return false;
-            return this.evaluateFist(landmarks).passed;
-        },
-        
-        /**
-         * Get zone from numeric score
-         */
-        getZoneFromScore(score) {
-            if (score >= 0.85) return ZONE.GREEN;
-            if (score >= 0.65) return ZONE.BLUE;
-            if (score >= 0.40) return ZONE.YELLOW;
-            return ZONE.RED;
-        },
-        
-        /**
-         * Get node index for a finger's tip
-         */
-        getTipNode(fingerIndex) {
-            return FINGER_NODES[fingerIndex]?.tip || 8;
-        },
-        
-        /**
-         * Debug: Get current boundaries for visualization (only use when DEBUG=true)
-         */
-        _debugGetBoundaries(landmarks, targetFingers) {
-            const frame = this.getHandFrame(landmarks);
-            return this.createBoundariesForTargets(targetFingers, landmarks, frame);
-        }
-    };
-})();
-
-// Module exports
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = InvisibleBoundaryEngine;
-}
-if (typeof window !== 'undefined') {
-    window.InvisibleBoundaryEngine = InvisibleBoundaryEngine;
+/**
+ * InvisibleBoundaryEngine.js v2
+ * ============================================
+ * Dynamic boundary-based detection for HandHero exercises.
+ * 
+ * CORE PHILOSOPHY:
+ * - Human logic to measure human accuracy (not AI precision)
+ * - Boundary lines are DYNAMIC - set based on TARGET fingers
+ * - Non-target fingers are in "safe zone" - NOT measured unless they violate
+ * - Thumb always treated with maximum leniency
+ * - NO visual feedback - all scoring is invisible to user
+ * 
+ * DYNAMIC BOUNDARY SYSTEM:
+ * For each TARGET finger, boundaries are created at:
+ * - GREEN boundary: At the PIP (proximal) joint level of target finger
+ * - ACCEPTABLE boundary: At the DIP (distal) joint level of target finger
+ * 
+ * HAND-LOCAL FRAME:
+ * All boundary and extension tests run in a basis built from the hand
+ * itself (wrist -> middle MCP, index MCP -> pinky MCP), not raw screen
+ * coordinates. A tilted, sideways or palm-down hand scores the same as
+ * an upright one. Left hands are handled by the same rules: the thumb
+ * side is fixed by the basis, not by screen position. See getHandFrame().
+ * 
+ * EVALUATOR REGISTRY & RESULT SCHEMA:
+ * Each exercise type is scored by the evaluator registered for it with
+ * registerEvaluator(). evaluate() dispatches on exercise.type and returns
+ * the same shape for every type:
+ *   type        - Exercise type that was scored
+ *   score       - 0-1
+ *   zone        - ZONE.GREEN | BLUE | YELLOW | RED
+ *   passed      - The type's own pass rule (may be stricter than score)
+ *   violations  - [{ finger, fingerIndex, severity: 'minor' | 'major' }]
+ *   handedness  - 'left' | 'right' | null, as passed in options
+ *   palmFacing  - Whether the palm faces the camera (null if handedness unknown)
+ *   error       - Only set when the input could not be scored
+ * Evaluators may add detail fields for their type (targets, distance,
+ * gaps, fingerResults, ...); see each evaluate* function.
+ * 
+ * SEQUENCES:
+ * A 'sequence' exercise is an ordered list of pose keyframes (steps), each
+ * scored by its own type's evaluator. evaluate() scores one step
+ * (options.step); createSequenceTracker() follows a patient through the
+ * steps over time, counting reps and timing each transition.
+ * 
+ * PERSONAL CALIBRATION:
+ * buildCalibration() turns a guided baseline capture (the patient's best
+ * extension, fist, spread and pinch) into a profile. Passed as
+ * options.calibration, it offsets each measure by the patient's shortfall
+ * from a full range before the usual thresholds apply, so progress is
+ * scored against their own range; joint-angle targets move their bounds
+ * by the shortfall in flexion or straightening instead. Calibration only
+ * ever relaxes a threshold, and never by more than MAX_RANGE_RELIEF of its
+ * range.
+ * 
+ * NODE REFERENCE (MediaPipe Hand Landmarks):
+ * 0 = Wrist
+ * 
+ * THUMB:  1=CMC, 2=MCP, 3=IP, 4=TIP
+ * INDEX:  5=MCP, 6=PIP, 7=DIP, 8=TIP
+ * MIDDLE: 9=MCP, 10=PIP, 11=DIP, 12=TIP
+ * RING:   13=MCP, 14=PIP, 15=DIP, 16=TIP
+ * PINKY:  17=MCP, 18=PIP, 19=DIP, 20=TIP
+ * 
+ * FINGER INDEX MAPPING:
+ * 0 = Thumb, 1 = Index, 2 = Middle, 3 = Ring, 4 = Pinky
+ */
+
+const InvisibleBoundaryEngine = (function() {
+    'use strict';
+
+    // =========================================
+    // NODE MAPPINGS
+    // =========================================
+    
+    // Finger index to node indices
+    const FINGER_NODES = {
+        0: { name: 'thumb',  mcp: 1,  pip: 2,  dip: 3,  tip: 4  },
+        1: { name: 'index',  mcp: 5,  pip: 6,  dip: 7,  tip: 8  },
+        2: { name: 'middle', mcp: 9,  pip: 10, dip: 11, tip: 12 },
+        3: { name: 'ring',   mcp: 13, pip: 14, dip: 15, tip: 16 },
+        4: { name: 'pinky',  mcp: 17, pip: 18, dip: 19, tip: 20 }
+    };
+    
+    const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+    
+    // Anatomical joint names for the FINGER_NODES mcp/pip/dip slots
+    // (the thumb's three joints are CMC, MCP and IP)
+    const JOINT_NAMES = {
+        0: { mcp: 'cmc', pip: 'mcp', dip: 'ip' },
+        1: { mcp: 'mcp', pip: 'pip', dip: 'dip' },
+        2: { mcp: 'mcp', pip: 'pip', dip: 'dip' },
+        3: { mcp: 'mcp', pip: 'pip', dip: 'dip' },
+        4: { mcp: 'mcp', pip: 'pip', dip: 'dip' }
+    };
+    
+    // Quick lookups
+    const ALL_TIPS = [4, 8, 12, 16, 20];
+    const ALL_DIPS = [3, 7, 11, 15, 19];
+    const ALL_PIPS = [2, 6, 10, 14, 18];
+    const ALL_MCPS = [1, 5, 9, 13, 17];
+    
+    // Zone constants
+    const ZONE = {
+        GREEN: 'GREEN',
+        BLUE: 'BLUE',
+        YELLOW: 'YELLOW',
+        RED: 'RED'
+    };
+    
+    // Handedness labels (the patient's anatomical hand, not the screen side)
+    const HANDEDNESS = {
+        LEFT: 'left',
+        RIGHT: 'right'
+    };
+
+    // =========================================
+    // UTILITY FUNCTIONS
+    // =========================================
+    
+    function distance(p1, p2) {
+        return Math.hypot(
+            p1.x - p2.x,
+            p1.y - p2.y,
+            (p1.z || 0) - (p2.z || 0)
+        );
+    }
+    
+    function distance2D(p1, p2) {
+        return Math.hypot(p1.x - p2.x, p1.y - p2.y);
+    }
+    
+    function subtract(p1, p2) {
+        return { x: p1.x - p2.x, y: p1.y - p2.y, z: (p1.z || 0) - (p2.z || 0) };
+    }
+    
+    function dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+    
+    function cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+    
+    function normalize(v, fallback) {
+        const len = Math.hypot(v.x, v.y, v.z);
+        if (len < 1e-9) return fallback;
+        return { x: v.x / len, y: v.y / len, z: v.z / len };
+    }
+    
+    /**
+     * Get hand reference frame for normalization
+     * 
+     * Builds a hand-local orthonormal basis so every evaluator works the
+     * same regardless of how the hand is tilted, turned sideways or held
+     * palm-down:
+     * - yAxis: middle MCP -> wrist (fingers point toward -y, like an
+     *   upright hand in screen coords)
+     * - xAxis: index MCP -> pinky MCP, made perpendicular to yAxis
+     *   (the thumb therefore always sits on the -x side)
+     * - zAxis: palm normal (xAxis x yAxis)
+     * 
+     * `local` holds all 21 landmarks expressed in that basis with the wrist
+     * at the origin. The basis is orthonormal, so distances and the
+     * handLength/handWidth ratios are unchanged.
+     * 
+     * When handedness is known, zAxis is flipped for a left hand so local +z
+     * always points out of the palm. A left hand then has the same local
+     * coordinates as the mirrored right hand, and palmFacing tells whether
+     * the palm is turned toward the camera (null when handedness is unknown).
+     */
+    function getHandFrame(landmarks, handedness = null) {
+        const wrist = landmarks[0];
+        const middleTip = landmarks[12];
+        const indexMcp = landmarks[5];
+        const middleMcp = landmarks[9];
+        const pinkyMcp = landmarks[17];
+        
+        const yAxis = normalize(subtract(wrist, middleMcp), { x: 0, y: 1, z: 0 });
+        const across = subtract(pinkyMcp, indexMcp);
+        const acrossAlongY = dot(across, yAxis);
+        const xAxis = normalize({
+            x: across.x - yAxis.x * acrossAlongY,
+            y: across.y - yAxis.y * acrossAlongY,
+            z: across.z - yAxis.z * acrossAlongY
+        }, normalize(cross(yAxis, { x: 0, y: 0, z: 1 }), { x: 1, y: 0, z: 0 }));
+        const palmNormal = cross(xAxis, yAxis);
+        const zAxis = handedness === HANDEDNESS.LEFT
+            ? { x: -palmNormal.x, y: -palmNormal.y, z: -palmNormal.z }
+            : palmNormal;
+        
+        const toLocal = (p) => {
+            const d = subtract(p, wrist);
+            return { x: dot(d, xAxis), y: dot(d, yAxis), z: dot(d, zAxis) };
+        };
+        
+        const toWorld = (p) => ({
+            x: wrist.x + p.x * xAxis.x + p.y * yAxis.x + (p.z || 0) * zAxis.x,
+            y: wrist.y + p.x * xAxis.y + p.y * yAxis.y + (p.z || 0) * zAxis.y,
+            z: (wrist.z || 0) + p.x * xAxis.z + p.y * yAxis.z + (p.z || 0) * zAxis.z
+        });
+        
+        const local = landmarks.map(toLocal);
+        const palmIds = [0, 5, 9, 13, 17];
+        
+        return {
+            wrist,
+            handLength: distance(wrist, middleTip),
+            handWidth: distance(indexMcp, pinkyMcp),
+            handedness,
+            // MediaPipe z shrinks toward the camera
+            palmFacing: handedness ? zAxis.z < 0 : null,
+            xAxis,
+            yAxis,
+            zAxis,
+            local,
+            toLocal,
+            toWorld,
+            palmCenter: {
+                x: palmIds.reduce((sum, i) => sum + local[i].x, 0) / palmIds.length,
+                y: palmIds.reduce((sum, i) => sum + local[i].y, 0) / palmIds.length,
+                z: palmIds.reduce((sum, i) => sum + local[i].z, 0) / palmIds.length
+            }
+        };
+    }
+    
+    /**
+     * Get Y-position on a line at a given X
+     */
+    function getYOnLine(x, lineStart, lineEnd) {
+        if (Math.abs(lineEnd.x - lineStart.x) < 0.0001) {
+            return (lineStart.y + lineEnd.y) / 2;
+        }
+        const slope = (lineEnd.y - lineStart.y) / (lineEnd.x - lineStart.x);
+        return lineStart.y + slope * (x - lineStart.x);
+    }
+    
+    /**
+     * Check if point is above line (lower Y = above in screen coords)
+     */
+    function isAboveLine(point, lineStart, lineEnd) {
+        const yOnLine = getYOnLine(point.x, lineStart, lineEnd);
+        return point.y < yOnLine;
+    }
+    
+    /**
+     * Get perpendicular distance from point to line (normalized)
+     */
+    function distanceToLine(point, lineStart, lineEnd, handLength) {
+        const A = point.x - lineStart.x;
+        const B = point.y - lineStart.y;
+        const C = lineEnd.x - lineStart.x;
+        const D = lineEnd.y - lineStart.y;
+        
+        const dot = A * C + B * D;
+        const lenSq = C * C + D * D;
+        
+        if (lenSq === 0) return distance2D(point, lineStart) / handLength;
+        
+        const param = Math.max(0, Math.min(1, dot / lenSq));
+        const nearest = {
+            x: lineStart.x + param * C,
+            y: lineStart.y + param * D
+        };
+        
+        return distance2D(point, nearest) / handLength;
+    }
+
+    // =========================================
+    // DYNAMIC BOUNDARY CREATION
+    // =========================================
+    
+    /**
+     * Create boundary lines for a specific target finger
+     * Returns GREEN (PIP level) and ACCEPTABLE (DIP level) boundaries
+     * 
+     * `landmarks` must be in hand-local coordinates (frame.local), so the
+     * "horizontal" lines run across the hand rather than across the screen.
+     */
+    function createBoundaryForFinger(fingerIdx, landmarks, frame) {
+        const nodes = FINGER_NODES[fingerIdx];
+        
+        // Get the target finger's joints
+        const pip = landmarks[nodes.pip];
+        const dip = landmarks[nodes.dip];
+        const mcp = landmarks[nodes.mcp];
+        
+        // Create horizontal-ish boundary lines at PIP and DIP levels
+        // Extend the line across the hand width for proper checking
+        const lineExtent = frame.handWidth * 1.5;
+        
+        // GREEN boundary at PIP level
+        const greenBoundary = {
+            start: { x: pip.x - lineExtent, y: pip.y, z: pip.z },
+            end: { x: pip.x + lineExtent, y: pip.y, z: pip.z },
+            level: 'GREEN',
+            referenceNode: nodes.pip
+        };
+        
+        // ACCEPTABLE boundary at DIP level  
+        const acceptableBoundary = {
+            start: { x: dip.x - lineExtent, y: dip.y, z: dip.z },
+            end: { x: dip.x + lineExtent, y: dip.y, z: dip.z },
+            level: 'ACCEPTABLE',
+            referenceNode: nodes.dip
+        };
+        
+        // LOW ACCURACY boundary at MCP level
+        const lowBoundary = {
+            start: { x: mcp.x - lineExtent, y: mcp.y, z: mcp.z },
+            end: { x: mcp.x + lineExtent, y: mcp.y, z: mcp.z },
+            level: 'LOW',
+            referenceNode: nodes.mcp
+        };
+        
+        return { greenBoundary, acceptableBoundary, lowBoundary };
+    }
+    
+    /**
+     * Create boundaries for multiple target fingers
+     * Uses the average position of all target fingers' joints
+     * (landmarks in hand-local coordinates, see createBoundaryForFinger)
+     */
+    function createBoundariesForTargets(targetFingers, landmarks, frame) {
+        if (targetFingers.length === 0) {
+            // Fallback: use middle finger as reference
+            return createBoundaryForFinger(2, landmarks, frame);
+        }
+        
+        if (targetFingers.length === 1) {
+            return createBoundaryForFinger(targetFingers[0], landmarks, frame);
+        }
+        
+        // Multiple targets: create boundary that spans between them
+        // Use the outermost targets to define the line
+        const sortedTargets = [...targetFingers].sort((a, b) => a - b);
+        const leftFinger = sortedTargets[0];
+        const rightFinger = sortedTargets[sortedTargets.length - 1];
+        
+        const leftNodes = FINGER_NODES[leftFinger];
+        const rightNodes = FINGER_NODES[rightFinger];
+        
+        // GREEN boundary: line from left PIP to right PIP
+        const greenBoundary = {
+            start: landmarks[leftNodes.pip],
+            end: landmarks[rightNodes.pip],
+            level: 'GREEN'
+        };
+        
+        // ACCEPTABLE boundary: line from left DIP to right DIP
+        const acceptableBoundary = {
+            start: landmarks[leftNodes.dip],
+            end: landmarks[rightNodes.dip],
+            level: 'ACCEPTABLE'
+        };
+        
+        // LOW boundary: line from left MCP to right MCP
+        const lowBoundary = {
+            start: landmarks[leftNodes.mcp],
+            end: landmarks[rightNodes.mcp],
+            level: 'LOW'
+        };
+        
+        return { greenBoundary, acceptableBoundary, lowBoundary };
+    }
+
+    // =========================================
+    // FINGER EVALUATION
+    // =========================================
+    
+    /**
+     * Check if a TARGET finger is properly extended
+     * Uses dynamic boundaries based on that finger's position
+     * (landmarks in hand-local coordinates; offsets from getCalibrationOffsets)
+     */
+    function evaluateTargetFinger(fingerIdx, landmarks, frame, offsets = null) {
+        const nodes = FINGER_NODES[fingerIdx];
+        const tip = landmarks[nodes.tip];
+        const dip = landmarks[nodes.dip];
+        const pip = landmarks[nodes.pip];
+        const mcp = landmarks[nodes.mcp];
+        
+        // For extension: tip should be above (lower Y than) the other joints
+        // We measure relative to the finger's own structure
+        
+        const tipAboveDip = dip.y - tip.y;
+        const tipAbovePip = pip.y - tip.y;
+        const tipAboveMcp = mcp.y - tip.y;
+        
+        // Normalize by hand length
+        let normalizedExtension = tipAboveMcp / frame.handLength;
+        
+        // Also check the "straightness" - tip should be far from wrist
+        const tipToWrist = distance(tip, landmarks[0]);
+        const mcpToWrist = distance(mcp, landmarks[0]);
+        let extensionRatio = tipToWrist / mcpToWrist;
+        
+        // Measure against the patient's own range when calibrated
+        if (offsets) {
+            normalizedExtension += offsets.extension[fingerIdx];
+            extensionRatio += offsets.extensionRatio[fingerIdx];
+        }
+        
+        // Determine zone
+        if (normalizedExtension > 0.15 && extensionRatio > 1.3) {
+            // Tip well above MCP, finger extended - GREEN
+            return {
+                zone: ZONE.GREEN,
+                score: Math.min(1.0, 0.85 + normalizedExtension),
+                extended: true,
+                detail: 'fully extended'
+            };
+        } else if (normalizedExtension > 0.08 && extensionRatio > 1.15) {
+            // Good extension - BLUE
+            return {
+                zone: ZONE.BLUE,
+                score: 0.75,
+                extended: true,
+                detail: 'well extended'
+            };
+        } else if (normalizedExtension > 0.02 && extensionRatio > 1.0) {
+            // Partial extension - YELLOW
+            return {
+                zone: ZONE.YELLOW,
+                score: 0.55,
+                extended: true,
+                detail: 'partially extended'
+            };
+        } else if (normalizedExtension > -0.05) {
+            // Minimal extension - still acceptable
+            return {
+                zone: ZONE.YELLOW,
+                score: 0.40,
+                extended: false,
+                detail: 'minimal extension'
+            };
+        } else {
+            // Not extended - RED
+            return {
+                zone: ZONE.RED,
+                score: 0.20,
+                extended: false,
+                detail: 'not extended'
+            };
+        }
+    }
+    
+    /**
+     * Check if a NON-TARGET finger is in the safe zone
+     * Only flags violations - does NOT precisely measure
+     * (landmarks in hand-local coordinates)
+     */
+    function evaluateNonTargetFinger(fingerIdx, landmarks, boundaries, frame) {
+        const nodes = FINGER_NODES[fingerIdx];
+        const tip = landmarks[nodes.tip];
+        
+        // Check if tip is above the GREEN boundary (violation)
+        const aboveGreen = isAboveLine(tip, boundaries.greenBoundary.start, boundaries.greenBoundary.end);
+        
+        // Check if tip is above the ACCEPTABLE boundary (minor issue)
+        const aboveAcceptable = isAboveLine(tip, boundaries.acceptableBoundary.start, boundaries.acceptableBoundary.end);
+        
+        if (aboveGreen) {
+            // Major violation - finger is in the target zone
+            return {
+                zone: ZONE.RED,
+                score: 0.3,
+                inSafeZone: false,
+                violation: true,
+                severity: 'major',
+                detail: 'finger extended into target zone'
+            };
+        } else if (aboveAcceptable) {
+            // Minor issue - finger partially raised but acceptable
+            // YELLOW is OK per the requirements
+            return {
+                zone: ZONE.YELLOW,
+                score: 0.7,
+                inSafeZone: true, // Yellow is acceptable!
+                violation: false,
+                severity: 'none',
+                detail: 'finger slightly raised but acceptable'
+            };
+        } else {
+            // In safe zone - don't measure, just accept
+            return {
+                zone: ZONE.GREEN,
+                score: 1.0,
+                inSafeZone: true,
+                violation: false,
+                severity: 'none',
+                detail: 'in safe zone'
+            };
+        }
+    }
+    
+    /**
+     * Special handling for THUMB
+     * Maximum leniency - only fail on extreme violations
+     * (landmarks in hand-local coordinates, thumb side is always -x)
+     */
+    function evaluateThumb(landmarks, frame, isTarget, offsets = null) {
+        const thumbTip = landmarks[4];
+        const thumbIp = landmarks[3];
+        const thumbMcp = landmarks[2];
+        const indexMcp = landmarks[5];
+        const wrist = landmarks[0];
+        
+        if (isTarget) {
+            // Thumb IS the target - measure extension
+            const tipToWrist = distance(thumbTip, wrist);
+            const mcpToWrist = distance(thumbMcp, wrist);
+            let extensionRatio = tipToWrist / mcpToWrist;
+            
+            // Thumb extended away from palm?
+            let thumbAwayFromPalm = distance(thumbTip, frame.palmCenter) / frame.handWidth;
+            
+            if (offsets) {
+                extensionRatio += offsets.extensionRatio[0];
+                thumbAwayFromPalm += offsets.thumbAway;
+            }
+            
+            if (extensionRatio > 1.4 && thumbAwayFromPalm > 0.4) {
+                return { zone: ZONE.GREEN, score: 1.0, pass: true, detail: 'thumb fully extended' };
+            } else if (extensionRatio > 1.2 && thumbAwayFromPalm > 0.3) {
+                return { zone: ZONE.BLUE, score: 0.75, pass: true, detail: 'thumb well extended' };
+            } else if (extensionRatio > 1.0) {
+                return { zone: ZONE.YELLOW, score: 0.50, pass: true, detail: 'thumb partially extended' };
+            } else {
+                return { zone: ZONE.RED, score: 0.25, pass: false, detail: 'thumb not extended' };
+            }
+        } else {
+            // Thumb is NOT target - MAXIMUM LENIENCY
+            // Only fail if thumb is wildly extended AND clearly interfering
+            // In practice, almost always passes
+            
+            // Check if thumb tip is way out past index finger
+            const thumbPastIndex = thumbTip.x < indexMcp.x - frame.handWidth * 0.3;
+            const thumbVeryExtended = distance(thumbTip, wrist) > frame.handLength * 0.6;
+            
+            if (thumbPastIndex && thumbVeryExtended) {
+                // Even this is a minor issue at worst
+                return {
+                    zone: ZONE.YELLOW,
+                    score: 0.8,
+                    inSafeZone: true, // Still acceptable!
+                    violation: false,
+                    detail: 'thumb extended but acceptable'
+                };
+            }
+            
+            // Default: thumb is fine, don't care
+            return {
+                zone: ZONE.GREEN,
+                score: 1.0,
+                inSafeZone: true,
+                violation: false,
+                ignored: true,
+                detail: 'thumb in safe zone (lenient)'
+            };
+        }
+    }
+
+    // =========================================
+    // JOINT ANGLES (RANGE OF MOTION)
+    // =========================================
+    
+    const RAD_TO_DEG = 180 / Math.PI;
+    
+    /**
+     * Angle in degrees between two bone vectors (0 = collinear)
+     */
+    function angleBetween(v1, v2) {
+        const len = Math.hypot(v1.x, v1.y, v1.z) * Math.hypot(v2.x, v2.y, v2.z);
+        if (len < 1e-12) return 0;
+        const cos = Math.max(-1, Math.min(1, dot(v1, v2) / len));
+        return Math.acos(cos) * RAD_TO_DEG;
+    }
+    
+    /**
+     * Flexion at joint B of the chain A -> B -> C
+     * 0 = straight, larger = more bent
+     */
+    function jointFlexion(a, b, c) {
+        return angleBetween(subtract(b, a), subtract(c, b));
+    }
+    
+    /**
+     * Measure flexion angles (degrees) at every finger joint
+     * 
+     * Uses the full 3D landmark (x, y, z). Works with the normalized image
+     * landmarks or MediaPipe's metric worldLandmarks - angles are scale-free.
+     * 
+     * Finger angles are unsigned: 0 = fully straight, larger = more flexed.
+     * The MCP angle is measured against the metacarpal (wrist -> MCP), the
+     * thumb CMC against wrist -> CMC.
+     * 
+     * MediaPipe gives no forearm landmark, so the wrist is estimated against
+     * the camera, assuming an upright forearm parallel to the screen:
+     * - flexion: tilt of wrist -> middle MCP out of the image plane
+     *   (positive = fingers tipped toward the camera)
+     * - deviation: in-plane tilt from vertical (positive = toward +x)
+     * 
+     * @param {Array} landmarks - 21 MediaPipe hand landmarks
+     * @returns {Object|null} { thumb: { cmc, mcp, ip }, index: { mcp, pip, dip },
+     *   middle, ring, pinky, wrist: { flexion, deviation } }
+     */
+    function measureJointAngles(landmarks) {
+        if (!landmarks || landmarks.length < 21) return null;
+        
+        const wrist = landmarks[0];
+        const angles = {};
+        
+        for (let i = 0; i < 5; i++) {
+            const nodes = FINGER_NODES[i];
+            const names = JOINT_NAMES[i];
+            const mcp = landmarks[nodes.mcp];
+            const pip = landmarks[nodes.pip];
+            const dip = landmarks[nodes.dip];
+            const tip = landmarks[nodes.tip];
+            
+            angles[nodes.name] = {
+                [names.mcp]: jointFlexion(wrist, mcp, pip),
+                [names.pip]: jointFlexion(mcp, pip, dip),
+                [names.dip]: jointFlexion(pip, dip, tip)
+            };
+        }
+        
+        const axis = subtract(landmarks[9], wrist);
+        const inPlane = Math.hypot(axis.x, axis.y);
+        angles.wrist = {
+            flexion: Math.atan2(-axis.z, inPlane) * RAD_TO_DEG,
+            deviation: Math.atan2(axis.x, -axis.y) * RAD_TO_DEG
+        };
+        
+        return angles;
+    }
+    
+    // Mean joint-angle difference (degrees) at which symmetry reaches 0
+    const SYMMETRY_TOLERANCE_DEG = 60;
+    
+    /**
+     * Compare two hands joint by joint (affected vs. healthy in mirror therapy)
+     * 
+     * Finger flexion angles are unsigned, so a left and a right hand making
+     * the same shape compare directly. The wrist is left out because its
+     * angles are camera-relative estimates.
+     * 
+     * @returns {Object|null} { score: 0-1 (1 = identical), meanDiff,
+     *   perFinger: { thumb, index, ... } } with differences in degrees
+     */
+    function measureSymmetry(landmarksA, landmarksB) {
+        const a = measureJointAngles(landmarksA);
+        const b = measureJointAngles(landmarksB);
+        if (!a || !b) return null;
+        
+        const perFinger = {};
+        let total = 0;
+        let count = 0;
+        
+        for (const name of FINGER_NAMES) {
+            const joints = Object.keys(a[name]);
+            let sum = 0;
+            for (const joint of joints) {
+                sum += Math.abs(a[name][joint] - b[name][joint]);
+            }
+            perFinger[name] = sum / joints.length;
+            total += sum;
+            count += joints.length;
+        }
+        
+        const meanDiff = total / count;
+        return {
+            score: Math.max(0, 1 - meanDiff / SYMMETRY_TOLERANCE_DEG),
+            meanDiff,
+            perFinger
+        };
+    }
+
+    // =========================================
+    // PERSONAL CALIBRATION
+    // =========================================
+    
+    // Poses captured by the guided baseline, in order
+    const CALIBRATION_POSES = ['extension', 'fist', 'spread', 'pinch'];
+    
+    // The one pinch the baseline measures; other pairs are scored uncalibrated
+    const CALIBRATION_PINCH_PAIR = [4, 8];
+    
+    // Each calibrated measure: where a full healthy range reaches (a little
+    // past the GREEN cut it feeds) and how far it travels from the opposite
+    // pose. A patient whose baseline reaches `full` is scored exactly as
+    // without calibration.
+    const CALIBRATION_RANGE = {
+        extension:      { full: 0.18, span: 0.75 },  // tip above MCP / handLength (GREEN > 0.15)
+        extensionRatio: { full: 1.36, span: 1.2 },   // tip-to-wrist / MCP-to-wrist (GREEN > 1.3)
+        thumbRatio:     { full: 1.45, span: 0.8 },   // thumb tip-to-wrist / MCP-to-wrist (GREEN > 1.4)
+        thumbAway:      { full: 0.45, span: 0.5 },   // thumb tip to palm centre / handWidth (GREEN > 0.4)
+        curl:           { full: 0.09, span: 0.75 },  // tip below MCP / handLength (GREEN > 0.08)
+        curlRatio:      { full: 0.88, span: 1.2 },   // tip-to-wrist / MCP-to-wrist (GREEN < 0.9)
+        gap:            { full: 0.32, span: 0.5 },   // adjacent fingertip gap / handWidth (full marks > 0.3)
+        pinch:          { full: 0.05, span: 0.4 },   // thumb-index tip gap / handWidth (best < 0.05)
+        // Finger joint flexion in degrees (per joint): reached in a fist, and
+        // left over in an open hand (a straight MCP reads up to ~20)
+        flexion:        { full: { mcp: 80, pip: 95, dip: 50 }, span: 90 },
+        straightening:  { full: { mcp: 20, pip: 5, dip: 5 }, span: 90 }
+    };
+    
+    // Calibration forgives at most this share of a measure's healthy travel,
+    // so the opposite pose can never pass
+    const MAX_RANGE_RELIEF = 0.4;
+    
+    // Share of samples a calibrated maximum must reach (ignores one-frame spikes)
+    const CALIBRATION_PERCENTILE = 0.9;
+    
+    /**
+     * The measures the evaluators threshold, for one frame
+     * @returns {Object|null} { extension[5], extensionRatio[5], thumbAway,
+     *   curl[5], curlRatio[5], gaps[4], pinch, angles } (thumb extension is
+     *   null; angles as measureJointAngles())
+     */
+    function measureCalibrationMetrics(landmarks, handedness = null) {
+        if (!landmarks || landmarks.length < 21) return null;
+        const frame = getHandFrame(landmarks, handedness);
+        const local = frame.local;
+        const wrist = local[0];
+        
+        const metrics = {
+            extension: [null],
+            extensionRatio: [distance(local[4], wrist) / distance(local[2], wrist)],
+            thumbAway: distance(local[4], frame.palmCenter) / frame.handWidth,
+            curl: [],
+            curlRatio: [],
+            gaps: [],
+            pinch: distance(local[CALIBRATION_PINCH_PAIR[0]], local[CALIBRATION_PINCH_PAIR[1]]) / frame.handWidth,
+            angles: measureJointAngles(landmarks)
+        };
+        
+        for (let i = 0; i < 5; i++) {
+            const nodes = FINGER_NODES[i];
+            const tip = local[nodes.tip];
+            const mcp = local[nodes.mcp];
+            const ratio = distance(tip, wrist) / distance(mcp, wrist);
+            if (i > 0) {
+                metrics.extension.push((mcp.y - tip.y) / frame.handLength);
+                metrics.extensionRatio.push(ratio);
+            }
+            metrics.curl.push((tip.y - mcp.y) / frame.handLength);
+            metrics.curlRatio.push(ratio);
+        }
+        for (let i = 0; i < 4; i++) {
+            metrics.gaps.push(distance(local[ALL_TIPS[i]], local[ALL_TIPS[i + 1]]) / frame.handWidth);
+        }
+        return metrics;
+    }
+    
+    function percentile(values, p) {
+        const sorted = values.filter(v => v !== null && Number.isFinite(v)).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+        return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    }
+    
+    /**
+     * Build a calibration profile from the guided baseline capture
+     * Each pose keeps the patient's best (90th percentile) reach; a pose
+     * with no samples leaves its measures uncalibrated.
+     * @param {Object} samples - { extension, fist, spread, pinch }: arrays of
+     *   measureCalibrationMetrics() results captured while holding that pose
+     * @returns {Object} Profile for evaluate(..., { calibration })
+     */
+    function buildCalibration(samples) {
+        const pick = (pose, key, index, lowest) => {
+            const values = (samples[pose] || []).filter(Boolean)
+                .map(m => (index === undefined ? m[key] : m[key][index]));
+            return percentile(values, lowest ? 1 - CALIBRATION_PERCENTILE : CALIBRATION_PERCENTILE);
+        };
+        const range = (n, fn) => Array.from({ length: n }, (_, i) => fn(i));
+        // Finger joints only, as for curl
+        const joints = (pose, lowest) => Object.fromEntries(FINGER_NAMES.slice(1).map((name, i) =>
+            [name, Object.fromEntries(Object.values(JOINT_NAMES[i + 1]).map(joint => [joint,
+                percentile((samples[pose] || []).filter(m => m && m.angles).map(m => m.angles[name][joint]),
+                    lowest ? 1 - CALIBRATION_PERCENTILE : CALIBRATION_PERCENTILE)]))]));
+        
+        return {
+            version: 1,
+            extension: range(5, i => (i === 0 ? null : pick('extension', 'extension', i))),
+            extensionRatio: range(5, i => pick('extension', 'extensionRatio', i)),
+            thumbAway: pick('extension', 'thumbAway'),
+            // The thumb tucks across the palm rather than curling, so its
+            // fist measures stay at the defaults
+            curl: range(5, i => (i === 0 ? null : pick('fist', 'curl', i))),
+            curlRatio: range(5, i => (i === 0 ? null : pick('fist', 'curlRatio', i, true))),
+            gaps: range(4, i => pick('spread', 'gaps', i)),
+            pinch: pick('pinch', 'pinch', undefined, true),
+            // Deepest joint flexion in the fist, least in the open hand
+            flexion: joints('fist'),
+            straightening: joints('extension', true),
+            samples: Object.fromEntries(CALIBRATION_POSES.map(p => [p, (samples[p] || []).length]))
+        };
+    }
+    
+    const offsetCache = new WeakMap();
+    
+    /**
+     * Per-measure offsets for a calibration profile
+     * Each offset is the distance between the patient's baseline and a full
+     * range (capped by MAX_RANGE_RELIEF), added to the measure in the
+     * direction of the pose before the usual thresholds apply - so the
+     * patient's own best lands where a full range would.
+     * @returns {Object|null} null without a profile
+     */
+    function getCalibrationOffsets(calibration) {
+        if (!calibration || typeof calibration !== 'object') return null;
+        if (offsetCache.has(calibration)) return offsetCache.get(calibration);
+        
+        // reach falls short of full by `sign` (1 = higher is better)
+        const offset = (reach, range, sign = 1) => {
+            if (reach === null || reach === undefined || !Number.isFinite(reach)) return 0;
+            const shortfall = sign * (range.full - reach);
+            return Math.max(0, Math.min(MAX_RANGE_RELIEF * range.span, shortfall));
+        };
+        const list = (values, n, fn) => Array.from({ length: n }, (_, i) => fn((values || [])[i], i));
+        const R = CALIBRATION_RANGE;
+        
+        const offsets = {
+            extension: list(calibration.extension, 5, v => offset(v, R.extension)),
+            extensionRatio: list(calibration.extensionRatio, 5, (v, i) =>
+                offset(v, i === 0 ? R.thumbRatio : R.extensionRatio)),
+            thumbAway: offset(calibration.thumbAway, R.thumbAway),
+            curl: list(calibration.curl, 5, v => offset(v, R.curl)),
+            curlRatio: list(calibration.curlRatio, 5, v => offset(v, R.curlRatio, -1)),
+            gaps: list(calibration.gaps, 4, v => offset(v, R.gap)),
+            pinch: offset(calibration.pinch, R.pinch, -1),
+            // { [finger]: { [joint]: { flex, straighten } } } in degrees (not the thumb)
+            angles: Object.fromEntries(FINGER_NAMES.slice(1).map((name, i) => [name, Object.fromEntries(
+                Object.values(JOINT_NAMES[i + 1]).map(joint => [joint, {
+                    flex: offset(calibration.flexion?.[name]?.[joint],
+                        { full: R.flexion.full[joint], span: R.flexion.span }),
+                    straighten: offset(calibration.straightening?.[name]?.[joint],
+                        { full: R.straightening.full[joint], span: R.straightening.span }, -1)
+                }]))]))
+        };
+        offsetCache.set(calibration, offsets);
+        return offsets;
+    }
+    
+    // =========================================
+    // MAIN EVALUATION FUNCTIONS
+    // =========================================
+    
+    /**
+     * Evaluate ISOLATION exercise
+     * Only target fingers are measured for extension
+     * Non-target fingers only checked for boundary violations
+     */
+    function evaluateIsolation(landmarks, targetFingers, handedness = null, calibration = null) {
+        const frame = getHandFrame(landmarks, handedness);
+        const local = frame.local;
+        const offsets = getCalibrationOffsets(calibration);
+        const boundaries = createBoundariesForTargets(
+            targetFingers.filter(f => f !== 0), // Exclude thumb from boundary creation
+            local, 
+            frame
+        );
+        
+        const results = {
+            targets: [],
+            nonTargets: [],
+            thumb: null,
+            violations: [],
+            zone: ZONE.RED,
+            score: 0,
+            passed: false
+        };
+        
+        let targetScoreSum = 0;
+        let targetCount = 0;
+        let allTargetsOk = true;
+        let hasMajorViolation = false;
+        
+        // Evaluate each finger
+        for (let i = 0; i < 5; i++) {
+            const isTarget = targetFingers.includes(i);
+            const fingerName = FINGER_NAMES[i];
+            
+            if (i === 0) {
+                // Thumb - special handling
+                const thumbResult = evaluateThumb(local, frame, isTarget, offsets);
+                thumbResult.finger = fingerName;
+                thumbResult.fingerIndex = i;
+                thumbResult.isTarget = isTarget;
+                results.thumb = thumbResult;
+                
+                if (isTarget) {
+                    targetScoreSum += thumbResult.score;
+                    targetCount++;
+                    if (!thumbResult.pass) allTargetsOk = false;
+                }
+            } else if (isTarget) {
+                // Target finger - measure extension
+                const result = evaluateTargetFinger(i, local, frame, offsets);
+                result.finger = fingerName;
+                result.fingerIndex = i;
+                result.isTarget = true;
+                results.targets.push(result);
+                
+                targetScoreSum += result.score;
+                targetCount++;
+                if (result.zone === ZONE.RED) allTargetsOk = false;
+            } else {
+                // Non-target finger - only check for violations
+                const result = evaluateNonTargetFinger(i, local, boundaries, frame);
+                result.finger = fingerName;
+                result.fingerIndex = i;
+                result.isTarget = false;
+                results.nonTargets.push(result);
+                
+                if (result.violation) {
+                    results.violations.push({
+                        finger: fingerName,
+                        fingerIndex: i,
+                        severity: result.severity
+                    });
+                    if (result.severity === 'major') {
+                        hasMajorViolation = true;
+                    }
+                }
+            }
+        }
+        
+        // Calculate final score
+        let avgScore = targetCount > 0 ? targetScoreSum / targetCount : 0;
+        
+        // Apply violation penalty
+        if (hasMajorViolation) {
+            avgScore *= 0.5;
+        } else if (results.violations.length > 0) {
+            avgScore *= 0.85;
+        }
+        
+        results.score = avgScore;
+        
+        // Determine zone
+        if (avgScore >= 0.85) results.zone = ZONE.GREEN;
+        else if (avgScore >= 0.65) results.zone = ZONE.BLUE;
+        else if (avgScore >= 0.40) results.zone = ZONE.YELLOW;
+        else results.zone = ZONE.RED;
+        
+        // Pass/fail
+        results.passed = allTargetsOk && !hasMajorViolation && avgScore >= 0.65;
+        
+        return results;
+    }
+    
+    /**
+     * Evaluate PINCH exercise
+     * Measures distance between thumb tip and target fingertip
+     * Non-involved fingers in safe zone (not measured)
+     */
+    function evaluatePinch(landmarks, pinchPair, handedness = null, calibration = null) {
+        const frame = getHandFrame(landmarks, handedness);
+        const local = frame.local;
+        const offsets = getCalibrationOffsets(calibration);
+        const [tip1Idx, tip2Idx] = pinchPair;
+        
+        const tip1 = local[tip1Idx];
+        const tip2 = local[tip2Idx];
+        
+        // Calculate distance
+        const dist = distance(tip1, tip2);
+        const normalizedDist = dist / frame.handWidth;
+        // A calibrated patient is forgiven the gap their baseline couldn't
+        // close - for the thumb-index pinch it was measured on only
+        const calibrated = offsets && CALIBRATION_PINCH_PAIR.every(tip => pinchPair.includes(tip));
+        const scoredDist = calibrated ? Math.max(0, normalizedDist - offsets.pinch) : normalizedDist;
+        
+        // Determine zone based on distance
+        let zone, score;
+        if (scoredDist < 0.05) {
+            zone = ZONE.GREEN; score = 1.0;
+        } else if (scoredDist < 0.08) {
+            zone = ZONE.GREEN; score = 0.90;
+        } else if (scoredDist < 0.12) {
+            zone = ZONE.BLUE; score = 0.75;
+        } else if (scoredDist < 0.18) {
+            zone = ZONE.YELLOW; score = 0.55;
+        } else if (scoredDist < 0.28) {
+            zone = ZONE.YELLOW; score = 0.40;
+        } else {
+            zone = ZONE.RED; score = 0.20;
+        }
+        
+        // Determine involved fingers
+        const involvedTips = [tip1Idx, tip2Idx];
+        const involvedFingers = involvedTips.map(tipIdx => {
+            return ALL_TIPS.indexOf(tipIdx);
+        });
+        
+        // Create boundaries based on involved fingers (excluding thumb)
+        const nonThumbInvolved = involvedFingers.filter(f => f !== 0);
+        const boundaries = nonThumbInvolved.length > 0 
+            ? createBoundariesForTargets(nonThumbInvolved, local, frame)
+            : createBoundaryForFinger(2, local, frame); // Fallback to middle
+        
+        // Check non-involved fingers for major violations only
+        const violations = [];
+        for (let i = 1; i < 5; i++) { // Skip thumb
+            if (involvedFingers.includes(i)) continue;
+            
+            const result = evaluateNonTargetFinger(i, local, boundaries, frame);
+            if (result.violation && result.severity === 'major') {
+                violations.push({ finger: FINGER_NAMES[i], fingerIndex: i, severity: 'major' });
+            }
+            // Ignore minor violations for pinch
+        }
+        
+        // Apply penalty for violations
+        let finalScore = score;
+        if (violations.length > 0) {
+            finalScore *= 0.7;
+            if (zone === ZONE.GREEN) zone = ZONE.BLUE;
+        }
+        
+        return {
+            distance: normalizedDist,
+            zone,
+            score: finalScore,
+            passed: finalScore >= 0.65,
+            violations,
+            involvedFingers,
+            thumbHandling: 'lenient'
+        };
+    }
+    
+    /**
+     * Evaluate SPREAD exercise (starfish)
+     * All fingers should be extended and spread apart
+     */
+    function evaluateSpread(landmarks, handedness = null, calibration = null) {
+        const frame = getHandFrame(landmarks, handedness);
+        const local = frame.local;
+        const offsets = getCalibrationOffsets(calibration);
+        
+        const results = [];
+        let totalScore = 0;
+        
+        // Check each finger for extension
+        for (let i = 0; i < 5; i++) {
+            let result;
+            if (i === 0) {
+                result = evaluateThumb(local, frame, true, offsets);
+            } else {
+                result = evaluateTargetFinger(i, local, frame, offsets);
+            }
+            result.finger = FINGER_NAMES[i];
+            result.fingerIndex = i;
+            results.push(result);
+            totalScore += result.score;
+        }
+        
+        const extensionScore = totalScore / 5;
+        
+        // Check gaps between adjacent fingertips
+        let gapScore = 0;
+        const gaps = [];
+        for (let i = 0; i < 4; i++) {
+            const gap = distance(local[ALL_TIPS[i]], local[ALL_TIPS[i + 1]]);
+            const normalizedGap = gap / frame.handWidth;
+            gaps.push(normalizedGap);
+            const scoredGap = offsets ? normalizedGap + offsets.gaps[i] : normalizedGap;
+            
+            if (scoredGap > 0.30) gapScore += 1.0;
+            else if (scoredGap > 0.20) gapScore += 0.80;
+            else if (scoredGap > 0.12) gapScore += 0.60;
+            else if (scoredGap > 0.06) gapScore += 0.40;
+            else gapScore += 0.20;
+        }
+        gapScore /= 4;
+        
+        // Combine scores
+        const finalScore = (extensionScore * 0.5) + (gapScore * 0.5);
+        
+        let zone;
+        if (finalScore >= 0.85) zone = ZONE.GREEN;
+        else if (finalScore >= 0.65) zone = ZONE.BLUE;
+        else if (finalScore >= 0.45) zone = ZONE.YELLOW;
+        else zone = ZONE.RED;
+        
+        return {
+            fingerResults: results,
+            extensionScore,
+            gapScore,
+            gaps,
+            zone,
+            score: finalScore,
+            passed: finalScore >= 0.65
+        };
+    }
+    
+    /**
+     * Evaluate FIST exercise
+     * All fingers should be curled
+     */
+    function evaluateFist(landmarks, handedness = null, calibration = null) {
+        const frame = getHandFrame(landmarks, handedness);
+        const local = frame.local;
+        const offsets = getCalibrationOffsets(calibration);
+        
+        const results = [];
+        let totalScore = 0;
+        
+        for (let i = 0; i < 5; i++) {
+            const nodes = FINGER_NODES[i];
+            const tip = local[nodes.tip];
+            const mcp = local[nodes.mcp];
+            const wrist = local[0];
+            
+            // For fist: tip should be close to palm, below MCP
+            const tipBelowMcp = tip.y - mcp.y;
+            let normalizedCurl = tipBelowMcp / frame.handLength;
+            
+            // Also check tip is close to wrist (curled in)
+            const tipToWrist = distance(tip, wrist);
+            const mcpToWrist = distance(mcp, wrist);
+            let curlRatio = tipToWrist / mcpToWrist;
+            
+            if (offsets) {
+                normalizedCurl += offsets.curl[i];
+                curlRatio -= offsets.curlRatio[i];
+            }
+            
+            let zone, score, curled;
+            if (normalizedCurl > 0.08 && curlRatio < 0.9) {
+                zone = ZONE.GREEN; score = 1.0; curled = true;
+            } else if (normalizedCurl > 0.02 && curlRatio < 1.0) {
+                zone = ZONE.BLUE; score = 0.75; curled = true;
+            } else if (normalizedCurl > -0.05 && curlRatio < 1.1) {
+                zone = ZONE.YELLOW; score = 0.50; curled = true;
+            } else {
+                zone = ZONE.RED; score = 0.25; curled = false;
+            }
+            
+            results.push({
+                finger: FINGER_NAMES[i],
+                fingerIndex: i,
+                zone, score, curled
+            });
+            
+            totalScore += score;
+        }
+        
+        const finalScore = totalScore / 5;
+        
+        let zone;
+        if (finalScore >= 0.80) zone = ZONE.GREEN;
+        else if (finalScore >= 0.60) zone = ZONE.BLUE;
+        else if (finalScore >= 0.45) zone = ZONE.YELLOW;
+        else zone = ZONE.RED;
+        
+        return {
+            fingerResults: results,
+            zone,
+            score: finalScore,
+            passed: finalScore >= 0.55
+        };
+    }
+    
+    /**
+     * Evaluate FLAT hand
+     * All fingers extended but close together
+     */
+    function evaluateFlat(landmarks, handedness = null, calibration = null) {
+        const frame = getHandFrame(landmarks, handedness);
+        const local = frame.local;
+        const offsets = getCalibrationOffsets(calibration);
+        
+        // Check extension
+        let extensionScore = 0;
+        const results = [];
+        
+        for (let i = 0; i < 5; i++) {
+            let result;
+            if (i === 0) {
+                result = evaluateThumb(local, frame, true, offsets);
+            } else {
+                result = evaluateTargetFinger(i, local, frame, offsets);
+            }
+            result.finger = FINGER_NAMES[i];
+            results.push(result);
+            extensionScore += result.score;
+        }
+        extensionScore /= 5;
+        
+        // Check that fingers are TOGETHER (opposite of spread)
+        let togetherScore = 0;
+        for (let i = 0; i < 4; i++) {
+            const gap = distance(local[ALL_TIPS[i]], local[ALL_TIPS[i + 1]]);
+            const normalizedGap = gap / frame.handWidth;
+            
+            // Smaller gap = better for flat
+            if (normalizedGap < 0.06) togetherScore += 1.0;
+            else if (normalizedGap < 0.10) togetherScore += 0.80;
+            else if (normalizedGap < 0.15) togetherScore += 0.60;
+            else if (normalizedGap < 0.22) togetherScore += 0.40;
+            else togetherScore += 0.20;
+        }
+        togetherScore /= 4;
+        
+        const finalScore = (extensionScore * 0.6) + (togetherScore * 0.4);
+        
+        let zone;
+        if (finalScore >= 0.85) zone = ZONE.GREEN;
+        else if (finalScore >= 0.65) zone = ZONE.BLUE;
+        else if (finalScore >= 0.45) zone = ZONE.YELLOW;
+        else zone = ZONE.RED;
+        
+        return {
+            fingerResults: results,
+            extensionScore,
+            togetherScore,
+            zone,
+            score: finalScore,
+            passed: finalScore >= 0.65
+        };
+    }
+
+    // Degrees outside a joint target's range at which its score reaches 0
+    const ANGLE_TOLERANCE_DEG = 25;
+
+    /**
+     * Evaluate JOINT ANGLE targets (partial flexion holds, custom shapes)
+     * Each target is { finger: 0-4, joint, min, max, tolerance? } where joint
+     * is an anatomical name from JOINT_NAMES (thumb: cmc/mcp/ip, fingers:
+     * mcp/pip/dip) and min/max are flexion degrees. A joint inside its range
+     * scores 1, falling off linearly to 0 at `tolerance` degrees outside.
+     * Flexion angles are unsigned, so handedness does not change the score.
+     */
+    function evaluateJointAngles(landmarks, jointTargets, handedness = null, calibration = null) {
+        const angles = measureJointAngles(landmarks);
+        const offsets = getCalibrationOffsets(calibration);
+
+        const targets = [];
+        const violations = [];
+        let scoreSum = 0;
+
+        for (const target of jointTargets) {
+            const fingerName = FINGER_NAMES[target.finger];
+            const angle = angles[fingerName] ? angles[fingerName][target.joint] : undefined;
+            const tolerance = target.tolerance || ANGLE_TOLERANCE_DEG;
+
+            // A patient short of full flexion (or of straightening) has the
+            // bound moved by their shortfall, in proportion to how deep it sits
+            let min = target.min;
+            let max = target.max;
+            const relief = offsets && offsets.angles[fingerName] && offsets.angles[fingerName][target.joint];
+            if (relief) {
+                const full = CALIBRATION_RANGE.flexion.full[target.joint];
+                min -= relief.flex * Math.min(1, Math.max(0, min / full));
+                max += relief.straighten * Math.min(1, Math.max(0, 1 - max / full));
+            }
+
+            let error = 0;
+            if (typeof angle !== 'number') error = tolerance;
+            else if (angle < min) error = min - angle;
+            else if (angle > max) error = angle - max;
+
+            const score = Math.max(0, 1 - error / tolerance);
+            const zone = getZoneFromScore(score);
+
+            targets.push({
+                finger: fingerName,
+                fingerIndex: target.finger,
+                joint: target.joint,
+                angle: typeof angle === 'number' ? angle : null,
+                min,
+                max,
+                error,
+                score,
+                zone
+            });
+            if (zone === ZONE.YELLOW || zone === ZONE.RED) {
+                violations.push({
+                    finger: fingerName,
+                    fingerIndex: target.finger,
+                    joint: target.joint,
+                    severity: zone === ZONE.RED ? 'major' : 'minor'
+                });
+            }
+            scoreSum += score;
+        }
+
+        const finalScore = targets.length > 0 ? scoreSum / targets.length : 0;
+        const zone = getZoneFromScore(finalScore);
+
+        return {
+            targets,
+            violations,
+            zone,
+            score: finalScore,
+            passed: targets.length > 0 && violations.length === 0
+        };
+    }
+
+    // =========================================
+    // EVALUATOR REGISTRY
+    // =========================================
+    
+    // exercise.type -> evaluator(landmarks, exercise, handedness, options)
+    const evaluators = {};
+    
+    /**
+     * Register the evaluator for an exercise type
+     * The evaluator returns at least { score, passed }; evaluate() fills in
+     * the rest of the result schema. Registering an existing type replaces it.
+     * @param {string} type - Exercise type (exercise.type)
+     * @param {Function} evaluator - (landmarks, exercise, handedness, options) => result
+     */
+    function registerEvaluator(type, evaluator) {
+        if (!type || typeof type !== 'string') {
+            throw new Error('Evaluator type must be a non-empty string');
+        }
+        if (typeof evaluator !== 'function') {
+            throw new Error(`Evaluator for "${type}" must be a function`);
+        }
+        evaluators[type] = evaluator;
+    }
+    
+    /**
+     * Remove the evaluator for an exercise type
+     * @returns {boolean} false if none was registered
+     */
+    function unregisterEvaluator(type) {
+        if (!hasEvaluator(type)) return false;
+        delete evaluators[type];
+        return true;
+    }
+    
+    function hasEvaluator(type) {
+        return Object.prototype.hasOwnProperty.call(evaluators, type);
+    }
+    
+    function getEvaluatorTypes() {
+        return Object.keys(evaluators);
+    }
+    
+    registerEvaluator('isolation', (landmarks, exercise, handedness, options) =>
+        evaluateIsolation(landmarks, exercise.targetFingers || [], handedness, options.calibration));
+    registerEvaluator('pinch', (landmarks, exercise, handedness, options) =>
+        evaluatePinch(landmarks, exercise.pinchPair || [4, 8], handedness, options.calibration));
+    registerEvaluator('spread', (landmarks, exercise, handedness, options) =>
+        evaluateSpread(landmarks, handedness, options.calibration));
+    registerEvaluator('fist', (landmarks, exercise, handedness, options) =>
+        evaluateFist(landmarks, handedness, options.calibration));
+    registerEvaluator('flat', (landmarks, exercise, handedness, options) =>
+        evaluateFlat(landmarks, handedness, options.calibration));
+    registerEvaluator('angles', (landmarks, exercise, handedness, options) =>
+        evaluateJointAngles(landmarks, exercise.jointTargets || [], handedness, options.calibration));
+    
+    /**
+     * Get zone from numeric score
+     */
+    function getZoneFromScore(score) {
+        if (score >= 0.85) return ZONE.GREEN;
+        if (score >= 0.65) return ZONE.BLUE;
+        if (score >= 0.40) return ZONE.YELLOW;
+        return ZONE.RED;
+    }
+    
+    /**
+     * Result for input that could not be scored
+     */
+    function unscoredResult(type, error, handedness) {
+        return {
+            type: type || null,
+            error,
+            score: 0,
+            zone: ZONE.RED,
+            passed: false,
+            violations: [],
+            handedness,
+            palmFacing: null
+        };
+    }
+    
+    /**
+     * Universal evaluate function - handles any registered exercise type
+     * 
+     * options.handedness ('left' | 'right') is the hand being scored;
+     * it is echoed on the result along with palmFacing. options.calibration
+     * is the patient's profile from buildCalibration() - the built-in pose
+     * types then score against that personal range. Other options are
+     * passed through to the evaluator (e.g. options.step for sequences).
+     * @returns {Object} Result in the schema described at the top of this file
+     */
+    function evaluate(landmarks, exercise, options = {}) {
+        const handedness = options.handedness || null;
+        const type = exercise ? exercise.type : null;
+        
+        if (!landmarks || landmarks.length < 21) {
+            return unscoredResult(type, 'Invalid landmarks', handedness);
+        }
+        if (!hasEvaluator(type)) {
+            console.warn('Unknown exercise type:', type);
+            return unscoredResult(type, 'Unknown type', handedness);
+        }
+        
+        const result = evaluators[type](landmarks, exercise, handedness, options);
+        const score = Math.max(0, Math.min(1, Number(result.score) || 0));
+        
+        return Object.assign(result, {
+            type,
+            score,
+            zone: result.zone || getZoneFromScore(score),
+            passed: !!result.passed,
+            violations: result.violations || [],
+            handedness,
+            palmFacing: handedness ? getHandFrame(landmarks, handedness).palmFacing : null
+        });
+    }
+    
+    // =========================================
+    // SEQUENCES
+    // =========================================
+    
+    // A step counts as reached once it has passed for this long
+    const STEP_HOLD_MS = 300;
+    
+    function getStepLabel(exercise, stepIndex) {
+        const step = exercise.steps[stepIndex];
+        return (step && step.label) || `Step ${stepIndex + 1}`;
+    }
+    
+    /**
+     * Score one step of a sequence exercise
+     * The step is a partial exercise ({ type, targetFingers, pinchPair,
+     * jointTargets, label }) scored by its own evaluator; the result is that
+     * step's, plus which step it was.
+     * @param {number} stepIndex - Step to score (default 0)
+     */
+    function evaluateSequenceStep(landmarks, exercise, handedness = null, stepIndex = 0, calibration = null) {
+        const steps = exercise.steps || [];
+        if (steps.length === 0) {
+            return unscoredResult('sequence', 'Sequence has no steps', handedness);
+        }
+        
+        const index = Math.max(0, Math.min(steps.length - 1, stepIndex | 0));
+        const step = steps[index];
+        if (step.type === 'sequence') {
+            return unscoredResult('sequence', 'Sequence steps cannot be sequences', handedness);
+        }
+        
+        const stepResult = evaluate(landmarks, step, { handedness, calibration });
+        if (stepResult.error) return unscoredResult('sequence', stepResult.error, handedness);
+        return {
+            score: stepResult.score,
+            zone: stepResult.zone,
+            passed: stepResult.passed,
+            violations: stepResult.violations,
+            step: index,
+            stepCount: steps.length,
+            stepLabel: getStepLabel(exercise, index),
+            stepResult
+        };
+    }
+    
+    registerEvaluator('sequence', (landmarks, exercise, handedness, options) =>
+        evaluateSequenceStep(landmarks, exercise, handedness, options.step, options.calibration));
+    
+    /**
+     * Follow a patient through a sequence exercise frame by frame
+     * 
+     * Steps must be reached in order: a step is reached once it has passed
+     * for exercise.stepHoldMs (default STEP_HOLD_MS). Reaching the last step
+     * completes a rep and the sequence starts again at step 0. Each
+     * transition is timed from reaching one step to reaching the next,
+     * including the return from the last step to the first.
+     * 
+     * @param {Object} exercise - { steps, reps, stepHoldMs }
+     * @param {Object} options - { calibration } passed on to evaluate()
+     * @returns {Object} { update(landmarks, timestampMs, handedness), getStats(), reset() }
+     */
+    function createSequenceTracker(exercise, options = {}) {
+        const steps = exercise.steps || [];
+        const stepHoldMs = exercise.stepHoldMs ?? STEP_HOLD_MS;
+        const targetReps = exercise.reps || 1;
+        
+        let stepIndex, passSince, lastReachedAt, repStartedAt, firstRepStart, lastRepEnd;
+        let reps, transitions, repDurations, reachedScores;
+        
+        function reset() {
+            stepIndex = 0;
+            passSince = null;
+            lastReachedAt = null;
+            repStartedAt = null;
+            firstRepStart = null;
+            lastRepEnd = null;
+            reps = 0;
+            transitions = [];
+            repDurations = [];
+            reachedScores = [];
+        }
+        
+        function reach(timestamp, score) {
+            if (lastReachedAt !== null) {
+                const from = stepIndex === 0 ? steps.length - 1 : stepIndex - 1;
+                transitions.push({ from, to: stepIndex, ms: timestamp - lastReachedAt });
+            }
+            if (stepIndex === 0) {
+                repStartedAt = timestamp;
+                if (firstRepStart === null) firstRepStart = timestamp;
+            }
+            lastReachedAt = timestamp;
+            passSince = null;
+            reachedScores.push(score);
+            
+            if (stepIndex === steps.length - 1) {
+                reps++;
+                repDurations.push(timestamp - repStartedAt);
+                lastRepEnd = timestamp;
+                stepIndex = 0;
+            } else {
+                stepIndex++;
+            }
+        }
+        
+        /**
+         * Mean time per transition, one entry per consecutive step pair
+         * (the last entry is the return to step 0)
+         */
+        function summarizeTransitions() {
+            return steps.map((step, from) => {
+                const to = (from + 1) % steps.length;
+                const times = transitions.filter(t => t.from === from && t.to === to).map(t => t.ms);
+                return {
+                    from,
+                    to,
+                    label: `${getStepLabel(exercise, from)} → ${getStepLabel(exercise, to)}`,
+                    count: times.length,
+                    meanMs: times.length ? Math.round(times.reduce((a, b) => a + b, 0) / times.length) : null
+                };
+            });
+        }
+        
+        function getStats() {
+            const span = reps > 0 ? lastRepEnd - firstRepStart : 0;
+            return {
+                step: stepIndex,
+                stepCount: steps.length,
+                stepLabel: getStepLabel(exercise, stepIndex),
+                reps,
+                targetReps,
+                complete: reps >= targetReps,
+                // Reps per minute across the completed reps
+                cadence: span > 0 ? Math.round(reps * 60000 / span * 10) / 10 : 0,
+                repDurations: repDurations.slice(),
+                transitions: summarizeTransitions(),
+                score: reachedScores.length
+                    ? reachedScores.reduce((a, b) => a + b, 0) / reachedScores.length
+                    : 0
+            };
+        }
+        
+        /**
+         * Score a frame against the current step and advance when it is reached
+         * @returns {Object} getStats() plus { result, reached }
+         */
+        function update(landmarks, timestamp, handedness = null) {
+            const result = evaluate(landmarks, exercise, {
+                handedness,
+                step: stepIndex,
+                calibration: options.calibration
+            });
+            let reached = false;
+            
+            if (result.passed) {
+                if (passSince === null) passSince = timestamp;
+                if (timestamp - passSince >= stepHoldMs) {
+                    reach(timestamp, result.score);
+                    reached = true;
+                }
+            } else {
+                passSince = null;
+            }
+            
+            return Object.assign(getStats(), { result, reached });
+        }
+        
+        reset();
+        return { update, getStats, reset };
+    }
+    
+    // =========================================
+    // PUBLIC API
+    // =========================================
+    
+    return {
+        // Constants
+        ZONE,
+        HANDEDNESS,
+        FINGER_NAMES,
+        FINGER_NODES,
+        JOINT_NAMES,
+        ALL_TIPS,
+        ALL_DIPS,
+        ALL_PIPS,
+        ALL_MCPS,
+        
+        // Evaluation
+        evaluate,
+        registerEvaluator,
+        unregisterEvaluator,
+        hasEvaluator,
+        getEvaluatorTypes,
+        getZoneFromScore,
+        
+        // Built-in evaluators
+        evaluateIsolation,
+        evaluatePinch,
+        evaluateSpread,
+        evaluateFist,
+        evaluateFlat,
+        evaluateJointAngles,
+        evaluateSequenceStep,
+        
+        // Sequences
+        createSequenceTracker,
+        
+        // Range of motion
+        measureJointAngles,
+        measureSymmetry,
+        
+        // Personal calibration
+        CALIBRATION_POSES,
+        measureCalibrationMetrics,
+        buildCalibration,
+        getCalibrationOffsets,
+        
+        // Utility
+        getHandFrame,
+        createBoundariesForTargets,
+        
+        /**
+         * Quick fist check for reset phase, against the patient's own range
+         * when a calibration is given
+         */
+        isValidFist(landmarks, handedness = null, calibration = null) {
+            if (!landmarks || landmarks.length < 21) return false;
+            return this.evaluateFist(landmarks, handedness, calibration).passed;
+        },
+        
+        /**
+         * Get node index for a finger's tip
+         */
+        getTipNode(fingerIndex) {
+            return FINGER_NODES[fingerIndex]?.tip || 8;
+        },
+        
+        /**
+         * Debug: Get current boundaries for visualization (only use when DEBUG=true)
+         */
+        _debugGetBoundaries(landmarks, targetFingers) {
+            const frame = this.getHandFrame(landmarks);
+            const local = this.createBoundariesForTargets(targetFingers, frame.local, frame);
+            
+            // Map the hand-local lines back to landmark space for drawing
+            const boundaries = {};
+            for (const key of Object.keys(local)) {
+                const line = local[key];
+                boundaries[key] = {
+                    ...line,
+                    start: frame.toWorld(line.start),
+                    end: frame.toWorld(line.end)
+                };
+            }
+            return boundaries;
+        }
+    };
+})();
+
+// Module exports
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InvisibleBoundaryEngine;
+}
+if (typeof window !== 'undefined') {
+    window.InvisibleBoundaryEngine = InvisibleBoundaryEngine;
 }
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * build-styles.js
+ * ============================================
+ * Rebuilds the committed stylesheets the pages load without a network:
+ *   tailwind.css   Tailwind (TAILWIND_VERSION) compiled from
+ *                  tailwind.config.js - re-run after using new classes
+ *   fonts/         Nunito's latin and latin-ext variable fonts and their
+ *                  license, from @fontsource-variable/nunito
+ *                  (fonts/nunito.css declares them)
+ *
+ *   node scripts/build-styles.js
+ *
+ * Needs npm (both come from the npm registry) and tar. Bump CACHE_NAME
+ * in HandHeroOffline when the output changes.
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const TAILWIND_VERSION = '3.4.19';
+const FONT_PACKAGE = '@fontsource-variable/nunito@5.3.0';
+
+// Package path -> app path
+const FONT_FILES = [
+    ['files/nunito-latin-wght-normal.woff2', 'fonts/nunito-latin-wght-normal.woff2'],
+    ['files/nunito-latin-ext-wght-normal.woff2', 'fonts/nunito-latin-ext-wght-normal.woff2'],
+    ['LICENSE', 'fonts/OFL.txt']
+];
+
+function buildTailwind() {
+    execFileSync('npx', [
+        '--yes', `tailwindcss@${TAILWIND_VERSION}`,
+        '-c', 'tailwind.config.js',
+        '-o', 'tailwind.css'
+    ], { cwd: ROOT, stdio: 'inherit' });
+}
+
+function copyFonts() {
+    const temp = fs.mkdtempSync(path.join(os.tmpdir(), 'handhero-fonts-'));
+    try {
+        const tarball = execFileSync('npm', ['pack', '--silent', FONT_PACKAGE], { cwd: temp, encoding: 'utf8' })
+            .trim().split('\n').pop();
+        execFileSync('tar', ['-xzf', tarball], { cwd: temp });
+
+        for (const [source, target] of FONT_FILES) {
+            const from = path.join(temp, 'package', source);
+            if (!fs.existsSync(from)) throw new Error(`${FONT_PACKAGE} has no ${source}`);
+            fs.mkdirSync(path.dirname(path.join(ROOT, target)), { recursive: true });
+            fs.copyFileSync(from, path.join(ROOT, target));
+            console.log(target);
+        }
+    } finally {
+        fs.rmSync(temp, { recursive: true, force: true });
+    }
+}
+
+buildTailwind();
+copyFonts();
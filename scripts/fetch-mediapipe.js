@@ -0,0 +1,60 @@
+/**
+ * fetch-mediapipe.js
+ * ============================================
+ * Downloads the MediaPipe runtime the app serves from mediapipe/
+ * (git-ignored): vision_bundle.js and the WASM fileset of the
+ * @mediapipe/tasks-vision release HandHeroOffline pins
+ * (MEDIAPIPE.version). Run it after cloning and whenever the version
+ * changes:
+ *
+ *   node scripts/fetch-mediapipe.js
+ *
+ * Needs npm (the package comes from the npm registry) and tar. The
+ * service worker pre-caches these files, so it doesn't install until
+ * they are in place.
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MEDIAPIPE } = require('../Handherooffline.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PACKAGE = '@mediapipe/tasks-vision';
+
+/**
+ * App path -> path inside the npm package
+ */
+function listFiles() {
+    return [
+        [MEDIAPIPE.bundle, 'vision_bundle.js'],
+        ...MEDIAPIPE.wasmFiles.map(file => [`${MEDIAPIPE.wasm}/${file}`, `wasm/${file}`])
+    ];
+}
+
+function main() {
+    const spec = `${PACKAGE}@${MEDIAPIPE.version}`;
+    const temp = fs.mkdtempSync(path.join(os.tmpdir(), 'handhero-mediapipe-'));
+    try {
+        const tarball = execFileSync('npm', ['pack', '--silent', spec], { cwd: temp, encoding: 'utf8' })
+            .trim().split('\n').pop();
+        execFileSync('tar', ['-xzf', tarball], { cwd: temp });
+
+        for (const [target, source] of listFiles()) {
+            const from = path.join(temp, 'package', source);
+            if (!fs.existsSync(from)) throw new Error(`${spec} has no ${source}`);
+            const to = path.join(ROOT, target);
+            fs.mkdirSync(path.dirname(to), { recursive: true });
+            fs.copyFileSync(from, to);
+            console.log(`${target} (${fs.statSync(to).size} bytes)`);
+        }
+    } finally {
+        fs.rmSync(temp, { recursive: true, force: true });
+    }
+}
+
+main();
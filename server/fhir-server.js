@@ -0,0 +1,257 @@
+/**
+ * fhir-server.js
+ * ============================================
+ * Local stand-in for a clinic's FHIR R4 endpoint: plain Node, no
+ * dependencies, resources kept in memory. Enough of the RESTful API to
+ * try HandHero's EHR export (HandHeroFhir) without an EHR at hand.
+ *
+ *   node server/fhir-server.js
+ *
+ * Environment:
+ *   PORT                  default 8788
+ *   HANDHERO_FHIR_TOKEN   when set, every route but /metadata needs
+ *                         "Authorization: Bearer <token>"
+ *
+ * ROUTES (application/fhir+json):
+ *   GET  /metadata              CapabilityStatement
+ *   POST /                      transaction or batch Bundle -> *-response Bundle.
+ *                               Checked with HandHeroFhir.validateBundle (400 +
+ *                               OperationOutcome if it fails); POSTs honour
+ *                               ifNoneExist=identifier=system|value; urn:uuid
+ *                               references are rewritten to Type/id.
+ *   GET  /:type?identifier=system|value&subject=Type/id    searchset Bundle
+ *   GET  /:type/:id             the resource
+ */
+
+'use strict';
+
+const http = require('http');
+const HandHeroFhir = require('../Handherofhir.js');
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// =========================================
+// STORAGE
+// =========================================
+
+/**
+ * In-memory resources by type, with sequential ids
+ */
+function createMemoryStorage() {
+    const resources = {};
+    let nextId = 1;
+
+    return {
+        create(resource) {
+            const stored = { ...resource, id: String(nextId++), meta: { versionId: '1', lastUpdated: new Date().toISOString() } };
+            (resources[stored.resourceType] = resources[stored.resourceType] || []).push(stored);
+            return stored;
+        },
+        read(type, id) {
+            return (resources[type] || []).find(r => r.id === id) || null;
+        },
+        search(type, params = {}) {
+            return (resources[type] || []).filter(resource => {
+                if (params.identifier) {
+                    const [system, value] = params.identifier.includes('|') ? params.identifier.split('|') : [null, params.identifier];
+                    const match = (resource.identifier || []).some(id => id.value === value && (!system || id.system === system));
+                    if (!match) return false;
+                }
+                if (params.subject && !(resource.subject && resource.subject.reference === params.subject)) return false;
+                return true;
+            });
+        }
+    };
+}
+
+// =========================================
+// HTTP
+// =========================================
+
+class HttpError extends Error {
+    constructor(status, message, issues) {
+        super(message);
+        this.status = status;
+        this.issues = issues || [message];
+    }
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/fhir+json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function operationOutcome(issues, code = 'invalid') {
+    return {
+        resourceType: 'OperationOutcome',
+        issue: issues.map(diagnostics => ({ severity: 'error', code, diagnostics }))
+    };
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (e) {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Swap urn:uuid references for the ids the server assigned
+ */
+function rewriteReferences(value, ids) {
+    if (Array.isArray(value)) return value.map(v => rewriteReferences(v, ids));
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, v] of Object.entries(value)) {
+            copy[key] = key === 'reference' && ids.has(v) ? ids.get(v) : rewriteReferences(v, ids);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Apply a transaction/batch. Entries are all POSTs in HandHero's export;
+ * other methods are answered 405 per entry.
+ */
+function processBundle(bundle, storage) {
+    const ids = new Map();
+    const planned = bundle.entry.map(entry => {
+        const { request, resource } = entry;
+        if (request.method !== 'POST') return { status: '405 Method Not Allowed' };
+
+        // Conditional create: reuse the match instead of adding a duplicate
+        if (request.ifNoneExist) {
+            const params = Object.fromEntries(new URLSearchParams(request.ifNoneExist));
+            const matches = storage.search(request.url, params);
+            if (matches.length > 1) return { status: '412 Precondition Failed' };
+            if (matches.length === 1) {
+                if (entry.fullUrl) ids.set(entry.fullUrl, `${request.url}/${matches[0].id}`);
+                return { status: '200 OK', existing: matches[0] };
+            }
+        }
+        return { status: '201 Created', resource };
+    });
+
+    // Ids first, so references to later entries resolve too
+    const created = planned.map(plan => plan.resource ? storage.create({ resourceType: plan.resource.resourceType }) : null);
+    bundle.entry.forEach((entry, i) => {
+        if (created[i] && entry.fullUrl) ids.set(entry.fullUrl, `${created[i].resourceType}/${created[i].id}`);
+    });
+    created.forEach((stub, i) => {
+        if (stub) Object.assign(stub, rewriteReferences({ ...planned[i].resource, id: stub.id, meta: stub.meta }, ids));
+    });
+
+    return {
+        resourceType: 'Bundle',
+        type: `${bundle.type}-response`,
+        entry: planned.map((plan, i) => {
+            const stored = created[i] || plan.existing;
+            return {
+                response: {
+                    status: plan.status,
+                    ...(stored ? { location: `${stored.resourceType}/${stored.id}/_history/1` } : {})
+                }
+            };
+        })
+    };
+}
+
+/**
+ * @param {Object} options - { storage, token }
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+    const { storage = createMemoryStorage(), token = null } = options;
+
+    async function route(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+        if (req.method === 'OPTIONS') return send(res, 204);
+        if (req.method === 'GET' && url.pathname === '/metadata') {
+            return send(res, 200, {
+                resourceType: 'CapabilityStatement',
+                status: 'active',
+                date: new Date().toISOString(),
+                kind: 'instance',
+                fhirVersion: '4.0.1',
+                format: ['json'],
+                rest: [{ mode: 'server', interaction: [{ code: 'transaction' }, { code: 'batch' }] }]
+            });
+        }
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            throw new HttpError(401, 'Missing or wrong token');
+        }
+
+        if (req.method === 'POST' && parts.length === 0) {
+            const bundle = await readJson(req);
+            if (!bundle || bundle.resourceType !== 'Bundle' || !['transaction', 'batch'].includes(bundle.type)) {
+                throw new HttpError(400, 'Expected a transaction or batch Bundle');
+            }
+            const { valid, errors } = HandHeroFhir.validateBundle(bundle);
+            if (!valid) throw new HttpError(400, 'Bundle failed validation', errors);
+            return send(res, 200, processBundle(bundle, storage));
+        }
+
+        if (req.method === 'GET' && parts.length === 1) {
+            const params = Object.fromEntries(url.searchParams);
+            const matches = storage.search(parts[0], params);
+            return send(res, 200, {
+                resourceType: 'Bundle',
+                type: 'searchset',
+                total: matches.length,
+                entry: matches.map(resource => ({ fullUrl: `${parts[0]}/${resource.id}`, resource }))
+            });
+        }
+
+        if (req.method === 'GET' && parts.length === 2) {
+            const resource = storage.read(parts[0], parts[1]);
+            if (!resource) throw new HttpError(404, `${parts[0]}/${parts[1]} not found`);
+            return send(res, 200, resource);
+        }
+
+        throw new HttpError(404, 'Not found');
+    }
+
+    return http.createServer((req, res) => {
+        route(req, res).catch(error => {
+            if (!(error instanceof HttpError)) console.error(error);
+            const status = error.status || 500;
+            send(res, status, operationOutcome(error instanceof HttpError ? error.issues : ['Server error'],
+                status === 401 ? 'security' : status === 404 ? 'not-found' : 'invalid'));
+        });
+    });
+}
+
+module.exports = { createMemoryStorage, createServer, HttpError };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8788;
+    const server = createServer({ token: process.env.HANDHERO_FHIR_TOKEN || null });
+    server.listen(port, () => {
+        console.log(`HandHero FHIR test server on http://localhost:${port}`);
+    });
+}
@@ -0,0 +1,264 @@
+/**
+ * sync-server.js
+ * ============================================
+ * Reference HandHero sync server: plain Node, no dependencies, data in
+ * one JSON file. Good for self-hosting a clinic or family install and for
+ * testing HandHeroSync locally; swap the storage for a database when you
+ * outgrow it (createServer takes any object with the storage methods).
+ *
+ *   node server/sync-server.js
+ *
+ * Environment:
+ *   PORT                  default 8787
+ *   HANDHERO_DATA         data file, default ./handhero-data.json
+ *   HANDHERO_SYNC_TOKEN   when set, every route but /health needs
+ *                         "Authorization: Bearer <token>"
+ *
+ * ROUTES (JSON in and out):
+ *   GET  /health                      { ok, name, version }
+ *   POST /sync/push                   { entries: [outbox entry, ...] } -> { accepted: [id, ...] }
+ *                                     Entries are stored by id, so a resend is harmless. A
+ *                                     batch with an invalid entry is rejected whole (400).
+ *   GET  /sync/pull?userId=&since=    { changes: [{ kind, userId, payload, updatedAt }], cursor }
+ *                                     Changes after cursor `since` for that profile (userId
+ *                                     is required: 400 without it).
+ *   PUT  /plans/:userId               body: plan -> { updatedAt }. Queued for the profile's next pull.
+ *   GET  /plans/:userId               { plan, updatedAt } - the latest plan (plan: null if none)
+ *   GET  /patients                    { patients: [{ userId, name, avatar, hand, lastSeen, sessions }] }
+ *                                     Everyone who has pushed; names come from 'profile' entries.
+ *   GET  /users/:userId/entries       Entries pushed for a profile (?kind= to filter)
+ *
+ * The clinician portal (handhero_clinician.html) uses the last four.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const NAME = 'handhero-sync';
+const VERSION = 1;
+
+// Outbox batches are small; recordings are not pushed
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// =========================================
+// STORAGE
+// =========================================
+
+/**
+ * JSON-file storage. Each write replaces the file atomically (temp file +
+ * rename), so a crash never leaves it half-written; a pushed batch is one
+ * write.
+ * @param {string} file
+ */
+function createFileStorage(file) {
+    let data = { seq: 0, entries: {}, changes: [] };
+    if (fs.existsSync(file)) data = { ...data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(data));
+        fs.renameSync(temp, file);
+    }
+
+    return {
+        /**
+         * Stores the entries not already stored by id
+         * @returns {number} how many were new
+         */
+        addEntries(entries) {
+            const receivedAt = new Date().toISOString();
+            let added = 0;
+            for (const entry of entries) {
+                if (data.entries[entry.id]) continue;
+                data.entries[entry.id] = { ...entry, receivedAt };
+                added++;
+            }
+            if (added) save();
+            return added;
+        },
+        getEntries(userId, kind) {
+            return Object.values(data.entries).filter(e =>
+                e.payload && e.payload.userId === userId && (!kind || e.kind === kind)
+            );
+        },
+        addChange(change) {
+            data.seq++;
+            data.changes.push({ ...change, seq: data.seq });
+            save();
+            return data.seq;
+        },
+        getChanges(userId, since) {
+            return data.changes.filter(c => c.seq > since && c.userId === userId);
+        },
+        getPlan(userId) {
+            return data.changes.filter(c => c.kind === 'plan' && c.userId === userId).pop() || null;
+        },
+        listPatients() {
+            const patients = {};
+            const byTime = Object.values(data.entries).sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+            for (const entry of byTime) {
+                const userId = entry.payload && entry.payload.userId;
+                if (!userId) continue;
+                const patient = patients[userId] || (patients[userId] = { userId, name: null, sessions: 0, lastSeen: null });
+                patient.lastSeen = entry.queuedAt || entry.receivedAt;
+                if (entry.kind === 'session') patient.sessions++;
+                if (entry.kind === 'profile') {
+                    const { name, avatar, hand } = entry.payload;
+                    Object.assign(patient, { name, avatar, hand });
+                }
+            }
+            return Object.values(patients);
+        },
+        getCursor() {
+            return data.seq;
+        }
+    };
+}
+
+// =========================================
+// HTTP
+// =========================================
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let body;
+            try {
+                body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+            } catch (e) {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+                return;
+            }
+            // Every route takes an object; null, arrays and bare values are the client's mistake
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new HttpError(400, 'Body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {Object} options - { storage, token }
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+    const { storage, token = null } = options;
+    if (!storage) throw new Error('createServer needs a storage');
+
+    async function route(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (e) {
+            throw new HttpError(400, 'Malformed path');
+        }
+
+        if (req.method === 'OPTIONS') return send(res, 204);
+        if (req.method === 'GET' && url.pathname === '/health') {
+            return send(res, 200, { ok: true, name: NAME, version: VERSION });
+        }
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            throw new HttpError(401, 'Missing or wrong token');
+        }
+
+        if (req.method === 'POST' && url.pathname === '/sync/push') {
+            const { entries } = await readJson(req);
+            if (!Array.isArray(entries)) throw new HttpError(400, 'Expected { entries: [...] }');
+            if (entries.some(entry => !entry || typeof entry.id !== 'string' || typeof entry.kind !== 'string')) {
+                throw new HttpError(400, 'Each entry needs a string id and kind');
+            }
+            storage.addEntries(entries);
+            return send(res, 200, { accepted: entries.map(entry => entry.id) });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/sync/pull') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const userId = url.searchParams.get('userId');
+            if (!userId) throw new HttpError(400, 'Pull needs a userId');
+            const changes = storage.getChanges(userId, since)
+                .map(({ kind, userId, payload, updatedAt }) => ({ kind, userId, payload, updatedAt }));
+            return send(res, 200, { changes, cursor: String(storage.getCursor()) });
+        }
+
+        if (req.method === 'PUT' && parts[0] === 'plans' && parts.length === 2) {
+            const plan = await readJson(req);
+            if (!Array.isArray(plan.exercises)) throw new HttpError(400, 'A plan needs an exercises list');
+            const updatedAt = plan.updatedAt || new Date().toISOString();
+            storage.addChange({ kind: 'plan', userId: parts[1], payload: plan, updatedAt });
+            return send(res, 200, { updatedAt });
+        }
+
+        if (req.method === 'GET' && parts[0] === 'plans' && parts.length === 2) {
+            const change = storage.getPlan(parts[1]);
+            return send(res, 200, change ? { plan: change.payload, updatedAt: change.updatedAt } : { plan: null });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/patients') {
+            return send(res, 200, { patients: storage.listPatients() });
+        }
+
+        if (req.method === 'GET' && parts[0] === 'users' && parts[2] === 'entries' && parts.length === 3) {
+            return send(res, 200, { entries: storage.getEntries(parts[1], url.searchParams.get('kind')) });
+        }
+
+        throw new HttpError(404, 'Not found');
+    }
+
+    return http.createServer((req, res) => {
+        route(req, res).catch(error => {
+            if (!(error instanceof HttpError)) console.error(error);
+            send(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Server error' });
+        });
+    });
+}
+
+module.exports = { NAME, VERSION, createFileStorage, createServer, HttpError };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    const file = path.resolve(process.env.HANDHERO_DATA || 'handhero-data.json');
+    const server = createServer({
+        storage: createFileStorage(file),
+        token: process.env.HANDHERO_SYNC_TOKEN || null
+    });
+    server.listen(port, () => {
+        console.log(`HandHero sync server on http://localhost:${port} (data: ${file})`);
+    });
+}
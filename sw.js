@@ -0,0 +1,67 @@
+/**
+ * sw.js
+ * ============================================
+ * HandHero service worker: pre-caches HandHeroOffline's asset list so the
+ * app, the MediaPipe runtime and the model load without a connection.
+ *
+ * - Pages: network first (pick up updates), cached copy when offline.
+ *   The query string is ignored, so ?practice= / ?calibrate= still load.
+ * - Everything else: cache first, falling back to the network and
+ *   caching what comes back (anything not on the list).
+ */
+
+importScripts('Handherooffline.js');
+
+const { CACHE_NAME, APP_FILES, REMOTE_FILES } = HandHeroOffline;
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_FILES);
+        // Model storage that is down (or blocked) shouldn't stop the app installing
+        await Promise.allSettled(REMOTE_FILES.map(url => cache.add(new Request(url, { mode: 'cors' }))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || cache.match('handhero_dashboard.html');
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque (no-cors) responses can't be checked, but third-party files can arrive that way
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
@@ -0,0 +1,10 @@
+/**
+ * tailwind.config.js
+ * ============================================
+ * Tailwind's default theme, scanned over the pages and the modules that
+ * build markup. scripts/build-styles.js compiles it into tailwind.css.
+ */
+
+module.exports = {
+    content: ['./*.html', './Handhero*.js', './Boundaryvisualizer.js', './Invisibleboundaryengine.js']
+};
@@ -0,0 +1,109 @@
+/**
+ * auth.test.js
+ * ============================================
+ * Local accounts: PBKDF2 hashing, sign-up validation, sign-in, PIN
+ * lockout and guests.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Auth = require('../Handheroauth.js');
+
+// Full-strength hashing is deliberately slow; the format is the same
+const FAST = { iterations: 1000 };
+
+test('secrets are salted hashes that verify only the original', async () => {
+    const a = await Auth.hashSecret('correct horse', FAST);
+    const b = await Auth.hashSecret('correct horse', FAST);
+
+    assert.equal(a.algorithm, Auth.ALGORITHM);
+    assert.notEqual(a.salt, b.salt);
+    assert.notEqual(a.hash, b.hash, 'same secret, different salt');
+    assert.ok(!JSON.stringify(a).includes('correct horse'));
+
+    assert.equal(await Auth.verifySecret('correct horse', a), true);
+    assert.equal(await Auth.verifySecret('correct horsE', a), false);
+    assert.equal(await Auth.verifySecret('correct horse', null), false);
+    assert.equal(await Auth.verifySecret('correct horse', { ...a, algorithm: 'plain' }), false);
+});
+
+test('sign-up validates the form and refuses a used email', async () => {
+    const profiles = [{ id: 'u1', email: 'sam@example.com' }];
+    const form = { name: 'Alex', email: ' Alex@Example.com ', password: 'secret1' };
+
+    const { user, credentials } = await Auth.createAccount(form, profiles, { hand: 'left' }, FAST);
+    assert.equal(user.email, 'alex@example.com');
+    assert.equal(user.hand, 'left');
+    assert.equal(credentials.userId, user.id);
+    assert.ok(!('password' in user));
+
+    await assert.rejects(Auth.createAccount({ ...form, email: 'SAM@example.com' }, profiles, {}, FAST), /already exists/);
+    await assert.rejects(Auth.createAccount({ ...form, password: '12345' }, profiles, {}, FAST), /at least 6/);
+    await assert.rejects(Auth.createAccount({ ...form, name: ' ' }, profiles, {}, FAST), /name/);
+});
+
+test('sign-in matches email and password and says the same thing for either mistake', async () => {
+    const { user, credentials } = await Auth.createAccount(
+        { name: 'Alex', email: 'alex@example.com', password: 'secret1' }, [], {}, FAST
+    );
+    const profiles = [user, Auth.createGuest()];
+    const lookup = async id => (id === user.id ? credentials : null);
+
+    assert.equal((await Auth.signIn('ALEX@example.com', 'secret1', profiles, lookup)).id, user.id);
+    await assert.rejects(Auth.signIn('alex@example.com', 'wrong1', profiles, lookup), /Email or password is incorrect/);
+    await assert.rejects(Auth.signIn('nobody@example.com', 'secret1', profiles, lookup), /Email or password is incorrect/);
+});
+
+test('a PIN takes precedence over a password when unlocking', () => {
+    assert.equal(Auth.getUnlockMethod(null), null);
+    assert.equal(Auth.getUnlockMethod({ password: {} }), 'password');
+    assert.equal(Auth.getUnlockMethod({ password: {}, pin: {} }), 'pin');
+
+    assert.equal(Auth.checkPin('1234'), null);
+    assert.equal(Auth.checkPin('123456'), null);
+    assert.match(Auth.checkPin('12a4'), /4 to 6 digits/);
+    assert.match(Auth.checkPin('123'), /4 to 6 digits/);
+});
+
+test('wrong PINs lock the profile for longer each time; the right one clears the count', async () => {
+    let stored = { userId: 'u1', pin: await Auth.hashSecret('2468', FAST) };
+    const save = credentials => { stored = credentials; };
+    const attempt = (pin, now) => Auth.unlockWithPin(pin, stored, save, now);
+    const t0 = 1e12;
+
+    for (let i = 1; i < Auth.PIN_FREE_ATTEMPTS; i++) {
+        await assert.rejects(attempt('0000', t0), /^Error: Wrong PIN$/);
+    }
+    assert.equal(Auth.getPinLockout(stored, t0), 0);
+    await assert.rejects(attempt('0000', t0), /wait 30 seconds/);
+    assert.equal(Auth.getPinLockout(stored, t0), Auth.PIN_LOCKOUT_MS);
+
+    // While locked even the right PIN isn't checked
+    await assert.rejects(attempt('2468', t0 + 1000), /try again in 29 seconds/);
+    assert.equal(stored.pinLock.failures, Auth.PIN_FREE_ATTEMPTS);
+
+    let now = t0 + Auth.PIN_LOCKOUT_MS;
+    await assert.rejects(attempt('1111', now), /wait 1 minute/);
+    assert.equal(Auth.getPinLockout(stored, now), 2 * Auth.PIN_LOCKOUT_MS);
+    for (let i = 0; i < 10; i++) {
+        now += Auth.getPinLockout(stored, now);
+        await assert.rejects(attempt('1111', now));
+    }
+    assert.equal(Auth.getPinLockout(stored, now), Auth.PIN_MAX_LOCKOUT_MS);
+
+    now += Auth.PIN_MAX_LOCKOUT_MS;
+    await attempt('2468', now);
+    assert.equal('pinLock' in stored, false);
+    assert.equal(await Auth.verifySecret('2468', stored.pin), true);
+});
+
+test('guests are separate throwaway profiles', () => {
+    const a = Auth.createGuest({ hand: 'right' });
+    const b = Auth.createGuest();
+    assert.equal(a.guest, true);
+    assert.equal(a.hand, 'right');
+    assert.notEqual(a.id, b.id);
+});
@@ -0,0 +1,395 @@
+/**
+ * engine.test.js
+ * ============================================
+ * InvisibleBoundaryEngine against synthetic landmark fixtures.
+ *
+ * Every exercise in HandHeroExercises.EXERCISES must pass on its ideal
+ * pose, score the same under rotation, mirroring, out-of-plane turns,
+ * scale and noise, and fail on poses that are clearly wrong.
+ *
+ * Run: node --test test/*.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Engine = require('../Invisibleboundaryengine.js');
+const { EXERCISES } = require('../Handheroexercises.js');
+const Hands = require('./fixtures/synthetic-hands.js');
+
+const ALL = Object.values(EXERCISES);
+
+function evaluate(landmarks, exercise, handedness = 'right') {
+    return Engine.evaluate(landmarks, exercise, { handedness });
+}
+
+// =========================================
+// IDEAL POSES
+// =========================================
+
+test('every exercise passes on its ideal pose', async (t) => {
+    for (const ex of ALL) {
+        await t.test(ex.id, () => {
+            const result = evaluate(Hands.idealPose(ex), ex);
+            assert.equal(result.passed, true, `${ex.id} scored ${result.score}`);
+            assert.notEqual(result.zone, Engine.ZONE.RED);
+            assert.equal(result.handedness, 'right');
+            assert.equal(result.palmFacing, true);
+        });
+    }
+});
+
+test('ideal poses score the same under every variant', async (t) => {
+    for (const ex of ALL) {
+        await t.test(ex.id, () => {
+            const pose = Hands.idealPose(ex);
+            const upright = evaluate(pose, ex);
+
+            for (const [name, transform] of Object.entries(Hands.VARIANTS)) {
+                const handedness = name.startsWith('mirrored') ? 'left' : 'right';
+                const result = evaluate(transform(pose), ex, handedness);
+                assert.equal(result.passed, true, `${name}: scored ${result.score}`);
+                assert.equal(result.zone, upright.zone, name);
+                assert.ok(Math.abs(result.score - upright.score) < 1e-6, name);
+            }
+        });
+    }
+});
+
+// =========================================
+// WRONG POSES
+// =========================================
+
+test('a fist fails every exercise except fist', () => {
+    const fist = Hands.buildHand({ extended: [] });
+    for (const ex of ALL) {
+        const result = evaluate(fist, ex);
+        assert.equal(result.passed, ex.type === 'fist', ex.id);
+    }
+});
+
+test('an open hand fails fist, pinches and single-finger isolations', () => {
+    const open = Hands.buildHand();
+    for (const ex of ALL) {
+        const single = ex.type === 'isolation' && ex.targetFingers.length === 1;
+        if (ex.type !== 'fist' && ex.type !== 'pinch' && !single) continue;
+        assert.equal(evaluate(open, ex).passed, false, ex.id);
+    }
+});
+
+test('isolation fails when a different finger is lifted', () => {
+    const isolations = ALL.filter(ex => ex.type === 'isolation');
+    for (const ex of isolations) {
+        for (let finger = 1; finger < 5; finger++) {
+            if (ex.targetFingers.includes(finger)) continue;
+            const wrong = Hands.buildHand({ extended: [finger] });
+            assert.equal(evaluate(wrong, ex).passed, false, `${ex.id} with finger ${finger} up`);
+        }
+    }
+});
+
+test('a pinch only passes on its own fingertip', () => {
+    const pinches = ALL.filter(ex => ex.type === 'pinch');
+    for (const ex of pinches) {
+        for (const other of pinches) {
+            const result = evaluate(Hands.idealPose(other), ex);
+            assert.equal(result.passed, other === ex, `${ex.id} on ${other.id} pose`);
+        }
+    }
+});
+
+test('pinch with the other fingers left up is penalized', () => {
+    const ex = EXERCISES.ok_sign;
+    const folded = evaluate(Hands.buildPinch(8), ex);
+    const open = evaluate(Hands.buildPinch(8, false), ex);
+    assert.ok(open.violations.length > 0);
+    assert.ok(open.score < folded.score);
+});
+
+test('flat hand scores higher with the fingers together than spread', () => {
+    const ex = EXERCISES.flat_hand;
+    const together = evaluate(Hands.buildHand({ splay: 'together' }), ex);
+    const spread = evaluate(Hands.buildHand({ splay: 'spread' }), ex);
+    assert.ok(together.togetherScore > spread.togetherScore);
+    assert.ok(together.score > spread.score);
+});
+
+// =========================================
+// HANDEDNESS & INVALID INPUT
+// =========================================
+
+test('palmFacing follows handedness', () => {
+    const ex = EXERCISES.starfish;
+    const right = Hands.buildHand();
+    const left = Hands.mirror(right);
+
+    assert.equal(evaluate(right, ex, 'right').palmFacing, true);
+    assert.equal(evaluate(left, ex, 'left').palmFacing, true);
+    // The same image labelled as the other hand is its back toward the camera
+    assert.equal(evaluate(right, ex, 'left').palmFacing, false);
+    assert.equal(Engine.evaluate(right, ex).palmFacing, null);
+});
+
+test('invalid landmarks and unknown types score RED', () => {
+    assert.deepEqual(
+        { passed: false, score: 0, zone: Engine.ZONE.RED },
+        (({ passed, score, zone }) => ({ passed, score, zone }))(Engine.evaluate([], EXERCISES.fist))
+    );
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const result = Engine.evaluate(Hands.buildHand(), { type: 'juggle' });
+        assert.equal(result.passed, false);
+        assert.equal(result.zone, Engine.ZONE.RED);
+    } finally {
+        console.warn = warn;
+    }
+});
+
+// =========================================
+// EVALUATOR REGISTRY
+// =========================================
+
+test('every built-in type returns the documented result schema', () => {
+    for (const ex of ALL) {
+        const result = evaluate(Hands.idealPose(ex), ex);
+        assert.equal(result.type, ex.type);
+        assert.equal(typeof result.score, 'number', ex.id);
+        assert.ok(result.score >= 0 && result.score <= 1, ex.id);
+        assert.ok(Object.values(Engine.ZONE).includes(result.zone), ex.id);
+        assert.equal(typeof result.passed, 'boolean', ex.id);
+        assert.ok(Array.isArray(result.violations), ex.id);
+        assert.equal('overallScore' in result, false, ex.id);
+    }
+    for (const type of ['isolation', 'pinch', 'spread', 'fist', 'flat']) {
+        assert.ok(Engine.hasEvaluator(type), type);
+    }
+});
+
+test('a registered evaluator is dispatched by evaluate()', (t) => {
+    // The registry is module-wide; leave it as the other tests expect
+    t.after(() => Engine.unregisterEvaluator('test_wave'));
+    Engine.registerEvaluator('test_wave', (landmarks, exercise, handedness) => ({
+        score: 1.4,
+        passed: true,
+        seenHandedness: handedness,
+        seenExercise: exercise.id
+    }));
+    const result = evaluate(Hands.buildHand(), { id: 'wave', type: 'test_wave' }, 'right');
+    assert.ok(Engine.getEvaluatorTypes().includes('test_wave'));
+    assert.equal(result.type, 'test_wave');
+    assert.equal(result.score, 1, 'score is clamped to 0-1');
+    assert.equal(result.zone, Engine.ZONE.GREEN, 'zone is derived from score');
+    assert.deepEqual(result.violations, []);
+    assert.equal(result.seenHandedness, 'right');
+    assert.equal(result.seenExercise, 'wave');
+    assert.equal(result.palmFacing, true);
+
+    assert.throws(() => Engine.registerEvaluator('', () => ({})), /non-empty string/);
+    assert.throws(() => Engine.registerEvaluator('x', null), /must be a function/);
+
+    assert.equal(Engine.unregisterEvaluator('test_wave'), true);
+    assert.equal(Engine.hasEvaluator('test_wave'), false);
+    assert.equal(Engine.unregisterEvaluator('test_wave'), false);
+});
+
+// =========================================
+// SEQUENCES
+// =========================================
+
+/**
+ * Feed a tracker each pose for `frames` frames, `frameMs` apart
+ */
+function playPoses(tracker, poses, { frames = 5, frameMs = 100, start = 0 } = {}) {
+    let t = start;
+    let progress = null;
+    for (const pose of poses) {
+        for (let f = 0; f < frames; f++) {
+            progress = tracker.update(pose, t, 'right');
+            t += frameMs;
+        }
+    }
+    return { progress, t };
+}
+
+test('each sequence step passes only on its own pose', async (t) => {
+    for (const ex of ALL.filter(e => e.type === 'sequence')) {
+        await t.test(ex.id, () => {
+            const poses = Hands.sequencePoses(ex);
+            poses.forEach((pose, i) => {
+                const result = Engine.evaluate(pose, ex, { handedness: 'right', step: i });
+                assert.equal(result.passed, true, `step ${i} on its pose`);
+                assert.equal(result.stepLabel, ex.steps[i].label);
+                if (i > 0) {
+                    const early = Engine.evaluate(pose, ex, { handedness: 'right', step: i - 1 });
+                    assert.equal(early.passed, false, `step ${i - 1} on step ${i} pose`);
+                }
+            });
+        });
+    }
+});
+
+test('a sequence tracker counts reps and times each transition', () => {
+    const ex = EXERCISES.tendon_glide;
+    const tracker = Engine.createSequenceTracker(ex);
+    const poses = Hands.sequencePoses(ex);
+
+    // 5 frames 100ms apart per pose: each step is reached 300ms in and the
+    // next one 500ms after that
+    let { progress, t } = playPoses(tracker, poses);
+    assert.equal(progress.reps, 1);
+    assert.equal(progress.step, 0);
+    assert.equal(progress.complete, false);
+    assert.deepEqual(progress.repDurations, [2000]);
+    assert.deepEqual(progress.transitions.slice(0, 4).map(tr => tr.meanMs), [500, 500, 500, 500]);
+    assert.equal(progress.transitions[4].count, 0, 'no return to straight yet');
+    assert.equal(progress.transitions[1].label, 'Hook → Full fist');
+
+    ({ progress } = playPoses(tracker, [...poses, ...poses], { start: t }));
+    assert.equal(progress.reps, 3);
+    assert.equal(progress.complete, true);
+    assert.equal(progress.transitions[4].count, 2);
+    assert.equal(progress.transitions[4].meanMs, 500);
+    // 3 reps from the first straight (300ms) to the last straight fist (7300ms)
+    assert.equal(progress.cadence, 25.7);
+    assert.ok(progress.score > 0.65);
+});
+
+test('a sequence tracker does not advance on steps out of order', () => {
+    const ex = EXERCISES.thumb_opposition;
+    const tracker = Engine.createSequenceTracker(ex);
+    const [index, middle, ring, pinky] = Hands.sequencePoses(ex);
+
+    let { progress } = playPoses(tracker, [index, ring, pinky]);
+    assert.equal(progress.step, 1, 'still waiting for the middle finger');
+    assert.equal(progress.reps, 0);
+
+    ({ progress } = playPoses(tracker, [middle, ring, pinky], { start: 2000 }));
+    assert.equal(progress.reps, 1);
+
+    tracker.reset();
+    assert.equal(tracker.getStats().reps, 0);
+    assert.equal(tracker.getStats().step, 0);
+});
+
+test('a pose must pass for stepHoldMs before its step counts', () => {
+    const ex = { ...EXERCISES.open_close, stepHoldMs: 250 };
+    const [open, closed] = Hands.sequencePoses(ex);
+    const tracker = Engine.createSequenceTracker(ex);
+
+    // Two frames 100ms apart is only 100ms of passing
+    const { progress } = playPoses(tracker, [open, closed, open], { frames: 2 });
+    assert.equal(progress.step, 0);
+    assert.equal(progress.reps, 0);
+});
+
+// =========================================
+// PERSONAL CALIBRATION
+// =========================================
+
+const fourFingers = flex => ({ 1: flex, 2: flex, 3: flex, 4: flex });
+
+/**
+ * A calibration built from holding each pose for a few frames
+ */
+function calibrateFrom(poses) {
+    const samples = {};
+    for (const [pose, landmarks] of Object.entries(poses)) {
+        samples[pose] = Array.from({ length: 5 }, () => Engine.measureCalibrationMetrics(landmarks, 'right'));
+    }
+    return Engine.buildCalibration(samples);
+}
+
+test('a stiff hand passes against its own calibrated range', () => {
+    const stiffOpen = Hands.buildHand({ flex: fourFingers([55, 60, 35]) });
+    const stiffFist = Hands.buildHand({ extended: [], flex: fourFingers([45, 55, 30]) });
+    const calibration = calibrateFrom({ extension: stiffOpen, fist: stiffFist, spread: stiffOpen });
+    const score = (pose, ex, cal) => Engine.evaluate(pose, ex, { handedness: 'right', calibration: cal });
+
+    assert.equal(score(stiffFist, EXERCISES.fist).passed, false);
+    assert.equal(score(stiffFist, EXERCISES.fist, calibration).passed, true);
+    assert.equal(score(stiffOpen, EXERCISES.four_fingers).passed, false);
+    assert.equal(score(stiffOpen, EXERCISES.four_fingers, calibration).passed, true);
+
+    // Relief is capped: the opposite pose still fails
+    assert.equal(score(Hands.buildHand(), EXERCISES.fist, calibration).passed, false);
+    assert.equal(score(Hands.buildHand({ extended: [] }), EXERCISES.four_fingers, calibration).passed, false);
+});
+
+test('a calibrated, reduced-range fist passes the starting-fist check', () => {
+    const stiffFist = Hands.buildHand({ extended: [], flex: fourFingers([45, 55, 30]) });
+    const calibration = calibrateFrom({ extension: Hands.buildHand(), fist: stiffFist });
+
+    assert.equal(Engine.isValidFist(stiffFist, 'right'), false);
+    assert.equal(Engine.isValidFist(stiffFist, 'right', calibration), true);
+    assert.equal(Engine.isValidFist(Hands.buildHand(), 'right', calibration), false);
+});
+
+test('joint-angle targets move with the calibrated range', () => {
+    const exercise = {
+        id: 'deep_hook', name: 'Deep hook', type: 'angles',
+        jointTargets: [{ finger: 1, joint: 'mcp', min: 60, max: 100 }, { finger: 1, joint: 'pip', min: 70, max: 120 }]
+    };
+    const stiffFist = Hands.buildHand({ extended: [], flex: fourFingers([45, 55, 30]) });
+    const calibration = calibrateFrom({ extension: Hands.buildHand(), fist: stiffFist });
+    const score = (pose, cal) => Engine.evaluate(pose, exercise, { handedness: 'right', calibration: cal });
+
+    assert.equal(score(stiffFist).passed, false);
+    assert.equal(score(stiffFist, calibration).passed, true);
+    assert.ok(score(stiffFist, calibration).targets[0].min < 60, 'the reported bound is the relieved one');
+    assert.equal(score(Hands.buildHand(), calibration).passed, false);
+});
+
+test('the pinch baseline only relieves the thumb-index pinch it was measured on', () => {
+    // A baseline whose thumb never came near the index finger
+    const calibration = calibrateFrom({
+        extension: Hands.buildHand(),
+        fist: Hands.buildHand({ extended: [] }),
+        pinch: Hands.buildHand()
+    });
+    for (const ex of ALL.filter(e => e.type === 'pinch')) {
+        // A near miss: the fingertip held a fifth of a hand width off the thumb
+        const pose = Hands.buildPinch(ex.pinchPair[1]);
+        const tip = pose[ex.pinchPair[1]];
+        pose[ex.pinchPair[1]] = { ...tip, z: tip.z - 0.2 * Engine.getHandFrame(pose, 'right').handWidth };
+
+        const plain = evaluate(pose, ex);
+        const calibrated = Engine.evaluate(pose, ex, { handedness: 'right', calibration });
+        if (ex.pinchPair[1] === 8) assert.ok(calibrated.score > plain.score, ex.id);
+        else assert.equal(calibrated.score, plain.score, ex.id);
+    }
+});
+
+test('a full-range calibration scores exactly as uncalibrated', () => {
+    const calibration = calibrateFrom({
+        extension: Hands.buildHand(),
+        fist: Hands.buildHand({ extended: [] }),
+        spread: Hands.buildHand({ splay: 'spread' }),
+        pinch: Hands.buildPinch(8)
+    });
+    assert.deepEqual(calibration.samples, { extension: 5, fist: 5, spread: 5, pinch: 5 });
+
+    for (const ex of ALL) {
+        const pose = Hands.idealPose(ex);
+        const plain = evaluate(pose, ex);
+        const calibrated = Engine.evaluate(pose, ex, { handedness: 'right', calibration });
+        assert.equal(calibrated.score, plain.score, ex.id);
+    }
+});
+
+// =========================================
+// RANGE OF MOTION
+// =========================================
+
+test('symmetry is perfect between a hand and its mirror image', () => {
+    const right = Hands.buildHand({ extended: [1, 2] });
+    const left = Hands.mirror(right);
+    const symmetry = Engine.measureSymmetry(right, left);
+    assert.ok(symmetry.score > 0.999, `symmetry ${symmetry.score}`);
+
+    const fist = Hands.buildHand({ extended: [] });
+    assert.ok(Engine.measureSymmetry(fist, Hands.buildHand()).score < 0.5);
+});
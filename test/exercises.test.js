@@ -0,0 +1,335 @@
+/**
+ * exercises.test.js
+ * ============================================
+ * Exercise definitions: the JSON schema, the custom exercise store and
+ * custom definitions scored through the engine on synthetic poses.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Engine = require('../Invisibleboundaryengine.js');
+const Exercises = require('../Handheroexercises.js');
+const Hands = require('./fixtures/synthetic-hands.js');
+const { fakeStorage } = require('./fixtures/fake-storage.js');
+
+const INDEX_TO_MIDDLE = {
+    id: 'index_middle_pinch',
+    name: 'Index to Middle',
+    type: 'pinch',
+    pinchPair: [8, 12]
+};
+
+const HALF_BENT_INDEX = {
+    id: 'half_bent_index',
+    name: 'Half-bent Index',
+    type: 'angles',
+    jointTargets: [
+        { finger: 1, joint: 'mcp', min: 30, max: 60 },
+        { finger: 1, joint: 'pip', min: 30, max: 60 }
+    ]
+};
+
+test('every built-in exercise matches the schema', () => {
+    for (const ex of Object.values(Exercises.EXERCISES)) {
+        assert.deepEqual(Exercises.validateExercise(ex), { valid: true, errors: [] }, ex.id);
+    }
+});
+
+test('the schema rejects malformed definitions', () => {
+    const check = def => Exercises.validateExercise(def).errors.join('\n');
+
+    assert.match(check({ name: 'No id', type: 'fist' }), /id/);
+    assert.match(check({ id: 'Bad Id', name: 'x', type: 'fist' }), /id/);
+    assert.match(check({ id: 'iso', name: 'x', type: 'isolation' }), /targetFingers/);
+    assert.match(check({ ...INDEX_TO_MIDDLE, pinchPair: [8, 8] }), /pinchPair/);
+    assert.match(check({ ...INDEX_TO_MIDDLE, colour: 'red' }), /colour/);
+    assert.match(check({ id: 'unknown', name: 'x', type: 'wave' }), /wave/);
+});
+
+test('joint targets must name a joint of their finger and an ordered range', () => {
+    const check = target => Exercises.validateExercise({ ...HALF_BENT_INDEX, jointTargets: [target] });
+
+    assert.equal(check({ finger: 0, joint: 'pip', min: 10, max: 40 }).valid, false);
+    assert.equal(check({ finger: 1, joint: 'ip', min: 10, max: 40 }).valid, false);
+    assert.equal(check({ finger: 1, joint: 'pip', min: 60, max: 30 }).valid, false);
+    assert.equal(check({ finger: 0, joint: 'ip', min: 10, max: 40 }).valid, true);
+});
+
+test('custom exercises load, persist and restore alongside the library', () => {
+    const storage = fakeStorage();
+    const result = Exercises.loadCustomExercises([
+        INDEX_TO_MIDDLE,
+        HALF_BENT_INDEX,
+        { ...INDEX_TO_MIDDLE, id: 'fist' },
+        { id: 'broken' }
+    ], { replace: true });
+
+    assert.deepEqual(result.loaded, ['index_middle_pinch', 'half_bent_index']);
+    assert.deepEqual(result.errors.map(e => e.index), [2, 3]);
+    assert.equal(Exercises.getExercise('index_middle_pinch').custom, true);
+    assert.equal(Exercises.count, Object.keys(Exercises.EXERCISES).length + 2);
+
+    Exercises.persistCustomExercises(storage);
+    Exercises.loadCustomExercises([], { replace: true });
+    assert.equal(Exercises.getExercise('half_bent_index'), null);
+
+    Exercises.restoreCustomExercises(storage);
+    assert.deepEqual(Exercises.getCustomExercises().map(e => e.id), ['index_middle_pinch', 'half_bent_index']);
+    assert.ok(Exercises.getAllExercises().some(e => e.id === 'half_bent_index'));
+
+    Exercises.loadCustomExercises([], { replace: true });
+});
+
+test('exercise files may hold one exercise, a list or { exercises }', () => {
+    assert.equal(Exercises.parseExerciseFile(JSON.stringify(INDEX_TO_MIDDLE)).length, 1);
+    assert.equal(Exercises.parseExerciseFile(JSON.stringify([INDEX_TO_MIDDLE, HALF_BENT_INDEX])).length, 2);
+    assert.equal(Exercises.parseExerciseFile(JSON.stringify({ exercises: [HALF_BENT_INDEX] })).length, 1);
+    assert.throws(() => Exercises.parseExerciseFile('nope'), /not valid JSON/);
+});
+
+test('a custom index-to-middle pinch scores only when those tips meet', () => {
+    const indexMiddle = Hands.buildHand({
+        extended: [0, 1, 2],
+        flex: { 1: [40, 30, 10], 2: [20, 10, 0] }
+    });
+    // Draw the index tip onto the middle tip
+    indexMiddle[8] = { ...indexMiddle[12], x: indexMiddle[12].x + 0.005 };
+
+    assert.equal(Engine.evaluate(indexMiddle, INDEX_TO_MIDDLE, { handedness: 'right' }).passed, true);
+    assert.equal(Engine.evaluate(Hands.buildHand(), INDEX_TO_MIDDLE, { handedness: 'right' }).passed, false);
+});
+
+test('joint-angle targets pass a partial flexion hold and fail straight or curled', () => {
+    const score = flex => Engine.evaluate(
+        Hands.buildHand({ flex: { 1: flex } }), HALF_BENT_INDEX, { handedness: 'right' }
+    );
+
+    const half = score([45, 45, 20]);
+    assert.equal(half.passed, true);
+    assert.equal(half.zone, Engine.ZONE.GREEN);
+    assert.equal(half.targets.length, 2);
+
+    for (const variant of ['rotated30', 'mirrored', 'turned20']) {
+        const landmarks = Hands.VARIANTS[variant](Hands.buildHand({ flex: { 1: [45, 45, 20] } }));
+        const handedness = variant.startsWith('mirrored') ? 'left' : 'right';
+        assert.equal(Engine.evaluate(landmarks, HALF_BENT_INDEX, { handedness }).passed, true, variant);
+    }
+
+    const straight = score([0, 0, 0]);
+    assert.equal(straight.passed, false);
+    assert.deepEqual([...new Set(straight.violations.map(v => v.fingerIndex))], [1]);
+    assert.equal(score([85, 100, 55]).passed, false);
+});
+
+// =========================================
+// ADAPTIVE SESSIONS
+// =========================================
+
+/**
+ * Deterministic stand-in for Math.random (LCG)
+ */
+function seeded(seed = 1) {
+    let s = seed;
+    return () => {
+        s = (s * 1664525 + 1013904223) % 4294967296;
+        return s / 4294967296;
+    };
+}
+
+/**
+ * A stored session where every listed exercise got the same log entry
+ */
+function sessionOf(ids, entry) {
+    return { exercises: ids.map(id => ({ id, ...entry })) };
+}
+
+/**
+ * How often each exercise is picked over many seeded sessions
+ */
+function pickCounts(options, runs = 200) {
+    const counts = {};
+    const random = seeded(7);
+    for (let i = 0; i < runs; i++) {
+        for (const ex of Exercises.buildAdaptiveSession({ ...options, random })) {
+            counts[ex.id] = (counts[ex.id] || 0) + 1;
+        }
+    }
+    return counts;
+}
+
+test('adaptive sessions honor session length and the difficulty band', () => {
+    for (const [difficulty, band] of Object.entries(Exercises.DIFFICULTY_LEVELS)) {
+        for (const count of [4, 6, 8]) {
+            const session = Exercises.buildAdaptiveSession({ count, difficulty, random: seeded(count) });
+            assert.equal(session.length, count, `${difficulty} x${count}`);
+            assert.equal(new Set(session.map(e => e.id)).size, count, 'no repeats');
+            assert.ok(session.every(e => e.difficulty >= band.min && e.difficulty <= band.max), difficulty);
+            assert.deepEqual(session.map(e => e.difficulty), session.map(e => e.difficulty).sort(), 'easiest first');
+        }
+    }
+});
+
+test('history summaries average accuracy and time-to-pass per exercise', () => {
+    const summary = Exercises.summarizeHistory([
+        sessionOf(['pointer'], { accuracy: 60, timeToPassMs: 30000, pain: 0 }),
+        sessionOf(['pointer'], { accuracy: 40, skipped: true, pain: 2 })
+    ]);
+    // Sessions without check-ins answered the old 0-3 check: 2 (Moderate) is 5 on the NRS
+    assert.deepEqual(summary.exercises.pointer, {
+        attempts: 2, passes: 1, skips: 1, meanAccuracy: 50, meanTimeToPassMs: 30000, lastPain: 5
+    });
+    assert.equal(summary.recentPain, 5);
+    assert.equal(Exercises.summarizeHistory([]).recentPain, null);
+});
+
+test('weak exercises are picked more often than untouched ones', () => {
+    const history = [sessionOf(['pointer'], { accuracy: 55, skipped: true })];
+    const counts = pickCounts({ count: 4, difficulty: 'easy', history });
+    assert.ok(counts.pointer > 1.8 * counts.thumbs_up, `${counts.pointer} vs ${counts.thumbs_up}`);
+});
+
+test('mastered exercises give way to their harder variants', () => {
+    const mastered = { accuracy: 96, timeToPassMs: 4000, pain: 0 };
+    const history = [1, 2, 3].map(() => sessionOf(['pointer', 'fist'], mastered));
+
+    assert.deepEqual(
+        Exercises.getHarderVariants(Exercises.getExercise('fist')).map(e => e.id),
+        ['open_close']
+    );
+    const counts = pickCounts({ count: 4, difficulty: 'easy', history });
+    // One level above the easy band, reached only through promotion
+    assert.ok(counts.middle_finger_lift > 0);
+    assert.ok(counts.pinky_out > counts.pointer);
+    assert.ok(!counts.ring_finger_lift, 'never two levels up');
+    assert.ok(counts.open_close > counts.fist);
+});
+
+test('a high pain report backs the session off', () => {
+    const history = [
+        sessionOf(['pointer', 'peace'], { accuracy: 96, timeToPassMs: 4000, pain: 0 }),
+        sessionOf(['pointer', 'peace'], { accuracy: 96, timeToPassMs: 4000, pain: 0 }),
+        sessionOf(['pointer', 'peace', 'starfish'], { accuracy: 96, timeToPassMs: 4000, pain: 2 })
+    ];
+    const calm = pickCounts({ count: 6, difficulty: 'normal', history: history.slice(0, 2) });
+    const sore = pickCounts({ count: 6, difficulty: 'normal', history });
+
+    assert.ok(calm.ring_finger_lift > 0);
+    assert.ok(!sore.ring_finger_lift && !sore.rock_on, 'top level dropped');
+    assert.ok(sore.starfish < pickCounts({ count: 6, difficulty: 'normal' }).starfish / 2, 'what hurt is played down');
+});
+
+// =========================================
+// EXERCISE PLANS
+// =========================================
+
+const PLAN = {
+    exercises: [{ id: 'fist', reps: 2, holdMs: 4000 }, 'pointer', { id: 'tendon_glide', reps: 5 }],
+    sessionsPerWeek: 3,
+    painCeiling: 5
+};
+
+test('plans are validated against the library and their limits', () => {
+    assert.deepEqual(Exercises.validatePlan(PLAN), { valid: true, errors: [] });
+
+    const check = plan => Exercises.validatePlan(plan).errors.join('\n');
+    assert.match(check({ exercises: [] }), /at least one exercise/);
+    assert.match(check({ exercises: ['nope'] }), /unknown id "nope"/);
+    assert.match(check({ exercises: [{ id: 'fist', holdMs: 100 }] }), /holdMs/);
+    assert.match(check({ ...PLAN, painCeiling: 0 }), /painCeiling/);
+    assert.match(check({ ...PLAN, sessionsPerWeek: 30 }), /sessionsPerWeek/);
+});
+
+test('a plan session follows the prescription in order', () => {
+    const session = Exercises.buildPlanSession(PLAN);
+    assert.deepEqual(session.map(e => e.id), ['fist', 'fist', 'pointer', 'tendon_glide']);
+    assert.equal(session[0].holdMs, 4000);
+    assert.equal(session[2].holdMs, Exercises.getExercise('pointer').holdMs);
+    assert.equal(session[3].reps, 5, 'a sequence takes reps itself rather than repeating');
+
+    assert.equal(Exercises.getPainCeiling(PLAN), 5);
+    assert.equal(Exercises.getPainCeiling(null), 7);
+});
+
+test('weekly progress counts sessions since Monday against the plan', () => {
+    const now = new Date(2026, 4, 14, 12); // Thursday
+    const sessions = [new Date(2026, 4, 10, 9), new Date(2026, 4, 11, 9), new Date(2026, 4, 13, 9)]
+        .map(date => ({ date: date.toISOString() }));
+    assert.deepEqual(Exercises.getWeeklyProgress(PLAN, sessions, now), { done: 2, target: 3 });
+    assert.deepEqual(Exercises.getWeeklyProgress(null, [], now), { done: 0, target: null });
+});
+
+test('trends give each exercise a series and each session its worst pain', () => {
+    const trends = Exercises.getTrends([
+        { date: 'd1', ...sessionOf(['fist', 'pointer'], { accuracy: 70, pain: 1 }) },
+        { date: 'd2', ...sessionOf(['fist'], { accuracy: 85 }) },
+        { date: 'd3', exercises: [{ id: 'fist', accuracy: 90, pain: 0 }, { id: 'peace', skipped: true, pain: 2 }] }
+    ]);
+    assert.deepEqual(trends.exercises.fist.map(p => p.accuracy), [70, 85, 90]);
+    assert.equal(trends.exercises.peace[0].skipped, true);
+    assert.deepEqual(trends.pain, [{ date: 'd1', level: 2 }, { date: 'd3', level: 5 }], 'old 0-3 answers on the NRS');
+});
+
+// =========================================
+// PAIN
+// =========================================
+
+/**
+ * A session with NRS check-ins: [[level, [exercise ids]], ...]
+ */
+function checkedSession(checkins) {
+    return {
+        exercises: checkins.flatMap(([level, ids]) => ids.map(id => ({ id, accuracy: 80, pain: level }))),
+        painCheckins: checkins.map(([level, ids]) => ({ at: null, level, location: null, exercises: ids }))
+    };
+}
+
+// tendon_glide is followed by a spike every time, peace twice
+const SORE_HISTORY = [
+    checkedSession([[1, ['fist', 'pointer']], [6, ['tendon_glide', 'peace']]]),
+    checkedSession([[1, ['fist', 'pointer']], [6, ['tendon_glide', 'peace']]]),
+    checkedSession([[1, ['fist', 'pointer']], [6, ['tendon_glide']]]),
+    checkedSession([[1, ['fist', 'pointer']], [6, ['tendon_glide']]]),
+    checkedSession([[0, ['fist']]])
+];
+
+test('check-ins are read from the NRS or rebuilt from old 0-3 answers', () => {
+    const nrs = checkedSession([[3, ['fist']], [6, ['pointer']]]);
+    assert.deepEqual(Exercises.getPainCheckins(nrs).map(c => c.level), [3, 6]);
+
+    const legacy = { date: 'd1', exercises: [{ id: 'fist', pain: 1 }, { id: 'pointer', pain: 1 }, { id: 'peace', pain: 3 }, { id: 'ok' }] };
+    assert.deepEqual(Exercises.getPainCheckins(legacy).map(c => [c.level, c.exercises]), [[2, ['fist', 'pointer']], [8, ['peace']]]);
+    const normalized = Exercises.normalizePain(legacy);
+    assert.deepEqual(normalized.exercises.map(e => e.pain), [2, 2, 8, undefined]);
+    assert.equal(Exercises.normalizePain(normalized), normalized, 'already on the NRS');
+
+    assert.equal(Exercises.getPainBand(0).id, 'none');
+    assert.equal(Exercises.getPainBand(4).id, 'moderate');
+    assert.equal(Exercises.getPainAdvice(8), 'Please stop and rest.');
+    assert.match(Exercises.getPainAdvice(5, 5), /plan stops here/);
+});
+
+test('exercises followed by pain spikes are flagged to soften or leave out', () => {
+    const triggers = Exercises.findPainTriggers(SORE_HISTORY);
+    assert.deepEqual(triggers.map(t => [t.id, t.spikes, t.checkins, t.action]), [
+        ['tendon_glide', 4, 4, 'exclude'],
+        ['peace', 2, 2, 'soften']
+    ]);
+    assert.deepEqual(Exercises.findPainTriggers([checkedSession([[6, ['fist']]])]), [], 'one spike is not a pattern');
+});
+
+test('adaptive sessions leave out what keeps hurting and soften the rest; plans only soften', () => {
+    const session = Exercises.buildAdaptiveSession({ count: 50, difficulty: 'normal', history: SORE_HISTORY });
+    assert.ok(!session.some(e => e.id === 'tendon_glide'));
+    const peace = session.find(e => e.id === 'peace');
+    assert.equal(peace.softened, true);
+    assert.equal(peace.holdScale, Exercises.PAIN_TRIGGERS.softenHold);
+    assert.ok(!session.find(e => e.id === 'fist').softened);
+
+    const planned = Exercises.buildPlanSession(PLAN, SORE_HISTORY);
+    const glide = planned.find(e => e.id === 'tendon_glide');
+    assert.deepEqual([glide.softened, glide.reps], [true, 3], 'prescribed 5 reps, softened to 3');
+    assert.ok(!planned[0].softened);
+});
@@ -0,0 +1,141 @@
+/**
+ * fhir.test.js
+ * ============================================
+ * HandHeroFhir: sessions to an R4 Bundle, the base-profile checks, and a
+ * round trip through the local FHIR test server.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Fhir = require('../Handherofhir.js');
+const { createServer } = require('../server/fhir-server.js');
+
+const PATIENT = { id: 'u1', name: 'Sam', hand: 'left' };
+
+const SESSIONS = [
+    {
+        id: 's1',
+        date: '2026-05-04T10:05:00.000Z',
+        duration: '5:00',
+        grade: 'B',
+        exercises: [
+            { id: 'fist', name: 'Fist', accuracy: 82, grade: 'B', holdMs: 3000, pain: 2,
+                peakAngles: { index: { mcp: { min: 5, max: 70 }, pip: { min: 0, max: 85 } } } },
+            { id: 'pointer', name: 'Pointer', accuracy: 40, grade: 'SKIP', skipped: true, pain: 5 }
+        ],
+        painCheckins: [
+            { at: '2026-05-04T10:02:00.000Z', level: 2, location: 'wrist', exercises: ['fist'] },
+            { at: '2026-05-04T10:05:00.000Z', level: 5, location: null, exercises: ['pointer'] }
+        ]
+    },
+    { id: 's2', date: '2026-05-06T10:00:00.000Z', duration: '3:10', exercises: [{ id: 'fist', name: 'Fist', accuracy: 90, grade: 'A', holdMs: 3000 }] }
+];
+
+function resources(bundle, type) {
+    return bundle.entry.map(e => e.resource).filter(r => r.resourceType === type);
+}
+
+async function withServer(options, fn) {
+    const server = createServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('sessions map to a Patient, a Procedure each and coded Observations', () => {
+    const bundle = Fhir.toBundle(SESSIONS, { patient: PATIENT });
+    assert.equal(bundle.type, 'transaction');
+    assert.deepEqual(Fhir.validateBundle(bundle), { valid: true, errors: [] });
+
+    const [patient] = resources(bundle, 'Patient');
+    assert.deepEqual(patient.identifier, [{ system: 'urn:handhero:patient', value: 'u1' }]);
+
+    const [procedure] = resources(bundle, 'Procedure');
+    assert.equal(procedure.code.coding[0].code, '229065009');
+    assert.deepEqual(procedure.performedPeriod, { start: '2026-05-04T10:00:00.000Z', end: '2026-05-04T10:05:00.000Z' });
+    assert.equal(procedure.bodySite[0].coding[0].code, Fhir.HAND_SITES.left.code);
+
+    const observations = resources(bundle, 'Observation');
+    const kinds = observations.map(o => o.identifier[0].value.split('/').slice(2).join('/'));
+    assert.deepEqual(kinds, ['0/accuracy', '0/hold', '0/rom', '1/accuracy', 'pain/0', 'pain/1', '0/accuracy', '0/hold'],
+        'no hold time for a skipped attempt; pain per check-in');
+
+    const procedureUrl = bundle.entry.find(e => e.resource === procedure).fullUrl;
+    assert.ok(observations.slice(0, 6).every(o => o.partOf[0].reference === procedureUrl));
+
+    const rom = observations[2];
+    assert.equal(rom.code.coding[0].code, '364564000');
+    assert.deepEqual(rom.component.map(c => [c.code.coding[0].code, c.valueQuantity.value, c.valueQuantity.code]),
+        [['arc-index-mcp', 65, 'deg'], ['arc-index-pip', 85, 'deg']]);
+
+    const [pain, later] = observations.slice(4, 6);
+    assert.deepEqual(pain.code.coding[0], Fhir.CODES.pain);
+    assert.deepEqual([pain.valueInteger, pain.effectiveDateTime, pain.bodySite.coding[0]],
+        [2, '2026-05-04T10:02:00.000Z', Fhir.PAIN_SITES.wrist]);
+    assert.deepEqual([later.valueInteger, later.bodySite, later.note[0].text], [5, undefined, 'After: Pointer']);
+    assert.deepEqual(observations[1].valueQuantity, { value: 3, unit: 's', system: 'http://unitsofmeasure.org', code: 's' });
+});
+
+test('a collection bundle has no requests; a transaction creates conditionally', () => {
+    const collection = Fhir.toBundle(SESSIONS, { patient: PATIENT, type: 'collection' });
+    assert.ok(collection.entry.every(e => !e.request));
+    assert.equal(Fhir.validateBundle(collection).valid, true);
+
+    const transaction = Fhir.toBundle(SESSIONS, { patient: PATIENT });
+    assert.deepEqual(transaction.entry[0].request, { method: 'POST', url: 'Patient', ifNoneExist: 'identifier=urn:handhero:patient|u1' });
+    assert.throws(() => Fhir.toBundle(SESSIONS, { patient: {} }), /patient's id/);
+});
+
+test('the checks catch what the base profiles reject', () => {
+    const bundle = Fhir.toBundle(SESSIONS, { patient: PATIENT });
+    const [, procedure, accuracy] = bundle.entry;
+    procedure.resource.status = 'done';
+    accuracy.resource.valueString = 'high';
+    accuracy.resource.subject = { reference: 'urn:uuid:missing' };
+    bundle.entry[3].fullUrl = bundle.entry[4].fullUrl;
+    delete bundle.entry[5].request;
+
+    const { valid, errors } = Fhir.validateBundle(bundle);
+    assert.equal(valid, false);
+    for (const rule of ['not a Procedure status', 'only one value[x]', 'not in the bundle', 'bdl-7', 'bdl-3']) {
+        assert.ok(errors.some(e => e.includes(rule)), rule);
+    }
+});
+
+test('posting to the test server stores resources once and links them', async () => {
+    await withServer({ token: 'ehr' }, async url => {
+        const bundle = Fhir.toBundle(SESSIONS, { patient: PATIENT });
+        await assert.rejects(Fhir.postBundle(bundle, { url }), error => error.status === 401);
+
+        const response = await Fhir.postBundle(bundle, { url, token: 'ehr' });
+        assert.equal(response.type, 'transaction-response');
+        assert.ok(response.entry.every(e => e.response.status === '201 Created'));
+
+        // Sending the same period again adds nothing
+        const again = await Fhir.postBundle(Fhir.toBundle(SESSIONS, { patient: PATIENT }), { url, token: 'ehr' });
+        assert.ok(again.entry.every(e => e.response.status === '200 OK'));
+
+        const get = path => fetch(url + path, { headers: { Authorization: 'Bearer ehr' } }).then(r => r.json());
+        const patients = await get('/Patient?identifier=urn:handhero:patient|u1');
+        assert.equal(patients.total, 1);
+        const observations = await get(`/Observation?subject=Patient/${patients.entry[0].resource.id}`);
+        assert.equal(observations.total, 8);
+        const [, partOf] = /^(Procedure\/\d+)$/.exec(observations.entry[0].resource.partOf[0].reference);
+        assert.equal((await get(`/${partOf}`)).resourceType, 'Procedure');
+    });
+});
+
+test('the test server answers an invalid bundle with an OperationOutcome', async () => {
+    await withServer({}, async url => {
+        const bundle = Fhir.toBundle(SESSIONS, { patient: PATIENT });
+        bundle.entry[1].resource.status = 'done';
+        await assert.rejects(Fhir.postBundle(bundle, { url }), error =>
+            error.status === 400 && error.issues.some(issue => issue.includes('Procedure status')));
+    });
+});
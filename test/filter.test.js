@@ -0,0 +1,126 @@
+/**
+ * filter.test.js
+ * ============================================
+ * HandHeroFilter: the scalar filters against the old fixed EMA, the
+ * bone-length outlier check and the per-hand landmark filter.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Filter = require('../Handherofilter.js');
+const Hands = require('./fixtures/synthetic-hands.js');
+
+const FRAME_MS = 1000 / 30;
+
+/**
+ * Deterministic noise in [-0.5, 0.5)
+ */
+function noise(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296 - 0.5;
+    };
+}
+
+/**
+ * The session page's previous smoothing
+ */
+function ema(a = 0.6) {
+    let s = null;
+    return { filter: v => (s = s === null ? v : s * a + v * (1 - a)) };
+}
+
+/**
+ * Rest jitter (RMS error once settled) and lag behind a 1.5/s sweep
+ */
+function measure(filter) {
+    const rand = noise(7);
+    let restError = 0, restFrames = 0;
+    for (let i = 0; i < 60; i++) {
+        const y = filter.filter(0.5 + 0.01 * rand(), i * FRAME_MS);
+        if (i >= 30) {
+            restError += (y - 0.5) ** 2;
+            restFrames++;
+        }
+    }
+    let lag = 0, sweepFrames = 0;
+    for (let i = 1; i <= 12; i++) {
+        const truth = 0.5 + 1.5 * i / 30;
+        const y = filter.filter(truth + 0.01 * rand(), (59 + i) * FRAME_MS);
+        if (i > 6) {
+            lag += truth - y;
+            sweepFrames++;
+        }
+    }
+    return { jitter: Math.sqrt(restError / restFrames), lag: lag / sweepFrames };
+}
+
+test('the presets trail fast moves far less than the old EMA; scoring is steadier at rest', () => {
+    const old = measure(ema());
+    const render = measure(Filter.createKalmanFilter(Filter.PRESETS.render));
+    const scoring = measure(Filter.createOneEuroFilter(Filter.PRESETS.scoring));
+
+    assert.ok(render.lag < old.lag / 5, `render lag ${render.lag} vs ${old.lag}`);
+    assert.ok(render.jitter < old.jitter * 1.5, `render jitter ${render.jitter} vs ${old.jitter}`);
+    assert.ok(scoring.lag < old.lag / 2, `scoring lag ${scoring.lag} vs ${old.lag}`);
+    assert.ok(scoring.jitter < old.jitter * 0.75, `scoring jitter ${scoring.jitter} vs ${old.jitter}`);
+});
+
+test('a less confident reading moves the estimate less', () => {
+    for (const make of [() => Filter.createOneEuroFilter(Filter.PRESETS.scoring), () => Filter.createKalmanFilter(Filter.PRESETS.render)]) {
+        const sure = make(), unsure = make();
+        for (const f of [sure, unsure]) f.filter(0, 0);
+        const step = sure.filter(1, FRAME_MS, 1);
+        assert.ok(unsure.filter(1, FRAME_MS, 0.2) < step);
+
+        sure.reset();
+        assert.equal(sure.filter(0.3, 5000), 0.3, 'starts over after a reset');
+    }
+});
+
+test('bones that jump in length are outliers; moving, turning or nearing the camera is not', () => {
+    const hand = Hands.buildHand();
+
+    for (const moved of [Hands.jitter(hand, 0.004), Hands.rotate(hand, 0.3), Hands.scale(hand, 1.3), Hands.tilt(hand, 0.2)]) {
+        const check = Filter.checkBones(hand, moved);
+        assert.equal(check.outlier, false, `worst ${check.worst}`);
+    }
+
+    // A fingertip swapped onto the wrong finger
+    const glitch = hand.map(p => ({ ...p }));
+    glitch[8] = { ...hand[20] };
+    const check = Filter.checkBones(hand, glitch);
+    assert.equal(check.outlier, true);
+    assert.deepEqual(check.bone, [7, 8]);
+});
+
+test('the landmark filter holds its estimate through outliers, then reacquires', () => {
+    const filter = Filter.createLandmarkFilter({ filter: 'scoring' });
+    const hand = Hands.buildHand();
+    const glitch = Hands.buildHand({ extended: [0, 1], flex: {} }).map((p, i) => i === 8 ? { ...p, y: p.y - 0.2 } : p);
+
+    let t = 0;
+    let out;
+    for (let i = 0; i < 5; i++) out = filter.update(Hands.jitter(hand, 0.002, i + 1), (t += FRAME_MS));
+    assert.equal(out.outlier, false);
+    assert.ok(out.confidence > 0.5);
+
+    const held = filter.update(glitch, (t += FRAME_MS));
+    assert.deepEqual([held.outlier, held.confidence], [true, 0]);
+    assert.deepEqual(held.landmarks, out.landmarks, 'last estimate stands');
+
+    // A steady new shape is accepted after reacquireFrames outliers in a row
+    const { reacquireFrames } = Filter.OUTLIER_DEFAULTS;
+    for (let i = 2; i < reacquireFrames; i++) assert.equal(filter.update(glitch, (t += FRAME_MS)).outlier, true);
+    const accepted = filter.update(glitch, (t += FRAME_MS));
+    assert.equal(accepted.outlier, false);
+    assert.deepEqual(accepted.landmarks, glitch.map(p => ({ x: p.x, y: p.y, z: p.z || 0 })), 'filters restart from it');
+
+    // After the hand leaves view for a while anything is accepted
+    assert.equal(filter.update(hand, t + 1000).outlier, false);
+    assert.throws(() => Filter.createLandmarkFilter({ filter: 'fast' }), /Unknown filter preset/);
+});
@@ -0,0 +1,23 @@
+/**
+ * fake-storage.js
+ * ============================================
+ * localStorage stand-in for the tests, with the key()/length enumeration
+ * HandHeroStore's import uses. Seed entries are stored as JSON, the way
+ * the app writes them.
+ */
+
+'use strict';
+
+function fakeStorage(entries = {}) {
+    const items = {};
+    for (const [key, value] of Object.entries(entries)) items[key] = JSON.stringify(value);
+    return {
+        get length() { return Object.keys(items).length; },
+        key: i => Object.keys(items)[i] ?? null,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+module.exports = { fakeStorage };
@@ -0,0 +1,331 @@
+/**
+ * synthetic-hands.js
+ * ============================================
+ * Hand-built MediaPipe landmark fixtures for the engine tests.
+ *
+ * Poses are a right hand, palm toward the camera, in normalized image
+ * coordinates as MediaPipe reports them for an unmirrored frame: the thumb
+ * is on the +x side, y grows downward and z shrinks toward the camera.
+ * Each finger is a chain of fixed-length bones; flexion bends the chain
+ * toward the palm (-z), so every pose is a plausible hand.
+ *
+ * Transforms (rotate, mirror, tilt, scale, jitter) produce the variants the
+ * scoring must be invariant to. buildRecording() turns the poses into a
+ * HandHeroRecording session for the replay tests.
+ */
+
+'use strict';
+
+const WRIST = { x: 0.5, y: 0.8, z: 0 };
+
+// MCP (thumb: CMC) offsets from the wrist
+const BASES = [
+    { x: 0.035, y: -0.03 },    // thumb CMC
+    { x: 0.045, y: -0.15 },    // index MCP
+    { x: 0.0, y: -0.155 },     // middle MCP
+    { x: -0.04, y: -0.145 },   // ring MCP
+    { x: -0.075, y: -0.125 }   // pinky MCP
+];
+
+// Bone lengths: thumb CMC->MCP->IP->TIP, fingers MCP->PIP->DIP->TIP
+const BONES = [
+    [0.05, 0.04, 0.032],
+    [0.07, 0.04, 0.03],
+    [0.075, 0.045, 0.03],
+    [0.07, 0.042, 0.03],
+    [0.055, 0.032, 0.025]
+];
+
+// Resting direction of each finger, degrees from straight up (+ toward thumb)
+const SPLAY = {
+    relaxed: [50, 6, 0, -6, -14],
+    spread: [65, 20, 2, -18, -35],
+    together: [18, -12, 0, 12, 24]
+};
+
+// Flexion (degrees) at [MCP, PIP, DIP] (thumb: [CMC, MCP, IP])
+const FLEX = {
+    straight: [0, 0, 0],
+    curled: [85, 100, 55],
+    thumbTucked: [35, 55, 45]
+};
+
+const DEG = Math.PI / 180;
+const PALMAR = { x: 0, y: 0, z: -1 };
+// Thumb flexion swings it across the palm rather than straight into it
+const THUMB_PALMAR = normalize({ x: -0.8, y: 0.1, z: -0.6 });
+
+function normalize(v) {
+    const len = Math.hypot(v.x, v.y, v.z) || 1;
+    return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
+
+function add(a, b, s = 1) {
+    return { x: a.x + b.x * s, y: a.y + b.y * s, z: a.z + b.z * s };
+}
+
+/**
+ * Lay out one finger chain from its base
+ * @returns {Array} 4 points (base, joint, joint, tip)
+ */
+function chain(fingerIdx, splayDeg, flexDeg) {
+    const base = { x: WRIST.x + BASES[fingerIdx].x, y: WRIST.y + BASES[fingerIdx].y, z: 0 };
+    const dir = { x: Math.sin(splayDeg * DEG), y: -Math.cos(splayDeg * DEG), z: 0 };
+    const bend = fingerIdx === 0 ? THUMB_PALMAR : PALMAR;
+
+    const points = [base];
+    let p = base;
+    let angle = 0;
+    for (let i = 0; i < 3; i++) {
+        angle += flexDeg[i] * DEG;
+        const d = normalize({
+            x: dir.x * Math.cos(angle) + bend.x * Math.sin(angle),
+            y: dir.y * Math.cos(angle) + bend.y * Math.sin(angle),
+            z: dir.z * Math.cos(angle) + bend.z * Math.sin(angle)
+        });
+        p = add(p, d, BONES[fingerIdx][i]);
+        points.push(p);
+    }
+    return points;
+}
+
+/**
+ * Build a 21-landmark hand
+ * @param {Object} opts
+ *   extended: finger indices (0-4) held straight; the rest curl
+ *   splay: 'relaxed' | 'spread' | 'together'
+ *   flex: optional per-finger override { [fingerIdx]: [a, b, c] }
+ */
+function buildHand({ extended = [0, 1, 2, 3, 4], splay = 'relaxed', flex = {} } = {}) {
+    const landmarks = [{ ...WRIST }];
+    for (let f = 0; f < 5; f++) {
+        const flexion = flex[f]
+            || (extended.includes(f) ? FLEX.straight : (f === 0 ? FLEX.thumbTucked : FLEX.curled));
+        landmarks.push(...chain(f, SPLAY[splay][f], flexion));
+    }
+    return landmarks;
+}
+
+/**
+ * Thumb-to-fingertip pinch: the target finger bends halfway and the thumb
+ * reaches its tip
+ * @param {number} tipIdx - Fingertip the thumb meets
+ * @param {boolean} foldOthers - Curl the uninvolved fingers out of the way
+ */
+function buildPinch(tipIdx, foldOthers = true) {
+    const fingerIdx = [4, 8, 12, 16, 20].indexOf(tipIdx);
+    const landmarks = buildHand({
+        extended: foldOthers ? [0, fingerIdx] : [0, 1, 2, 3, 4],
+        flex: { [fingerIdx]: [45, 45, 20] }
+    });
+
+    const cmc = landmarks[1];
+    const target = landmarks[tipIdx];
+    const span = { x: target.x - cmc.x, y: target.y - cmc.y, z: target.z - cmc.z };
+    // Bow the thumb outward (+x) and toward the camera so it isn't a straight rod
+    const bow = (t) => ({ x: 0.025 * Math.sin(Math.PI * t), y: 0, z: -0.02 * Math.sin(Math.PI * t) });
+    [0.4, 0.72, 1].forEach((t, i) => {
+        landmarks[2 + i] = add(add(cmc, span, t), bow(t));
+    });
+    return landmarks;
+}
+
+/**
+ * Bend each targeted joint to the middle of its range; untargeted
+ * fingers stay straight
+ */
+function buildAnglesPose(jointTargets) {
+    const slots = { cmc: 0, mcp: 0, pip: 1, dip: 2, ip: 2 };
+    const flex = {};
+    for (const target of jointTargets) {
+        const angles = flex[target.finger] || (flex[target.finger] = [0, 0, 0]);
+        const slot = target.finger === 0 ? ['cmc', 'mcp', 'ip'].indexOf(target.joint) : slots[target.joint];
+        angles[slot] = (target.min + target.max) / 2;
+    }
+    return buildHand({ flex });
+}
+
+/**
+ * The canonical pose that should satisfy an exercise (for a sequence,
+ * its first step - see sequencePoses())
+ */
+function idealPose(exercise) {
+    switch (exercise.type) {
+        case 'isolation':
+            return buildHand({ extended: exercise.targetFingers });
+        case 'pinch':
+            return buildPinch(exercise.pinchPair[1]);
+        case 'spread':
+            return buildHand({ splay: 'spread' });
+        case 'flat':
+            return buildHand({ splay: 'together' });
+        case 'fist':
+            return buildHand({ extended: [] });
+        case 'angles':
+            return buildAnglesPose(exercise.jointTargets);
+        case 'sequence':
+            return idealPose(exercise.steps[0]);
+        default:
+            throw new Error(`No synthetic pose for exercise type ${exercise.type}`);
+    }
+}
+
+/**
+ * The ideal pose of every step of a sequence exercise, in order
+ */
+function sequencePoses(exercise) {
+    return exercise.steps.map(idealPose);
+}
+
+// =========================================
+// TRANSFORMS
+// =========================================
+
+/**
+ * Rotate in the image plane about the wrist
+ */
+function rotate(landmarks, radians) {
+    const c = Math.cos(radians);
+    const s = Math.sin(radians);
+    const o = landmarks[0];
+    return landmarks.map(p => ({
+        x: o.x + (p.x - o.x) * c - (p.y - o.y) * s,
+        y: o.y + (p.x - o.x) * s + (p.y - o.y) * c,
+        z: p.z
+    }));
+}
+
+/**
+ * Mirror horizontally - a right hand becomes a left hand
+ */
+function mirror(landmarks) {
+    return landmarks.map(p => ({ x: 1 - p.x, y: p.y, z: p.z }));
+}
+
+/**
+ * Turn the hand about the vertical axis through the wrist (out of plane)
+ */
+function tilt(landmarks, radians) {
+    const c = Math.cos(radians);
+    const s = Math.sin(radians);
+    const o = landmarks[0];
+    return landmarks.map(p => ({
+        x: o.x + (p.x - o.x) * c + (p.z - o.z) * s,
+        y: p.y,
+        z: o.z - (p.x - o.x) * s + (p.z - o.z) * c
+    }));
+}
+
+/**
+ * Scale about the wrist (hand closer to / farther from the camera)
+ */
+function scale(landmarks, factor) {
+    const o = landmarks[0];
+    return landmarks.map(p => ({
+        x: o.x + (p.x - o.x) * factor,
+        y: o.y + (p.y - o.y) * factor,
+        z: o.z + (p.z - o.z) * factor
+    }));
+}
+
+/**
+ * Deterministic per-landmark noise (amplitude in normalized units)
+ */
+function jitter(landmarks, amplitude, seed = 1) {
+    let state = seed >>> 0;
+    const rand = () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296 - 0.5;
+    };
+    return landmarks.map(p => ({
+        x: p.x + rand() * 2 * amplitude,
+        y: p.y + rand() * 2 * amplitude,
+        z: p.z + rand() * 2 * amplitude
+    }));
+}
+
+/**
+ * Named variants every ideal pose is checked under
+ */
+const VARIANTS = {
+    upright: lm => lm,
+    rotated30: lm => rotate(lm, 30 * DEG),
+    rotatedMinus45: lm => rotate(lm, -45 * DEG),
+    sideways: lm => rotate(lm, 90 * DEG),
+    upsideDown: lm => rotate(lm, Math.PI),
+    mirrored: lm => mirror(lm),
+    mirroredRotated: lm => rotate(mirror(lm), 40 * DEG),
+    far: lm => scale(lm, 0.6),
+    turned20: lm => tilt(lm, 20 * DEG),
+    turnedMinus30: lm => tilt(lm, -30 * DEG),
+    noisy: lm => jitter(lm, 0.003, 7)
+};
+
+// =========================================
+// RECORDINGS
+// =========================================
+
+/**
+ * Blend two poses landmark by landmark (t = 0 -> a, t = 1 -> b)
+ */
+function lerpPose(a, b, t) {
+    return a.map((p, i) => ({
+        x: p.x + (b[i].x - p.x) * t,
+        y: p.y + (b[i].y - p.y) * t,
+        z: p.z + (b[i].z - p.z) * t
+    }));
+}
+
+/**
+ * Build a HandHeroRecording session: for each exercise the hand moves from
+ * open into the ideal pose and holds it, with a little noise on every frame
+ * @param {Object} Recording - The HandHeroRecording module
+ * @param {Array} exercises - Exercise definitions
+ * @param {Object} options - { frames, holdFrames, frameMs, side }
+ */
+function buildRecording(Recording, exercises, options = {}) {
+    const { frames = 6, holdFrames = 3, frameMs = 33, side = 'right' } = options;
+    const rec = Recording.createRecording({
+        profile: { hand: side, bilateral: false },
+        exercises
+    });
+
+    let t = 1000;
+    exercises.forEach((ex, exIdx) => {
+        const segment = Recording.beginSegment(rec, exIdx, ex.id, t);
+        const open = buildHand();
+        let target = idealPose(ex);
+        let start = open;
+        if (side === 'left') {
+            target = mirror(target);
+            start = mirror(open);
+        }
+
+        for (let f = 0; f < frames + holdFrames; f++) {
+            const blend = Math.min(1, f / (frames - 1));
+            const pose = jitter(lerpPose(start, target, blend), 0.002, exIdx * 100 + f + 1);
+            const landmarks = Recording.quantizeLandmarks(pose);
+            Recording.addFrame(segment, t, [{ side, raw: landmarks, smooth: landmarks, world: null }]);
+            t += frameMs;
+        }
+        Recording.endSegment(segment, 'success', 1);
+        rec.painLevels.push(0);
+        t += 2000;
+    });
+    return rec;
+}
+
+module.exports = {
+    buildHand,
+    buildPinch,
+    idealPose,
+    sequencePoses,
+    rotate,
+    mirror,
+    tilt,
+    scale,
+    jitter,
+    lerpPose,
+    buildRecording,
+    VARIANTS
+};
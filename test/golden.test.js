@@ -0,0 +1,82 @@
+/**
+ * golden.test.js
+ * ============================================
+ * Golden scores: every exercise scored against every synthetic pose.
+ *
+ * test/golden/scores.json pins the zone, pass/fail and score of each
+ * exercise on each pose (open hand, fist and every exercise's ideal pose),
+ * so any change to the scoring shows up as a reviewable diff.
+ *
+ * After an intentional scoring change, rewrite the file with:
+ *   UPDATE_GOLDEN=1 node --test test/golden.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const Engine = require('../Invisibleboundaryengine.js');
+const { EXERCISES } = require('../Handheroexercises.js');
+const Hands = require('./fixtures/synthetic-hands.js');
+
+const GOLDEN_FILE = path.join(__dirname, 'golden', 'scores.json');
+const SCORE_TOLERANCE = 1e-4;
+
+function buildPoses() {
+    const poses = {
+        open: Hands.buildHand(),
+        fist: Hands.buildHand({ extended: [] })
+    };
+    for (const ex of Object.values(EXERCISES)) {
+        poses[ex.id] = Hands.idealPose(ex);
+    }
+    return poses;
+}
+
+function scoreMatrix() {
+    const poses = buildPoses();
+    const matrix = {};
+    for (const ex of Object.values(EXERCISES)) {
+        matrix[ex.id] = {};
+        for (const [poseName, landmarks] of Object.entries(poses)) {
+            const result = Engine.evaluate(landmarks, ex, { handedness: 'right' });
+            matrix[ex.id][poseName] = {
+                zone: result.zone,
+                passed: result.passed,
+                score: Math.round(result.score * 10000) / 10000
+            };
+        }
+    }
+    return matrix;
+}
+
+test('scores match the golden file', async (t) => {
+    const actual = scoreMatrix();
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(path.dirname(GOLDEN_FILE), { recursive: true });
+        fs.writeFileSync(GOLDEN_FILE, JSON.stringify(actual, null, 2) + '\n');
+        t.diagnostic(`wrote ${path.relative(process.cwd(), GOLDEN_FILE)}`);
+        return;
+    }
+
+    const golden = JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8'));
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(golden).sort(),
+        'exercise list changed - rerun with UPDATE_GOLDEN=1');
+
+    for (const [exId, row] of Object.entries(actual)) {
+        await t.test(exId, () => {
+            for (const [poseName, got] of Object.entries(row)) {
+                const want = golden[exId][poseName];
+                assert.ok(want, `no golden entry for pose ${poseName}`);
+                assert.equal(got.zone, want.zone, `${poseName} zone`);
+                assert.equal(got.passed, want.passed, `${poseName} passed`);
+                assert.ok(Math.abs(got.score - want.score) <= SCORE_TOLERANCE,
+                    `${poseName} score ${got.score}, golden ${want.score}`);
+            }
+        });
+    }
+});
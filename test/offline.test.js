@@ -0,0 +1,76 @@
+/**
+ * offline.test.js
+ * ============================================
+ * The sync outbox: entries queue locally, go out oldest first once an
+ * endpoint is set and stay queued when a send fails - and what the
+ * service worker pre-caches.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const Offline = require('../Handherooffline.js');
+const { fakeStorage } = require('./fixtures/fake-storage.js');
+
+/**
+ * fetch stand-in that records bodies and fails from the Nth call on
+ */
+function fakeFetch(failFrom = Infinity) {
+    const sent = [];
+    const fn = async (url, init) => {
+        if (sent.length >= failFrom) return { ok: false, status: 503 };
+        sent.push(JSON.parse(init.body));
+        return { ok: true, status: 200 };
+    };
+    return { fn, sent };
+}
+
+test('entries stay queued until a sync endpoint is configured', async () => {
+    const remote = fakeFetch();
+    Offline.configure({ syncUrl: null, storage: fakeStorage(), fetch: remote.fn });
+
+    Offline.enqueue('session', { grade: 'A' });
+    Offline.enqueue('practice', { reps: 5 });
+    assert.deepEqual(await Offline.flush(), { sent: 0, pending: 2 });
+    assert.equal(remote.sent.length, 0);
+
+    Offline.configure({ syncUrl: 'https://example.test/sync' });
+    assert.deepEqual(await Offline.flush(), { sent: 2, pending: 0 });
+    assert.deepEqual(remote.sent.map(e => e.kind), ['session', 'practice']);
+    assert.deepEqual(Offline.getPending(), []);
+});
+
+test('a failed send keeps that entry and everything after it', async () => {
+    const remote = fakeFetch(1);
+    Offline.configure({ syncUrl: null, storage: fakeStorage(), fetch: remote.fn });
+    ['a', 'b', 'c'].forEach(tag => Offline.enqueue('session', { tag }));
+
+    Offline.configure({ syncUrl: 'https://example.test/sync' });
+    assert.deepEqual(await Offline.flush(), { sent: 1, pending: 2 });
+    assert.deepEqual(Offline.getPending().map(e => e.payload.tag), ['b', 'c']);
+});
+
+test('the MediaPipe runtime is pre-cached from the app, so a missing file fails the install', () => {
+    const { MEDIAPIPE, APP_FILES, REMOTE_FILES } = Offline;
+    const files = [MEDIAPIPE.bundle, ...MEDIAPIPE.wasmFiles.map(file => `${MEDIAPIPE.wasm}/${file}`)];
+    for (const file of files) {
+        assert.ok(file.startsWith('./'), `${file} is app-relative`);
+        assert.ok(APP_FILES.includes(file), `${file} is an app file`);
+    }
+    // The model is still remote, cached when reachable
+    assert.ok(REMOTE_FILES.includes(MEDIAPIPE.model));
+    assert.ok(!APP_FILES.includes(MEDIAPIPE.model));
+});
+
+test('styles and fonts are committed app files; only the model is fetched from elsewhere', () => {
+    const { MEDIAPIPE, APP_FILES, REMOTE_FILES } = Offline;
+    for (const file of ['tailwind.css', 'fonts/nunito.css', 'fonts/nunito-latin-wght-normal.woff2']) {
+        assert.ok(APP_FILES.includes(file), `${file} is an app file`);
+        assert.ok(fs.existsSync(path.join(__dirname, '..', file)), `${file} is in the app`);
+    }
+    assert.deepEqual(REMOTE_FILES, [MEDIAPIPE.model]);
+});
@@ -0,0 +1,104 @@
+/**
+ * pose.test.js
+ * ============================================
+ * HandHeroPose: forward kinematics against the engine's own angle
+ * measurements, the good/bad preset of every exercise, and the noise and
+ * occlusion that spoil them.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Pose = require('../Handheropose.js');
+const Engine = require('../Invisibleboundaryengine.js');
+const { EXERCISES } = require('../Handheroexercises.js');
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+test('the engine measures back the joint angles a pose was built with', () => {
+    const spec = {
+        thumb: { cmc: 20, mcp: 30, ip: 40 },
+        index: { mcp: 60, pip: 90, dip: 30 },
+        middle: { mcp: 10, pip: 45, dip: 15 },
+        ring: { mcp: 80, pip: 20 },
+        pinky: { pip: 100, dip: 60 }
+    };
+    const measured = Engine.measureJointAngles(Pose.build(spec));
+    for (const name of Pose.FINGERS) {
+        for (const joint of Pose.JOINTS[name]) {
+            const expected = spec[name][joint] || 0;
+            // A straight MCP off the wrist line reads as slightly bent
+            const tolerance = joint === 'mcp' && expected < 45 && name !== 'thumb' ? 20 : 1;
+            assert.ok(Math.abs(measured[name][joint] - expected) < tolerance, `${name} ${joint}: ${measured[name][joint]} vs ${expected}`);
+        }
+    }
+
+    const tipped = Engine.measureJointAngles(Pose.build({}, { orientation: { pitch: 25, roll: -15 } }));
+    assert.ok(Math.abs(tipped.wrist.flexion - 25) < 1, `flexion ${tipped.wrist.flexion}`);
+    assert.ok(Math.abs(tipped.wrist.deviation + 15) < 1, `deviation ${tipped.wrist.deviation}`);
+});
+
+test('size, position and handedness place the hand', () => {
+    const right = Pose.build({}, { size: 0.2, position: { x: 0.3, y: 0.7, z: 0 } });
+    assert.deepEqual(right[0], { x: 0.3, y: 0.7, z: 0 });
+    assert.ok(Math.abs(distance(right[0], right[12]) - 0.2) < 1e-3, 'wrist to middle tip is the size');
+    assert.ok(right[4].x > right[20].x, 'a right thumb is on the +x side');
+
+    const left = Pose.build({}, { size: 0.2, position: { x: 0.3, y: 0.7, z: 0 }, handedness: 'left' });
+    left.forEach((p, i) => {
+        assert.ok(Math.abs(p.x - (0.6 - right[i].x)) < 1e-9);
+        assert.equal(p.y, right[i].y);
+    });
+
+    // Bones keep their length whatever the joints do
+    const bone = hand => distance(hand[6], hand[7]) / distance(hand[0], hand[9]);
+    assert.ok(Math.abs(bone(right) - bone(Pose.build(Pose.SHAPES.fist, { orientation: { yaw: 40 } }))) < 1e-9);
+});
+
+test('every exercise has a good pose that passes and a bad one that fails, with either hand', () => {
+    for (const ex of Object.values(EXERCISES)) {
+        const steps = ex.type === 'sequence' ? ex.steps.map((s, i) => i) : [0];
+        for (const step of steps) {
+            for (const handedness of ['right', 'left']) {
+                const options = { step, handedness };
+                const good = Engine.evaluate(Pose.poseFor(ex, options), ex, options);
+                const bad = Engine.evaluate(Pose.poseFor(ex, { ...options, quality: 'bad' }), ex, options);
+                assert.equal(good.passed, true, `${ex.id} step ${step} ${handedness}: good scored ${good.score}`);
+                assert.equal(bad.passed, false, `${ex.id} step ${step} ${handedness}: bad scored ${bad.score}`);
+            }
+        }
+    }
+    assert.throws(() => Pose.poseFor(EXERCISES.fist, { quality: 'perfect' }), /Unknown preset quality/);
+    assert.throws(() => Pose.presetsFor({ type: 'juggle' }), /No pose presets/);
+});
+
+test('good poses survive a turned, smaller, jittery hand', () => {
+    for (const ex of Object.values(EXERCISES)) {
+        if (ex.type === 'sequence') continue;
+        const landmarks = Pose.poseFor(ex, { size: 0.18, orientation: { roll: 20, yaw: 15 }, noise: 0.0015, seed: 3 });
+        const result = Engine.evaluate(landmarks, ex, { handedness: 'right' });
+        assert.equal(result.passed, true, `${ex.id} scored ${result.score}`);
+    }
+});
+
+test('noise is seeded and occlusion spoils only the hidden fingers', () => {
+    const hand = Pose.build(Pose.SHAPES.spread);
+    assert.deepEqual(Pose.addNoise(hand, 0.01, 5), Pose.addNoise(hand, 0.01, 5));
+    assert.notDeepEqual(Pose.addNoise(hand, 0.01, 5), Pose.addNoise(hand, 0.01, 6));
+
+    const collapsed = Pose.occlude(hand, ['index', 4]);
+    for (const i of [6, 7, 8]) assert.deepEqual(collapsed[i], hand[5]);
+    for (const i of [18, 19, 20]) assert.deepEqual(collapsed[i], hand[17]);
+    assert.deepEqual(collapsed.slice(9, 17), hand.slice(9, 17));
+
+    const scattered = Pose.occlude(hand, ['thumb'], { mode: 'scatter', seed: 2 });
+    assert.deepEqual(scattered[1], hand[1], 'the base stays');
+    assert.ok(distance(scattered[4], hand[4]) > 0.005);
+    assert.throws(() => Pose.occlude(hand, ['elbow']), /Unknown finger/);
+
+    // Hiding the finger being exercised fails it
+    const pointer = Pose.poseFor(EXERCISES.pointer, { occlusion: { fingers: ['index'] } });
+    assert.equal(Engine.evaluate(pointer, EXERCISES.pointer, { handedness: 'right' }).passed, false);
+});
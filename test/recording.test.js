@@ -0,0 +1,90 @@
+/**
+ * recording.test.js
+ * ============================================
+ * Landmark recordings through the scoring engine.
+ *
+ * A synthetic session is written and read back through HandHeroRecording
+ * and must score exactly as it did live. Every recording in
+ * test/fixtures/recordings/ is replayed: each segment that ended in
+ * success must contain at least one passing frame. Drop files saved with
+ * "Save Recording" on the session page into that folder to add fixtures.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const Engine = require('../Invisibleboundaryengine.js');
+const Recording = require('../Handherorecording.js');
+const { EXERCISES } = require('../Handheroexercises.js');
+const Hands = require('./fixtures/synthetic-hands.js');
+
+const RECORDINGS_DIR = path.join(__dirname, 'fixtures', 'recordings');
+
+function listRecordings() {
+    if (!fs.existsSync(RECORDINGS_DIR)) return [];
+    return fs.readdirSync(RECORDINGS_DIR)
+        .filter(name => name.endsWith('.json'))
+        .map(name => path.join(RECORDINGS_DIR, name));
+}
+
+test('a recording replays to identical scores', () => {
+    const exercises = Object.values(EXERCISES);
+    const live = Hands.buildRecording(Recording, exercises);
+    const replayed = Recording.parse(Recording.serialize(live));
+
+    assert.equal(replayed.segments.length, exercises.length);
+    replayed.segments.forEach((segment, s) => {
+        const ex = replayed.exercises[segment.exIdx];
+        segment.frames.forEach((frame, f) => {
+            const before = Recording.decodeFrame(live.segments[s], live.segments[s].frames[f]);
+            const after = Recording.decodeFrame(segment, frame);
+            assert.deepEqual(after, before);
+
+            const hand = after.hands[0];
+            assert.deepEqual(
+                Engine.evaluate(hand.smooth, ex, { handedness: hand.side }),
+                Engine.evaluate(before.hands[0].smooth, ex, { handedness: 'right' })
+            );
+        });
+    });
+});
+
+test('parse rejects files that are not recordings', () => {
+    assert.throws(() => Recording.parse('{'), /not valid JSON/);
+    assert.throws(() => Recording.parse('{"format":"other"}'), /Not a HandHero recording/);
+
+    const rec = Recording.createRecording();
+    rec.version = 99;
+    assert.throws(() => Recording.parse(JSON.stringify(rec)), /Unsupported recording version/);
+});
+
+test('version 1 pain answers are read on the 0-10 scale', () => {
+    const rec = { ...Recording.createRecording(), version: 1, painLevels: [0, 1, 3] };
+    const parsed = Recording.parse(JSON.stringify(rec));
+    assert.equal(parsed.version, Recording.VERSION);
+    assert.deepEqual(parsed.painLevels, [0, 2, 8]);
+});
+
+for (const file of listRecordings()) {
+    test(`recorded fixture ${path.basename(file)}`, async (t) => {
+        const rec = Recording.parse(fs.readFileSync(file, 'utf8'));
+
+        for (const segment of rec.segments) {
+            if (segment.outcome !== 'success') continue;
+            const ex = rec.exercises[segment.exIdx];
+
+            await t.test(`${segment.exIdx}: ${ex.id}`, () => {
+                const passing = segment.frames.some(frame => {
+                    const { hands } = Recording.decodeFrame(segment, frame);
+                    const hand = hands.find(h => !h.side || h.side === rec.profile.hand) || hands[0];
+                    return hand && Engine.evaluate(hand.smooth, ex, { handedness: hand.side }).passed;
+                });
+                assert.ok(passing, `no passing frame in ${segment.frames.length} frames`);
+            });
+        }
+    });
+}
@@ -0,0 +1,136 @@
+/**
+ * report.test.js
+ * ============================================
+ * HandHeroReport: the range summary, the attempts CSV and the PDF writer.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Report = require('../Handheroreport.js');
+
+const angles = (min, max) => ({ index: { mcp: { min, max }, pip: { min: 0, max: 60 }, dip: { min: 0, max: 30 } } });
+
+const SESSIONS = [
+    {
+        date: '2026-05-04T10:00:00',
+        exercises: [
+            { id: 'fist', name: 'Fist', accuracy: 70, grade: 'C', timeToPassMs: 4000, holdMs: 3000, pain: 1, peakAngles: angles(10, 60) },
+            { id: 'pointer', name: 'Pointer', accuracy: 40, grade: 'SKIP', skipped: true, pain: 1 }
+        ]
+    },
+    {
+        date: '2026-05-06T10:00:00',
+        exercises: [{ id: 'fist', name: 'Fist', accuracy: 85, grade: 'B', timeToPassMs: 2000, holdMs: 5000, pain: 0, peakAngles: angles(5, 80) }]
+    },
+    {
+        date: '2026-05-12T10:00:00',
+        exercises: [{ id: 'fist', name: 'Fist', accuracy: 90, grade: 'A', timeToPassMs: 3000, holdMs: 5000, pain: 2 }]
+    },
+    // Outside the range below
+    { date: '2026-04-01T10:00:00', exercises: [{ id: 'fist', name: 'Fist', accuracy: 10, grade: 'F' }] }
+];
+
+const RANGE = { from: '2026-05-01', to: '2026-05-17', now: '2026-05-18T09:00:00' };
+
+test('the report covers only the range, oldest first', () => {
+    const report = Report.buildReport(SESSIONS, { ...RANGE, plan: { sessionsPerWeek: 2 }, profile: { name: 'Sam' } });
+
+    assert.deepEqual(report.range, { from: '2026-05-01', to: '2026-05-17' });
+    assert.equal(report.adherence.sessions, 3);
+    assert.equal(report.adherence.activeDays, 3);
+    assert.deepEqual(report.adherence.perWeek.map(w => [w.start, w.count]),
+        [['2026-04-27', 0], ['2026-05-04', 2], ['2026-05-11', 1]]);
+    assert.equal(report.adherence.weeksOnTarget, 1);
+    assert.deepEqual([report.adherence.passed, report.adherence.attempts], [3, 4]);
+});
+
+test('exercise trends carry accuracy, hold times and time to pass', () => {
+    const [fist, pointer] = Report.buildReport(SESSIONS, RANGE).exercises;
+
+    assert.deepEqual(fist.series.map(p => p.accuracy), [70, 85, 90]);
+    assert.deepEqual([fist.firstAccuracy, fist.lastAccuracy, fist.meanAccuracy], [70, 90, 82]);
+    assert.equal(fist.meanHoldMs, 4333);
+    assert.equal(fist.longestHoldMs, 5000);
+    assert.equal(fist.meanTimeToPassMs, 3000);
+
+    assert.deepEqual([pointer.attempts, pointer.passed, pointer.meanHoldMs], [1, 0, null], 'skips add no hold time');
+});
+
+test('pain takes each session\'s highest check; range of motion compares first and latest arcs', () => {
+    const report = Report.buildReport(SESSIONS, RANGE);
+    assert.deepEqual(report.pain.series.map(p => p.level), [1, 0, 2]);
+    assert.deepEqual([report.pain.mean, report.pain.max, report.pain.first, report.pain.last], [1, 2, 1, 2]);
+
+    assert.deepEqual(report.pain.locations, {});
+
+    // Check-ins win over the levels copied onto the entries
+    const checked = [{ ...SESSIONS[2], painCheckins: [
+        { level: 4, location: 'wrist', exercises: ['fist'] },
+        { level: 7, location: 'wrist', exercises: [] },
+        { level: 3, location: 'thumb', exercises: [] }
+    ] }];
+    const checkedPain = Report.buildReport(checked, RANGE).pain;
+    assert.deepEqual([checkedPain.max, checkedPain.locations], [7, { wrist: 2, thumb: 1 }]);
+
+    const mcp = report.rom.find(j => j.part === 'index' && j.joint === 'mcp');
+    assert.deepEqual([mcp.first, mcp.last, mcp.change, mcp.series.length], [50, 75, 25, 2]);
+    assert.ok(!report.rom.some(j => j.part === 'wrist'), 'unmeasured joints are left out');
+});
+
+test('the CSV has one row per attempt, quoted and safe to open in a spreadsheet', () => {
+    const sessions = [{
+        date: '2026-05-04T10:00:00',
+        exercises: [
+            { id: 'fist', name: 'Fist, tight', accuracy: 70, grade: 'C', pain: 1, peakAngles: angles(10, 60) },
+            { id: 'custom-1', name: '=HYPERLINK("x")', accuracy: 50, grade: 'SKIP', skipped: true }
+        ]
+    }];
+    const lines = Report.toCsv(sessions, RANGE).trimEnd().split('\r\n');
+    const rows = lines.map(line => line.replace('"Fist, tight"', 'Fist').split(','));
+
+    assert.equal(lines.length, 3);
+    assert.deepEqual(lines[0].split(','), Report.CSV_COLUMNS);
+    assert.equal(rows[1][0], '2026-05-04T10:00:00');
+    assert.ok(lines[1].includes('"Fist, tight"'));
+    assert.equal(rows[1][Report.CSV_COLUMNS.indexOf('rom_index_mcp')], '50');
+    assert.ok(lines[2].includes(`"'=HYPERLINK(""x"")"`));
+    assert.equal(rows[2][Report.CSV_COLUMNS.indexOf('passed')], 'no');
+});
+
+test('the PDF is well formed: header, page tree and a matching xref', () => {
+    const bytes = Report.renderPdf(Report.buildReport(SESSIONS, { ...RANGE, profile: { name: 'Sam 👋', hand: 'left' } }));
+    const text = Buffer.from(bytes).toString('latin1');
+
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.ok(text.trimEnd().endsWith('%%EOF'));
+    assert.ok(text.includes('(Sam, treating the left hand)'), 'emoji dropped, text kept');
+
+    // Every xref offset points at its object
+    const xrefAt = Number(/startxref\n(\d+)/.exec(text)[1]);
+    const xref = text.slice(xrefAt).split('\n');
+    const count = Number(xref[1].split(' ')[1]);
+    for (let id = 1; id < count; id++) {
+        const offset = Number(xref[2 + id].slice(0, 10));
+        assert.ok(text.startsWith(`${id} 0 obj`, offset), `object ${id}`);
+    }
+
+    // Stream lengths match their content
+    for (const match of text.matchAll(/<< \/Length (\d+) >>\nstream\n/g)) {
+        const start = match.index + match[0].length;
+        assert.equal(text.slice(start + Number(match[1]), start + Number(match[1]) + 10), '\nendstream');
+    }
+});
+
+test('long reports flow onto more pages', () => {
+    const many = Array.from({ length: 30 }, (_, i) => ({
+        date: `2026-05-${String(1 + (i % 16)).padStart(2, '0')}T10:00:00`,
+        exercises: [{ id: `ex-${i}`, name: `Exercise ${i}`, accuracy: 80, grade: 'B' }]
+    }));
+    const text = Buffer.from(Report.renderPdf(Report.buildReport(many, RANGE))).toString('latin1');
+    const pages = Number(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/.exec(text)[1]);
+    assert.ok(pages >= 2);
+    assert.ok(text.includes(`(Page ${pages} of ${pages})`));
+});
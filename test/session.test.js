@@ -0,0 +1,302 @@
+/**
+ * session.test.js
+ * ============================================
+ * HandHeroSession: the session flow's timing rules, driven frame by
+ * frame on a fake clock.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Session = require('../Handherosession.js');
+const { EXERCISES } = require('../Handheroexercises.js');
+
+const FRAME_MS = 1000 / 30;
+const { DEFAULTS } = Session;
+
+const GREEN = { evaluation: { score: 1, zone: 'GREEN', passed: true } };
+const RED = { evaluation: { score: 0.2, zone: 'RED', passed: false } };
+
+/**
+ * A controller with a fake clock and every event it emits
+ */
+function harness(exercises, options = {}) {
+    const session = Session.createSessionController({ exercises, ...options });
+    const events = [];
+    session.subscribe(event => events.push(event));
+    const clock = { t: 1000 };
+    return {
+        session,
+        events,
+        clock,
+        types: () => events.map(e => e.type),
+        // Frames at 30 fps for ms
+        run(ms, frame) {
+            const end = clock.t + ms;
+            while (clock.t < end) {
+                clock.t += FRAME_MS;
+                const input = typeof frame === 'function' ? frame(clock.t) : frame;
+                session.update(clock.t, input);
+            }
+        },
+        // Wall-clock pauses, ticked every 100 ms
+        wait(ms) {
+            const end = clock.t + ms;
+            session.tick(clock.t);
+            while (clock.t < end) session.tick((clock.t = Math.min(end, clock.t + 100)));
+        }
+    };
+}
+
+/**
+ * From READY through the fist to scoring
+ */
+function toExecute(h) {
+    h.wait(DEFAULTS.READY_COUNTDOWN_SECONDS * 1000 + 100);
+    h.run(DEFAULTS.RESET_HOLD_MS + 200, { fist: true });
+    h.run(DEFAULTS.READY_TRACKING_DELAY_MS, GREEN);
+}
+
+function pass(h) {
+    toExecute(h);
+    h.run(6000, GREEN);
+    assert.equal(h.session.state.status, 'SUCCESS');
+}
+
+test('the ready countdown leads into the fist, then a gated execute phase', () => {
+    const h = harness([EXERCISES.fist, EXERCISES.pointer]);
+    h.session.start();
+    assert.deepEqual(h.events[0], { type: 'ready', index: 0, exercise: EXERCISES.fist, countdown: 3 });
+
+    h.wait(2900);
+    assert.deepEqual(h.events.slice(1).map(e => e.remaining), [2, 1]);
+    assert.equal(h.session.state.status, 'READY');
+    h.wait(100);
+    assert.equal(h.session.state.status, 'RESET');
+    assert.equal(h.session.expects(h.clock.t), 'fist');
+
+    // A fist in under 60% of the last frames doesn't count, and neither does a short one
+    h.run(600, t => ({ fist: Math.round(t / FRAME_MS) % 2 === 0 }));
+    assert.equal(h.session.state.fistHeld, false);
+    h.run(400, { fist: true });
+    assert.equal(h.session.state.status, 'RESET');
+    assert.ok(h.session.state.resetProgress > 0.5);
+    h.run(200, { fist: true });
+    assert.equal(h.session.state.status, 'EXECUTE');
+    assert.deepEqual(h.types().slice(-2), ['exercise', 'execute']);
+
+    // Scoring waits out the ready gate
+    const gate = h.session.state.scoringFrom;
+    assert.equal(h.session.expects(gate - 1), null);
+    h.run(DEFAULTS.READY_TRACKING_DELAY_MS - 100, GREEN);
+    assert.equal(h.session.state.progress, 0);
+    assert.equal(h.session.expects(gate), 'evaluation');
+});
+
+test('a steady pose holds after the zone settles and passes at the hold time', () => {
+    const h = harness([EXERCISES.fist, EXERCISES.pointer]);
+    h.session.start();
+    toExecute(h);
+    const scoringFrom = h.clock.t;
+
+    h.run(DEFAULTS.GOOD_ZONE_STABLE_MS - 100, GREEN);
+    assert.equal(h.session.state.holding, false);
+    h.run(200, GREEN);
+    assert.equal(h.session.state.holding, true);
+
+    h.run(3000, GREEN);
+    const success = h.events.find(e => e.type === 'success');
+    assert.equal(success.score, 1);
+    assert.equal(success.holdMs, DEFAULTS.HOLD_DURATION_MS);
+    const holdEnd = h.session.state.holdStart + DEFAULTS.HOLD_DURATION_MS;
+    assert.ok(holdEnd - scoringFrom < DEFAULTS.GOOD_ZONE_STABLE_MS + DEFAULTS.HOLD_DURATION_MS + 2 * FRAME_MS);
+    assert.deepEqual([h.session.state.completed, h.session.state.streak], [1, 1]);
+
+    // Frames during the celebration change nothing; then the next exercise is up
+    h.run(500, RED);
+    assert.equal(h.session.state.progress, 1);
+    h.wait(DEFAULTS.SUCCESS_PAUSE_MS);
+    assert.equal(h.session.state.status, 'READY');
+    assert.equal(h.session.state.index, 1);
+});
+
+test('a lower score holds longer; a softened exercise holds for less', () => {
+    const h = harness([EXERCISES.fist]);
+    h.session.start();
+    toExecute(h);
+    h.run(DEFAULTS.GOOD_ZONE_STABLE_MS + 2000, { evaluation: { score: 0.7, zone: 'BLUE' } });
+    assert.ok(Math.abs(h.session.state.progress - 0.85 * (h.clock.t - h.session.state.holdStart) / 2500) < 1e-9);
+    assert.equal(h.session.state.status, 'EXECUTE');
+
+    assert.equal(Session.holdMsFor({ holdMs: 4000, holdScale: 0.5 }), 2000);
+    assert.equal(Session.holdMsFor(null, { ...DEFAULTS, HOLD_DURATION_MS: 1000 }), 1000);
+});
+
+test('sustained red brings guidance, pauses the hold, then offers a skip', () => {
+    const h = harness([EXERCISES.fist, EXERCISES.pointer]);
+    h.session.start();
+    toExecute(h);
+    h.run(DEFAULTS.GOOD_ZONE_STABLE_MS + 1000, GREEN);
+    const holdStart = h.session.state.holdStart;
+    const progress = h.session.state.progress;
+
+    // A brief red flicker decays progress slowly and keeps the hold
+    h.run(300, RED);
+    assert.equal(h.session.state.holding, true);
+    assert.ok(h.session.state.progress < progress && h.session.state.progress > progress - 0.15);
+    assert.equal(h.types().includes('guidance'), false);
+
+    h.run(DEFAULTS.RED_GUIDANCE_TRIGGER_MS, RED);
+    assert.equal(h.types().filter(t => t === 'guidance').length, 1);
+    assert.equal(h.session.state.guidanceActive, true);
+    assert.equal(h.session.state.holdStart, holdStart + DEFAULTS.RED_PAUSE_HOLD_MS, 'the hold clock pauses');
+
+    h.run(DEFAULTS.SKIP_RED_MS, RED);
+    assert.equal(h.types().filter(t => t === 'suggestSkip').length, 1);
+    assert.equal(h.session.state.progress, 0);
+
+    // Back in a good zone the guidance clears
+    h.run(100, GREEN);
+    assert.equal(h.session.state.guidanceActive, false);
+    assert.equal(h.session.state.redZoneDuration, 0);
+});
+
+test('returning to a good zone ends the guidance pause at once', () => {
+    const h = harness([EXERCISES.fist]);
+    h.session.start();
+    toExecute(h);
+    h.run(DEFAULTS.GOOD_ZONE_STABLE_MS + 500, GREEN);
+    const holdStart = h.session.state.holdStart;
+    h.run(DEFAULTS.RED_GUIDANCE_TRIGGER_MS + 100, RED);
+    const guidanceAt = h.session.state.guidanceUntil - DEFAULTS.RED_PAUSE_HOLD_MS;
+    assert.ok(h.session.state.guidanceUntil > h.clock.t);
+
+    // Well inside RED_PAUSE_HOLD_MS: nothing left paused, and the hold
+    // clock only skips the time guidance was actually up
+    h.run(FRAME_MS, GREEN);
+    assert.equal(h.session.state.guidanceActive, false);
+    assert.equal(h.session.state.guidanceUntil, 0);
+    assert.equal(h.session.state.holding, true);
+    assert.ok(Math.abs(h.session.state.holdStart - (holdStart + h.clock.t - guidanceAt)) < 1e-6);
+});
+
+test('touching pinch fingers start the hold whatever the zone', () => {
+    const h = harness([EXERCISES.ok_sign]);
+    h.session.start();
+    toExecute(h);
+    h.run(DEFAULTS.PINCH_PROXIMITY_MS - 100, { ...RED, pinchDistance: 0.2 });
+    h.run(DEFAULTS.PINCH_PROXIMITY_MS - 100, { ...RED, pinchDistance: 0.05 });
+    assert.equal(h.session.state.holding, false);
+    h.run(200, { ...RED, pinchDistance: 0.05 });
+    assert.equal(h.session.state.holding, true, 'well before GOOD_ZONE_STABLE_MS');
+});
+
+test('outlier frames, a lost hand and the wrong hand', () => {
+    const h = harness([EXERCISES.fist]);
+    h.session.start();
+    toExecute(h);
+    h.run(DEFAULTS.GOOD_ZONE_STABLE_MS + 500, GREEN);
+    const holdStart = h.session.state.holdStart;
+    const progress = h.session.state.progress;
+
+    h.run(1000, { outlier: true });
+    assert.ok(Math.abs(h.session.state.holdStart - holdStart - 1000) < FRAME_MS, 'the hold clock stopped');
+    assert.equal(h.session.state.progress, progress);
+
+    h.run(1000, { wrongHand: true });
+    assert.equal(h.session.state.progress, progress);
+
+    h.run(100, { hand: false });
+    assert.ok(Math.abs(h.session.state.progress - (progress - 3 * DEFAULTS.SOFT_DECAY_RATE)) < 1e-9);
+});
+
+test('pain check-ins every few passes, then rest, then on to the end', () => {
+    const list = [EXERCISES.fist, EXERCISES.pointer, EXERCISES.peace, EXERCISES.thumbs_up, EXERCISES.rock_on, EXERCISES.starfish];
+    const h = harness(list);
+    h.session.start();
+    for (let i = 0; i < 4; i++) {
+        pass(h);
+        h.wait(DEFAULTS.SUCCESS_PAUSE_MS);
+    }
+    assert.equal(h.session.state.status, 'PAIN');
+    assert.deepEqual(h.events.find(e => e.type === 'pain'), { type: 'pain', completed: 4 });
+
+    h.session.answerPain({ stop: false });
+    assert.equal(h.session.state.status, 'REST');
+    h.wait(DEFAULTS.REST_SECONDS * 1000 + 100);
+    assert.equal(h.session.state.status, 'READY');
+    assert.equal(h.session.state.index, 4);
+
+    // Skipping breaks the streak; skipping the last exercise ends the session
+    h.wait(DEFAULTS.READY_COUNTDOWN_SECONDS * 1000 + 100);
+    assert.equal(h.session.skip(), true);
+    assert.equal(h.session.state.streak, 0);
+    assert.equal(h.session.skip(), false, 'nothing to skip during the countdown');
+    h.wait(DEFAULTS.READY_COUNTDOWN_SECONDS * 1000 + 100);
+    h.session.skip();
+    assert.equal(h.session.state.status, 'COMPLETE');
+    assert.deepEqual(h.events[h.events.length - 1], { type: 'complete', completed: 4, bestStreak: 4 });
+    assert.deepEqual(h.events.filter(e => e.type === 'skipped').map(e => e.index), [4, 5]);
+});
+
+test('pain at the ceiling ends the session; the last pass skips the check-in', () => {
+    const h = harness([EXERCISES.fist, EXERCISES.pointer, EXERCISES.peace, EXERCISES.thumbs_up, EXERCISES.starfish]);
+    h.session.start();
+    for (let i = 0; i < 4; i++) {
+        pass(h);
+        h.wait(DEFAULTS.SUCCESS_PAUSE_MS);
+    }
+    h.session.answerPain({ stop: true });
+    assert.equal(h.session.state.status, 'COMPLETE');
+
+    const short = harness([EXERCISES.fist, EXERCISES.pointer, EXERCISES.peace, EXERCISES.thumbs_up]);
+    short.session.start();
+    for (let i = 0; i < 4; i++) {
+        pass(short);
+        short.wait(DEFAULTS.SUCCESS_PAUSE_MS);
+    }
+    assert.equal(short.session.state.status, 'COMPLETE');
+    assert.equal(short.types().includes('pain'), false);
+});
+
+test('practice loops one exercise with no countdown between passes', () => {
+    const h = harness([EXERCISES.fist], { practice: true });
+    h.session.start();
+    pass(h);
+    h.wait(DEFAULTS.SUCCESS_PAUSE_MS);
+    assert.equal(h.session.state.status, 'RESET');
+    assert.equal(h.session.skip(), false);
+    assert.deepEqual(h.types().filter(t => t === 'ready').length, 1);
+
+    for (let i = 0; i < 3; i++) {
+        h.run(DEFAULTS.RESET_HOLD_MS + 200, { fist: true });
+        h.run(DEFAULTS.READY_TRACKING_DELAY_MS + 6000, GREEN);
+        h.wait(DEFAULTS.SUCCESS_PAUSE_MS);
+    }
+    assert.equal(h.session.state.status, 'PAIN');
+    h.session.answerPain();
+    h.session.skipRest();
+    assert.equal(h.session.state.status, 'READY');
+    assert.equal(h.session.state.index, 0);
+    h.session.finish();
+    assert.equal(h.session.state.status, 'COMPLETE');
+});
+
+test('a sequence counts its steps and reps instead of holding', () => {
+    const h = harness([EXERCISES.tendon_glide]);
+    h.session.start();
+    toExecute(h);
+    const step = (s, reached, extra = {}) => ({
+        sequence: { result: { score: 0.9, zone: 'GREEN', passed: true }, step: s, stepCount: 4, reps: 0, targetReps: 2, stepLabel: `Step ${s}`, reached, ...extra }
+    });
+
+    h.session.update((h.clock.t += FRAME_MS), step(1, true));
+    assert.deepEqual(h.events[h.events.length - 1], { type: 'step', step: 1, label: 'Step 1' });
+    assert.equal(h.session.state.progress, 1 / 8);
+
+    h.session.update((h.clock.t += FRAME_MS), step(0, false, { complete: true, reps: 2, score: 0.8 }));
+    const success = h.events[h.events.length - 1];
+    assert.deepEqual([success.type, success.score, success.holdMs], ['success', 0.8, null]);
+});
@@ -0,0 +1,136 @@
+/**
+ * source.test.js
+ * ============================================
+ * HandHeroSource: every landmark source yields MediaPipe-shaped results,
+ * so a session can be driven without a camera.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Source = require('../Handherosource.js');
+const Engine = require('../Invisibleboundaryengine.js');
+const Recording = require('../Handherorecording.js');
+const { EXERCISES } = require('../Handheroexercises.js');
+const Hands = require('./fixtures/synthetic-hands.js');
+
+/**
+ * Stand-in for the browser WebSocket: the test plays the server
+ */
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.closed = false;
+        FakeSocket.last = this;
+    }
+    close() {
+        this.closed = true;
+        if (this.onclose) this.onclose();
+    }
+    open() { this.onopen(); }
+    send(data) { this.onmessage({ data }); }
+}
+
+test('patient sides become MediaPipe\'s mirrored labels', () => {
+    const hand = Hands.buildHand();
+    const results = Source.toResults([{ side: 'left', landmarks: hand, score: 0.9 }, { side: null, landmarks: hand }, { side: 'right', landmarks: [] }]);
+    assert.equal(results.landmarks.length, 2);
+    assert.deepEqual(results.handedness, [[{ categoryName: 'Right', score: 0.9 }], []]);
+    assert.deepEqual(results.worldLandmarks, [], 'no partial world landmarks');
+    assert.deepEqual(Source.toResults([]), { landmarks: [], worldLandmarks: [], handedness: [] });
+});
+
+test('the camera source runs MediaPipe on the video and releases the camera', async () => {
+    const stopped = [];
+    const stream = { getTracks: () => [{ stop: () => stopped.push('video') }] };
+    const video = { readyState: 4, srcObject: null };
+    const detected = { landmarks: [Hands.buildHand()], worldLandmarks: [], handedness: [] };
+    const landmarker = { detectForVideo: (v, t) => (v === video && t >= 0 ? detected : null) };
+
+    const camera = Source.createSource({ type: 'camera' }, { video, landmarker, getUserMedia: async () => stream });
+    assert.equal(camera.read(0), null, 'nothing before start');
+    await camera.start();
+    assert.equal(video.srcObject, stream);
+    assert.equal(camera.read(0), detected);
+    camera.stop();
+    assert.deepEqual(stopped, ['video']);
+    assert.throws(() => Source.createCameraSource({ video }), /landmarker/);
+});
+
+test('a recording plays its raw frames on its own clock', async () => {
+    const exercises = [EXERCISES.fist, EXERCISES.pointer];
+    const rec = Hands.buildRecording(Recording, exercises, { frames: 3, holdFrames: 1, frameMs: 50 });
+    const source = Source.createRecordingSource(rec, { decodeFrame: Recording.decodeFrame });
+    await source.start();
+
+    const first = source.read(10000);
+    assert.deepEqual(first.landmarks[0], Recording.decodeFrame(rec.segments[0], rec.segments[0].frames[0]).hands[0].raw);
+    assert.deepEqual(first.handedness, [[{ categoryName: 'Left', score: 1 }]], 'the patient\'s right hand');
+    assert.equal(source.read(10049), null, 'next frame not due yet');
+    assert.ok(source.read(10050));
+
+    // Everything that is due comes out one frame per read, then it ends
+    let count = 2;
+    while (source.read(60000)) count++;
+    assert.equal(count, 8);
+    assert.equal(source.ended, true);
+});
+
+test('synthetic poses drive the engine to a pass with no camera', async () => {
+    const open = Hands.buildHand();
+    const fist = Hands.idealPose(EXERCISES.fist);
+    const source = Source.createSyntheticSource({
+        pose: Source.keyframes([{ at: 0, landmarks: open }, { at: 1000, landmarks: fist }]),
+        durationMs: 1500
+    });
+    await source.start();
+
+    const halfway = Source.keyframes([{ at: 0, landmarks: open }, { at: 1000, landmarks: fist }])(500);
+    assert.deepEqual(halfway, Hands.lerpPose(open, fist, 0.5).map(p => ({ x: p.x, y: p.y, z: p.z || 0 })));
+
+    const scores = [];
+    for (let now = 5000; !source.ended; now += 100) {
+        const results = source.read(now);
+        if (results) scores.push(Engine.evaluate(results.landmarks[0], EXERCISES.fist, { handedness: 'right' }));
+    }
+    assert.equal(scores.length, 16);
+    assert.equal(scores[0].passed, false);
+    assert.equal(scores[scores.length - 1].passed, true);
+
+    const empty = Source.createSyntheticSource({ pose: () => null });
+    assert.deepEqual(empty.read(0).landmarks, [], 'no hand in view');
+});
+
+test('a WebSocket feed keeps only the newest frame', async () => {
+    const source = Source.createSource({ type: 'websocket', url: 'ws://tracker' }, { WebSocket: FakeSocket });
+    const started = source.start();
+    FakeSocket.last.open();
+    await started;
+    assert.equal(source.read(0), null);
+
+    const hand = Hands.buildHand();
+    FakeSocket.last.send('not json');
+    FakeSocket.last.send(JSON.stringify({ hands: [{ side: 'left', landmarks: Hands.scale(hand, 0.9) }] }));
+    FakeSocket.last.send(JSON.stringify({ hands: [{ side: 'left', landmarks: hand }] }));
+    assert.deepEqual([source.errors, source.dropped], [1, 1]);
+    assert.deepEqual(source.read(0).landmarks, [hand]);
+    assert.equal(source.read(0), null, 'each frame is read once');
+
+    source.stop();
+    assert.equal(FakeSocket.last.closed, true);
+    assert.equal(source.ended, true);
+
+    const refused = Source.createWebSocketSource({ url: 'ws://nobody', WebSocket: FakeSocket });
+    const failing = refused.start();
+    FakeSocket.last.close();
+    await assert.rejects(failing, /Could not connect/);
+});
+
+test('the setting comes from the URL or falls back to the camera', () => {
+    assert.deepEqual(Source.fromQuery('?source=websocket&sourceUrl=ws%3A%2F%2Fhost%3A8765'), { type: 'websocket', url: 'ws://host:8765' });
+    assert.equal(Source.fromQuery('?practice=fist'), null);
+    assert.throws(() => Source.createSource({ type: 'kinect' }), /Unknown landmark source "kinect"/);
+    assert.throws(() => Source.createSource({ type: 'websocket' }, { WebSocket: FakeSocket }), /needs a url/);
+});
@@ -0,0 +1,86 @@
+/**
+ * store.test.js
+ * ============================================
+ * HandHeroStore's pure parts: the localStorage import plan and the
+ * stats <-> sessions/attempts mapping. (Node has no IndexedDB; the
+ * object stores themselves are exercised in the browser.)
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Store = require('../Handherostore.js');
+const { fakeStorage } = require('./fixtures/fake-storage.js');
+
+const STATS = {
+    totalSessions: 2,
+    currentStreak: 1,
+    sessions: [
+        { date: '2026-03-01T10:00:00Z', grade: 'B', exercises: [{ id: 'fist', accuracy: 80 }, { id: 'pointer', skipped: true }] },
+        { date: '2026-03-02T10:00:00Z', grade: 'A', exercises: [{ id: 'fist', accuracy: 92 }] }
+    ],
+    practice: [{ id: 'fist', date: '2026-03-02T11:00:00Z', reps: 12 }]
+};
+
+test('the import plan maps legacy keys onto the object stores', () => {
+    const plan = Store.planLegacyImport(fakeStorage({
+        handhero_currentUser: { id: 'u1', name: 'Admin', hand: 'left' },
+        handhero_stats_u1: STATS,
+        handhero_lastSessionResult: { grade: 'C', exercises: [] },
+        handhero_activeUserId: 'u1',
+        handhero_customExercises: [],
+        'handhero-theme': 'dark'
+    }));
+
+    assert.deepEqual(plan.users.map(u => u.id), ['u1']);
+    assert.deepEqual(plan.sessions.map(s => [s.kind, s.userId]), [['session', 'u1'], ['session', 'u1'], ['practice', 'u1']]);
+    assert.equal(plan.attempts.length, 3, 'one row per exercise log entry');
+    assert.deepEqual(plan.inbox.map(r => r.kind), ['session']);
+
+    const meta = Object.fromEntries(plan.meta.map(r => [r.key, r.value]));
+    assert.equal(meta.currentUserId, 'u1');
+    assert.equal(meta.activeUserId, 'u1');
+    assert.deepEqual(meta.stats_u1, { totalSessions: 2, currentStreak: 1 });
+
+    assert.ok(!plan.keys.includes('handhero_customExercises'), 'the exercise library stays put');
+    assert.ok(!plan.keys.includes('handhero-theme'));
+});
+
+test('the old login table imports profiles but never passwords', () => {
+    const plan = Store.planLegacyImport(fakeStorage({
+        handhero_users: { 'sam@example.com': { id: 'u2', name: 'Sam', email: 'sam@example.com', password: 'hunter2' } }
+    }));
+    assert.deepEqual(plan.users, [{ id: 'u2', name: 'Sam', email: 'sam@example.com' }]);
+    assert.ok(!JSON.stringify(plan).includes('hunter2'));
+});
+
+test('unreadable legacy entries are skipped and left in place', () => {
+    const storage = fakeStorage({ handhero_activeUserId: 'u1' });
+    storage.setItem('handhero_stats_u1', '{not json');
+    const plan = Store.planLegacyImport(storage);
+    assert.deepEqual(plan.keys, ['handhero_activeUserId']);
+    assert.equal(plan.sessions.length, 0);
+});
+
+test('stats split into records and join back to the same shape', () => {
+    const { totals, sessions } = Store.splitStats('u1', STATS);
+    assert.ok(sessions.every(s => s.id && s.userId === 'u1'));
+
+    const joined = Store.joinStats(totals, [...sessions].reverse());
+    assert.deepEqual(joined.sessions.map(s => s.grade), ['B', 'A'], 'oldest first');
+    assert.deepEqual(joined.practice.map(s => s.reps), [12]);
+    assert.equal(joined.totalSessions, 2);
+
+    // Stored ids are kept, so saving the joined stats again doesn't duplicate
+    assert.deepEqual(Store.splitStats('u1', joined).sessions.map(s => s.id), sessions.map(s => s.id));
+});
+
+test('attempt rows carry the exercise id separately from their own key', () => {
+    const [record] = Store.splitStats('u1', STATS).sessions;
+    const attempts = Store.toAttempts(record);
+    assert.deepEqual(attempts.map(a => a.exerciseId), ['fist', 'pointer']);
+    assert.ok(attempts.every(a => !('id' in a) && a.sessionId === record.id && a.userId === 'u1'));
+    assert.equal(attempts[1].skipped, true);
+});
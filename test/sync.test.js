@@ -0,0 +1,170 @@
+/**
+ * sync.test.js
+ * ============================================
+ * HandHeroSync against the reference server: push through the outbox,
+ * pull plan changes, request validation, tokens, and the two conflict
+ * strategies.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Sync = require('../Handherosync.js');
+const Offline = require('../Handherooffline.js');
+const { createServer, createFileStorage } = require('../server/sync-server.js');
+const { fakeStorage } = require('./fixtures/fake-storage.js');
+
+/**
+ * Run fn(url, dataFile) against a server on a free port, then shut it down
+ */
+async function withServer(options, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'handhero-sync-'));
+    const file = path.join(dir, 'data.json');
+    const server = createServer({ storage: createFileStorage(file), ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await fn(`http://127.0.0.1:${server.address().port}`, file);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('outbox entries reach the server once, in order, and survive a restart', async () => {
+    await withServer({}, async (url, file) => {
+        const adapter = Sync.createHttpAdapter({ url });
+        Offline.configure({ adapter, syncUrl: null, storage: fakeStorage() });
+
+        Offline.enqueue('session', { userId: 'u1', grade: 'A' });
+        Offline.enqueue('practice', { userId: 'u1', reps: 8 });
+        const result = await Offline.flush();
+        assert.deepEqual(result, { sent: 2, pending: 0 });
+
+        // A resend (e.g. the reply was lost) is stored once
+        const [first] = Object.values(JSON.parse(fs.readFileSync(file, 'utf8')).entries);
+        await adapter.push(first);
+
+        const entries = createFileStorage(file).getEntries('u1');
+        assert.deepEqual(entries.map(e => e.kind), ['session', 'practice']);
+        Offline.configure({ adapter: null });
+    });
+});
+
+test('a pushed batch is written once; a bad entry rejects the whole batch', async t => {
+    await withServer({}, async (url, file) => {
+        const renames = t.mock.method(fs, 'renameSync');
+        const push = entries => fetch(`${url}/sync/push`, { method: 'POST', body: JSON.stringify({ entries }) });
+        const entry = id => ({ id, kind: 'session', payload: { userId: 'u1' } });
+
+        const res = await push([entry('e1'), entry('e2'), entry('e3')]);
+        assert.deepEqual(await res.json(), { accepted: ['e1', 'e2', 'e3'] });
+        assert.equal(renames.mock.callCount(), 1);
+
+        // Nothing new, nothing written
+        await push([entry('e1'), entry('e2')]);
+        assert.equal(renames.mock.callCount(), 1);
+
+        assert.equal((await push([entry('e4'), { id: 5, kind: 'session' }])).status, 400);
+        assert.deepEqual(createFileStorage(file).getEntries('u1').map(e => e.id), ['e1', 'e2', 'e3']);
+    });
+});
+
+test('pull needs a userId; a malformed path or a non-object body is a 400, not a crash', async () => {
+    await withServer({}, async url => {
+        assert.equal((await fetch(`${url}/sync/pull?since=0`)).status, 400);
+        assert.equal((await fetch(`${url}/sync/pull?userId=&since=0`)).status, 400);
+        assert.equal((await fetch(`${url}/plans/%E0%A4%A`)).status, 400);
+        for (const body of ['null', '[]', '3']) {
+            assert.equal((await fetch(`${url}/plans/u1`, { method: 'PUT', body })).status, 400, body);
+            assert.equal((await fetch(`${url}/sync/push`, { method: 'POST', body })).status, 400, body);
+        }
+        assert.equal((await fetch(`${url}/sync/pull?userId=u1`)).status, 200);
+    });
+});
+
+test('plans put on the server are pulled by that profile only, once', async () => {
+    await withServer({}, async url => {
+        const adapter = Sync.createHttpAdapter({ url });
+        await fetch(`${url}/plans/u1`, { method: 'PUT', body: JSON.stringify({ exercises: ['fist'], sessionLength: 4 }) });
+        await fetch(`${url}/plans/u2`, { method: 'PUT', body: JSON.stringify({ exercises: ['fist'], sessionLength: 8 }) });
+
+        const first = await Sync.pullChanges(adapter, { userId: 'u1' });
+        assert.deepEqual(first.updates.map(u => [u.kind, u.value.sessionLength]), [['plan', 4]]);
+
+        const again = await Sync.pullChanges(adapter, { userId: 'u1', since: first.cursor });
+        assert.deepEqual(again.updates, []);
+    });
+});
+
+test('the clinician routes list patients and read back the current plan', async () => {
+    await withServer({}, async url => {
+        const adapter = Sync.createHttpAdapter({ url });
+        const entry = (id, kind, payload, queuedAt) => adapter.push({ id, kind, payload: { userId: 'u1', ...payload }, queuedAt });
+        await entry('e1', 'profile', { name: 'Sam', hand: 'left' }, '2026-05-01T09:00:00Z');
+        await entry('e2', 'session', { grade: 'B' }, '2026-05-01T10:00:00Z');
+        await entry('e3', 'session', { grade: 'A' }, '2026-05-02T10:00:00Z');
+
+        const { patients } = await (await fetch(`${url}/patients`)).json();
+        assert.deepEqual(patients.map(p => [p.userId, p.name, p.sessions, p.lastSeen]), [['u1', 'Sam', 2, '2026-05-02T10:00:00Z']]);
+
+        assert.deepEqual(await (await fetch(`${url}/plans/u1`)).json(), { plan: null });
+        const bad = await fetch(`${url}/plans/u1`, { method: 'PUT', body: JSON.stringify({ sessionsPerWeek: 3 }) });
+        assert.equal(bad.status, 400);
+
+        await fetch(`${url}/plans/u1`, { method: 'PUT', body: JSON.stringify({ exercises: ['fist'], sessionsPerWeek: 3 }) });
+        const { plan } = await (await fetch(`${url}/plans/u1`)).json();
+        assert.deepEqual(plan, { exercises: ['fist'], sessionsPerWeek: 3 });
+    });
+});
+
+test('with a token set, only /health is open', async () => {
+    await withServer({ token: 's3cret' }, async url => {
+        await assert.rejects(Sync.createHttpAdapter({ url }).check(), error => error.status === 401);
+        assert.equal((await Sync.createHttpAdapter({ url, token: 's3cret' }).check()).ok, true);
+    });
+});
+
+test('last-writer keeps the newer copy whole; merge combines fields and records', () => {
+    const local = {
+        updatedAt: '2026-05-02T10:00:00Z',
+        sessionLength: 6,
+        difficulty: 'easy',
+        notes: [{ id: 'a', text: 'local a' }]
+    };
+    const remote = {
+        updatedAt: '2026-05-01T10:00:00Z',
+        sessionLength: 4,
+        exercises: ['fist'],
+        notes: [{ id: 'a', text: 'remote a' }, { id: 'b', text: 'remote b' }]
+    };
+
+    assert.equal(Sync.resolveConflict(local, remote, 'last-writer'), local);
+    assert.equal(Sync.resolveConflict({ ...local, updatedAt: '2026-04-01T00:00:00Z' }, remote, 'last-writer'), remote);
+
+    const merged = Sync.resolveConflict(local, remote, 'merge');
+    assert.equal(merged.sessionLength, 6, 'newer wins a field both changed');
+    assert.equal(merged.difficulty, 'easy');
+    assert.deepEqual(merged.exercises, ['fist'], 'fields only one side has are kept');
+    assert.deepEqual(merged.notes.map(n => n.text), ['local a', 'remote b']);
+
+    assert.throws(() => Sync.resolveConflict(local, remote, 'coin-toss'), /Unknown conflict strategy/);
+});
+
+test('pulled changes are resolved against the local copy', async () => {
+    const adapter = Sync.createMemoryAdapter();
+    adapter.addChange({ kind: 'plan', userId: 'u1', payload: { sessionLength: 4 }, updatedAt: '2026-05-01T00:00:00Z' });
+    const local = { sessionLength: 8, updatedAt: '2026-05-03T00:00:00Z' };
+
+    const kept = await Sync.pullChanges(adapter, { userId: 'u1', getLocal: () => local });
+    assert.equal(kept.updates[0].value.sessionLength, 8);
+    assert.equal(kept.updates[0].changed, false);
+
+    const taken = await Sync.pullChanges(adapter, { userId: 'u1', getLocal: () => null });
+    assert.equal(taken.updates[0].value.sessionLength, 4);
+    assert.equal(taken.updates[0].changed, true);
+});
@@ -0,0 +1,138 @@
+/**
+ * tremor.test.js
+ * ============================================
+ * HandHeroTremor: frequency and amplitude of synthetic tremor laid over a
+ * held pose, per finger, against tracker jitter and gaps, and the
+ * per-session trend.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Tremor = require('../Handherotremor.js');
+const Pose = require('../Handheropose.js');
+const Engine = require('../Invisibleboundaryengine.js');
+
+const HAND = Pose.build(Pose.SHAPES.open);
+const HAND_LENGTH = Engine.getHandFrame(HAND).handLength;
+const options = { getHandFrame: Engine.getHandFrame };
+
+/**
+ * A hold at 30 fps: shake(t, index) returns each landmark's { dx, dy }
+ * as a fraction of hand length
+ */
+function hold(durationMs, shake, { noise = 0, start = 1000, fps = 30 } = {}) {
+    const samples = [];
+    for (let t = 0, frame = 0; t <= durationMs; t += 1000 / fps, frame++) {
+        let landmarks = HAND.map((p, i) => {
+            const d = shake(t / 1000, i);
+            return { x: p.x + d.dx * HAND_LENGTH, y: p.y + d.dy * HAND_LENGTH, z: p.z };
+        });
+        if (noise) landmarks = Pose.addNoise(landmarks, noise, frame + 1);
+        samples.push({ t: start + t, landmarks });
+    }
+    return samples;
+}
+
+const still = () => ({ dx: 0, dy: 0 });
+const sine = (hz, amplitude) => t => amplitude * Math.sin(2 * Math.PI * hz * t);
+
+test('spectrum reads a sinusoid\'s frequency and amplitude', () => {
+    const values = Array.from({ length: 90 }, (v, i) => 0.3 + 0.001 * i + 0.02 * Math.sin(2 * Math.PI * 6 * i / 30));
+    const bins = Tremor.spectrum(values, 30);
+    const top = bins.reduce((a, b) => b.amplitude > a.amplitude ? b : a);
+    assert.ok(Math.abs(top.frequency - 6) < 0.15, `peak at ${top.frequency} Hz`);
+    assert.ok(Math.abs(top.amplitude - 0.02) < 0.002, `amplitude ${top.amplitude}`);
+    assert.equal(bins[0].frequency, Tremor.DEFAULTS.minFrequency);
+
+    // The band stops below Nyquist
+    const slow = Tremor.spectrum(values.slice(0, 40), 16);
+    assert.ok(slow[slow.length - 1].frequency < 8);
+});
+
+test('a whole-hand tremor is measured in hand lengths, at its frequency, in every finger', () => {
+    const wave = sine(5, 0.02);
+    const samples = hold(3000, t => ({ dx: wave(t), dy: wave(t) * 0.5 }), { noise: 0.0005 });
+    const result = Tremor.analyze(samples, options);
+
+    assert.equal(result.detected, true);
+    assert.ok(Math.abs(result.frequency - 5) <= 0.2, `frequency ${result.frequency}`);
+    const expected = 0.02 * Math.hypot(1, 0.5);
+    assert.ok(Math.abs(result.amplitude - expected) < 0.003, `amplitude ${result.amplitude} vs ${expected}`);
+    for (const name of Tremor.FINGERS) {
+        assert.ok(Math.abs(result.fingers[name].frequency - 5) <= 0.2, `${name} at ${result.fingers[name].frequency}`);
+    }
+    assert.ok(Math.abs(result.sampleRate - 30) < 0.1);
+    assert.equal(result.samples, samples.length);
+
+    // The same tremor on a hand twice the size is the same fraction of it
+    const big = samples.map(s => ({ t: s.t, landmarks: s.landmarks.map(p => ({ x: p.x * 2, y: p.y * 2, z: p.z * 2 })) }));
+    assert.ok(Math.abs(Tremor.analyze(big, options).amplitude - result.amplitude) < 1e-3);
+    // Without getHandFrame it measures the hand the same way
+    assert.deepEqual(Tremor.analyze(samples), result);
+});
+
+test('tracker jitter on a still hand is not a tremor', () => {
+    const result = Tremor.analyze(hold(2500, still, { noise: 0.0008 }), options);
+    assert.equal(result.detected, false, `amplitude ${result.amplitude}`);
+    assert.ok(result.amplitude < Tremor.DEFAULTS.minAmplitude);
+
+    // Slow drift is taken out, not read as tremor
+    const drift = Tremor.analyze(hold(2500, t => ({ dx: 0.05 * t, dy: 0.02 * t })), options);
+    assert.equal(drift.detected, false, `drift amplitude ${drift.amplitude}`);
+});
+
+test('the per-finger breakdown finds the finger that shakes', () => {
+    const wave = sine(8, 0.03);
+    const result = Tremor.analyze(hold(3000, (t, i) => i >= 6 && i <= 8 ? { dx: wave(t), dy: 0 } : { dx: 0, dy: 0 }), options);
+    assert.ok(Math.abs(result.fingers.index.frequency - 8) <= 0.2);
+    assert.ok(Math.abs(result.fingers.index.amplitude - 0.03) < 0.003, `index ${result.fingers.index.amplitude}`);
+    for (const name of ['thumb', 'middle', 'ring', 'pinky']) {
+        assert.ok(result.fingers[name].amplitude < 0.001, `${name} ${result.fingers[name].amplitude}`);
+    }
+    assert.ok(result.palm.amplitude < 0.001);
+    assert.ok(Math.abs(result.frequency - 8) <= 0.2);
+});
+
+test('short or broken holds: too little is null, a gap keeps the longest run', () => {
+    assert.equal(Tremor.analyze([], options), null);
+    assert.equal(Tremor.analyze(hold(600, still), options), null);
+
+    const wave = sine(6, 0.02);
+    const first = hold(800, t => ({ dx: wave(t), dy: 0 }));
+    const second = hold(2000, t => ({ dx: wave(t), dy: 0 }), { start: 3000 });
+    const result = Tremor.analyze([...second, ...first], options);
+    assert.equal(result.samples, second.length);
+    assert.ok(Math.abs(result.frequency - 6) <= 0.2);
+
+    // The recorder keeps only the latest maxDurationMs
+    const recorder = Tremor.createTremorRecorder({ ...options, maxDurationMs: 1500 });
+    for (const s of hold(3000, t => ({ dx: wave(t), dy: 0 }))) recorder.add(s.t, s.landmarks);
+    assert.ok(recorder.samples[recorder.samples.length - 1].t - recorder.samples[0].t <= 1500);
+    assert.ok(Math.abs(recorder.analyze().frequency - 6) <= 0.3);
+    recorder.clear();
+    assert.equal(recorder.analyze(), null);
+});
+
+test('the trend has one point per session with analyzed holds', () => {
+    const attempt = (amplitude, frequency, detected) => ({
+        id: 'fist',
+        tremor: {
+            amplitude, frequency, detected,
+            fingers: { thumb: { frequency, amplitude }, index: { frequency, amplitude: amplitude * 2 } }
+        }
+    });
+    const points = Tremor.trend([
+        { date: '2026-10-01', exercises: [attempt(0.01, 5, true), attempt(0.002, 9.3, false)] },
+        { date: '2026-10-02', exercises: [{ id: 'pointer', tremor: null }] },
+        { date: '2026-10-03', exercises: [attempt(0.003, 7, false)] }
+    ]);
+    assert.equal(points.length, 2);
+    assert.deepEqual(points[0], {
+        date: '2026-10-01', attempts: 2, detected: 1, amplitude: 0.006, frequency: 5,
+        fingers: { thumb: 0.006, index: 0.012, middle: null, ring: null, pinky: null }
+    });
+    assert.equal(points[1].frequency, null);
+});